@@ -1,21 +1,27 @@
+// Loaded first, so modules reading the environment when they are imported see the .env values.
+import 'dotenv/config';
 import express from 'express';
-import dotenv from 'dotenv';
 import mediaRoutes from './routes/media.route.js';
+import libraryRoutes from './routes/library.route.js';
+import seriesRoutes from './routes/series.route.js';
+import peopleRoutes from './routes/people.route.js';
+import adminRoutes from './routes/admin.route.js';
+import artworkRoutes from './routes/artwork.route.js';
+import collectionRoutes from './routes/collection.route.js';
 import { errorHandler } from './middlewares/errorHandler.middleware.js';
 import { logger, morganMiddleware } from './utils/logger.js';
 import swaggerUi from 'swagger-ui-express';
 import swaggerJsDoc from 'swagger-jsdoc';
 import { checkInternet } from './utils/network.js';
-import path from 'path';
-
-dotenv.config();
+import { markInterruptedScanJobs } from './services/scanJob.service.js';
+import { startWatcher, stopWatcher } from './services/watcher.service.js';
+import { stopHlsSessions } from './services/hls.service.js';
+import { ensureDefaultLibraries } from './services/library.service.js';
+import { closeDb, openDb } from './config/db.config.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-const POSTER_BASE_PATH = process.env.POSTER_BASE_PATH || path.resolve('./data/posters');
-app.use('/data/posters', express.static(POSTER_BASE_PATH));
-
 const swaggerOptions = {
     definition: {
         openapi: '3.0.0',
@@ -35,6 +41,12 @@ app.use(express.json());
 app.use(morganMiddleware);
 app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 app.use('/api/media', mediaRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/people', peopleRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/libraries', libraryRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/artwork', artworkRoutes);
 app.use(errorHandler);
 
 /**
@@ -60,7 +72,41 @@ app.get('/', (req, res) => {
     });
 });
 
-app.listen(port, () => {
+// Bring the schema up to date before serving; a failed migration leaves the backup and stops the server.
+try {
+    await openDb();
+} catch (err) {
+    logger.error(`Database migration failed: ${err.message}`);
+    process.exit(1);
+}
+
+const server = app.listen(port, () => {
     logger.info(`Server is running on port ${port}`);
     checkInternet();
+    markInterruptedScanJobs().catch(err => logger.error(`Failed to recover scan jobs: ${err.message}`));
+    ensureDefaultLibraries()
+        .then(startWatcher)
+        .catch(err => logger.error(`Failed to initialize libraries: ${err.message}`));
 });
+
+/**
+ * Stops accepting requests and closes the database so the WAL is checkpointed into the main file.
+ * An interrupted scan job is marked as such on the next start.
+ * @param {string} signal
+ */
+const shutdown = async (signal) => {
+    logger.info(`Received ${signal}, shutting down`);
+    stopWatcher();
+    stopHlsSessions();
+    server.close();
+    server.closeIdleConnections();
+    try {
+        await closeDb();
+    } catch (err) {
+        logger.error(`Failed to close database: ${err.message}`);
+    }
+    process.exit(0);
+};
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -2,8 +2,17 @@ import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import fs from 'fs';
 import path from 'path';
+import { runMigrations } from './migrator.js';
+import { readIntEnv } from '../utils/env.js';
 
-const DB_PATH = process.env.DB_PATH || './data/media_catalog.db';
+export const DB_PATH = process.env.DB_PATH || './data/media_catalog.db';
+// How long a query waits for a lock held by another connection (e.g. the migrate command) before failing.
+const BUSY_TIMEOUT_MS = readIntEnv('DB_BUSY_TIMEOUT_MS', 5000);
+
+// The shared connection, opened and migrated on first use.
+let connection = null;
+// Prepared statements by SQL text; they belong to the shared connection.
+const statements = new Map();
 
 const ensureDbDir = () => {
     const dir = path.dirname(DB_PATH);
@@ -12,70 +21,104 @@ const ensureDbDir = () => {
     }
 };
 
-export async function openDb() {
+/**
+ * Opens a separate connection without migrating the schema, for the migration command.
+ * @returns {Promise<object>}
+ */
+export async function connectDb() {
     ensureDbDir();
 
     const db = await open({
         filename: DB_PATH,
         driver: sqlite3.Database,
     });
+    await db.exec(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    return db;
+}
 
-    await db.exec(`CREATE TABLE IF NOT EXISTS media
-                   (
-                       id                INTEGER PRIMARY KEY AUTOINCREMENT,
-                       filename          TEXT,
-                       filepath          TEXT UNIQUE,
-                       filesize          INTEGER,
-                       title             TEXT,
-                       mediaType         TEXT,
-                       description       TEXT,
-                       poster            TEXT,
-                       year              TEXT,
-                       genre             TEXT,
-                       language          TEXT,
-                       rating            REAL,
-                       watched           INTEGER DEFAULT 0,
-                       favorite          INTEGER DEFAULT 0,
-                       playback_position INTEGER DEFAULT 0,
-                       last_played       TIMESTAMP,
-                       seriesId          INTEGER
-                   )
-    `);
-
+/**
+ * Opens the shared connection: WAL lets readers continue while a scan writes, and foreign keys
+ * are enforced. The schema is brought up to date before the connection is handed out.
+ * @returns {Promise<object>}
+ */
+const connect = async () => {
+    const db = await connectDb();
     await db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_media_filepath ON media (filepath);
-        CREATE INDEX IF NOT EXISTS idx_media_title ON media (title);
-        CREATE INDEX IF NOT EXISTS idx_media_genre ON media (genre);
-        CREATE INDEX IF NOT EXISTS idx_media_mediaType ON media (mediaType);
-        CREATE INDEX IF NOT EXISTS idx_media_favorite ON media (favorite);
-        CREATE INDEX IF NOT EXISTS idx_media_watched ON media (watched);
-        CREATE INDEX IF NOT EXISTS idx_media_seriesId ON media (seriesId);
+        PRAGMA journal_mode = WAL;
+        PRAGMA foreign_keys = ON;
     `);
+    await runMigrations(db, { dbPath: DB_PATH });
+    return db;
+};
 
-    await db.exec(`CREATE TABLE IF NOT EXISTS series
-                   (
-                       id                INTEGER PRIMARY KEY AUTOINCREMENT,
-                       title             TEXT NOT NULL,
-                       original_name     TEXT,
-                       overview          TEXT,
-                       first_air_date    TEXT,
-                       poster_path       TEXT,
-                       backdrop_path     TEXT,
-                       genre             TEXT,
-                       original_language TEXT,
-                       origin_country    TEXT,
-                       popularity        REAL,
-                       vote_average      REAL,
-                       vote_count        INTEGER,
-                       mediaType         TEXT
-                   )
-    `);
+/**
+ * Returns the shared connection to the catalog, opening it on the first call
+ * (see config/migrations); a failing migration rejects this and every later call.
+ * @returns {Promise<object>}
+ */
+export function openDb() {
+    connection ??= connect();
+    return connection;
+}
 
-    await db.exec(`
-        CREATE INDEX IF NOT EXISTS idx_series_title ON series (title);
-        CREATE INDEX IF NOT EXISTS idx_series_genre ON series (genre);
-        CREATE INDEX IF NOT EXISTS idx_series_mediaType ON series (mediaType);
-    `);
+/**
+ * Returns a prepared statement for the shared connection. Statements are prepared once per SQL text
+ * and reused until the connection is closed.
+ * @param {string} sql
+ * @returns {Promise<object>}
+ */
+export function prepare(sql) {
+    if (!statements.has(sql)) {
+        statements.set(sql, openDb().then(db => db.prepare(sql)));
+    }
+    return statements.get(sql);
+}
 
-    return db;
-}
\ No newline at end of file
+/**
+ * Finalizes the prepared statements and closes the shared connection. The next openDb() reopens it.
+ * @returns {Promise<void>}
+ */
+export async function closeDb() {
+    if (!connection) return;
+    const pending = connection;
+    connection = null;
+    const prepared = [...statements.values()];
+    statements.clear();
+    for (const statement of await Promise.allSettled(prepared)) {
+        if (statement.status === 'fulfilled') await statement.value.finalize();
+    }
+    const db = await pending.catch(() => null);
+    await db?.close();
+}
+
+/**
+ * Runs a prepared query and returns the first row.
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<object|undefined>}
+ */
+export async function queryOne(sql, params = []) {
+    // all() runs the statement to completion and resets it, so no read transaction is left open.
+    const [row] = await (await prepare(sql)).all(params);
+    return row;
+}
+
+/**
+ * Runs a prepared query and returns all rows.
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<object[]>}
+ */
+export async function queryAll(sql, params = []) {
+    return (await prepare(sql)).all(params);
+}
+
+/**
+ * Runs a prepared write statement.
+ * @param {string} sql
+ * @param {Array} [params]
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+export async function execute(sql, params = []) {
+    return (await prepare(sql)).run(params);
+}
@@ -0,0 +1,20 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Columns the scanner uses to detect changed, moved and removed files.
+ */
+export const description = 'Track inode, mtime and fingerprint of media files';
+
+export async function up(db) {
+    await addColumns(db, 'media', {
+        inode: 'INTEGER',
+        mtime: 'INTEGER',
+        fingerprint: 'TEXT',
+        missing_since: 'TIMESTAMP',
+    });
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_media_fingerprint ON media (fingerprint);
+        CREATE INDEX IF NOT EXISTS idx_media_missing_since ON media (missing_since);
+    `);
+}
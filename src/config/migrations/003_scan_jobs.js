@@ -0,0 +1,27 @@
+/**
+ * Background scan jobs with progress and summary.
+ */
+export const description = 'Create scan_jobs table';
+
+export async function up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS scan_jobs
+                   (
+                       id           TEXT PRIMARY KEY,
+                       status       TEXT NOT NULL,
+                       total        INTEGER DEFAULT 0,
+                       processed    INTEGER DEFAULT 0,
+                       current_file TEXT,
+                       summary      TEXT,
+                       errors       TEXT,
+                       message      TEXT,
+                       created_at   TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                       started_at   TIMESTAMP,
+                       finished_at  TIMESTAMP
+                   )
+    `);
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON scan_jobs (status);
+        CREATE INDEX IF NOT EXISTS idx_scan_jobs_created_at ON scan_jobs (created_at);
+    `);
+}
@@ -0,0 +1,16 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Season and episode numbers, including the last episode of multi-episode files.
+ */
+export const description = 'Store season and episode numbers on media';
+
+export async function up(db) {
+    await addColumns(db, 'media', {
+        season_number: 'INTEGER',
+        episode_number: 'INTEGER',
+        episode_number_end: 'INTEGER',
+    });
+
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_media_episode ON media (seriesId, season_number, episode_number)');
+}
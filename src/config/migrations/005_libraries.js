@@ -0,0 +1,29 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Configurable libraries; media, series and scan jobs point to the library they belong to.
+ */
+export const description = 'Create libraries table and link media, series and scan jobs to it';
+
+export async function up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS libraries
+                   (
+                       id         INTEGER PRIMARY KEY AUTOINCREMENT,
+                       name       TEXT NOT NULL UNIQUE,
+                       type       TEXT NOT NULL,
+                       paths      TEXT NOT NULL,
+                       language   TEXT,
+                       extensions TEXT,
+                       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                   )
+    `);
+
+    await addColumns(db, 'media', { library_id: 'INTEGER' });
+    await addColumns(db, 'series', { library_id: 'INTEGER' });
+    await addColumns(db, 'scan_jobs', { library_id: 'INTEGER' });
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_media_library_id ON media (library_id);
+        CREATE INDEX IF NOT EXISTS idx_series_library_id ON series (library_id);
+    `);
+}
@@ -0,0 +1,10 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Flags files indexed while TMDB was unavailable, so the next scan enriches them.
+ */
+export const description = 'Add metadata_pending to media';
+
+export async function up(db) {
+    await addColumns(db, 'media', { metadata_pending: 'INTEGER DEFAULT 0' });
+}
@@ -0,0 +1,22 @@
+/**
+ * Cache of TMDB responses, keyed by endpoint and query parameters.
+ */
+export const description = 'Create tmdb_cache table';
+
+export async function up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS tmdb_cache
+                   (
+                       cache_key  TEXT PRIMARY KEY,
+                       endpoint   TEXT    NOT NULL,
+                       status     INTEGER NOT NULL,
+                       response   TEXT,
+                       fetched_at INTEGER NOT NULL,
+                       expires_at INTEGER NOT NULL
+                   )
+    `);
+
+    await db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_tmdb_cache_endpoint ON tmdb_cache (endpoint);
+        CREATE INDEX IF NOT EXISTS idx_tmdb_cache_expires_at ON tmdb_cache (expires_at);
+    `);
+}
@@ -0,0 +1,13 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * TMDB IDs and user-locked fields for manual matching and metadata edits.
+ */
+export const description = 'Add tmdb_id and locked_fields to media and series';
+
+export async function up(db) {
+    await addColumns(db, 'media', { tmdb_id: 'INTEGER', locked_fields: 'TEXT' });
+    await addColumns(db, 'series', { tmdb_id: 'INTEGER', locked_fields: 'TEXT' });
+
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_series_tmdb_id ON series (tmdb_id)');
+}
@@ -0,0 +1,34 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Seasons of a series, plus air date and runtime of each media row. Seasons are created for the
+ * season numbers existing episodes already have; their metadata is filled in by the next scan.
+ */
+export const description = 'Add seasons table and episode air date and runtime';
+
+export async function up(db) {
+    await db.exec(`CREATE TABLE IF NOT EXISTS seasons
+                   (
+                       id            INTEGER PRIMARY KEY AUTOINCREMENT,
+                       series_id     INTEGER NOT NULL REFERENCES series (id) ON DELETE CASCADE,
+                       season_number INTEGER NOT NULL,
+                       name          TEXT,
+                       overview      TEXT,
+                       air_date      TEXT,
+                       poster_path   TEXT,
+                       episode_count INTEGER,
+                       tmdb_id       INTEGER,
+                       UNIQUE (series_id, season_number)
+                   )
+    `);
+
+    await addColumns(db, 'media', { air_date: 'TEXT', runtime: 'INTEGER' });
+
+    await db.exec(`
+        INSERT OR IGNORE INTO seasons (series_id, season_number)
+        SELECT DISTINCT media.seriesId, media.season_number
+        FROM media
+                 JOIN series ON series.id = media.seriesId
+        WHERE media.season_number IS NOT NULL
+    `);
+}
@@ -0,0 +1,58 @@
+/**
+ * Genres as their own table with join tables for media and series, so filters match whole genre
+ * names instead of substrings. The comma-separated `genre` columns stay as the display value and
+ * are split into the join tables here; scans keep both in sync from now on.
+ */
+export const description = 'Add genres with media and series join tables';
+
+/**
+ * Links every row of a table to the genres named in its `genre` column.
+ * @param {object} db
+ * @param {string} table - media or series
+ * @param {string} joinTable
+ * @param {string} idColumn - The join table column referencing the row
+ */
+const backfill = async (db, table, joinTable, idColumn) => {
+    const rows = await db.all(`SELECT id, genre FROM ${table} WHERE genre IS NOT NULL AND genre != ''`);
+    for (const row of rows) {
+        const names = [...new Set(row.genre.split(',').map(name => name.trim()).filter(Boolean))];
+        for (const name of names) {
+            await db.run('INSERT OR IGNORE INTO genres (name) VALUES (?)', [name]);
+            await db.run(
+                `INSERT OR IGNORE INTO ${joinTable} (${idColumn}, genre_id)
+                 SELECT ?, id FROM genres WHERE name = ?`,
+                [row.id, name],
+            );
+        }
+    }
+};
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS genres
+        (
+            id   INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE
+        );
+
+        CREATE TABLE IF NOT EXISTS media_genres
+        (
+            media_id INTEGER NOT NULL REFERENCES media (id) ON DELETE CASCADE,
+            genre_id INTEGER NOT NULL REFERENCES genres (id) ON DELETE CASCADE,
+            PRIMARY KEY (media_id, genre_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS series_genres
+        (
+            series_id INTEGER NOT NULL REFERENCES series (id) ON DELETE CASCADE,
+            genre_id  INTEGER NOT NULL REFERENCES genres (id) ON DELETE CASCADE,
+            PRIMARY KEY (series_id, genre_id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_media_genres_genre ON media_genres (genre_id);
+        CREATE INDEX IF NOT EXISTS idx_series_genres_genre ON series_genres (genre_id);
+    `);
+
+    await backfill(db, 'media', 'media_genres', 'media_id');
+    await backfill(db, 'series', 'series_genres', 'series_id');
+}
@@ -0,0 +1,101 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * FTS5 search indexes for media and series. The rowid of an index row is the ID of the media or
+ * series row, and triggers keep the indexes in sync with every insert, edit and delete, whether it
+ * comes from a scan, a manual match or a metadata edit. `people` is reserved for cast and crew names.
+ * The unicode61 tokenizer with remove_diacritics lets "Amelie" find "Amélie".
+ */
+export const description = 'Add full-text search indexes for media and series';
+
+const TOKENIZE = "tokenize = 'unicode61 remove_diacritics 2'";
+
+export async function up(db) {
+    await addColumns(db, 'media', { original_title: 'TEXT' });
+
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS media_search USING fts5
+        (
+            title,
+            original_title,
+            overview,
+            filename,
+            people,
+            ${TOKENIZE}
+        );
+
+        CREATE VIRTUAL TABLE IF NOT EXISTS series_search USING fts5
+        (
+            title,
+            original_title,
+            overview,
+            people,
+            ${TOKENIZE}
+        );
+
+        CREATE TRIGGER IF NOT EXISTS media_search_insert
+            AFTER INSERT
+            ON media
+        BEGIN
+            INSERT INTO media_search (rowid, title, original_title, overview, filename)
+            VALUES (new.id, new.title, new.original_title, new.description, new.filename);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS media_search_update
+            AFTER UPDATE OF title, original_title, description, filename
+            ON media
+        BEGIN
+            UPDATE media_search
+            SET title          = new.title,
+                original_title = new.original_title,
+                overview       = new.description,
+                filename       = new.filename
+            WHERE rowid = new.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS media_search_delete
+            AFTER DELETE
+            ON media
+        BEGIN
+            DELETE FROM media_search WHERE rowid = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS series_search_insert
+            AFTER INSERT
+            ON series
+        BEGIN
+            INSERT INTO series_search (rowid, title, original_title, overview)
+            VALUES (new.id, new.title, new.original_name, new.overview);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS series_search_update
+            AFTER UPDATE OF title, original_name, overview
+            ON series
+        BEGIN
+            UPDATE series_search
+            SET title          = new.title,
+                original_title = new.original_name,
+                overview       = new.overview
+            WHERE rowid = new.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS series_search_delete
+            AFTER DELETE
+            ON series
+        BEGIN
+            DELETE FROM series_search WHERE rowid = old.id;
+        END;
+    `);
+
+    await db.exec(`
+        DELETE FROM media_search;
+        INSERT INTO media_search (rowid, title, original_title, overview, filename)
+        SELECT id, title, original_title, description, filename
+        FROM media;
+
+        DELETE FROM series_search;
+        INSERT INTO series_search (rowid, title, original_title, overview)
+        SELECT id, title, original_name, overview
+        FROM series;
+    `);
+}
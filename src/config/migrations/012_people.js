@@ -0,0 +1,36 @@
+/**
+ * Cast and crew from TMDB credits. A credit links a person to a movie (`media_id`) or a series
+ * (`series_id`); episodes share the credits of their series.
+ */
+export const description = 'Add people and credits';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS people
+        (
+            id                   INTEGER PRIMARY KEY AUTOINCREMENT,
+            tmdb_id              INTEGER UNIQUE,
+            name                 TEXT NOT NULL,
+            profile_path         TEXT,
+            known_for_department TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS credits
+        (
+            id          INTEGER PRIMARY KEY AUTOINCREMENT,
+            person_id   INTEGER NOT NULL REFERENCES people (id) ON DELETE CASCADE,
+            media_id    INTEGER REFERENCES media (id) ON DELETE CASCADE,
+            series_id   INTEGER REFERENCES series (id) ON DELETE CASCADE,
+            credit_type TEXT    NOT NULL CHECK (credit_type IN ('cast', 'crew')),
+            character   TEXT,
+            job         TEXT,
+            department  TEXT,
+            sort_order  INTEGER,
+            CHECK ((media_id IS NULL) != (series_id IS NULL))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_credits_person ON credits (person_id);
+        CREATE INDEX IF NOT EXISTS idx_credits_media ON credits (media_id);
+        CREATE INDEX IF NOT EXISTS idx_credits_series ON credits (series_id);
+    `);
+}
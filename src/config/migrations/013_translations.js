@@ -0,0 +1,38 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Translated titles and overviews of movies, episodes and series, so clients can ask for another
+ * language without a new scan. The row's own columns hold the metadata language; this table holds
+ * the other configured languages. Libraries get an image language for localized posters.
+ */
+export const description = 'Add translations and library image language';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS translations
+        (
+            entity_type TEXT    NOT NULL CHECK (entity_type IN ('media', 'series')),
+            entity_id   INTEGER NOT NULL,
+            language    TEXT    NOT NULL,
+            title       TEXT,
+            overview    TEXT,
+            PRIMARY KEY (entity_type, entity_id, language)
+        );
+
+        CREATE TRIGGER IF NOT EXISTS media_translations_delete
+            AFTER DELETE
+            ON media
+        BEGIN
+            DELETE FROM translations WHERE entity_type = 'media' AND entity_id = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS series_translations_delete
+            AFTER DELETE
+            ON series
+        BEGIN
+            DELETE FROM translations WHERE entity_type = 'series' AND entity_id = old.id;
+        END;
+    `);
+
+    await addColumns(db, 'libraries', { image_language: 'TEXT' });
+}
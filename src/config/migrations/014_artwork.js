@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Images used to live in one folder per sanitized title (`/posters/<title>/poster.jpg`), which
+ * the server did not serve and where titles with the same folder name overwrote each other's
+ * files. They are copied into the content-addressed artwork store and the rows point to their
+ * `/api/artwork/` URLs. Seasons and people whose image file is gone are left without one, so the
+ * next scan downloads it again.
+ */
+export const description = 'Move images into the content-addressed artwork store';
+
+const LEGACY_PREFIX = '/posters/';
+// Image columns at this version, with the value for an image whose file is gone.
+const COLUMNS = [
+    { table: 'media', column: 'poster', missing: '' },
+    { table: 'series', column: 'poster_path', missing: '' },
+    { table: 'series', column: 'backdrop_path', missing: '' },
+    { table: 'seasons', column: 'poster_path', missing: null },
+    { table: 'people', column: 'profile_path', missing: null },
+];
+
+/**
+ * Copies an image into the artwork store as the artwork service stored it at this version:
+ * `artwork/<first two hash characters>/<hash><ext>`, named by the first 32 hex characters of its
+ * SHA-256. A dry run only computes the URL, as its rollback would not remove the file.
+ * @param {string} baseDir - The poster folder
+ * @param {string} source
+ * @param {boolean} dryRun
+ * @returns {Promise<string>} The artwork URL, or '' when the image cannot be read
+ */
+const importImage = async (baseDir, source, dryRun) => {
+    let data;
+    try {
+        data = await fs.promises.readFile(source);
+    } catch {
+        return '';
+    }
+    const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+    const ext = path.extname(source).toLowerCase();
+    const extension = ext === '.jpeg' ? '.jpg' : ext;
+    const target = path.join(baseDir, 'artwork', hash.slice(0, 2), `${hash}${extension}`);
+    if (!dryRun && !fs.existsSync(target)) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        const temp = `${target}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, target);
+    }
+    return `/api/artwork/${hash}${extension}`;
+};
+
+export async function up(db, { dryRun = false } = {}) {
+    const baseDir = path.resolve(process.env.POSTER_BASE_PATH || './data/posters');
+    for (const { table, column, missing } of COLUMNS) {
+        const rows = await db.all(
+            `SELECT DISTINCT ${column} AS url FROM ${table} WHERE ${column} LIKE ?`,
+            [`${LEGACY_PREFIX}%`],
+        );
+        for (const { url } of rows) {
+            const source = path.join(baseDir, url.slice(LEGACY_PREFIX.length));
+            const artwork = await importImage(baseDir, source, dryRun);
+            await db.run(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`, [artwork || missing, url]);
+        }
+    }
+}
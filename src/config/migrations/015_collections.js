@@ -0,0 +1,36 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Movie collections (franchises) from TMDB's `belongs_to_collection`. A collection keeps the full
+ * list of its parts, so the API can tell which movies of a franchise are missing from the library.
+ */
+export const description = 'Add movie collections';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS collections
+        (
+            id            INTEGER PRIMARY KEY AUTOINCREMENT,
+            tmdb_id       INTEGER UNIQUE,
+            name          TEXT NOT NULL,
+            overview      TEXT,
+            poster_path   TEXT,
+            backdrop_path TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS collection_parts
+        (
+            collection_id    INTEGER NOT NULL REFERENCES collections (id) ON DELETE CASCADE,
+            tmdb_id          INTEGER NOT NULL,
+            title            TEXT    NOT NULL,
+            release_date     TEXT,
+            tmdb_poster_path TEXT,
+            PRIMARY KEY (collection_id, tmdb_id)
+        );
+    `);
+
+    await addColumns(db, 'media', {
+        collection_id: 'INTEGER REFERENCES collections (id) ON DELETE SET NULL',
+    });
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_media_collection ON media (collection_id)');
+}
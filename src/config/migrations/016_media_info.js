@@ -0,0 +1,25 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * Technical info probed from the media files. Track lists are JSON arrays, as they are only read
+ * together with their row; `container` stays NULL until a file was probed, so the next scan
+ * probes files indexed before.
+ */
+export const description = 'Add technical media info';
+
+export async function up(db) {
+    await addColumns(db, 'media', {
+        container: 'TEXT',
+        duration: 'REAL',
+        bitrate: 'INTEGER',
+        video_codec: 'TEXT',
+        audio_codec: 'TEXT',
+        width: 'INTEGER',
+        height: 'INTEGER',
+        resolution: 'TEXT',
+        hdr: 'INTEGER',
+        audio_tracks: 'TEXT',
+        subtitle_tracks: 'TEXT',
+    });
+    await db.exec('CREATE INDEX IF NOT EXISTS idx_media_resolution ON media (resolution)');
+}
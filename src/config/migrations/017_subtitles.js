@@ -0,0 +1,23 @@
+/**
+ * Subtitle files found next to media files (sidecars). Language and flags come from the file name;
+ * the files are read and converted when requested. A subtitle may belong to several media rows
+ * when e.g. "Movie.mkv" and "Movie.mp4" share a folder.
+ */
+export const description = 'Add sidecar subtitles';
+
+export async function up(db) {
+    await db.exec(`
+        CREATE TABLE IF NOT EXISTS subtitles
+        (
+            id       INTEGER PRIMARY KEY AUTOINCREMENT,
+            media_id INTEGER NOT NULL REFERENCES media (id) ON DELETE CASCADE,
+            filepath TEXT    NOT NULL,
+            format   TEXT    NOT NULL,
+            language TEXT,
+            title    TEXT,
+            forced   INTEGER NOT NULL DEFAULT 0,
+            sdh      INTEGER NOT NULL DEFAULT 0,
+            UNIQUE (media_id, filepath)
+        );
+    `);
+}
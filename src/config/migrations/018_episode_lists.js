@@ -0,0 +1,20 @@
+import { addColumns } from '../migrator.js';
+
+/**
+ * The episodes a file covers, as a JSON array: "S01E01E03" covers 1 and 3, not the range from
+ * episode_number to episode_number_end. Multi-episode files indexed before are enriched again by
+ * the next scan, which stores their list.
+ */
+export const description = 'Store the episode list of multi-episode files';
+
+export async function up(db) {
+    await addColumns(db, 'media', {
+        episode_numbers: 'TEXT',
+    });
+    await db.run(
+        `UPDATE media
+         SET metadata_pending = 1
+         WHERE episode_numbers IS NULL
+           AND episode_number_end > episode_number`,
+    );
+}
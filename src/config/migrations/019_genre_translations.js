@@ -0,0 +1,42 @@
+/**
+ * Genres keyed by their TMDB ID, with their names per language in `genre_translations`, so libraries
+ * in different languages share one "Action" genre instead of mixing "Action" and "Aktion".
+ * Genres named only by NFOs or edits keep a unique local name. Existing genres become local ones;
+ * scans link them to their TMDB genre when they meet it under the same name.
+ */
+export const description = 'Key genres by TMDB ID with names per language';
+
+export async function up(db) {
+    // Dropping genres empties the join tables through their foreign keys, so keep a copy.
+    await db.exec(`
+        CREATE TEMP TABLE media_genres_copy AS SELECT media_id, genre_id FROM media_genres;
+        CREATE TEMP TABLE series_genres_copy AS SELECT series_id, genre_id FROM series_genres;
+
+        CREATE TABLE genres_new
+        (
+            id      INTEGER PRIMARY KEY AUTOINCREMENT,
+            tmdb_id INTEGER UNIQUE,
+            name    TEXT NOT NULL COLLATE NOCASE
+        );
+        INSERT INTO genres_new (id, name) SELECT id, name FROM genres;
+        DROP TABLE genres;
+        ALTER TABLE genres_new RENAME TO genres;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_genres_local_name ON genres (name) WHERE tmdb_id IS NULL;
+
+        CREATE TABLE IF NOT EXISTS genre_translations
+        (
+            genre_id INTEGER NOT NULL REFERENCES genres (id) ON DELETE CASCADE,
+            language TEXT    NOT NULL,
+            name     TEXT    NOT NULL COLLATE NOCASE,
+            PRIMARY KEY (genre_id, language)
+        );
+        CREATE INDEX IF NOT EXISTS idx_genre_translations_name ON genre_translations (name);
+
+        INSERT OR IGNORE INTO media_genres (media_id, genre_id)
+        SELECT media_id, genre_id FROM temp.media_genres_copy;
+        INSERT OR IGNORE INTO series_genres (series_id, genre_id)
+        SELECT series_id, genre_id FROM temp.series_genres_copy;
+        DROP TABLE temp.media_genres_copy;
+        DROP TABLE temp.series_genres_copy;
+    `);
+}
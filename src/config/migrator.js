@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+// Migration files are named <version>_<name>.js, e.g. 002_change_tracking.js.
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Adds columns that are missing on an existing table. Databases created before versioned
+ * migrations may already have some of them, so migrations adding columns stay idempotent.
+ * @param {object} db
+ * @param {string} table
+ * @param {Object<string, string>} columns - Column name to SQL type definition
+ */
+export const addColumns = async (db, table, columns) => {
+    const existing = await db.all(`PRAGMA table_info(${table})`);
+    const names = new Set(existing.map(col => col.name));
+    for (const [name, definition] of Object.entries(columns)) {
+        if (!names.has(name)) {
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        }
+    }
+};
+
+/**
+ * Loads the migration files in version order. `up(db, { dryRun })` is told about dry runs, so a
+ * migration that also changes files can leave them alone when its database changes are rolled back.
+ * @returns {Promise<{version: number, name: string, description: string, up: function(object, {dryRun: boolean})}[]>}
+ * @throws {Error} When two files share a version or a file does not export `up`
+ */
+export const loadMigrations = async () => {
+    const files = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ file, version: parseInt(match[1], 10), name: match[2] }))
+        .sort((a, b) => a.version - b.version);
+
+    const migrations = [];
+    for (const { file, version, name } of files) {
+        if (migrations.some(migration => migration.version === version)) {
+            throw new Error(`Duplicate migration version ${version} (${file})`);
+        }
+        const module = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+        if (typeof module.up !== 'function') {
+            throw new Error(`Migration ${file} does not export an up() function`);
+        }
+        migrations.push({ version, name, description: module.description || name, up: module.up });
+    }
+    return migrations;
+};
+
+/**
+ * Returns the applied and pending migrations without changing the database.
+ * @param {object} db
+ * @returns {Promise<{currentVersion: number, latestVersion: number, applied: object[], pending: object[]}>}
+ */
+export const getMigrationStatus = async (db) => {
+    const migrations = await loadMigrations();
+    const hasVersionTable = await db.get(
+        "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'",
+    );
+    const applied = hasVersionTable
+        ? await db.all('SELECT version, name, applied_at as appliedAt FROM schema_version ORDER BY version')
+        : [];
+    const appliedVersions = new Set(applied.map(row => row.version));
+    return {
+        currentVersion: applied.length ? applied[applied.length - 1].version : 0,
+        latestVersion: migrations.length ? migrations[migrations.length - 1].version : 0,
+        applied,
+        pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    };
+};
+
+/**
+ * Copies the database to `<db>.v<version>-<timestamp>.bak` before it is migrated.
+ * `VACUUM INTO` writes a consistent copy even while other connections are open.
+ * @param {object} db
+ * @param {string} dbPath
+ * @param {number} version - The schema version being backed up
+ * @returns {Promise<string|null>} The backup path, or null for a new, empty database
+ */
+const backupDatabase = async (db, dbPath, version) => {
+    const { count } = await db.get("SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table'");
+    if (count === 0) return null;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = `${dbPath}.v${version}-${timestamp}.bak`;
+    await db.run('VACUUM INTO ?', [backupPath]);
+    logger.info(`Backed up database to ${backupPath}`);
+    return backupPath;
+};
+
+/**
+ * Applies pending migrations in version order, each in its own transaction. The database file
+ * is backed up first. A failing migration is rolled back and stops the run.
+ * With `dryRun`, all pending migrations run in one transaction that is rolled back, so errors
+ * show up without changing the database.
+ * @param {object} db
+ * @param {object} options
+ * @param {string} options.dbPath - Path of the database file, used for the backup
+ * @param {boolean} [options.dryRun]
+ * @returns {Promise<{fromVersion: number, toVersion: number, applied: object[], backupPath: string|null}>}
+ */
+export const runMigrations = async (db, { dbPath, dryRun = false }) => {
+    const { currentVersion, pending } = await getMigrationStatus(db);
+    const result = {
+        fromVersion: currentVersion,
+        toVersion: pending.length ? pending[pending.length - 1].version : currentVersion,
+        applied: pending.map(({ version, name, description }) => ({ version, name, description })),
+        backupPath: null,
+    };
+    if (pending.length === 0) return result;
+
+    if (dryRun) {
+        await db.exec('BEGIN');
+        try {
+            for (const migration of pending) {
+                await migration.up(db, { dryRun: true });
+            }
+        } finally {
+            await db.exec('ROLLBACK');
+        }
+        return result;
+    }
+
+    result.backupPath = await backupDatabase(db, dbPath, currentVersion);
+    await db.exec(`CREATE TABLE IF NOT EXISTS schema_version
+                   (
+                       version    INTEGER PRIMARY KEY,
+                       name       TEXT NOT NULL,
+                       applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                   )
+    `);
+    for (const migration of pending) {
+        await db.exec('BEGIN');
+        try {
+            await migration.up(db, { dryRun: false });
+            await db.run(
+                'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+                [migration.version, migration.name],
+            );
+            await db.exec('COMMIT');
+            logger.info(`Applied migration ${migration.version} (${migration.name})`);
+        } catch (err) {
+            await db.exec('ROLLBACK');
+            const backup = result.backupPath ? ` The backup is at ${result.backupPath}.` : '';
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${err.message}.${backup}`);
+        }
+    }
+    return result;
+};
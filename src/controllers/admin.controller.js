@@ -0,0 +1,80 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { getCacheStats, listCacheEntries, purgeCache } from '../utils/tmdbCache.js';
+import { cleanupArtwork } from '../services/artwork.service.js';
+
+/**
+ * Reads the cache filter from the query string.
+ * @param {object} query
+ * @returns {{endpoint?: string, expired?: boolean}}
+ */
+const parseCacheFilter = (query) => ({
+    endpoint: query.endpoint || undefined,
+    expired: query.expired === 'true',
+});
+
+/**
+ * Returns statistics about the TMDB response cache.
+ */
+export const getTmdbCache = async (req, res, next) => {
+    try {
+        const stats = await getCacheStats();
+        res.json(stats);
+    } catch (err) {
+        logger.error(`Error fetching TMDB cache statistics: ${err.message}`);
+        next(new AppError('Error fetching TMDB cache statistics', 500));
+    }
+};
+
+/**
+ * Returns a paginated list of TMDB cache entries.
+ */
+export const getTmdbCacheEntries = async (req, res, next) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 50;
+        const { total, entries } = await listCacheEntries(parseCacheFilter(req.query), limit, (page - 1) * limit);
+        const totalPages = Math.ceil(total / limit);
+        res.json({
+            entries,
+            pagination: {
+                total,
+                totalPages,
+                currentPage: page,
+                limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1,
+            },
+        });
+    } catch (err) {
+        logger.error(`Error fetching TMDB cache entries: ${err.message}`);
+        next(new AppError('Error fetching TMDB cache entries', 500));
+    }
+};
+
+/**
+ * Deletes TMDB cache entries, optionally only expired ones or those of one endpoint.
+ */
+export const purgeTmdbCache = async (req, res, next) => {
+    try {
+        const deleted = await purgeCache(parseCacheFilter(req.query));
+        logger.info(`Purged ${deleted} TMDB cache entries`);
+        res.json({ deleted });
+    } catch (err) {
+        logger.error(`Error purging TMDB cache: ${err.message}`);
+        next(new AppError('Error purging TMDB cache', 500));
+    }
+};
+
+/**
+ * Deletes stored images that no movie, episode, series, season, person or collection references
+ * any more. Scans do this as well once they finish.
+ */
+export const purgeArtwork = async (req, res, next) => {
+    try {
+        res.json(await cleanupArtwork());
+    } catch (err) {
+        logger.error(`Error cleaning up artwork: ${err.message}`);
+        next(new AppError('Error cleaning up artwork', 500));
+    }
+};
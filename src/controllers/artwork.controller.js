@@ -0,0 +1,37 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { resolveArtwork } from '../services/artwork.service.js';
+
+/**
+ * Reads the requested width from the query string.
+ * @param {object} query
+ * @returns {number|null}
+ * @throws {AppError} 400 when w is not a positive integer
+ */
+const parseWidth = (query) => {
+    if (query.w === undefined) return null;
+    const width = Number(query.w);
+    if (!Number.isInteger(width) || width <= 0) {
+        throw new AppError('w must be a positive integer', 400);
+    }
+    return width;
+};
+
+/**
+ * Sends a stored image, resized with `?w=`. Artwork URLs change with the image content, so
+ * clients may cache them for good.
+ */
+export const getArtwork = async (req, res, next) => {
+    try {
+        const file = await resolveArtwork(req.params.name, parseWidth(req.query));
+        res.sendFile(file, { maxAge: '1y', immutable: true }, (err) => {
+            if (err && !res.headersSent) {
+                logger.error(`Error sending artwork ${req.params.name}: ${err.message}`);
+                next(new AppError('Error sending artwork', 500));
+            }
+        });
+    } catch (err) {
+        logger.error(`Error fetching artwork: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching artwork', 500));
+    }
+};
@@ -0,0 +1,71 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import {
+    findCollectionById,
+    listCollectionMedia,
+    listCollections,
+    listMissingParts,
+} from '../repositories/collection.repository.js';
+import { translateMedia } from '../repositories/translation.repository.js';
+import { parseLanguageParam } from '../utils/language.js';
+import { withTrackLists } from '../utils/mediaInfo.js';
+import { getMetadataProvider } from '../services/metadataProvider.service.js';
+
+/**
+ * Converts a collections row into the API representation.
+ * @param {object} row
+ * @returns {object}
+ */
+const toCollection = (row) => ({
+    id: row.id,
+    tmdbId: row.tmdb_id,
+    name: row.name,
+    overview: row.overview || '',
+    poster: row.poster_path || '',
+    backdrop: row.backdrop_path || '',
+});
+
+/**
+ * Returns the collections with at least one movie in the library.
+ */
+export const getCollections = async (req, res, next) => {
+    try {
+        const collections = (await listCollections()).map(row => ({
+            ...toCollection(row),
+            ownedCount: row.owned_count,
+            partCount: row.part_count,
+        }));
+        logger.info(`Fetched ${collections.length} collections`);
+        res.json(collections);
+    } catch (err) {
+        logger.error(`Error fetching collections: ${err.message}`);
+        next(new AppError('Error fetching collections', 500));
+    }
+};
+
+/**
+ * Returns a collection with the movies owned and the parts missing from the library, both in
+ * release order. Missing parts link to their TMDB poster, as they have no local artwork.
+ */
+export const getCollection = async (req, res, next) => {
+    try {
+        const lang = parseLanguageParam(req.query);
+        const row = await findCollectionById(req.params.id);
+        const owned = row ? (await translateMedia(await listCollectionMedia(row.id), lang)).map(withTrackLists) : [];
+        if (owned.length === 0) {
+            logger.warn(`Collection not found for id=${req.params.id}`);
+            return next(new AppError('Collection not found', 404));
+        }
+        const missing = (await listMissingParts(row.id)).map(part => ({
+            tmdbId: part.tmdb_id,
+            title: part.title,
+            releaseDate: part.release_date,
+            poster: getMetadataProvider().getImageUrl(part.tmdb_poster_path),
+        }));
+        logger.info(`Fetched collection id=${row.id} with ${owned.length} movies and ${missing.length} missing`);
+        res.json({ ...toCollection(row), owned, missing });
+    } catch (err) {
+        logger.error(`Error fetching collection: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching collection', 500));
+    }
+};
@@ -0,0 +1,78 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { findMediaById } from '../repositories/media.repository.js';
+import { buildMasterPlaylist, buildMediaPlaylist, parseAudioParam, parseQualities } from '../utils/hls.js';
+import { serveFile } from '../utils/httpRange.js';
+import { getHlsSegment, getHlsVariant, getHlsVariants, getSegmentStarts } from '../services/hls.service.js';
+
+const PLAYLIST_TYPE = 'application/vnd.apple.mpegurl';
+
+/**
+ * Loads the media item of a request.
+ * @throws {AppError} 404 when it does not exist
+ */
+const findMedia = async (id) => {
+    const media = await findMediaById(id);
+    if (!media) {
+        logger.warn(`Media not found for id=${id}`);
+        throw new AppError('Media not found', 404);
+    }
+    return media;
+};
+
+/**
+ * Returns the HLS master playlist of a media item with a rendition per quality; `?qualities=`
+ * picks the qualities offered and `?audio=` the audio track, which the playlist URIs keep.
+ */
+export const getMasterPlaylist = async (req, res, next) => {
+    try {
+        const qualities = parseQualities(req.query.qualities);
+        const audioIndex = parseAudioParam(req.query);
+        const { variants } = await getHlsVariants(await findMedia(req.params.id), qualities, audioIndex);
+        if (variants.length === 0) {
+            return next(new AppError('None of the requested qualities is available for this media', 404));
+        }
+        const names = variants.map(variant => variant.name).join(', ');
+        logger.info(`Fetched HLS master playlist of media id=${req.params.id} (${names})`);
+        res.type(PLAYLIST_TYPE).send(buildMasterPlaylist(variants, audioIndex));
+    } catch (err) {
+        logger.error(`Error fetching HLS master playlist: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching HLS playlist', 500));
+    }
+};
+
+/**
+ * Returns the segment playlist of a rendition. The first request for a remux reads the keyframes
+ * of the file, which its segments start on.
+ */
+export const getVariantPlaylist = async (req, res, next) => {
+    try {
+        const audioIndex = parseAudioParam(req.query);
+        const { media, variant } = await getHlsVariant(await findMedia(req.params.id), req.params.quality, audioIndex);
+        const starts = await getSegmentStarts(media, variant);
+        res.type(PLAYLIST_TYPE).send(buildMediaPlaylist(starts, media.duration, audioIndex));
+    } catch (err) {
+        logger.error(`Error fetching HLS playlist: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching HLS playlist', 500));
+    }
+};
+
+/**
+ * Sends a segment of a rendition, remuxed or transcoded on demand.
+ */
+export const getSegment = async (req, res, next) => {
+    try {
+        const match = /^(\d+)\.ts$/.exec(req.params.segment);
+        if (!match) return next(new AppError('Segment not found', 404));
+        const { media, variant } = await getHlsVariant(
+            await findMedia(req.params.id),
+            req.params.quality,
+            parseAudioParam(req.query),
+        );
+        const file = await getHlsSegment(media, variant, Number(match[1]));
+        await serveFile(req, res, file, 'video/mp2t');
+    } catch (err) {
+        logger.error(`Error fetching HLS segment: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching HLS segment', 500));
+    }
+};
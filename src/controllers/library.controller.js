@@ -0,0 +1,222 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import {
+    createLibrary,
+    deleteLibrary,
+    getLibrary,
+    getLibraryStats,
+    listLibraries,
+    updateLibrary,
+} from '../services/library.service.js';
+import { isScanRunning, startScanJob } from '../services/scanJob.service.js';
+import { restartWatcher } from '../services/watcher.service.js';
+import { countEpisodes, withEpisodeNumbers } from '../utils/episodes.js';
+import {
+    countLibraryMedia,
+    countMediaByLibrary,
+    listEpisodes,
+    listLibraryMedia,
+} from '../repositories/media.repository.js';
+import { countSeries, listSeries } from '../repositories/series.repository.js';
+import { translateMedia, translateSeries } from '../repositories/translation.repository.js';
+import { parseLanguageParam } from '../utils/language.js';
+import { parseMediaInfoFilter, withTrackLists } from '../utils/mediaInfo.js';
+
+const reloadWatcher = () => {
+    restartWatcher().catch(err => logger.error(`Failed to restart watcher: ${err.message}`));
+};
+
+/**
+ * Returns all libraries with their item counts.
+ */
+export const getLibraries = async (req, res, next) => {
+    try {
+        const libraries = await listLibraries();
+        const countByLibrary = await countMediaByLibrary();
+        logger.info(`Fetched ${libraries.length} libraries`);
+        res.json(libraries.map(library => ({ ...library, itemCount: countByLibrary.get(library.id) || 0 })));
+    } catch (err) {
+        logger.error(`Error fetching libraries: ${err.message}`);
+        next(new AppError('Error fetching libraries', 500));
+    }
+};
+
+/**
+ * Returns a single library.
+ */
+export const getLibraryById = async (req, res, next) => {
+    try {
+        const library = await getLibrary(req.params.id);
+        if (!library) {
+            logger.warn(`Library not found for id=${req.params.id}`);
+            return next(new AppError('Library not found', 404));
+        }
+        res.json(library);
+    } catch (err) {
+        logger.error(`Error fetching library: ${err.message}`);
+        next(new AppError('Error fetching library', 500));
+    }
+};
+
+/**
+ * Creates a library. The new roots are picked up by the next scan.
+ */
+export const addLibrary = async (req, res, next) => {
+    try {
+        const library = await createLibrary(req.body);
+        logger.info(`Created library "${library.name}" (id=${library.id})`);
+        reloadWatcher();
+        res.status(201).json(library);
+    } catch (err) {
+        logger.error(`Error creating library: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error creating library', 500));
+    }
+};
+
+/**
+ * Updates a library. Files are re-assigned on the next scan.
+ */
+export const editLibrary = async (req, res, next) => {
+    try {
+        const library = await updateLibrary(req.params.id, req.body);
+        if (!library) {
+            logger.warn(`Library not found for id=${req.params.id}`);
+            return next(new AppError('Library not found', 404));
+        }
+        logger.info(`Updated library "${library.name}" (id=${library.id})`);
+        reloadWatcher();
+        res.json(library);
+    } catch (err) {
+        logger.error(`Error updating library: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error updating library', 500));
+    }
+};
+
+/**
+ * Deletes a library and its catalog entries. Files on disk are kept.
+ */
+export const removeLibrary = async (req, res, next) => {
+    try {
+        if (isScanRunning()) {
+            return next(new AppError('Libraries cannot be deleted while a media scan is running', 409));
+        }
+        const deleted = await deleteLibrary(req.params.id);
+        if (!deleted) {
+            logger.warn(`Library not found for id=${req.params.id}`);
+            return next(new AppError('Library not found', 404));
+        }
+        logger.info(`Deleted library id=${req.params.id}`);
+        reloadWatcher();
+        res.status(204).end();
+    } catch (err) {
+        logger.error(`Error deleting library: ${err.message}`);
+        next(new AppError('Error deleting library', 500));
+    }
+};
+
+/**
+ * Returns a paginated list of a library's items: movies for movie libraries,
+ * series with nested episodes for TV libraries.
+ */
+export const getLibraryItems = async (req, res, next) => {
+    try {
+        const library = await getLibrary(req.params.id);
+        if (!library) {
+            logger.warn(`Library not found for id=${req.params.id}`);
+            return next(new AppError('Library not found', 404));
+        }
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = (page - 1) * limit;
+        const lang = parseLanguageParam(req.query);
+        const mediaInfo = parseMediaInfoFilter(req.query);
+
+        let items;
+        let total;
+        if (library.type === 'tv') {
+            total = await countSeries({ ...mediaInfo, libraryId: library.id });
+            const rows = await listSeries({ ...mediaInfo, libraryId: library.id }, { limit, offset });
+            const seriesRows = await translateSeries(rows, lang);
+            items = [];
+            for (const s of seriesRows) {
+                const episodes = (await translateMedia(await listEpisodes(s.id), lang))
+                    .map(row => withTrackLists(withEpisodeNumbers(row)));
+                items.push({
+                    id: s.id,
+                    title: s.title,
+                    overview: s.overview,
+                    genre: s.genre,
+                    poster: s.poster_path,
+                    backdrop: s.backdrop_path,
+                    mediaType: s.mediaType,
+                    ...countEpisodes(episodes),
+                    episodes,
+                });
+            }
+        } else {
+            total = await countLibraryMedia(library.id, mediaInfo);
+            const rows = await listLibraryMedia(library.id, { limit, offset }, mediaInfo);
+            items = (await translateMedia(rows, lang)).map(withTrackLists);
+        }
+
+        const totalPages = Math.ceil(total / limit);
+        logger.info(`Fetched ${items.length} items of library id=${library.id} (page ${page})`);
+        res.json({
+            library,
+            items,
+            pagination: {
+                total,
+                totalPages,
+                currentPage: page,
+                limit,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1,
+            },
+        });
+    } catch (err) {
+        logger.error(`Error fetching library items: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching library items', 500));
+    }
+};
+
+/**
+ * Returns statistics for a single library.
+ */
+export const getLibraryStatsById = async (req, res, next) => {
+    try {
+        const library = await getLibrary(req.params.id);
+        if (!library) {
+            logger.warn(`Library not found for id=${req.params.id}`);
+            return next(new AppError('Library not found', 404));
+        }
+        const stats = await getLibraryStats(library.id);
+        logger.info(`Fetched statistics of library id=${library.id}`);
+        res.json(stats);
+    } catch (err) {
+        logger.error(`Error fetching library statistics: ${err.message}`);
+        next(new AppError('Error fetching library statistics', 500));
+    }
+};
+
+/**
+ * Starts a background scan job limited to one library.
+ */
+export const scanLibrary = async (req, res, next) => {
+    try {
+        const library = await getLibrary(req.params.id);
+        if (!library) {
+            logger.warn(`Library not found for id=${req.params.id}`);
+            return next(new AppError('Library not found', 404));
+        }
+        const job = await startScanJob({ libraryId: library.id });
+        logger.info(`Started scan job ${job.id} for library id=${library.id}`);
+        res.status(202).json({
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/media/scan/${job.id}`,
+        });
+    } catch (err) {
+        logger.error(`Error starting library scan: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError(`Error starting library scan: ${err.message}`, 500));
+    }
+};
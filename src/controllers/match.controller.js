@@ -0,0 +1,131 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import {
+    getMediaMatchCandidates,
+    getSeriesMatchCandidates,
+    matchMedia,
+    matchSeries,
+    updateMediaMetadata,
+    updateSeriesMetadata,
+} from '../services/match.service.js';
+import { isScanRunning } from '../services/scanJob.service.js';
+
+/**
+ * Reads the optional search query and year from the query string.
+ * @param {object} query
+ * @returns {{query: string|undefined, year: number|null}}
+ */
+const parseSearch = (query) => ({
+    query: query.query?.trim() || undefined,
+    year: parseInt(query.year, 10) || null,
+});
+
+/**
+ * Reads and validates the TMDB ID from the request body.
+ * @param {object} body
+ * @returns {number}
+ * @throws {AppError} 400 when it is missing or not a positive integer
+ */
+const parseTmdbId = (body) => {
+    const tmdbId = Number(body?.tmdbId);
+    if (!Number.isInteger(tmdbId) || tmdbId <= 0) {
+        throw new AppError('tmdbId must be a positive integer', 400);
+    }
+    return tmdbId;
+};
+
+/**
+ * Returns ranked TMDB candidates for a movie.
+ */
+export const getMatchCandidates = async (req, res, next) => {
+    try {
+        const candidates = await getMediaMatchCandidates(req.params.id, parseSearch(req.query));
+        logger.info(`Fetched ${candidates.length} match candidates for media id=${req.params.id}`);
+        res.json(candidates);
+    } catch (err) {
+        logger.error(`Error fetching match candidates: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching match candidates', 500));
+    }
+};
+
+/**
+ * Matches a movie to a TMDB entry and refreshes its metadata and artwork.
+ */
+export const matchMediaItem = async (req, res, next) => {
+    try {
+        if (isScanRunning()) {
+            return next(new AppError('Media cannot be matched while a media scan is running', 409));
+        }
+        const media = await matchMedia(req.params.id, parseTmdbId(req.body));
+        res.json(media);
+    } catch (err) {
+        logger.error(`Error matching media: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error matching media', 500));
+    }
+};
+
+/**
+ * Edits the metadata of a movie or episode; edited fields are locked.
+ */
+export const editMediaMetadata = async (req, res, next) => {
+    try {
+        const media = await updateMediaMetadata(req.params.id, req.body);
+        if (!media) {
+            logger.warn(`Media not found for id=${req.params.id}`);
+            return next(new AppError('Media not found', 404));
+        }
+        logger.info(`Updated metadata of media id=${media.id} (locked: ${media.lockedFields.join(', ') || 'none'})`);
+        res.json(media);
+    } catch (err) {
+        logger.error(`Error updating media metadata: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error updating media metadata', 500));
+    }
+};
+
+/**
+ * Returns ranked TMDB candidates for a series.
+ */
+export const getSeriesCandidates = async (req, res, next) => {
+    try {
+        const candidates = await getSeriesMatchCandidates(req.params.id, parseSearch(req.query));
+        logger.info(`Fetched ${candidates.length} match candidates for series id=${req.params.id}`);
+        res.json(candidates);
+    } catch (err) {
+        logger.error(`Error fetching series match candidates: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching series match candidates', 500));
+    }
+};
+
+/**
+ * Matches a series to a TMDB entry and refreshes the series and its episodes.
+ */
+export const matchSeriesItem = async (req, res, next) => {
+    try {
+        if (isScanRunning()) {
+            return next(new AppError('Series cannot be matched while a media scan is running', 409));
+        }
+        const result = await matchSeries(req.params.id, parseTmdbId(req.body));
+        res.json(result);
+    } catch (err) {
+        logger.error(`Error matching series: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error matching series', 500));
+    }
+};
+
+/**
+ * Edits the metadata of a series; edited fields are locked.
+ */
+export const editSeriesMetadata = async (req, res, next) => {
+    try {
+        const series = await updateSeriesMetadata(req.params.id, req.body);
+        if (!series) {
+            logger.warn(`Series not found for id=${req.params.id}`);
+            return next(new AppError('Series not found', 404));
+        }
+        logger.info(`Updated metadata of series id=${series.id} (locked: ${series.lockedFields.join(', ') || 'none'})`);
+        res.json(series);
+    } catch (err) {
+        logger.error(`Error updating series metadata: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error updating series metadata', 500));
+    }
+};
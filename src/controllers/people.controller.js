@@ -0,0 +1,70 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import {
+    findPersonById,
+    listPersonMovieCredits,
+    listPersonSeriesCredits,
+} from '../repositories/people.repository.js';
+
+/**
+ * Merges a person's credit rows into one entry per title, keeping the row order.
+ * A person can be credited on a title several times, e.g. as director and writer.
+ * @param {object[]} rows
+ * @param {function(object): object} toTitle - Converts a row into the title's fields
+ * @returns {object[]}
+ */
+const groupByTitle = (rows, toTitle) => {
+    const titles = new Map();
+    for (const row of rows) {
+        if (!titles.has(row.id)) {
+            titles.set(row.id, { ...toTitle(row), character: null, jobs: [] });
+        }
+        const title = titles.get(row.id);
+        if (row.credit_type === 'cast') {
+            title.character = row.character || '';
+        } else if (!title.jobs.includes(row.job)) {
+            title.jobs.push(row.job);
+        }
+    }
+    return [...titles.values()];
+};
+
+/**
+ * Returns a person with the movies and series of the library they are credited on.
+ */
+export const getPerson = async (req, res, next) => {
+    try {
+        const person = await findPersonById(req.params.id);
+        if (!person) {
+            logger.warn(`Person not found for id=${req.params.id}`);
+            return next(new AppError('Person not found', 404));
+        }
+        const movies = groupByTitle(await listPersonMovieCredits(person.id), row => ({
+            id: row.id,
+            title: row.title,
+            year: row.year || '',
+            poster: row.poster || '',
+            rating: row.rating || 0,
+        }));
+        const series = groupByTitle(await listPersonSeriesCredits(person.id), row => ({
+            id: row.id,
+            title: row.title,
+            year: row.first_air_date?.split('-')[0] || '',
+            poster: row.poster_path || '',
+            rating: row.vote_average || 0,
+        }));
+        logger.info(`Fetched person id=${person.id} with ${movies.length} movies and ${series.length} series`);
+        res.json({
+            id: person.id,
+            tmdbId: person.tmdb_id,
+            name: person.name,
+            profile: person.profile_path || '',
+            knownForDepartment: person.known_for_department,
+            movies,
+            series,
+        });
+    } catch (err) {
+        logger.error(`Error fetching person: ${err.message}`);
+        next(new AppError('Error fetching person', 500));
+    }
+};
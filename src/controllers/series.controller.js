@@ -0,0 +1,83 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { countEpisodes, withEpisodeNumbers } from '../utils/episodes.js';
+import { listEpisodes, listSeasonEpisodes } from '../repositories/media.repository.js';
+import { findSeason, findSeriesById, listSeasons } from '../repositories/series.repository.js';
+import { translateMedia, translateSeries } from '../repositories/translation.repository.js';
+import { parseLanguageParam } from '../utils/language.js';
+import { withTrackLists } from '../utils/mediaInfo.js';
+
+/**
+ * Converts a seasons row and its episode files into the API representation.
+ * @param {object} row
+ * @param {object[]} episodes - Rows passed through withEpisodeNumbers
+ * @returns {object}
+ */
+const toSeason = (row, episodes) => ({
+    id: row.id,
+    seriesId: row.series_id,
+    seasonNumber: row.season_number,
+    name: row.name || (row.season_number === 0 ? 'Specials' : `Season ${row.season_number}`),
+    overview: row.overview || '',
+    airDate: row.air_date,
+    poster: row.poster_path || '',
+    tmdbEpisodeCount: row.episode_count,
+    ...countEpisodes(episodes),
+});
+
+/**
+ * Returns the seasons of a series that have at least one episode file, in season order.
+ */
+export const getSeasons = async (req, res, next) => {
+    try {
+        const lang = parseLanguageParam(req.query);
+        const row = await findSeriesById(req.params.id);
+        if (!row) {
+            logger.warn(`Series not found for id=${req.params.id}`);
+            return next(new AppError('Series not found', 404));
+        }
+        const [series] = await translateSeries([row], lang);
+        const episodes = (await listEpisodes(series.id)).map(withEpisodeNumbers);
+        const seasons = (await listSeasons(series.id))
+            .map(row => toSeason(row, episodes.filter(episode => episode.season_number === row.season_number)))
+            .filter(season => season.episodeCount > 0);
+        logger.info(`Fetched ${seasons.length} seasons of series id=${series.id}`);
+        res.json({
+            series: {
+                id: series.id,
+                title: series.title,
+                poster: series.poster_path,
+                backdrop: series.backdrop_path,
+            },
+            seasons,
+        });
+    } catch (err) {
+        logger.error(`Error fetching seasons: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching seasons', 500));
+    }
+};
+
+/**
+ * Returns a season of a series with its episodes in airing order.
+ */
+export const getSeason = async (req, res, next) => {
+    try {
+        const seasonNumber = Number(req.params.seasonNumber);
+        if (!Number.isInteger(seasonNumber) || seasonNumber < 0) {
+            return next(new AppError('Season number must be a non-negative integer', 400));
+        }
+        const lang = parseLanguageParam(req.query);
+        const season = await findSeason(req.params.id, seasonNumber);
+        const rows = season ? await listSeasonEpisodes(season.series_id, seasonNumber) : [];
+        const episodes = (await translateMedia(rows, lang)).map(row => withTrackLists(withEpisodeNumbers(row)));
+        if (episodes.length === 0) {
+            logger.warn(`Season ${seasonNumber} not found for series id=${req.params.id}`);
+            return next(new AppError('Season not found', 404));
+        }
+        logger.info(`Fetched season ${seasonNumber} of series id=${season.series_id}`);
+        res.json({ ...toSeason(season, episodes), episodes });
+    } catch (err) {
+        logger.error(`Error fetching season: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching season', 500));
+    }
+};
@@ -0,0 +1,60 @@
+import path from 'path';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { findMediaById } from '../repositories/media.repository.js';
+import { findSubtitle, listSubtitles } from '../repositories/subtitle.repository.js';
+import { parseOffsetParam } from '../utils/subtitles.js';
+import { readSubtitleAsVtt } from '../services/subtitle.service.js';
+
+/**
+ * Converts a subtitles row into the API representation.
+ * @param {object} row
+ * @returns {object}
+ */
+const toSubtitle = (row) => ({
+    id: row.id,
+    filename: path.basename(row.filepath),
+    format: row.format,
+    language: row.language,
+    title: row.title,
+    forced: Boolean(row.forced),
+    sdh: Boolean(row.sdh),
+});
+
+/**
+ * Lists the subtitle files found next to a media item.
+ */
+export const getSubtitles = async (req, res, next) => {
+    try {
+        const media = await findMediaById(req.params.id);
+        if (!media) {
+            logger.warn(`Media not found for id=${req.params.id}`);
+            return next(new AppError('Media not found', 404));
+        }
+        const subtitles = (await listSubtitles(media.id)).map(toSubtitle);
+        logger.info(`Fetched ${subtitles.length} subtitles of media id=${media.id}`);
+        res.json(subtitles);
+    } catch (err) {
+        logger.error(`Error fetching subtitles: ${err.message}`);
+        next(new AppError('Error fetching subtitles', 500));
+    }
+};
+
+/**
+ * Sends a subtitle converted to WebVTT; `?offset=` shifts it by seconds.
+ */
+export const getSubtitleVtt = async (req, res, next) => {
+    try {
+        const match = /^(\d+)\.vtt$/.exec(req.params.file);
+        const subtitle = match ? await findSubtitle(req.params.id, match[1]) : null;
+        if (!subtitle) {
+            logger.warn(`Subtitle ${req.params.file} not found for media id=${req.params.id}`);
+            return next(new AppError('Subtitle not found', 404));
+        }
+        const vtt = await readSubtitleAsVtt(subtitle, parseOffsetParam(req.query));
+        res.type('text/vtt').send(vtt);
+    } catch (err) {
+        logger.error(`Error fetching subtitle: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching subtitle', 500));
+    }
+};
@@ -0,0 +1,63 @@
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { findMediaById } from '../repositories/media.repository.js';
+import { withTrackLists } from '../utils/mediaInfo.js';
+import { isTextSubtitleCodec, parseOffsetParam } from '../utils/subtitles.js';
+import { readTrackAsVtt } from '../services/subtitle.service.js';
+
+/**
+ * Loads the media item of a request with its parsed track lists.
+ * @throws {AppError} 404 when it does not exist
+ */
+const findMedia = async (id) => {
+    const media = await findMediaById(id);
+    if (!media) {
+        logger.warn(`Media not found for id=${id}`);
+        throw new AppError('Media not found', 404);
+    }
+    return withTrackLists(media);
+};
+
+/**
+ * Lists the audio and subtitle tracks embedded in a media file, as probed by the last scan.
+ * Subtitle tracks tell whether they can be fetched as WebVTT.
+ */
+export const getTracks = async (req, res, next) => {
+    try {
+        const media = await findMedia(req.params.id);
+        const subtitles = media.subtitle_tracks.map(track => ({
+            ...track,
+            extractable: isTextSubtitleCodec(track.codec),
+        }));
+        logger.info(`Fetched tracks of media id=${media.id}`);
+        res.json({ audio: media.audio_tracks, subtitles });
+    } catch (err) {
+        logger.error(`Error fetching tracks: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching tracks', 500));
+    }
+};
+
+/**
+ * Sends an embedded text subtitle track as WebVTT, extracted on the first request and cached;
+ * `?offset=` shifts it by seconds.
+ */
+export const getTrackVtt = async (req, res, next) => {
+    try {
+        const match = /^(\d+)\.vtt$/.exec(req.params.file);
+        const media = await findMedia(req.params.id);
+        const track = match && media.subtitle_tracks.find(entry => entry.index === Number(match[1]));
+        if (!track) {
+            logger.warn(`Subtitle track ${req.params.file} not found for media id=${media.id}`);
+            return next(new AppError('Subtitle track not found', 404));
+        }
+        if (!isTextSubtitleCodec(track.codec)) {
+            return next(new AppError(`Subtitle track ${track.index} is image-based (${track.codec}) `
+                + 'and cannot be converted to WebVTT', 422));
+        }
+        const vtt = await readTrackAsVtt(media, track.index, parseOffsetParam(req.query));
+        res.type('text/vtt').send(vtt);
+    } catch (err) {
+        logger.error(`Error fetching subtitle track: ${err.message}`);
+        next(err instanceof AppError ? err : new AppError('Error fetching subtitle track', 500));
+    }
+};
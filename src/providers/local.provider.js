@@ -0,0 +1,27 @@
+import { TmdbNotFoundError } from '../utils/TmdbError.js';
+
+const notFound = (what) => async () => {
+    throw new TmdbNotFoundError(`The local metadata provider has no ${what}`);
+};
+
+/**
+ * Metadata from the files themselves: titles, years and episode numbers parsed from file and folder
+ * names, completed by NFO sidecars and local artwork (see localMetadata.service). The scanner reads
+ * those for every provider; this one adds nothing remote, so searches find nothing, lookups by ID
+ * fail as not found and there are no image URLs. Needs neither a key nor network access.
+ * @type {import('../services/metadataProvider.service.js').MetadataProvider}
+ */
+export const localProvider = {
+    name: 'local',
+    remote: false,
+    isAvailable: () => true,
+    searchMovie: async () => ({ results: [] }),
+    searchTv: async () => ({ results: [] }),
+    getMovieDetails: notFound('movie details'),
+    getTvDetails: notFound('series details'),
+    getSeason: notFound('seasons'),
+    getCredits: notFound('credits'),
+    getCollection: notFound('collections'),
+    getGenreList: async () => [],
+    getImageUrl: () => '',
+};
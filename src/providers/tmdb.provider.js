@@ -0,0 +1,21 @@
+import * as tmdbApi from '../utils/tmdbApi.js';
+
+/**
+ * Metadata from The Movie Database. Usable once TMDB_API_KEY is set; TMDB_BASE_URL and
+ * TMDB_IMAGE_BASE_URL point it to another server, e.g. a local fake in tests.
+ * @type {import('../services/metadataProvider.service.js').MetadataProvider}
+ */
+export const tmdbProvider = {
+    name: 'tmdb',
+    remote: true,
+    isAvailable: tmdbApi.isTmdbConfigured,
+    searchMovie: tmdbApi.searchMovie,
+    searchTv: tmdbApi.searchTv,
+    getMovieDetails: tmdbApi.getMovieDetails,
+    getTvDetails: tmdbApi.getTvDetails,
+    getSeason: tmdbApi.getSeason,
+    getCredits: tmdbApi.getCredits,
+    getCollection: tmdbApi.getCollection,
+    getGenreList: tmdbApi.getGenreList,
+    getImageUrl: tmdbApi.getImageUrl,
+};
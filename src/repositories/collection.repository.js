@@ -0,0 +1,61 @@
+import { queryAll, queryOne } from '../config/db.config.js';
+
+// The part's release date, or the movie's year padded to sort among dates ('1999' < '1999-03-31').
+// A number would sort before every date, and printf turns a missing year into '0000', so keep it NULL.
+const RELEASE_ORDER = "COALESCE(p.release_date, CASE WHEN m.year <> '' THEN printf('%04d', m.year) END)";
+
+/**
+ * Returns the collections with at least one available movie, by name, with the number of parts
+ * owned and known.
+ * @returns {Promise<object[]>}
+ */
+export const listCollections = () => queryAll(
+    `SELECT c.*,
+            COUNT(DISTINCT m.tmdb_id)                                           AS owned_count,
+            (SELECT COUNT(*) FROM collection_parts p WHERE p.collection_id = c.id) AS part_count
+     FROM collections c
+              JOIN media m ON m.collection_id = c.id AND m.missing_since IS NULL
+     GROUP BY c.id
+     ORDER BY c.name`,
+);
+
+/**
+ * Returns a collection by ID.
+ * @param {number|string} id
+ * @returns {Promise<object|undefined>}
+ */
+export const findCollectionById = (id) => queryOne('SELECT * FROM collections WHERE id = ?', [id]);
+
+/**
+ * Returns the available movies of a collection in release order.
+ * @param {number} collectionId
+ * @returns {Promise<object[]>}
+ */
+export const listCollectionMedia = (collectionId) => queryAll(
+    `SELECT m.*
+     FROM media m
+              LEFT JOIN collection_parts p ON p.collection_id = m.collection_id AND p.tmdb_id = m.tmdb_id
+     WHERE m.collection_id = ?
+       AND m.missing_since IS NULL
+     ORDER BY ${RELEASE_ORDER} IS NULL, ${RELEASE_ORDER}, m.title`,
+    [collectionId],
+);
+
+/**
+ * Returns the parts of a collection that no available movie in the catalog is matched to, in
+ * release order; unreleased parts without a date come last.
+ * @param {number} collectionId
+ * @returns {Promise<object[]>}
+ */
+export const listMissingParts = (collectionId) => queryAll(
+    `SELECT p.*
+     FROM collection_parts p
+     WHERE p.collection_id = ?
+       AND NOT EXISTS (SELECT 1
+                       FROM media m
+                       WHERE m.tmdb_id = p.tmdb_id
+                         AND m.mediaType = 'movie'
+                         AND m.missing_since IS NULL)
+     ORDER BY p.release_date IS NULL, p.release_date, p.title`,
+    [collectionId],
+);
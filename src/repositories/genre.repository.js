@@ -0,0 +1,66 @@
+import { queryAll } from '../config/db.config.js';
+
+/**
+ * Builds the clause restricting a row to the given genres through a genre join table. A name
+ * matches a genre in any language, so "Action" and "Aktion" find the same TMDB genre.
+ * @param {string} joinTable - media_genres or series_genres
+ * @param {string} idColumn - The join table column referencing the row
+ * @param {string} rowId - The SQL expression of the row's ID
+ * @param {string[]} genres - Genre names, compared case-insensitively
+ * @param {'or'|'and'} genreMode - Match rows with any (or) or all (and) of the genres
+ * @returns {{clause: string, params: Array}}
+ */
+export const genreClause = (joinTable, idColumn, rowId, genres, genreMode) => {
+    const placeholders = genres.map(() => '?').join(', ');
+    const all = genreMode === 'and' ? `GROUP BY j.${idColumn} HAVING COUNT(DISTINCT j.genre_id) = ?` : '';
+    return {
+        clause: `${rowId} IN (SELECT j.${idColumn}
+                             FROM ${joinTable} j
+                             WHERE j.genre_id IN (SELECT id
+                                                  FROM genres
+                                                  WHERE name IN (${placeholders})
+                                                  UNION
+                                                  SELECT genre_id
+                                                  FROM genre_translations
+                                                  WHERE name IN (${placeholders})) ${all})`,
+        params: [...genres, ...genres, ...(all ? [genres.length] : [])],
+    };
+};
+
+/**
+ * Returns all genres with the number of movies and series in each, optionally for one library.
+ * Genres are named in the given language, or in another region of it (e.g. "en-GB" for "en-US"),
+ * and otherwise by the name they were first stored under.
+ * Genres no available movie or series uses are left out.
+ * @param {object} filter
+ * @param {number|string|null} [filter.libraryId]
+ * @param {string} filter.language - e.g. the library's language
+ * @returns {Promise<{id: number, name: string, movieCount: number, seriesCount: number}[]>}
+ */
+export const listGenreCounts = ({ libraryId = null, language }) => queryAll(
+    `SELECT *
+     FROM (SELECT g.id,
+                  COALESCE((SELECT t.name
+                            FROM genre_translations t
+                            WHERE t.genre_id = g.id
+                              AND (t.language = ?2 OR substr(t.language, 1, 2) = substr(?2, 1, 2))
+                            ORDER BY t.language = ?2 DESC, t.language
+                            LIMIT 1), g.name) AS name,
+                  (SELECT COUNT(*)
+                   FROM media_genres mg
+                            JOIN media m ON m.id = mg.media_id
+                   WHERE mg.genre_id = g.id
+                     AND m.mediaType = 'movie'
+                     AND m.missing_since IS NULL
+                     AND (?1 IS NULL OR m.library_id = ?1)) AS movieCount,
+                  (SELECT COUNT(*)
+                   FROM series_genres sg
+                            JOIN series s ON s.id = sg.series_id
+                   WHERE sg.genre_id = g.id
+                     AND (?1 IS NULL OR s.library_id = ?1)) AS seriesCount
+           FROM genres g)
+     WHERE movieCount > 0
+        OR seriesCount > 0
+     ORDER BY name`,
+    [libraryId, language],
+);
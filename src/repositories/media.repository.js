@@ -0,0 +1,124 @@
+import { queryAll, queryOne } from '../config/db.config.js';
+import { EPISODE_ORDER } from '../utils/episodes.js';
+
+/**
+ * Builds the conditions of the technical filters (see parseMediaInfoFilter) on media rows.
+ * @param {object} filter
+ * @param {string} [filter.resolution] - e.g. 2160p
+ * @param {boolean} [filter.hdr]
+ * @param {string} [filter.videoCodec] - e.g. hevc
+ * @param {string} [filter.audioLanguage] - A language of any audio track, e.g. ger
+ * @param {string} [alias] - Prefix of the media columns, e.g. `m.`
+ * @returns {{clauses: string[], params: Array}}
+ */
+export const mediaInfoClauses = ({ resolution, hdr, videoCodec, audioLanguage } = {}, alias = '') => {
+    const clauses = [];
+    const params = [];
+    if (resolution) {
+        clauses.push(`${alias}resolution = ?`);
+        params.push(resolution);
+    }
+    if (hdr !== undefined) {
+        clauses.push(`${alias}hdr = ?`);
+        params.push(hdr ? 1 : 0);
+    }
+    if (videoCodec) {
+        clauses.push(`${alias}video_codec = ?`);
+        params.push(videoCodec);
+    }
+    if (audioLanguage) {
+        clauses.push(`EXISTS (SELECT 1
+                              FROM json_each(${alias}audio_tracks)
+                              WHERE lower(json_extract(value, '$.language')) = ?)`);
+        params.push(audioLanguage);
+    }
+    return { clauses, params };
+};
+
+/**
+ * Returns a media row by ID, including tombstoned rows.
+ * @param {number|string} id
+ * @returns {Promise<object|undefined>}
+ */
+export const findMediaById = (id) => queryOne('SELECT * FROM media WHERE id = ?', [id]);
+
+/**
+ * Returns the episodes of a series in episode order.
+ * @param {number} seriesId
+ * @returns {Promise<object[]>}
+ */
+export const listEpisodes = (seriesId) => queryAll(
+    `SELECT * FROM media WHERE seriesId = ? AND missing_since IS NULL ORDER BY ${EPISODE_ORDER}`,
+    [seriesId],
+);
+
+/**
+ * Returns the episodes of one season of a series in episode order.
+ * @param {number|string} seriesId
+ * @param {number} seasonNumber
+ * @returns {Promise<object[]>}
+ */
+export const listSeasonEpisodes = (seriesId, seasonNumber) => queryAll(
+    `SELECT *
+     FROM media
+     WHERE seriesId = ?
+       AND season_number = ?
+       AND missing_since IS NULL
+     ORDER BY ${EPISODE_ORDER}`,
+    [seriesId, seasonNumber],
+);
+
+/**
+ * Returns a page of a library's media ordered by title.
+ * @param {number} libraryId
+ * @param {{limit: number, offset: number}} page
+ * @param {object} [filter] - Technical filters, see mediaInfoClauses
+ * @returns {Promise<object[]>}
+ */
+export const listLibraryMedia = (libraryId, { limit, offset }, filter = {}) => {
+    const { clauses, params } = mediaInfoClauses(filter);
+    return queryAll(
+        `SELECT *
+         FROM media
+         WHERE library_id = ?
+           AND missing_since IS NULL
+           ${clauses.map(clause => `AND ${clause}`).join(' ')}
+         ORDER BY title
+         LIMIT ? OFFSET ?`,
+        [libraryId, ...params, limit, offset],
+    );
+};
+
+/**
+ * Counts a library's media.
+ * @param {number} libraryId
+ * @param {object} [filter] - Technical filters, see mediaInfoClauses
+ * @returns {Promise<number>}
+ */
+export const countLibraryMedia = async (libraryId, filter = {}) => {
+    const { clauses, params } = mediaInfoClauses(filter);
+    const { total } = await queryOne(
+        `SELECT COUNT(*) as total
+         FROM media
+         WHERE library_id = ?
+           AND missing_since IS NULL
+           ${clauses.map(clause => `AND ${clause}`).join(' ')}`,
+        [libraryId, ...params],
+    );
+    return total;
+};
+
+/**
+ * Counts the media of every library.
+ * @returns {Promise<Map<number, number>>} Library ID to item count
+ */
+export const countMediaByLibrary = async () => {
+    const rows = await queryAll(
+        `SELECT library_id, COUNT(*) as count
+         FROM media
+         WHERE missing_since IS NULL
+         GROUP BY library_id`,
+    );
+    return new Map(rows.map(row => [row.library_id, row.count]));
+};
+
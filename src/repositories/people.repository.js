@@ -0,0 +1,69 @@
+import { queryAll, queryOne } from '../config/db.config.js';
+
+// Cast in billing order, then crew by job importance.
+const CREDIT_ORDER = `c.credit_type, c.sort_order, p.name`;
+
+/**
+ * Returns a person by ID.
+ * @param {number|string} id
+ * @returns {Promise<object|undefined>}
+ */
+export const findPersonById = (id) => queryOne('SELECT * FROM people WHERE id = ?', [id]);
+
+/**
+ * Returns the credits of a movie with the credited people.
+ * @param {number|string} mediaId
+ * @returns {Promise<object[]>}
+ */
+export const listMediaCredits = (mediaId) => queryAll(
+    `SELECT c.*, p.tmdb_id, p.name, p.profile_path
+     FROM credits c
+              JOIN people p ON p.id = c.person_id
+     WHERE c.media_id = ?
+     ORDER BY ${CREDIT_ORDER}`,
+    [mediaId],
+);
+
+/**
+ * Returns the credits of a series with the credited people.
+ * @param {number|string} seriesId
+ * @returns {Promise<object[]>}
+ */
+export const listSeriesCredits = (seriesId) => queryAll(
+    `SELECT c.*, p.tmdb_id, p.name, p.profile_path
+     FROM credits c
+              JOIN people p ON p.id = c.person_id
+     WHERE c.series_id = ?
+     ORDER BY ${CREDIT_ORDER}`,
+    [seriesId],
+);
+
+/**
+ * Returns a person's credits on available movies, newest first.
+ * @param {number|string} personId
+ * @returns {Promise<object[]>}
+ */
+export const listPersonMovieCredits = (personId) => queryAll(
+    `SELECT c.credit_type, c.character, c.job, m.id, m.title, m.year, m.poster, m.rating
+     FROM credits c
+              JOIN media m ON m.id = c.media_id
+     WHERE c.person_id = ?
+       AND m.missing_since IS NULL
+     ORDER BY m.year DESC, m.title, c.credit_type, c.sort_order`,
+    [personId],
+);
+
+/**
+ * Returns a person's credits on series with at least one available episode, newest first.
+ * @param {number|string} personId
+ * @returns {Promise<object[]>}
+ */
+export const listPersonSeriesCredits = (personId) => queryAll(
+    `SELECT c.credit_type, c.character, c.job, s.id, s.title, s.first_air_date, s.poster_path, s.vote_average
+     FROM credits c
+              JOIN series s ON s.id = c.series_id
+     WHERE c.person_id = ?
+       AND EXISTS (SELECT 1 FROM media e WHERE e.seriesId = s.id AND e.missing_since IS NULL)
+     ORDER BY s.first_air_date DESC, s.title, c.credit_type, c.sort_order`,
+    [personId],
+);
@@ -0,0 +1,133 @@
+import { queryAll } from '../config/db.config.js';
+import { genreClause } from './genre.repository.js';
+import { mediaInfoClauses } from './media.repository.js';
+
+// bm25 column weights: a title hit outranks a cast hit, which outranks a filename or overview hit.
+const MEDIA_WEIGHTS = 'bm25(media_search, 10.0, 5.0, 1.0, 2.0, 3.0)';
+const SERIES_WEIGHTS = 'bm25(series_search, 10.0, 5.0, 1.0, 3.0)';
+
+/**
+ * Turns user input into an FTS5 query: every word must match, as a prefix of a word in the index.
+ * Words are quoted, so FTS5 operators and punctuation in the input are taken literally.
+ * @param {string} text
+ * @returns {string|null} Null when the input contains no searchable word
+ */
+export const toMatchQuery = (text) => {
+    const words = String(text ?? '').match(/[\p{L}\p{N}]+/gu) || [];
+    return words.length ? words.map(word => `"${word}"*`).join(' ') : null;
+};
+
+/**
+ * Builds the series restrictions shared by series hits and episode hits.
+ * Only series with at least one available episode are searchable.
+ * @param {object} filter
+ * @param {string} [filter.year]
+ * @param {string[]} [filter.genres]
+ * @param {'or'|'and'} [filter.genreMode]
+ * @returns {{clauses: string[], params: Array}}
+ */
+const seriesClauses = (filter) => {
+    const { year, genres = [], genreMode = 'or' } = filter;
+    // Technical filters apply to the available episodes, of which a series needs at least one.
+    const episodeInfo = mediaInfoClauses(filter, 'e.');
+    const clauses = [`EXISTS (SELECT 1
+                              FROM media e
+                              WHERE e.seriesId = s.id
+                                AND e.missing_since IS NULL
+                                ${episodeInfo.clauses.map(clause => `AND ${clause}`).join(' ')})`];
+    const params = [...episodeInfo.params];
+    if (year) {
+        clauses.push('substr(s.first_air_date, 1, 4) = ?');
+        params.push(year);
+    }
+    if (genres.length) {
+        const { clause, params: genreParams } = genreClause('series_genres', 'series_id', 's.id', genres, genreMode);
+        clauses.push(clause);
+        params.push(...genreParams);
+    }
+    return { clauses, params };
+};
+
+/**
+ * Searches available movies, best match first.
+ * @param {string} match - An FTS5 query from toMatchQuery
+ * @param {object} filter
+ * @param {string} [filter.year]
+ * @param {string[]} [filter.genres] - Exact genre names, compared case-insensitively
+ * @param {'or'|'and'} [filter.genreMode]
+ * @param {string} [filter.resolution] - Likewise hdr, videoCodec and audioLanguage; see mediaInfoClauses
+ * @param {number} filter.limit
+ * @returns {Promise<object[]>}
+ */
+export const searchMovies = (match, filter) => {
+    const { year, genres = [], genreMode = 'or', limit } = filter;
+    const { clauses, params } = mediaInfoClauses(filter, 'm.');
+    if (year) {
+        clauses.push('m.year = ?');
+        params.push(year);
+    }
+    if (genres.length) {
+        const { clause, params: genreParams } = genreClause('media_genres', 'media_id', 'm.id', genres, genreMode);
+        clauses.push(clause);
+        params.push(...genreParams);
+    }
+    return queryAll(
+        `SELECT m.*
+         FROM media_search
+                  JOIN media m ON m.id = media_search.rowid
+         WHERE media_search MATCH ?
+           AND m.mediaType = 'movie'
+           AND m.missing_since IS NULL
+           ${clauses.map(clause => `AND ${clause}`).join(' ')}
+         ORDER BY ${MEDIA_WEIGHTS}
+         LIMIT ?`,
+        [match, ...params, limit],
+    );
+};
+
+/**
+ * Searches series by their own metadata, best match first.
+ * @param {string} match - An FTS5 query from toMatchQuery
+ * @param {object} filter - See searchMovies
+ * @returns {Promise<object[]>}
+ */
+export const searchSeries = (match, filter) => {
+    const { clauses, params } = seriesClauses(filter);
+    return queryAll(
+        `SELECT s.*
+         FROM series_search
+                  JOIN series s ON s.id = series_search.rowid
+         WHERE series_search MATCH ?
+           AND ${clauses.join(' AND ')}
+         ORDER BY ${SERIES_WEIGHTS}
+         LIMIT ?`,
+        [match, ...params, filter.limit],
+    );
+};
+
+/**
+ * Searches available episodes of the series matching the filter, best match first.
+ * @param {string} match - An FTS5 query from toMatchQuery
+ * @param {object} filter - See searchMovies; year and genres apply to the episode's series, the
+ *   technical filters to the episode itself
+ * @returns {Promise<object[]>}
+ */
+export const searchEpisodes = (match, filter) => {
+    const series = seriesClauses(filter);
+    const episode = mediaInfoClauses(filter, 'm.');
+    const clauses = [...series.clauses, ...episode.clauses];
+    const params = [...series.params, ...episode.params];
+    return queryAll(
+        `SELECT m.*
+         FROM media_search
+                  JOIN media m ON m.id = media_search.rowid
+                  JOIN series s ON s.id = m.seriesId
+         WHERE media_search MATCH ?
+           AND m.mediaType = 'tv'
+           AND m.missing_since IS NULL
+           AND ${clauses.join(' AND ')}
+         ORDER BY ${MEDIA_WEIGHTS}
+         LIMIT ?`,
+        [match, ...params, filter.limit],
+    );
+};
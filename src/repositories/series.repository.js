@@ -0,0 +1,98 @@
+import { queryAll, queryOne } from '../config/db.config.js';
+import { genreClause } from './genre.repository.js';
+import { mediaInfoClauses } from './media.repository.js';
+
+/**
+ * Builds the WHERE clause for a series filter. Each combination of filters (and number of genres)
+ * yields the same SQL, so the prepared statements are reused.
+ * @param {object} filter
+ * @param {number|string} [filter.libraryId]
+ * @param {string[]} [filter.genres] - Exact genre names, compared case-insensitively
+ * @param {'or'|'and'} [filter.genreMode] - Match series with any (or) or all (and) of the genres
+ * @param {string} [filter.mediaType]
+ * @param {string} [filter.resolution] - Technical filters (see mediaInfoClauses) match series with
+ *   at least one such episode; likewise hdr, videoCodec and audioLanguage. Series without an available
+ *   (not tombstoned) episode never match
+ * @returns {{where: string, params: Array}}
+ */
+const buildFilter = (filter = {}) => {
+    const { libraryId, genres = [], genreMode = 'or', mediaType } = filter;
+    const clauses = [];
+    const params = [];
+    if (libraryId) {
+        clauses.push('library_id = ?');
+        params.push(libraryId);
+    }
+    if (genres.length) {
+        const { clause, params: genreParams } = genreClause('series_genres', 'series_id', 'id', genres, genreMode);
+        clauses.push(clause);
+        params.push(...genreParams);
+    }
+    if (mediaType) {
+        clauses.push('mediaType = ?');
+        params.push(mediaType);
+    }
+    // Series whose episodes are all tombstoned are left out, like in search and collections.
+    const episodeInfo = mediaInfoClauses(filter);
+    clauses.push(`id IN (SELECT seriesId
+                         FROM media
+                         WHERE ${['missing_since IS NULL', ...episodeInfo.clauses].join(' AND ')})`);
+    params.push(...episodeInfo.params);
+    return { where: `WHERE ${clauses.join(' AND ')}`, params };
+};
+
+/**
+ * Returns a series row by ID.
+ * @param {number|string} id
+ * @returns {Promise<object|undefined>}
+ */
+export const findSeriesById = (id) => queryOne('SELECT * FROM series WHERE id = ?', [id]);
+
+/**
+ * Counts the series matching a filter.
+ * @param {object} [filter] - See buildFilter
+ * @returns {Promise<number>}
+ */
+export const countSeries = async (filter) => {
+    const { where, params } = buildFilter(filter);
+    const { total } = await queryOne(`SELECT COUNT(*) as total FROM series ${where}`, params);
+    return total;
+};
+
+/**
+ * Returns a page of the series matching a filter, ordered by title.
+ * @param {object} filter - See buildFilter
+ * @param {{limit: number, offset: number}} page
+ * @returns {Promise<object[]>}
+ */
+export const listSeries = (filter, { limit, offset }) => {
+    const { where, params } = buildFilter(filter);
+    return queryAll(
+        `SELECT *
+         FROM series ${where}
+         ORDER BY title
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+    );
+};
+
+/**
+ * Returns the seasons of a series ordered by season number (specials first).
+ * @param {number|string} seriesId
+ * @returns {Promise<object[]>}
+ */
+export const listSeasons = (seriesId) => queryAll(
+    'SELECT * FROM seasons WHERE series_id = ? ORDER BY season_number',
+    [seriesId],
+);
+
+/**
+ * Returns a season of a series by its number.
+ * @param {number|string} seriesId
+ * @param {number} seasonNumber
+ * @returns {Promise<object|undefined>}
+ */
+export const findSeason = (seriesId, seasonNumber) => queryOne(
+    'SELECT * FROM seasons WHERE series_id = ? AND season_number = ?',
+    [seriesId, seasonNumber],
+);
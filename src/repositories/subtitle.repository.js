@@ -0,0 +1,25 @@
+import { queryAll, queryOne } from '../config/db.config.js';
+
+/**
+ * Returns the sidecar subtitles of a media item by language, full subtitles before forced ones.
+ * @param {number|string} mediaId
+ * @returns {Promise<object[]>}
+ */
+export const listSubtitles = (mediaId) => queryAll(
+    `SELECT *
+     FROM subtitles
+     WHERE media_id = ?
+     ORDER BY language IS NULL, language, forced, sdh, filepath`,
+    [mediaId],
+);
+
+/**
+ * Returns a subtitle of a media item.
+ * @param {number|string} mediaId
+ * @param {number|string} subtitleId
+ * @returns {Promise<object|undefined>}
+ */
+export const findSubtitle = (mediaId, subtitleId) => queryOne(
+    'SELECT * FROM subtitles WHERE id = ? AND media_id = ?',
+    [subtitleId, mediaId],
+);
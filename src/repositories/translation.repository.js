@@ -0,0 +1,74 @@
+import { queryAll } from '../config/db.config.js';
+import { parseLockedFields } from '../utils/lockedFields.js';
+
+/**
+ * Returns the stored translations of media or series rows in a language. `en` matches any region
+ * (en-US, en-GB); `en-US` prefers its own region, then the bare language, then other regions.
+ * @param {string} entityType - media or series
+ * @param {number[]} ids
+ * @param {string} language
+ * @returns {Promise<Map<number, {title: string|null, overview: string|null}>>} Row ID to translation
+ */
+const findTranslations = async (entityType, ids, language) => {
+    const primary = language.split('-')[0];
+    const rows = await queryAll(
+        `SELECT entity_id, title, overview
+         FROM translations
+         WHERE entity_type = ?
+           AND entity_id IN (SELECT value FROM json_each(?))
+           AND (language = ? OR language = ? OR language LIKE ?)
+         ORDER BY language = ? DESC, language = ? DESC, language`,
+        [entityType, JSON.stringify(ids), language, primary, `${primary}-%`, language, primary],
+    );
+    const translations = new Map();
+    for (const row of rows) {
+        if (!translations.has(row.entity_id)) translations.set(row.entity_id, row);
+    }
+    return translations;
+};
+
+/**
+ * Replaces the title and overview of rows with their translation. Rows without a translation,
+ * translations without a title or overview, and fields the user edited (`locked_fields`) keep the
+ * metadata language.
+ * @param {string} entityType - media or series
+ * @param {object[]} rows
+ * @param {string|null} language - Returns the rows unchanged when null
+ * @param {{title: string, overview: string}} columns - The row keys holding title and overview
+ * @returns {Promise<object[]>}
+ */
+const translateRows = async (entityType, rows, language, columns) => {
+    if (!language || rows.length === 0) return rows;
+    const translations = await findTranslations(entityType, rows.map(row => row.id), language);
+    return rows.map(row => {
+        const translation = translations.get(row.id);
+        if (!translation) return row;
+        const lockedFields = parseLockedFields(row);
+        const translate = (column, value) => (lockedFields.includes(column) ? row[column] : value || row[column]);
+        return {
+            ...row,
+            [columns.title]: translate(columns.title, translation.title),
+            [columns.overview]: translate(columns.overview, translation.overview),
+        };
+    });
+};
+
+/**
+ * Translates media rows (movies and episodes).
+ * @param {object[]} rows
+ * @param {string|null} language
+ * @returns {Promise<object[]>}
+ */
+export const translateMedia = (rows, language) => translateRows(
+    'media', rows, language, { title: 'title', overview: 'description' },
+);
+
+/**
+ * Translates series rows.
+ * @param {object[]} rows
+ * @param {string|null} language
+ * @returns {Promise<object[]>}
+ */
+export const translateSeries = (rows, language) => translateRows(
+    'series', rows, language, { title: 'title', overview: 'overview' },
+);
@@ -0,0 +1,57 @@
+import { execute, queryAll, queryOne } from '../config/db.config.js';
+
+/**
+ * Saves the playback position of a media item and marks it as just played.
+ * @param {number|string} id
+ * @param {number} position - Seconds
+ * @returns {Promise<boolean>} False when the media item does not exist
+ */
+export const updatePlaybackPosition = async (id, position) => {
+    const { changes } = await execute(
+        'UPDATE media SET playback_position = ?, last_played = CURRENT_TIMESTAMP WHERE id = ?',
+        [position, id],
+    );
+    return changes > 0;
+};
+
+/**
+ * Returns the playback position of a media item.
+ * @param {number|string} id
+ * @returns {Promise<{playback_position: number, last_played: string|null}|undefined>}
+ */
+export const getPlaybackPosition = (id) => queryOne(
+    'SELECT playback_position, last_played FROM media WHERE id = ?',
+    [id],
+);
+
+/**
+ * Toggles the favorite flag of a media item.
+ * @param {number|string} id
+ * @returns {Promise<boolean>} False when the media item does not exist
+ */
+export const toggleFavorite = async (id) => {
+    const { changes } = await execute('UPDATE media SET favorite = NOT favorite WHERE id = ?', [id]);
+    return changes > 0;
+};
+
+/**
+ * Toggles the watched flag of a media item.
+ * @param {number|string} id
+ * @returns {Promise<boolean>} False when the media item does not exist
+ */
+export const toggleWatched = async (id) => {
+    const { changes } = await execute('UPDATE media SET watched = NOT watched WHERE id = ?', [id]);
+    return changes > 0;
+};
+
+/**
+ * Returns all favorite media items.
+ * @returns {Promise<object[]>}
+ */
+export const listFavorites = () => queryAll('SELECT * FROM media WHERE favorite = 1 AND missing_since IS NULL');
+
+/**
+ * Returns all watched media items.
+ * @returns {Promise<object[]>}
+ */
+export const listWatched = () => queryAll('SELECT * FROM media WHERE watched = 1 AND missing_since IS NULL');
@@ -0,0 +1,207 @@
+import express from 'express';
+import {
+    getTmdbCache,
+    getTmdbCacheEntries,
+    purgeArtwork,
+    purgeTmdbCache,
+} from '../controllers/admin.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin
+ *     description: Maintenance endpoints
+ */
+
+/**
+ * @swagger
+ * /api/admin/tmdb-cache:
+ *   get:
+ *     summary: Get statistics about the TMDB response cache
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TmdbCacheStats'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Purge the TMDB response cache
+ *     description: Without parameters the whole cache is cleared. The next scan fetches everything from TMDB again.
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: expired
+ *         schema:
+ *           type: boolean
+ *         description: Only delete expired entries
+ *       - in: query
+ *         name: endpoint
+ *         schema:
+ *           type: string
+ *         description: Only delete entries whose endpoint starts with this prefix (e.g. "/tv/1396")
+ *     responses:
+ *       200:
+ *         description: Number of deleted entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tmdb-cache', getTmdbCache);
+router.delete('/tmdb-cache', purgeTmdbCache);
+
+/**
+ * @swagger
+ * /api/admin/tmdb-cache/entries:
+ *   get:
+ *     summary: List TMDB cache entries, newest first
+ *     tags: [Admin]
+ *     parameters:
+ *       - in: query
+ *         name: endpoint
+ *         schema:
+ *           type: string
+ *         description: Only entries whose endpoint starts with this prefix (e.g. "/search/tv")
+ *       - in: query
+ *         name: expired
+ *         schema:
+ *           type: boolean
+ *         description: Only expired entries
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Cache entries without their response bodies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TmdbCacheEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/tmdb-cache/entries', getTmdbCacheEntries);
+
+/**
+ * @swagger
+ * /api/admin/artwork:
+ *   delete:
+ *     summary: Delete unreferenced artwork
+ *     description: >
+ *       Removes stored images and their resized variants that no movie, episode, series, season,
+ *       person or collection uses any more. Images stored within the last hour are kept, as a running scan may not
+ *       have saved their rows yet. Finished scans run this cleanup as well.
+ *     tags: [Admin]
+ *     responses:
+ *       200:
+ *         description: Number of deleted files and bytes freed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: integer
+ *                 freedBytes:
+ *                   type: integer
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/artwork', purgeArtwork);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TmdbCacheStats:
+ *       type: object
+ *       properties:
+ *         enabled:
+ *           type: boolean
+ *         ttlHours:
+ *           type: number
+ *           example: 168
+ *         entries:
+ *           type: integer
+ *         expired:
+ *           type: integer
+ *           description: Entries past their TTL; still used while TMDB is unreachable
+ *         notFound:
+ *           type: integer
+ *           description: Cached "not found" answers
+ *         sizeBytes:
+ *           type: integer
+ *         oldestFetchedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         newestFetchedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     TmdbCacheEntry:
+ *       type: object
+ *       properties:
+ *         key:
+ *           type: string
+ *           example: "/search/tv?first_air_date_year=2008&include_adult=true&language=de-DE&query=Breaking+Bad"
+ *         endpoint:
+ *           type: string
+ *           example: "/search/tv"
+ *         status:
+ *           type: integer
+ *           enum: [200, 404]
+ *         sizeBytes:
+ *           type: integer
+ *         fetchedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         expired:
+ *           type: boolean
+ */
+
+export default router;
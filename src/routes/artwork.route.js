@@ -0,0 +1,59 @@
+import express from 'express';
+import { getArtwork } from '../controllers/artwork.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Artwork
+ *     description: Posters, backdrops, episode stills and profile images
+ */
+
+/**
+ * @swagger
+ * /api/artwork/{name}:
+ *   get:
+ *     summary: Get a stored image, optionally resized
+ *     description: >
+ *       Image URLs in API responses point here. The name is derived from the image content, so a
+ *       response is cached for a year. Resized variants are generated on first request and kept.
+ *     tags: [Artwork]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Image name, e.g. `3f2a9c0d5e8b71f4a6c2d9e0b1f3a7c5.jpg`
+ *       - in: query
+ *         name: w
+ *         schema:
+ *           type: integer
+ *         description: >
+ *           Width in pixels, rounded up to 92, 185, 342, 500, 780 or 1280. Wider requests and WebP
+ *           images get the stored image; images are never enlarged.
+ *     responses:
+ *       200:
+ *         description: The image
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Invalid width
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Artwork not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:name', getArtwork);
+
+export default router;
@@ -0,0 +1,156 @@
+import express from 'express';
+import { getCollection, getCollections } from '../controllers/collection.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Collections
+ *     description: Movie collections and franchises from TMDB
+ */
+
+/**
+ * @swagger
+ * /api/collections:
+ *   get:
+ *     summary: List the collections with at least one movie in the library
+ *     tags: [Collections]
+ *     responses:
+ *       200:
+ *         description: Collections by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/CollectionSummary'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', getCollections);
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   get:
+ *     summary: Get a collection with its owned and missing movies
+ *     description: >
+ *       Both lists are in release order. Missing parts are movies of the collection TMDB knows that
+ *       no file in any library is matched to, including announced ones without a release date.
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Collection ID
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: The collection
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Collection'
+ *       400:
+ *         description: Invalid lang
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Collection not found or without movies in the library
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', getCollection);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CollectionSummary:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 1
+ *         tmdbId:
+ *           type: integer
+ *           example: 119
+ *         name:
+ *           type: string
+ *           example: "The Lord of the Rings Collection"
+ *         overview:
+ *           type: string
+ *         poster:
+ *           type: string
+ *           example: "/api/artwork/5b0d3c1e8f2a4d6c9e7b1a3f5d8c2e4b.jpg"
+ *         backdrop:
+ *           type: string
+ *           example: "/api/artwork/9c4e2a7f1b3d5e8c6a0f2d4b7e9c1a3d.jpg"
+ *         ownedCount:
+ *           type: integer
+ *           description: Parts with a file in the library
+ *           example: 2
+ *         partCount:
+ *           type: integer
+ *           description: Parts TMDB lists for the collection
+ *           example: 3
+ *     MissingPart:
+ *       type: object
+ *       properties:
+ *         tmdbId:
+ *           type: integer
+ *           example: 122
+ *         title:
+ *           type: string
+ *           example: "The Lord of the Rings: The Return of the King"
+ *         releaseDate:
+ *           type: string
+ *           nullable: true
+ *           example: "2003-12-01"
+ *         poster:
+ *           type: string
+ *           description: TMDB poster URL
+ *           example: "https://image.tmdb.org/t/p/w500/rCzpDGLbOoPwLjy3OAm5NUPOTrC.jpg"
+ *     Collection:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         tmdbId:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         overview:
+ *           type: string
+ *         poster:
+ *           type: string
+ *         backdrop:
+ *           type: string
+ *         owned:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MediaEntry'
+ *         missing:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/MissingPart'
+ */
+
+export default router;
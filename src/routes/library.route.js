@@ -0,0 +1,395 @@
+import express from 'express';
+import {
+    addLibrary,
+    editLibrary,
+    getLibraries,
+    getLibraryById,
+    getLibraryItems,
+    getLibraryStatsById,
+    removeLibrary,
+    scanLibrary,
+} from '../controllers/library.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Libraries
+ *     description: Library configuration (root paths, content type, metadata language) and per-library views
+ */
+
+/**
+ * @swagger
+ * /api/libraries:
+ *   get:
+ *     summary: List all libraries with their item counts
+ *     tags: [Libraries]
+ *     responses:
+ *       200:
+ *         description: All configured libraries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Library'
+ *                   - type: object
+ *                     properties:
+ *                       itemCount:
+ *                         type: integer
+ *                         description: Number of indexed files in the library
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Create a library
+ *     tags: [Libraries]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LibraryInput'
+ *           examples:
+ *             anime:
+ *               value:
+ *                 name: "Anime"
+ *                 type: "tv"
+ *                 paths: ["/mnt/nas/Anime", "/mnt/usb/Anime"]
+ *                 language: "ja-JP"
+ *     responses:
+ *       201:
+ *         description: Library created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Library'
+ *       400:
+ *         description: Invalid library
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A library with this name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', getLibraries);
+router.post('/', addLibrary);
+
+/**
+ * @swagger
+ * /api/libraries/{id}:
+ *   get:
+ *     summary: Get a library
+ *     tags: [Libraries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Library ID
+ *     responses:
+ *       200:
+ *         description: The library
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Library'
+ *       404:
+ *         description: Library not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   put:
+ *     summary: Update a library
+ *     description: Omitted fields keep their value. Files are assigned to the changed roots on the next scan.
+ *     tags: [Libraries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Library ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LibraryInput'
+ *     responses:
+ *       200:
+ *         description: Library updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Library'
+ *       400:
+ *         description: Invalid library
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Library not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete a library and its catalog entries (files on disk are kept)
+ *     tags: [Libraries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Library ID
+ *     responses:
+ *       204:
+ *         description: Library deleted
+ *       404:
+ *         description: Library not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A media scan is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', getLibraryById);
+router.put('/:id', editLibrary);
+router.delete('/:id', removeLibrary);
+
+/**
+ * @swagger
+ * /api/libraries/{id}/items:
+ *   get:
+ *     summary: Get a paginated list of a library's items
+ *     description: Movie libraries return media entries, TV libraries return series with nested episodes.
+ *     tags: [Libraries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Library ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *         description: Number of items per page
+ *       - $ref: '#/components/parameters/Resolution'
+ *       - $ref: '#/components/parameters/Hdr'
+ *       - $ref: '#/components/parameters/VideoCodec'
+ *       - $ref: '#/components/parameters/AudioLanguage'
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: Library items
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 library:
+ *                   $ref: '#/components/schemas/Library'
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     oneOf:
+ *                       - $ref: '#/components/schemas/MediaEntry'
+ *                       - $ref: '#/components/schemas/Series'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid lang, resolution or hdr
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Library not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/items', getLibraryItems);
+
+/**
+ * @swagger
+ * /api/libraries/{id}/stats:
+ *   get:
+ *     summary: Get statistics for a library
+ *     tags: [Libraries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Library ID
+ *     responses:
+ *       200:
+ *         description: Library statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 watched:
+ *                   type: integer
+ *                 favorites:
+ *                   type: integer
+ *                 totalSizeGB:
+ *                   type: number
+ *       404:
+ *         description: Library not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/stats', getLibraryStatsById);
+
+/**
+ * @swagger
+ * /api/libraries/{id}/scan:
+ *   post:
+ *     summary: Start a background scan limited to one library
+ *     description: Same as `POST /api/media/scan`, but only this library's roots are walked and reconciled.
+ *     tags: [Libraries]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Library ID
+ *     responses:
+ *       202:
+ *         description: Scan job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 status:
+ *                   type: string
+ *                   example: "queued"
+ *                 statusUrl:
+ *                   type: string
+ *                   example: "/api/media/scan/0b7c3f1e-8d3c-4f0e-9a53-3f4a1c2d5e6f"
+ *       404:
+ *         description: Library not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Another scan is already running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/scan', scanLibrary);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Library:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         name:
+ *           type: string
+ *           example: "Anime"
+ *         type:
+ *           type: string
+ *           enum: [movie, tv]
+ *           example: "tv"
+ *         paths:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["/mnt/nas/Anime", "/mnt/usb/Anime"]
+ *         language:
+ *           type: string
+ *           nullable: true
+ *           description: TMDB metadata language; the server default is used when null
+ *           example: "ja-JP"
+ *         imageLanguage:
+ *           type: string
+ *           nullable: true
+ *           description: Language of the posters; TMDB_IMAGE_LANGUAGE is used when null
+ *           example: "ja"
+ *         extensions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: [".mkv", ".mp4"]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     LibraryInput:
+ *       type: object
+ *       required: [name, type, paths]
+ *       properties:
+ *         name:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [movie, tv]
+ *         paths:
+ *           type: array
+ *           description: Absolute root directories; TV libraries expect one folder per series below each root
+ *           items:
+ *             type: string
+ *         language:
+ *           type: string
+ *           nullable: true
+ *         imageLanguage:
+ *           type: string
+ *           nullable: true
+ *         extensions:
+ *           type: array
+ *           description: Defaults to MEDIA_EXTENSIONS
+ *           items:
+ *             type: string
+ */
+
+export default router;
@@ -1,9 +1,13 @@
 import express from 'express';
 import {
+    cancelScan,
     getFavorites,
     getGenres,
     getMedia,
+    getMediaCredits,
     getPlaybackPosition,
+    getScanJobs,
+    getScanStatus,
     getStats,
     getWatched,
     scanMedia,
@@ -13,6 +17,10 @@ import {
     toggleWatched,
     updatePlaybackPosition,
 } from '../controllers/media.controller.js';
+import { editMediaMetadata, getMatchCandidates, matchMediaItem } from '../controllers/match.controller.js';
+import { getMasterPlaylist, getSegment, getVariantPlaylist } from '../controllers/hls.controller.js';
+import { getSubtitles, getSubtitleVtt } from '../controllers/subtitle.controller.js';
+import { getTracks, getTrackVtt } from '../controllers/track.controller.js';
 
 const router = express.Router();
 
@@ -34,7 +42,16 @@ const router = express.Router();
  *         name: genre
  *         schema:
  *           type: string
- *         description: Filter series by genre (e.g. "Sci-Fi", "Drama")
+ *         description: >
+ *           Filter series by exact genre name (case-insensitive). Several genres are given comma-separated
+ *           (e.g. "Drama,Comedy") or as repeated parameters.
+ *       - in: query
+ *         name: genreMode
+ *         schema:
+ *           type: string
+ *           enum: [or, and]
+ *           default: or
+ *         description: Match series with any (or) or all (and) of the genres
  *       - in: query
  *         name: mediaType
  *         schema:
@@ -42,6 +59,11 @@ const router = express.Router();
  *           enum: [series, movie]
  *         description: Filter by media type ("series" or "movie")
  *       - in: query
+ *         name: libraryId
+ *         schema:
+ *           type: integer
+ *         description: Only return series of this library
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -53,6 +75,11 @@ const router = express.Router();
  *           type: integer
  *           default: 20
  *         description: Number of series per page
+ *       - $ref: '#/components/parameters/Resolution'
+ *       - $ref: '#/components/parameters/Hdr'
+ *       - $ref: '#/components/parameters/VideoCodec'
+ *       - $ref: '#/components/parameters/AudioLanguage'
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: Paginated list of series with nested episodes
@@ -68,14 +95,14 @@ const router = express.Router();
  *                       title: "Attack on Titan"
  *                       overview: "After his hometown is destroyed and his mother is killed, young Eren Jaeger joins the Survey Corps..."
  *                       genre: "Animation, Action & Adventure, Sci-Fi & Fantasy"
- *                       poster: "/posters/attack_on_titan/poster.jpg"
- *                       backdrop: "/posters/attack_on_titan/backdrop.jpg"
+ *                       poster: "/api/artwork/0e9d8d898e24fcae5fbcfd3c5187bace.jpg"
+ *                       backdrop: "/api/artwork/e8448b9907ad536e9cef640f05b2d80f.jpg"
  *                       mediaType: "series"
  *                       episodes:
  *                         - id: 101
  *                           title: "To You, in 2000 Years: The Fall of Shiganshina, Part 1"
  *                           filepath: "/Series/Attack on Titan/Season 1/E01.mp4"
- *                           poster: "/posters/attack_on_titan/S1E1.jpg"
+ *                           poster: "/api/artwork/9235791e945e7754c917767d54366263.jpg"
  *                           year: "2013"
  *                           genre: "Animation, Action & Adventure, Sci-Fi & Fantasy"
  *                           mediaType: "series"
@@ -87,6 +114,12 @@ const router = express.Router();
  *                     limit: 20
  *                     hasNextPage: false
  *                     hasPrevPage: false
+ *       400:
+ *         description: Invalid genreMode, resolution or hdr
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -100,39 +133,149 @@ router.get('/', getMedia);
  * @swagger
  * /api/media/scan:
  *   post:
- *     summary: Scan the media directories and index all media files and series
+ *     summary: Start a background scan that reconciles the catalog with the filesystem
+ *     description: >
+ *       Indexes new files, re-enriches files whose size or modification time changed,
+ *       carries favorite/watched/playback state over for moved or renamed files and
+ *       tombstones entries whose file disappeared. Returns immediately with a job ID;
+ *       poll `/api/media/scan/{jobId}` for progress. Only one scan can run at a time.
+ *     tags: [Media]
+ *     responses:
+ *       202:
+ *         description: Scan job started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                   format: uuid
+ *                 status:
+ *                   type: string
+ *                   example: "queued"
+ *                 statusUrl:
+ *                   type: string
+ *                   example: "/api/media/scan/0b7c3f1e-8d3c-4f0e-9a53-3f4a1c2d5e6f"
+ *       409:
+ *         description: Another scan is already running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Scan could not be started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   get:
+ *     summary: List the most recent scan jobs
  *     tags: [Media]
  *     responses:
  *       200:
- *         description: Scan completed successfully
+ *         description: Recent scan jobs, newest first
  *         content:
- *           text/plain:
+ *           application/json:
  *             schema:
- *               type: string
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ScanJob'
  *       500:
- *         description: Scan failed
+ *         description: Server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
 router.post('/scan', scanMedia);
+router.get('/scan', getScanJobs);
+
+/**
+ * @swagger
+ * /api/media/scan/{jobId}:
+ *   get:
+ *     summary: Get status and progress of a scan job
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Scan job ID
+ *     responses:
+ *       200:
+ *         description: Scan job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       404:
+ *         description: Scan job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Cancel a running scan job
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Scan job ID
+ *     responses:
+ *       202:
+ *         description: Cancellation requested; the job stops after the files currently in progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScanJob'
+ *       404:
+ *         description: Scan job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Scan job is not running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/scan/:jobId', getScanStatus);
+router.delete('/scan/:jobId', cancelScan);
 
 /**
  * @swagger
  * /api/media/genres:
  *   get:
- *     summary: Get a list of all available genres
+ *     summary: Get all genres in use with their movie and series counts
  *     tags: [Media]
+ *     parameters:
+ *       - in: query
+ *         name: libraryId
+ *         schema:
+ *           type: integer
+ *         description: Only count movies and series of this library; genres are named in its metadata language
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *         description: Name the genres in this language (e.g. `en` or `en-US`) where TMDB provided it
  *     responses:
  *       200:
- *         description: List of genres
+ *         description: Genres sorted by name
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: string
+ *                 $ref: '#/components/schemas/Genre'
  *       500:
  *         description: Server error
  *         content:
@@ -147,6 +290,12 @@ router.get('/genres', getGenres);
  * /api/media/stream/{id}:
  *   get:
  *     summary: Stream a media file (movie or episode) by its ID
+ *     description: >
+ *       Sent with the Content-Type of its container (video/mp4, video/x-matroska, video/webm, ...)
+ *       as found by the scan, or by the file extension. Supports byte ranges (`bytes=0-499`, `bytes=500-`,
+ *       `bytes=-500` and several ranges as multipart/byteranges), HEAD requests and conditional requests
+ *       with the ETag and Last-Modified validators (If-None-Match, If-Modified-Since, If-Range). The file is
+ *       sent as it is; to play another of its audio tracks, use HLS with `?audio=`.
  *     tags: [Media]
  *     parameters:
  *       - in: path
@@ -155,27 +304,42 @@ router.get('/genres', getGenres);
  *         schema:
  *           type: integer
  *         description: Media item ID
+ *       - in: header
+ *         name: Range
+ *         schema:
+ *           type: string
+ *           example: bytes=0-1048575
+ *         description: Byte ranges to send
+ *       - in: header
+ *         name: If-Range
+ *         schema:
+ *           type: string
+ *         description: ETag or Last-Modified of a partial copy; the Range is ignored when the file changed since
  *     responses:
  *       206:
  *         description: Partial content (streaming)
  *         content:
- *           video/mp4:
+ *           video/*:
  *             schema:
  *               type: string
  *               format: binary
  *       200:
  *         description: Success (full file)
  *         content:
- *           video/mp4:
+ *           video/*:
  *             schema:
  *               type: string
  *               format: binary
+ *       304:
+ *         description: Not modified (If-None-Match or If-Modified-Since)
  *       404:
- *         description: Media not found
+ *         description: Media not found, or its file is no longer on disk
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       416:
+ *         description: Range not satisfiable; Content-Range holds the file size
  *       500:
  *         description: Server error
  *         content:
@@ -185,21 +349,412 @@ router.get('/genres', getGenres);
  */
 router.get('/stream/:id', streamMedia);
 
+/**
+ * @swagger
+ * /api/media/{id}/hls/master.m3u8:
+ *   get:
+ *     summary: HLS master playlist of a movie or episode for browser playback
+ *     description: >
+ *       Lists a rendition per quality. "original" remuxes the file when its video is H.264 (other audio
+ *       than AAC/MP3 is converted to AAC); the other qualities are transcoded to H.264/AAC with ffmpeg and
+ *       only offered below the source resolution. Segments are made on demand when requested, so players
+ *       can seek anywhere, and cached on disk.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *       - in: query
+ *         name: qualities
+ *         schema:
+ *           type: string
+ *           example: original,720p
+ *         description: >
+ *           Comma-separated qualities to offer: original, 2160p, 1080p, 720p, 480p, 360p. Defaults to
+ *           original and HLS_QUALITIES.
+ *       - $ref: '#/components/parameters/Audio'
+ *     responses:
+ *       200:
+ *         description: Master playlist
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Unknown quality or malformed audio track
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: >
+ *           Media not found, its file is no longer on disk, no requested quality is available or the audio
+ *           track does not exist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The duration of the file cannot be read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/hls/master.m3u8', getMasterPlaylist);
+
+/**
+ * @swagger
+ * /api/media/{id}/hls/{quality}/index.m3u8:
+ *   get:
+ *     summary: HLS playlist of a rendition, listing all its segments
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *       - in: path
+ *         name: quality
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 720p
+ *       - $ref: '#/components/parameters/Audio'
+ *     responses:
+ *       200:
+ *         description: Media playlist
+ *         content:
+ *           application/vnd.apple.mpegurl:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Media not found, or the quality or audio track is not available for it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/hls/:quality/index.m3u8', getVariantPlaylist);
+
+/**
+ * @swagger
+ * /api/media/{id}/hls/{quality}/{segment}:
+ *   get:
+ *     summary: An MPEG-TS segment of a rendition, made on demand
+ *     description: >
+ *       Waits for ffmpeg to write the segment. A segment far from the running transcode (a seek) restarts
+ *       it there; transcodes nobody requests segments from are stopped after HLS_IDLE_TIMEOUT_MS.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *       - in: path
+ *         name: quality
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: segment
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 12.ts
+ *       - $ref: '#/components/parameters/Audio'
+ *     responses:
+ *       200:
+ *         description: Segment
+ *         content:
+ *           video/mp2t:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Media, quality, audio track or segment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: ffmpeg failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: ffmpeg is not installed, or the segment was not ready in time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/hls/:quality/:segment', getSegment);
+
+/**
+ * @swagger
+ * /api/media/{id}/subtitles:
+ *   get:
+ *     summary: Subtitle files found next to a movie or episode
+ *     description: >
+ *       SRT, ASS/SSA and WebVTT files in the same folder whose name starts with the media file's name, e.g.
+ *       "Movie (2020).en.forced.srt". Language, forced (forced/foreign) and SDH (sdh/cc/hi) come from the
+ *       name; other name parts make up the title.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *     responses:
+ *       200:
+ *         description: Subtitles by language
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Subtitle'
+ *       404:
+ *         description: Media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/subtitles', getSubtitles);
+
+/**
+ * @swagger
+ * /api/media/{id}/subtitles/{subtitleId}.vtt:
+ *   get:
+ *     summary: A subtitle converted to WebVTT for HTML5 players
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *       - in: path
+ *         name: subtitleId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: number
+ *           example: -1.5
+ *         description: Seconds to shift all cues by; negative shows them earlier
+ *     responses:
+ *       200:
+ *         description: WebVTT subtitle
+ *         content:
+ *           text/vtt:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Malformed offset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Subtitle not found, or its file is no longer on disk
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/subtitles/:file', getSubtitleVtt);
+
+/**
+ * @swagger
+ * /api/media/{id}/tracks:
+ *   get:
+ *     summary: Audio and subtitle tracks embedded in a movie or episode
+ *     description: >
+ *       The tracks as probed by the last scan. `index` is the stream index used to pick an audio track for
+ *       HLS (`?audio=`) and to fetch a subtitle track; text subtitle tracks are `extractable` as WebVTT,
+ *       image-based ones (PGS, VobSub) are not.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *     responses:
+ *       200:
+ *         description: Embedded tracks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 audio:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AudioTrack'
+ *                 subtitles:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/SubtitleTrack'
+ *                       - type: object
+ *                         properties:
+ *                           extractable:
+ *                             type: boolean
+ *                             description: Whether the track can be fetched as WebVTT
+ *       404:
+ *         description: Media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/tracks', getTracks);
+
+/**
+ * @swagger
+ * /api/media/{id}/tracks/{index}.vtt:
+ *   get:
+ *     summary: An embedded text subtitle track as WebVTT
+ *     description: >
+ *       Extracted with ffmpeg on the first request, which reads through the whole file, and cached in
+ *       SUBTITLE_CACHE_PATH afterwards.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *       - in: path
+ *         name: index
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Stream index of the subtitle track
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: number
+ *           example: -1.5
+ *         description: Seconds to shift all cues by; negative shows them earlier
+ *     responses:
+ *       200:
+ *         description: WebVTT subtitle
+ *         content:
+ *           text/vtt:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Malformed offset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Media or subtitle track not found, or the file is no longer on disk
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The track is image-based
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: ffmpeg failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: ffmpeg is not installed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/tracks/:file', getTrackVtt);
+
 /**
  * @swagger
  * /api/media/search:
  *   get:
- *     summary: Search for movies and series episodes by title, description, or filename
+ *     summary: Search the local catalog for movies and series
+ *     description: >
+ *       Full-text search over titles, original titles, overviews, filenames and cast and crew names.
+ *       Every word must match, as a word prefix, and accents are ignored ("amel" finds "Amélie").
+ *       Results are ranked, title matches first. Series match on their own metadata or on their
+ *       episodes and carry the matching episodes. No TMDB requests are made.
  *     tags: [Media]
  *     parameters:
  *       - in: query
  *         name: q
+ *         required: true
  *         schema:
  *           type: string
  *         description: Search query string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [movie, series]
+ *         description: Only return movies or only series
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: string
+ *           example: "1999"
+ *         description: Release year of a movie, or first air year of a series
+ *       - in: query
+ *         name: genre
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Filter by exact genre name (case-insensitive). Several genres are given comma-separated
+ *           (e.g. "Drama,Comedy") or as repeated parameters. Episodes are filtered by their series' genres.
+ *       - in: query
+ *         name: genreMode
+ *         schema:
+ *           type: string
+ *           enum: [or, and]
+ *           default: or
+ *         description: Match results with any (or) or all (and) of the genres
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of movies and of series
+ *       - $ref: '#/components/parameters/Resolution'
+ *       - $ref: '#/components/parameters/Hdr'
+ *       - $ref: '#/components/parameters/VideoCodec'
+ *       - $ref: '#/components/parameters/AudioLanguage'
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
- *         description: Search results for movies and series
+ *         description: Search results for movies and series, best match first
  *         content:
  *           application/json:
  *             schema:
@@ -213,6 +768,12 @@ router.get('/stream/:id', streamMedia);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/SeriesSearchResult'
+ *       400:
+ *         description: Missing query, or invalid type, year, genreMode, resolution or hdr
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -220,13 +781,193 @@ router.get('/stream/:id', streamMedia);
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/search', searchMedia);
+router.get('/search', searchMedia);
+
+/**
+ * @swagger
+ * /api/media/{id}/credits:
+ *   get:
+ *     summary: Get the cast and crew of a movie or episode
+ *     description: >
+ *       Cast in billing order and the main crew (directors, writers, producers, composers, cinematographers).
+ *       An episode returns the credits of its series.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *     responses:
+ *       200:
+ *         description: Cast and crew
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cast:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Credit'
+ *                 crew:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Credit'
+ *       404:
+ *         description: Media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/credits', getMediaCredits);
+
+/**
+ * @swagger
+ * /api/media/{id}/favorite:
+ *   patch:
+ *     summary: Toggle the favorite status for a media item (movie or episode)
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *     responses:
+ *       200:
+ *         description: Favorite status toggled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/favorite', toggleFavorite);
+
+/**
+ * @swagger
+ * /api/media/{id}/watch:
+ *   patch:
+ *     summary: Toggle the watched status for a media item (movie or episode)
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *     responses:
+ *       200:
+ *         description: Watched status toggled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       404:
+ *         description: Media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/watch', toggleWatched);
+
+/**
+ * @swagger
+ * /api/media/{id}/match-candidates:
+ *   get:
+ *     summary: Get ranked TMDB candidates for a movie
+ *     description: Episodes are matched through their series, see `/api/series/{id}/match-candidates`.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Media item ID
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: Search title; defaults to the title parsed from the filename
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Year to rank by; defaults to the year parsed from the filename when no query is given
+ *     responses:
+ *       200:
+ *         description: Candidates, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MatchCandidate'
+ *       400:
+ *         description: The media item is an episode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Media not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: TMDB is temporarily unavailable or no remote metadata provider is configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/match-candidates', getMatchCandidates);
 
 /**
  * @swagger
- * /api/media/{id}/favorite:
- *   patch:
- *     summary: Toggle the favorite status for a media item (movie or episode)
+ * /api/media/{id}/match:
+ *   put:
+ *     summary: Match a movie to a TMDB entry
+ *     description: >
+ *       Fetches metadata and artwork of the chosen TMDB movie again. The match is locked, so later
+ *       scans use this TMDB ID instead of searching; fields locked by edits are kept.
  *     tags: [Media]
  *     parameters:
  *       - in: path
@@ -235,36 +976,54 @@ router.get('/search', searchMedia);
  *         schema:
  *           type: integer
  *         description: Media item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MatchInput'
  *     responses:
  *       200:
- *         description: Favorite status toggled
+ *         description: The updated media item
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
+ *               $ref: '#/components/schemas/MediaEntry'
+ *       400:
+ *         description: Invalid TMDB ID, or the media item is an episode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Media not found
+ *         description: Media or TMDB movie not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Server error
+ *       409:
+ *         description: A media scan is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: TMDB is temporarily unavailable or no remote metadata provider is configured
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/favorite', toggleFavorite);
+router.put('/:id/match', matchMediaItem);
 
 /**
  * @swagger
- * /api/media/{id}/watch:
+ * /api/media/{id}/metadata:
  *   patch:
- *     summary: Toggle the watched status for a media item (movie or episode)
+ *     summary: Edit the metadata of a movie or episode
+ *     description: >
+ *       Edited fields are locked, so scans and refreshes never overwrite them. Fields listed in
+ *       `unlock` are handed back to scans; their value is replaced on the next refresh.
  *     tags: [Media]
  *     parameters:
  *       - in: path
@@ -273,30 +1032,56 @@ router.patch('/:id/favorite', toggleFavorite);
  *         schema:
  *           type: integer
  *         description: Media item ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               poster:
+ *                 type: string
+ *               year:
+ *                 type: string
+ *               genre:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *               rating:
+ *                 type: number
+ *               unlock:
+ *                 type: array
+ *                 description: Fields to unlock; `tmdb_id` undoes a manual match
+ *                 items:
+ *                   type: string
+ *           example:
+ *             title: "The Director's Cut"
+ *             unlock: ["genre"]
  *     responses:
  *       200:
- *         description: Watched status toggled
+ *         description: The updated media item
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 message:
- *                   type: string
- *       404:
- *         description: Media not found
+ *               $ref: '#/components/schemas/MediaEntry'
+ *       400:
+ *         description: Invalid field or value
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       500:
- *         description: Server error
+ *       404:
+ *         description: Media not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.patch('/:id/watch', toggleWatched);
+router.patch('/:id/metadata', editMediaMetadata);
 
 /**
  * @swagger
@@ -304,6 +1089,8 @@ router.patch('/:id/watch', toggleWatched);
  *   get:
  *     summary: Get all favorite media items (movies and episodes)
  *     tags: [Media]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: List of favorite media
@@ -313,6 +1100,12 @@ router.patch('/:id/watch', toggleWatched);
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/MediaEntry'
+ *       400:
+ *         description: Invalid lang
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -328,6 +1121,8 @@ router.get('/favorites', getFavorites);
  *   get:
  *     summary: Get all watched media items (movies and episodes)
  *     tags: [Media]
+ *     parameters:
+ *       - $ref: '#/components/parameters/Lang'
  *     responses:
  *       200:
  *         description: List of watched media
@@ -337,6 +1132,12 @@ router.get('/favorites', getFavorites);
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/MediaEntry'
+ *       400:
+ *         description: Invalid lang
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -445,6 +1246,12 @@ router.get('/:id/position', getPlaybackPosition);
  *   get:
  *     summary: Get statistics about the media catalog
  *     tags: [Media]
+ *     parameters:
+ *       - in: query
+ *         name: libraryId
+ *         schema:
+ *           type: integer
+ *         description: Only count files of this library
  *     responses:
  *       200:
  *         description: Media statistics
@@ -499,6 +1306,51 @@ router.get('/health', (req, res) => {
 /**
  * @swagger
  * components:
+ *   parameters:
+ *     Lang:
+ *       in: query
+ *       name: lang
+ *       schema:
+ *         type: string
+ *       description: >
+ *         Return titles and overviews in this stored translation (e.g. `en` or `en-US`); the metadata
+ *         language is used where none is stored
+ *     Resolution:
+ *       in: query
+ *       name: resolution
+ *       schema:
+ *         type: string
+ *         enum: [4320p, 2160p, 1440p, 1080p, 720p, 576p, 480p, sd]
+ *       description: Only return files of this video resolution; series with at least one such episode
+ *     Hdr:
+ *       in: query
+ *       name: hdr
+ *       schema:
+ *         type: boolean
+ *       description: Only return HDR (true) or SDR (false) video
+ *     VideoCodec:
+ *       in: query
+ *       name: videoCodec
+ *       schema:
+ *         type: string
+ *         example: hevc
+ *       description: Only return files with this video codec (ffprobe names, e.g. h264, hevc, av1)
+ *     AudioLanguage:
+ *       in: query
+ *       name: audioLanguage
+ *       schema:
+ *         type: string
+ *         example: ger
+ *       description: Only return files with an audio track in this language (as tagged in the file)
+ *     Audio:
+ *       in: query
+ *       name: audio
+ *       schema:
+ *         type: integer
+ *         example: 2
+ *       description: >
+ *         Stream index of the audio track to play (see /api/media/{id}/tracks); the default track when
+ *         omitted. The playlist URIs keep it.
  *   schemas:
  *     MediaResponse:
  *       type: object
@@ -526,14 +1378,22 @@ router.get('/health', (req, res) => {
  *           example: "Animation, Action & Adventure, Sci-Fi & Fantasy"
  *         poster:
  *           type: string
- *           example: "/posters/attack_on_titan/poster.jpg"
+ *           example: "/api/artwork/0e9d8d898e24fcae5fbcfd3c5187bace.jpg"
  *         backdrop:
  *           type: string
- *           example: "/posters/attack_on_titan/backdrop.jpg"
+ *           example: "/api/artwork/e8448b9907ad536e9cef640f05b2d80f.jpg"
  *         mediaType:
  *           type: string
  *           enum: [series, movie]
  *           example: "series"
+ *         episodeCount:
+ *           type: integer
+ *           description: Number of distinct episodes covered by the files (multi-episode files count every episode)
+ *           example: 25
+ *         watchedEpisodeCount:
+ *           type: integer
+ *           description: Number of those episodes that are watched
+ *           example: 3
  *         episodes:
  *           type: array
  *           items:
@@ -552,7 +1412,7 @@ router.get('/health', (req, res) => {
  *           example: "/Series/Attack on Titan/Season 1/E01.mp4"
  *         poster:
  *           type: string
- *           example: "/posters/attack_on_titan/S1E1.jpg"
+ *           example: "/api/artwork/9235791e945e7754c917767d54366263.jpg"
  *         year:
  *           type: string
  *           example: "2013"
@@ -566,6 +1426,35 @@ router.get('/health', (req, res) => {
  *         seriesId:
  *           type: integer
  *           example: 1
+ *         season_number:
+ *           type: integer
+ *           nullable: true
+ *           description: Season number; 0 for specials
+ *           example: 1
+ *         episode_number:
+ *           type: integer
+ *           nullable: true
+ *           example: 1
+ *         episode_number_end:
+ *           type: integer
+ *           nullable: true
+ *           description: Last episode covered by a multi-episode file
+ *           example: 2
+ *         air_date:
+ *           type: string
+ *           nullable: true
+ *           example: "2013-04-07"
+ *         runtime:
+ *           type: integer
+ *           nullable: true
+ *           description: Minutes; the sum of all episodes for multi-episode files
+ *           example: 24
+ *         episodeNumbers:
+ *           type: array
+ *           description: All episode numbers covered by this file
+ *           items:
+ *             type: integer
+ *           example: [1, 2]
  *     MediaEntry:
  *       type: object
  *       properties:
@@ -579,6 +1468,10 @@ router.get('/health', (req, res) => {
  *           type: integer
  *         title:
  *           type: string
+ *         original_title:
+ *           type: string
+ *           nullable: true
+ *           description: Original title of a movie
  *         mediaType:
  *           type: string
  *           enum: [movie, series]
@@ -606,15 +1499,162 @@ router.get('/health', (req, res) => {
  *         seriesId:
  *           type: integer
  *           nullable: true
+ *         season_number:
+ *           type: integer
+ *           nullable: true
+ *         episode_number:
+ *           type: integer
+ *           nullable: true
+ *         episode_number_end:
+ *           type: integer
+ *           nullable: true
+ *         air_date:
+ *           type: string
+ *           nullable: true
+ *           description: Air date of the episode
+ *         runtime:
+ *           type: integer
+ *           nullable: true
+ *           description: Minutes
+ *         episodeNumbers:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         tmdb_id:
+ *           type: integer
+ *           nullable: true
+ *           description: TMDB movie ID, or TMDB episode ID for episodes
+ *         collection_id:
+ *           type: integer
+ *           nullable: true
+ *           description: The collection (franchise) a movie belongs to, see /api/collections/{id}
+ *         lockedFields:
+ *           type: array
+ *           description: Fields scans and refreshes never overwrite; returned by the match and metadata endpoints
+ *           items:
+ *             type: string
+ *         container:
+ *           type: string
+ *           nullable: true
+ *           description: mp4, mov, matroska, webm, or the file extension when the file could not be read
+ *           example: matroska
+ *         duration:
+ *           type: number
+ *           nullable: true
+ *           description: Seconds
+ *         bitrate:
+ *           type: integer
+ *           nullable: true
+ *           description: Bits per second
+ *         video_codec:
+ *           type: string
+ *           nullable: true
+ *           example: hevc
+ *         audio_codec:
+ *           type: string
+ *           nullable: true
+ *           description: Codec of the default audio track
+ *           example: eac3
+ *         width:
+ *           type: integer
+ *           nullable: true
+ *         height:
+ *           type: integer
+ *           nullable: true
+ *         resolution:
+ *           type: string
+ *           nullable: true
+ *           example: 2160p
+ *         hdr:
+ *           type: integer
+ *           nullable: true
+ *           description: 1 for HDR10, HLG or Dolby Vision video
+ *         audio_tracks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AudioTrack'
+ *         subtitle_tracks:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SubtitleTrack'
+ *     AudioTrack:
+ *       type: object
+ *       properties:
+ *         index:
+ *           type: integer
+ *           description: Stream index in the file
+ *         codec:
+ *           type: string
+ *           nullable: true
+ *         language:
+ *           type: string
+ *           nullable: true
+ *           example: eng
+ *         channels:
+ *           type: integer
+ *           nullable: true
+ *         title:
+ *           type: string
+ *           nullable: true
+ *         default:
+ *           type: boolean
+ *     SubtitleTrack:
+ *       type: object
+ *       properties:
+ *         index:
+ *           type: integer
+ *           description: Stream index in the file
+ *         codec:
+ *           type: string
+ *           nullable: true
+ *           example: subrip
+ *         language:
+ *           type: string
+ *           nullable: true
+ *         title:
+ *           type: string
+ *           nullable: true
+ *         default:
+ *           type: boolean
+ *         forced:
+ *           type: boolean
+ *     Subtitle:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         filename:
+ *           type: string
+ *           example: Movie (2020).en.forced.srt
+ *         format:
+ *           type: string
+ *           enum: [srt, ass, ssa, vtt]
+ *         language:
+ *           type: string
+ *           nullable: true
+ *           description: ISO 639-2/B code, as in the audio and subtitle tracks
+ *           example: eng
+ *         title:
+ *           type: string
+ *           nullable: true
+ *         forced:
+ *           type: boolean
+ *         sdh:
+ *           type: boolean
+ *           description: Subtitles for the deaf and hard of hearing
  *     SeriesSearchResult:
  *       type: object
  *       properties:
+ *         id:
+ *           type: integer
  *         name:
  *           type: string
  *         overview:
  *           type: string
  *         poster:
  *           type: string
+ *         backdrop:
+ *           type: string
  *         year:
  *           type: string
  *         genre:
@@ -625,8 +1665,156 @@ router.get('/health', (req, res) => {
  *           type: string
  *         episodes:
  *           type: array
+ *           description: The episodes matching the query
  *           items:
  *             $ref: '#/components/schemas/Episode'
+ *     Credit:
+ *       type: object
+ *       properties:
+ *         personId:
+ *           type: integer
+ *           description: ID for `GET /api/people/{id}`
+ *           example: 12
+ *         tmdbId:
+ *           type: integer
+ *           example: 6384
+ *         name:
+ *           type: string
+ *           example: "Keanu Reeves"
+ *         profile:
+ *           type: string
+ *           example: "/api/artwork/5d694999eeb4b3e0811b4bd5364bc910.jpg"
+ *         character:
+ *           type: string
+ *           description: Cast only; roles over several seasons are joined with " / "
+ *           example: "Neo"
+ *         job:
+ *           type: string
+ *           description: Crew only
+ *           example: "Director"
+ *         department:
+ *           type: string
+ *           description: Crew only
+ *           example: "Directing"
+ *     MatchCandidate:
+ *       type: object
+ *       properties:
+ *         tmdbId:
+ *           type: integer
+ *           example: 603
+ *         title:
+ *           type: string
+ *           example: "The Matrix"
+ *         originalTitle:
+ *           type: string
+ *           nullable: true
+ *         year:
+ *           type: integer
+ *           nullable: true
+ *           example: 1999
+ *         overview:
+ *           type: string
+ *         poster:
+ *           type: string
+ *           description: TMDB image URL
+ *         popularity:
+ *           type: number
+ *         score:
+ *           type: number
+ *           description: Match score between 0 and 1, based on title, year and popularity
+ *           example: 0.97
+ *     MatchInput:
+ *       type: object
+ *       required: [tmdbId]
+ *       properties:
+ *         tmdbId:
+ *           type: integer
+ *           example: 603
+ *     ScanJob:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled, interrupted]
+ *         libraryId:
+ *           type: integer
+ *           nullable: true
+ *           description: The scanned library; null for a scan of all libraries
+ *         total:
+ *           type: integer
+ *           description: Number of files found in the library
+ *         processed:
+ *           type: integer
+ *           description: Number of files processed so far
+ *         currentFile:
+ *           type: string
+ *           nullable: true
+ *         summary:
+ *           $ref: '#/components/schemas/ScanSummary'
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               filepath:
+ *                 type: string
+ *                 nullable: true
+ *               error:
+ *                 type: string
+ *         message:
+ *           type: string
+ *           nullable: true
+ *           example: "Media scan completed: 3 added, 1 removed, 2 moved, 1 updated, 0 failed"
+ *         cancelRequested:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ScanSummary:
+ *       type: object
+ *       nullable: true
+ *       properties:
+ *         added:
+ *           type: integer
+ *         removed:
+ *           type: integer
+ *         moved:
+ *           type: integer
+ *         updated:
+ *           type: integer
+ *         unchanged:
+ *           type: integer
+ *         failed:
+ *           type: integer
+ *         metadataPending:
+ *           type: integer
+ *           description: Files indexed without metadata because TMDB was unavailable; retried on the next scan
+ *     Genre:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 4
+ *         name:
+ *           type: string
+ *           example: "Drama"
+ *         movieCount:
+ *           type: integer
+ *           example: 12
+ *         seriesCount:
+ *           type: integer
+ *           example: 3
  *     Pagination:
  *       type: object
  *       properties:
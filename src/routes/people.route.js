@@ -0,0 +1,113 @@
+import express from 'express';
+import { getPerson } from '../controllers/people.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: People
+ *     description: Cast and crew of the library
+ */
+
+/**
+ * @swagger
+ * /api/people/{id}:
+ *   get:
+ *     summary: Get a person with their filmography in the library
+ *     description: >
+ *       Only movies and series present in the library are listed, newest first. A title the person is
+ *       credited on several times (e.g. as director and writer) is listed once with all jobs.
+ *     tags: [People]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Person ID, as `personId` in the credits
+ *     responses:
+ *       200:
+ *         description: The person and their movies and series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Person'
+ *       404:
+ *         description: Person not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', getPerson);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PersonCredit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           description: Media ID of a movie, or series ID
+ *           example: 1
+ *         title:
+ *           type: string
+ *           example: "The Matrix"
+ *         year:
+ *           type: string
+ *           example: "1999"
+ *         poster:
+ *           type: string
+ *           example: "/api/artwork/80122969e05413b2804c27951a110c2b.jpg"
+ *         rating:
+ *           type: number
+ *           example: 8.2
+ *         character:
+ *           type: string
+ *           nullable: true
+ *           description: The role played; null when the person is only crew
+ *           example: "Neo"
+ *         jobs:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: []
+ *     Person:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 12
+ *         tmdbId:
+ *           type: integer
+ *           example: 6384
+ *         name:
+ *           type: string
+ *           example: "Keanu Reeves"
+ *         profile:
+ *           type: string
+ *           example: "/api/artwork/5d694999eeb4b3e0811b4bd5364bc910.jpg"
+ *         knownForDepartment:
+ *           type: string
+ *           nullable: true
+ *           example: "Acting"
+ *         movies:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PersonCredit'
+ *         series:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/PersonCredit'
+ */
+
+export default router;
@@ -0,0 +1,353 @@
+import express from 'express';
+import { getSeason, getSeasons } from '../controllers/series.controller.js';
+import { editSeriesMetadata, getSeriesCandidates, matchSeriesItem } from '../controllers/match.controller.js';
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Series
+ *     description: Seasons and episodes of a series in airing order, and fixing series matches
+ */
+
+/**
+ * @swagger
+ * /api/series/{id}/seasons:
+ *   get:
+ *     summary: List the seasons of a series
+ *     description: Only seasons with at least one episode file are listed, ordered by season number (specials first).
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: The series and its seasons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 series:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       example: 1
+ *                     title:
+ *                       type: string
+ *                       example: "Attack on Titan"
+ *                     poster:
+ *                       type: string
+ *                       example: "/api/artwork/0e9d8d898e24fcae5fbcfd3c5187bace.jpg"
+ *                     backdrop:
+ *                       type: string
+ *                       example: "/api/artwork/e8448b9907ad536e9cef640f05b2d80f.jpg"
+ *                 seasons:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Season'
+ *       400:
+ *         description: Invalid lang
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Series not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/seasons', getSeasons);
+
+/**
+ * @swagger
+ * /api/series/{id}/seasons/{seasonNumber}:
+ *   get:
+ *     summary: Get a season with its episodes in airing order
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *       - in: path
+ *         name: seasonNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Season number; 0 for specials
+ *       - $ref: '#/components/parameters/Lang'
+ *     responses:
+ *       200:
+ *         description: The season and its episodes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Season'
+ *                 - type: object
+ *                   properties:
+ *                     episodes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Episode'
+ *       400:
+ *         description: Invalid season number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Series or season not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/seasons/:seasonNumber', getSeason);
+
+/**
+ * @swagger
+ * /api/series/{id}/match-candidates:
+ *   get:
+ *     summary: Get ranked TMDB candidates for a series
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *       - in: query
+ *         name: query
+ *         schema:
+ *           type: string
+ *         description: Search title; defaults to the title parsed from the series folder
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Year to rank by; defaults to the year parsed from the series folder when no query is given
+ *     responses:
+ *       200:
+ *         description: Candidates, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/MatchCandidate'
+ *       404:
+ *         description: Series not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: TMDB is temporarily unavailable or no remote metadata provider is configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/match-candidates', getSeriesCandidates);
+
+/**
+ * @swagger
+ * /api/series/{id}/match:
+ *   put:
+ *     summary: Match a series to a TMDB entry
+ *     description: >
+ *       Fetches metadata and artwork of the chosen TMDB series and re-enriches all of its episodes.
+ *       The match is locked, so new episodes in the series folder follow it.
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MatchInput'
+ *     responses:
+ *       200:
+ *         description: The updated series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 series:
+ *                   type: object
+ *                 episodes:
+ *                   type: integer
+ *                   description: Number of episodes that were re-enriched
+ *                 metadataPending:
+ *                   type: integer
+ *                   description: Episodes whose metadata could not be fetched and is retried on the next scan
+ *       400:
+ *         description: Invalid TMDB ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Series or TMDB series not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: A media scan is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       503:
+ *         description: TMDB is temporarily unavailable or no remote metadata provider is configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/match', matchSeriesItem);
+
+/**
+ * @swagger
+ * /api/series/{id}/metadata:
+ *   patch:
+ *     summary: Edit the metadata of a series
+ *     description: Edited fields are locked, like `PATCH /api/media/{id}/metadata`.
+ *     tags: [Series]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               original_name:
+ *                 type: string
+ *               overview:
+ *                 type: string
+ *               first_air_date:
+ *                 type: string
+ *               poster_path:
+ *                 type: string
+ *               backdrop_path:
+ *                 type: string
+ *               genre:
+ *                 type: string
+ *               original_language:
+ *                 type: string
+ *               vote_average:
+ *                 type: number
+ *               unlock:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The updated series
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid field or value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Series not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id/metadata', editSeriesMetadata);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Season:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *           example: 3
+ *         seriesId:
+ *           type: integer
+ *           example: 1
+ *         seasonNumber:
+ *           type: integer
+ *           description: Season number; 0 for specials
+ *           example: 1
+ *         name:
+ *           type: string
+ *           example: "Season 1"
+ *         overview:
+ *           type: string
+ *         airDate:
+ *           type: string
+ *           nullable: true
+ *           example: "2013-04-07"
+ *         poster:
+ *           type: string
+ *           example: "/api/artwork/bbc950e767082e32d49cdb6b8d348870.jpg"
+ *         tmdbEpisodeCount:
+ *           type: integer
+ *           nullable: true
+ *           description: Number of episodes TMDB lists for the season
+ *           example: 25
+ *         episodeCount:
+ *           type: integer
+ *           description: Number of distinct episodes covered by the files
+ *           example: 25
+ *         watchedEpisodeCount:
+ *           type: integer
+ *           example: 3
+ */
+
+export default router;
@@ -0,0 +1,64 @@
+import 'dotenv/config';
+import { connectDb, DB_PATH } from '../config/db.config.js';
+import { getMigrationStatus, runMigrations } from '../config/migrator.js';
+
+const USAGE = `Usage: node src/scripts/migrate.js <command>
+
+Commands:
+  status    Show the schema version and pending migrations
+  dry-run   Run pending migrations in a transaction that is rolled back
+  up        Back up the database and apply pending migrations`;
+
+/**
+ * Prints the schema version and the pending migrations.
+ */
+const printStatus = async (db) => {
+    const { currentVersion, latestVersion, applied, pending } = await getMigrationStatus(db);
+    console.log(`Database:       ${DB_PATH}`);
+    console.log(`Schema version: ${currentVersion} (latest ${latestVersion})`);
+    const pad = (version) => String(version).padStart(3, '0');
+    for (const row of applied) {
+        console.log(`  [applied] ${pad(row.version)} ${row.name} (${row.appliedAt})`);
+    }
+    for (const migration of pending) {
+        console.log(`  [pending] ${pad(migration.version)} ${migration.name}: ${migration.description}`);
+    }
+    if (!pending.length) console.log('The schema is up to date.');
+};
+
+const main = async () => {
+    const command = process.argv[2] || 'status';
+    if (!['status', 'dry-run', 'up'].includes(command)) {
+        console.error(USAGE);
+        return 1;
+    }
+    const db = await connectDb();
+    try {
+        if (command === 'status') {
+            await printStatus(db);
+            return 0;
+        }
+        const result = await runMigrations(db, { dbPath: DB_PATH, dryRun: command === 'dry-run' });
+        if (!result.applied.length) {
+            console.log(`The schema is up to date (version ${result.fromVersion}).`);
+        } else if (command === 'dry-run') {
+            console.log(`Dry run: ${result.applied.length} migration(s) would bring the schema from version `
+                + `${result.fromVersion} to ${result.toVersion}; all ran without errors and were rolled back.`);
+        } else {
+            console.log(`Migrated the schema from version ${result.fromVersion} to ${result.toVersion}.`);
+            if (result.backupPath) console.log(`Backup: ${result.backupPath}`);
+        }
+        return 0;
+    } finally {
+        await db.close();
+    }
+};
+
+main()
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((err) => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
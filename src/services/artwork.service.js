@@ -0,0 +1,213 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Jimp } from 'jimp';
+import { openDb } from '../config/db.config.js';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { getMetadataProvider } from './metadataProvider.service.js';
+
+export const ARTWORK_URL_PREFIX = '/api/artwork/';
+// Widths served for `?w=`; a requested width is rounded up to the next one.
+export const ARTWORK_WIDTHS = [92, 185, 342, 500, 780, 1280];
+// Size fetched per image type; originals are often several MB and every client size is derived locally.
+const IMAGE_SIZES = { poster: 'w780', backdrop: 'w1280', still: 'w300', profile: 'h632' };
+// Formats the resizer decodes; other artwork (e.g. WebP) is always served as stored.
+const RESIZABLE = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png' };
+const ARTWORK_NAME = /^([0-9a-f]{32})(\.[a-z]+)$/;
+const VARIANT_NAME = /^([0-9a-f]{32})(?:-w\d+)?\.[a-z]+$/;
+// Files this young are kept by the cleanup; a running scan stores images before their rows are written.
+const CLEANUP_GRACE_MS = 60 * 60 * 1000;
+
+// Every column holding an artwork URL; images no row references are removed by cleanupArtwork.
+const ARTWORK_COLUMNS = [
+    { table: 'media', column: 'poster' },
+    { table: 'series', column: 'poster_path' },
+    { table: 'series', column: 'backdrop_path' },
+    { table: 'seasons', column: 'poster_path' },
+    { table: 'people', column: 'profile_path' },
+    { table: 'collections', column: 'poster_path' },
+    { table: 'collections', column: 'backdrop_path' },
+];
+
+/** Resizes run one at a time; decoding a backdrop takes a while on a Raspberry Pi. */
+let resizeQueue = Promise.resolve();
+/** Variants being generated by file path, so parallel requests for one size share the work. */
+const pendingVariants = new Map();
+
+/**
+ * Returns the artwork folder. Read per call, as POSTER_BASE_PATH may come from `.env`.
+ * @returns {string}
+ */
+const getArtworkDir = () => path.resolve(process.env.POSTER_BASE_PATH || './data/posters', 'artwork');
+
+/**
+ * Returns the path of an image or one of its variants; images are spread over folders by the
+ * first two characters of their hash.
+ * @param {string} hash
+ * @param {string} ext - Including the dot
+ * @param {number|null} [width]
+ * @returns {string}
+ */
+const artworkPath = (hash, ext, width = null) => path.join(
+    getArtworkDir(),
+    hash.slice(0, 2),
+    `${hash}${width ? `-w${width}` : ''}${ext}`,
+);
+
+/**
+ * Stores image data under its content hash, so identical images are kept once and different
+ * titles never overwrite each other's artwork.
+ * @param {Buffer} data
+ * @param {string} ext - Including the dot, e.g. .jpg
+ * @returns {Promise<string>} The artwork URL, e.g. /api/artwork/<hash>.jpg
+ */
+const storeImage = async (data, ext) => {
+    const hash = crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+    const extension = ext === '.jpeg' ? '.jpg' : ext;
+    const target = artworkPath(hash, extension);
+    if (!fs.existsSync(target)) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true });
+        // Written next to the target and renamed, so a request never sees a partial file.
+        const temp = `${target}.${crypto.randomUUID()}.tmp`;
+        await fs.promises.writeFile(temp, data);
+        await fs.promises.rename(temp, target);
+    }
+    return `${ARTWORK_URL_PREFIX}${hash}${extension}`;
+};
+
+/**
+ * Downloads an image of the metadata provider into the artwork store.
+ * @param {string} imagePath - The image path of a provider response (e.g. /abc123.jpg)
+ * @param {string} [type='poster'] - poster, backdrop, still or profile; picks the downloaded size
+ * @returns {Promise<string>} The artwork URL, or '' on failure or when the provider has no URL for it
+ */
+export const downloadImage = async (imagePath, type = 'poster') => {
+    const url = getMetadataProvider().getImageUrl(imagePath, IMAGE_SIZES[type] || 'original');
+    if (!url) return '';
+    try {
+        const response = await axios({ url, method: 'GET', responseType: 'arraybuffer' });
+        return await storeImage(Buffer.from(response.data), path.extname(imagePath).toLowerCase() || '.jpg');
+    } catch (err) {
+        logger.warn(`Failed to download image ${imagePath}: ${err.message}`);
+        return '';
+    }
+};
+
+/**
+ * Copies local artwork (e.g. a poster.jpg next to the media) into the artwork store, so it is
+ * served like downloaded images.
+ * @param {string} sourcePath - Absolute path of the image on the media share
+ * @returns {Promise<string>} The artwork URL, or '' on failure
+ */
+export const importLocalImage = async (sourcePath) => {
+    if (!sourcePath) return '';
+    try {
+        return await storeImage(await fs.promises.readFile(sourcePath), path.extname(sourcePath).toLowerCase());
+    } catch (err) {
+        logger.warn(`Failed to import local image ${sourcePath}: ${err.message}`);
+        return '';
+    }
+};
+
+/**
+ * Writes a resized copy of an image. An image that is not wider than the requested width is
+ * copied as is, so the next request does not decode it again.
+ * @param {string} source
+ * @param {string} target
+ * @param {number} width
+ * @param {string} mime
+ * @returns {Promise<void>}
+ */
+const writeVariant = async (source, target, width, mime) => {
+    const image = await Jimp.read(source);
+    const temp = `${target}.${crypto.randomUUID()}.tmp`;
+    if (image.width > width) {
+        image.resize({ w: width });
+        await fs.promises.writeFile(temp, await image.getBuffer(mime, { quality: 85 }));
+    } else {
+        await fs.promises.copyFile(source, temp);
+    }
+    await fs.promises.rename(temp, target);
+};
+
+/**
+ * Resolves an artwork URL name to the file to send, generating the resized variant on first use.
+ * A width is rounded up to the next of ARTWORK_WIDTHS; wider requests get the stored image.
+ * @param {string} name - e.g. <hash>.jpg
+ * @param {number|null} [width]
+ * @returns {Promise<string>} Absolute file path
+ * @throws {AppError} 404 when the artwork does not exist
+ */
+export const resolveArtwork = async (name, width = null) => {
+    const match = ARTWORK_NAME.exec(name);
+    const original = match && artworkPath(match[1], match[2]);
+    if (!original || !fs.existsSync(original)) {
+        throw new AppError('Artwork not found', 404);
+    }
+    const size = width && ARTWORK_WIDTHS.find(candidate => candidate >= width);
+    const mime = RESIZABLE[match[2]];
+    if (!size || !mime) return original;
+
+    const variant = artworkPath(match[1], match[2], size);
+    if (fs.existsSync(variant)) return variant;
+    if (!pendingVariants.has(variant)) {
+        const job = resizeQueue
+            .catch(() => {})
+            .then(() => writeVariant(original, variant, size, mime))
+            .finally(() => pendingVariants.delete(variant));
+        resizeQueue = job;
+        pendingVariants.set(variant, job);
+    }
+    try {
+        await pendingVariants.get(variant);
+        return variant;
+    } catch (err) {
+        logger.warn(`Failed to resize artwork ${name} to ${size}px: ${err.message}`);
+        return original;
+    }
+};
+
+/**
+ * Deletes stored images and their variants that no catalog row references any more, e.g. the old
+ * poster of a rematched movie or the artwork of purged entries.
+ * @returns {Promise<{deleted: number, freedBytes: number}>}
+ */
+export const cleanupArtwork = async () => {
+    const db = await openDb();
+    const referenced = new Set();
+    for (const { table, column } of ARTWORK_COLUMNS) {
+        const rows = await db.all(
+            `SELECT DISTINCT ${column} AS url FROM ${table} WHERE ${column} LIKE ?`,
+            [`${ARTWORK_URL_PREFIX}%`],
+        );
+        for (const { url } of rows) {
+            referenced.add(url.slice(ARTWORK_URL_PREFIX.length).split('.')[0]);
+        }
+    }
+
+    const dir = getArtworkDir();
+    if (!fs.existsSync(dir)) return { deleted: 0, freedBytes: 0 };
+    const cutoff = Date.now() - CLEANUP_GRACE_MS;
+    let deleted = 0;
+    let freedBytes = 0;
+    for (const shard of await fs.promises.readdir(dir)) {
+        const shardDir = path.join(dir, shard);
+        if (!fs.statSync(shardDir).isDirectory()) continue;
+        for (const file of await fs.promises.readdir(shardDir)) {
+            const hash = VARIANT_NAME.exec(file)?.[1];
+            if (hash && referenced.has(hash)) continue;
+            const filePath = path.join(shardDir, file);
+            const stats = await fs.promises.stat(filePath);
+            if (stats.mtimeMs > cutoff) continue;
+            await fs.promises.unlink(filePath);
+            deleted++;
+            freedBytes += stats.size;
+        }
+    }
+    if (deleted > 0) {
+        logger.info(`Removed ${deleted} unreferenced artwork files (${Math.round(freedBytes / 1024)} KB)`);
+    }
+    return { deleted, freedBytes };
+};
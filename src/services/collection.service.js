@@ -0,0 +1,98 @@
+import { logger } from '../utils/logger.js';
+import { TmdbTransientError } from '../utils/TmdbError.js';
+import { downloadImage } from './artwork.service.js';
+import { getMetadataProvider } from './metadataProvider.service.js';
+
+/**
+ * Fetches the collection a movie belongs to.
+ * @param {object} details - A TMDB movie details response
+ * @param {string|null} [language]
+ * @returns {Promise<object|null|undefined>} The collection, null when the movie belongs to none, or
+ *   undefined when that is not known (no details, or the collection could not be fetched); the
+ *   stored collection is kept then
+ * @throws {TmdbTransientError} When TMDB is temporarily unavailable
+ */
+export const fetchCollection = async (details, language = null) => {
+    if (!details || !('belongs_to_collection' in details)) return undefined;
+    const summary = details.belongs_to_collection;
+    if (!summary?.id) return null;
+    try {
+        const collection = await getMetadataProvider().getCollection(summary.id, language);
+        return {
+            tmdbId: collection.id,
+            name: collection.name || summary.name,
+            overview: collection.overview || null,
+            posterPath: collection.poster_path || summary.poster_path || null,
+            backdropPath: collection.backdrop_path || summary.backdrop_path || null,
+            parts: (collection.parts || []).map(part => ({
+                tmdbId: part.id,
+                title: part.title,
+                releaseDate: part.release_date || null,
+                posterPath: part.poster_path || null,
+            })),
+        };
+    } catch (err) {
+        if (err instanceof TmdbTransientError) throw err;
+        logger.warn(`Failed to fetch TMDB collection ${summary.id}: ${err.message}`);
+        return undefined;
+    }
+};
+
+/**
+ * Stores a movie's collection with its parts and links the movie to it. The artwork is downloaded
+ * once per collection. Movies of one collection may be enriched in parallel, so every write is an
+ * upsert.
+ * @param {object} db
+ * @param {number} mediaId
+ * @param {object|null} collection - From fetchCollection; null unlinks the movie
+ * @returns {Promise<void>}
+ */
+export const saveCollection = async (db, mediaId, collection) => {
+    if (!collection) {
+        await db.run('UPDATE media SET collection_id = NULL WHERE id = ?', [mediaId]);
+        return;
+    }
+    const existing = await db.get(
+        'SELECT poster_path, backdrop_path FROM collections WHERE tmdb_id = ?',
+        [collection.tmdbId],
+    );
+    const poster = existing?.poster_path || await downloadImage(collection.posterPath, 'poster') || null;
+    const backdrop = existing?.backdrop_path || await downloadImage(collection.backdropPath, 'backdrop') || null;
+    await db.run(
+        `INSERT INTO collections (tmdb_id, name, overview, poster_path, backdrop_path)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (tmdb_id) DO UPDATE
+             SET name          = excluded.name,
+                 overview      = excluded.overview,
+                 poster_path   = COALESCE(excluded.poster_path, poster_path),
+                 backdrop_path = COALESCE(excluded.backdrop_path, backdrop_path)`,
+        [collection.tmdbId, collection.name, collection.overview, poster, backdrop],
+    );
+    const { id } = await db.get('SELECT id FROM collections WHERE tmdb_id = ?', [collection.tmdbId]);
+    for (const part of collection.parts) {
+        await db.run(
+            `INSERT OR REPLACE INTO collection_parts (collection_id, tmdb_id, title, release_date, tmdb_poster_path)
+             VALUES (?, ?, ?, ?, ?)`,
+            [id, part.tmdbId, part.title, part.releaseDate, part.posterPath],
+        );
+    }
+    await db.run(
+        `DELETE FROM collection_parts
+         WHERE collection_id = ?
+           AND tmdb_id NOT IN (SELECT value FROM json_each(?))`,
+        [id, JSON.stringify(collection.parts.map(part => part.tmdbId))],
+    );
+    await db.run('UPDATE media SET collection_id = ? WHERE id = ?', [id, mediaId]);
+};
+
+/**
+ * Deletes collections none of whose movies are in the catalog any more.
+ * @param {object} db
+ * @returns {Promise<void>}
+ */
+export const deleteEmptyCollections = async (db) => {
+    await db.run(
+        `DELETE FROM collections
+         WHERE NOT EXISTS (SELECT 1 FROM media WHERE media.collection_id = collections.id)`,
+    );
+};
@@ -0,0 +1,138 @@
+import { downloadImage } from './artwork.service.js';
+import { getMetadataProvider } from './metadataProvider.service.js';
+import { logger } from '../utils/logger.js';
+import { TmdbTransientError } from '../utils/TmdbError.js';
+
+// Billing order cut-off; the rest of a long cast list is rarely browsed and only costs profile downloads.
+const CAST_LIMIT = 20;
+// Crew jobs worth browsing by; TMDB lists hundreds of crew members for a big production.
+const CREW_JOBS = [
+    'Director', 'Screenplay', 'Writer', 'Story', 'Novel', 'Creator', 'Producer', 'Executive Producer',
+    'Original Music Composer', 'Director of Photography',
+];
+
+// Credit column and FTS index per catalog table.
+const TARGETS = {
+    media: { column: 'media_id', index: 'media_search' },
+    series: { column: 'series_id', index: 'series_search' },
+};
+
+/** Running credit saves by `<table>:<id>`; episodes of one series are enriched in parallel. */
+const pendingSaves = new Map();
+
+/**
+ * Converts a movie credits or series aggregate credits response into flat credits.
+ * Aggregate credits list every role and job a person had over all seasons.
+ * @param {object} response
+ * @returns {object[]}
+ */
+const toCredits = (response) => {
+    const person = (entry) => ({
+        tmdbId: entry.id,
+        name: entry.name,
+        profilePath: entry.profile_path || null,
+        knownForDepartment: entry.known_for_department || null,
+    });
+    const cast = (response.cast || [])
+        .slice()
+        .sort((a, b) => (a.order ?? Infinity) - (b.order ?? Infinity))
+        .slice(0, CAST_LIMIT)
+        .map((entry, index) => ({
+            ...person(entry),
+            creditType: 'cast',
+            character: entry.character
+                || (entry.roles || []).map(role => role.character).filter(Boolean).join(' / ')
+                || null,
+            sortOrder: index,
+        }));
+    const crew = (response.crew || []).flatMap(entry => {
+        const jobs = new Set(entry.jobs ? entry.jobs.map(job => job.job) : [entry.job]);
+        return [...jobs].filter(job => CREW_JOBS.includes(job)).map(job => ({
+            ...person(entry),
+            creditType: 'crew',
+            job,
+            department: entry.department || null,
+            sortOrder: CREW_JOBS.indexOf(job),
+        }));
+    });
+    return [...cast, ...crew].filter(credit => credit.tmdbId && credit.name);
+};
+
+/**
+ * Fetches the cast and crew of a movie or series from TMDB.
+ * @param {string} type - movie or tv
+ * @param {number} tmdbId
+ * @param {string|null} [language]
+ * @returns {Promise<object[]|null>} null when the credits could not be fetched; existing credits are kept then
+ * @throws {TmdbTransientError} When TMDB is temporarily unavailable
+ */
+export const fetchCredits = async (type, tmdbId, language = null) => {
+    try {
+        return toCredits(await getMetadataProvider().getCredits(type, tmdbId, language));
+    } catch (err) {
+        if (err instanceof TmdbTransientError) throw err;
+        logger.warn(`Failed to fetch TMDB credits for ${type} ${tmdbId}: ${err.message}`);
+        return null;
+    }
+};
+
+/**
+ * Replaces the credits of a movie or series and indexes the names for search.
+ * @param {object} db
+ * @param {string} table - media or series
+ * @param {number} id
+ * @param {object[]} credits - From fetchCredits
+ * @returns {Promise<void>}
+ */
+const replaceCredits = async (db, table, id, credits) => {
+    const target = TARGETS[table];
+    await db.run(`DELETE FROM credits WHERE ${target.column} = ?`, [id]);
+    for (const credit of credits) {
+        await db.run(
+            `INSERT INTO people (tmdb_id, name, known_for_department)
+             VALUES (?, ?, ?)
+             ON CONFLICT (tmdb_id) DO UPDATE SET name                 = excluded.name,
+                                                 known_for_department = COALESCE(excluded.known_for_department,
+                                                                                 known_for_department)`,
+            [credit.tmdbId, credit.name, credit.knownForDepartment],
+        );
+        const person = await db.get('SELECT id, profile_path FROM people WHERE tmdb_id = ?', [credit.tmdbId]);
+        if (!person.profile_path && credit.profilePath) {
+            const profile = await downloadImage(credit.profilePath, 'profile');
+            if (profile) {
+                await db.run('UPDATE people SET profile_path = ? WHERE id = ?', [profile, person.id]);
+            }
+        }
+        await db.run(
+            `INSERT INTO credits (person_id, ${target.column}, credit_type, character, job, department, sort_order)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [person.id, id, credit.creditType, credit.character ?? null, credit.job ?? null,
+                credit.department ?? null, credit.sortOrder],
+        );
+    }
+    const names = [...new Set(credits.map(credit => credit.name))].join(' ');
+    await db.run(`UPDATE ${target.index} SET people = ? WHERE rowid = ?`, [names || null, id]);
+};
+
+/**
+ * Replaces the credits of a movie or series and indexes the names for search. Saves for the same
+ * title run one after the other, so parallel episodes of a series do not mix their writes.
+ * People are shared between titles; a profile image is downloaded once per person.
+ * @param {object} db
+ * @param {string} table - media or series
+ * @param {number} id
+ * @param {object[]} credits - From fetchCredits
+ * @returns {Promise<void>}
+ */
+export const saveCredits = (db, table, id, credits) => {
+    const key = `${table}:${id}`;
+    const save = (pendingSaves.get(key) || Promise.resolve())
+        .catch(() => {})
+        .then(() => replaceCredits(db, table, id, credits));
+    const cleanup = () => {
+        if (pendingSaves.get(key) === save) pendingSaves.delete(key);
+    };
+    pendingSaves.set(key, save);
+    save.then(cleanup, cleanup);
+    return save;
+};
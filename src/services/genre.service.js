@@ -0,0 +1,132 @@
+import { logger } from '../utils/logger.js';
+import { TmdbTransientError } from '../utils/TmdbError.js';
+import { DEFAULT_LANGUAGE } from '../utils/tmdbApi.js';
+import { getMetadataProvider } from './metadataProvider.service.js';
+
+// Join table and its row column per catalog table.
+const JOIN_TABLES = {
+    media: { table: 'media_genres', column: 'media_id' },
+    series: { table: 'series_genres', column: 'series_id' },
+};
+
+/** TMDB genre lists by `<type>:<language>`, as promises of a genre ID to name map. */
+const genreLists = new Map();
+
+/**
+ * Loads TMDB's genre list for a content type and language once per process.
+ * A failed request is not remembered, so the next lookup tries again.
+ * @param {string} type - movie or tv
+ * @param {string|null} language
+ * @returns {Promise<Map<number, string>>}
+ * @throws {TmdbTransientError} When TMDB is temporarily unavailable
+ */
+const loadGenreNames = (type, language) => {
+    const key = `${type}:${language || ''}`;
+    if (!genreLists.has(key)) {
+        const request = getMetadataProvider().getGenreList(type, language)
+            .then(genres => new Map(genres.map(genre => [genre.id, genre.name])))
+            .catch(err => {
+                genreLists.delete(key);
+                if (err instanceof TmdbTransientError) throw err;
+                logger.warn(`Failed to fetch TMDB ${type} genres: ${err.message}`);
+                return new Map();
+            });
+        genreLists.set(key, request);
+    }
+    return genreLists.get(key);
+};
+
+/**
+ * Splits a comma-separated genre string into distinct names.
+ * @param {string|null} genre
+ * @returns {string[]}
+ */
+export const parseGenres = (genre) => [...new Set((genre || '').split(',').map(name => name.trim()).filter(Boolean))];
+
+/**
+ * Returns the genres of a TMDB result as `{ id, name }`. Detail responses carry `genres` with names;
+ * search results only carry `genre_ids`, which are named from TMDB's genre list in the given language.
+ * NFO genres have a name only.
+ * @param {object|null} result
+ * @param {string} type - movie or tv
+ * @param {string|null} [language] - TMDB language, e.g. the library's; the default language when omitted
+ * @returns {Promise<{id: number|null, name: string}[]>}
+ * @throws {TmdbTransientError} When the genre list cannot be fetched right now
+ */
+export const resolveGenres = async (result, type, language = null) => {
+    if (Array.isArray(result?.genres)) {
+        const genres = result.genres
+            .filter(genre => genre.name)
+            .map(genre => [genre.name, { id: genre.id ?? null, name: genre.name }]);
+        return [...new Map(genres).values()];
+    }
+    if (!result?.genre_ids?.length) return [];
+    const names = await loadGenreNames(type, language);
+    return result.genre_ids.filter(id => names.has(id)).map(id => ({ id, name: names.get(id) }));
+};
+
+/**
+ * Formats genres for the comma-separated `genre` column.
+ * @param {{name: string}[]} genres
+ * @returns {string}
+ */
+export const formatGenres = (genres) => genres.map(genre => genre.name).join(', ');
+
+/**
+ * Finds or creates the genre for a name. A TMDB genre is keyed by its ID and the name is stored as
+ * its translation; a local genre left by an older scan under the same name becomes that genre.
+ * Other names are looked up among the translations, preferring the language, and otherwise kept
+ * as a local genre.
+ * @param {object} db
+ * @param {string} name
+ * @param {number|null} tmdbId
+ * @param {string} language
+ * @returns {Promise<number>} The genre ID
+ */
+const resolveGenreId = async (db, name, tmdbId, language) => {
+    if (tmdbId) {
+        let genre = await db.get('SELECT id FROM genres WHERE tmdb_id = ?', [tmdbId]);
+        if (!genre) {
+            await db.run('UPDATE OR IGNORE genres SET tmdb_id = ? WHERE tmdb_id IS NULL AND name = ?', [tmdbId, name]);
+            await db.run('INSERT OR IGNORE INTO genres (tmdb_id, name) VALUES (?, ?)', [tmdbId, name]);
+            genre = await db.get('SELECT id FROM genres WHERE tmdb_id = ?', [tmdbId]);
+        }
+        await db.run(
+            `INSERT INTO genre_translations (genre_id, language, name)
+             VALUES (?, ?, ?)
+             ON CONFLICT (genre_id, language) DO UPDATE SET name = excluded.name`,
+            [genre.id, language, name],
+        );
+        return genre.id;
+    }
+    const known = await db.get(
+        'SELECT genre_id as id FROM genre_translations WHERE name = ? ORDER BY language = ? DESC LIMIT 1',
+        [name, language],
+    );
+    if (known) return known.id;
+    await db.run('INSERT OR IGNORE INTO genres (name) VALUES (?)', [name]);
+    return (await db.get('SELECT id FROM genres WHERE tmdb_id IS NULL AND name = ?', [name])).id;
+};
+
+/**
+ * Links a media or series row to the genres in its `genre` column, creating missing genres.
+ * Called after every write of the column so filters and counts match what is displayed.
+ * @param {object} db
+ * @param {string} table - media or series
+ * @param {number} id
+ * @param {object} [options]
+ * @param {{id: number|null, name: string}[]} [options.genres] - The genres the column was written from
+ *   (see resolveGenres); names with a TMDB ID are linked to that genre
+ * @param {string|null} [options.language] - Language of the names, e.g. the library's
+ * @returns {Promise<void>}
+ */
+export const syncGenres = async (db, table, id, { genres = [], language = null } = {}) => {
+    const join = JOIN_TABLES[table];
+    const row = await db.get(`SELECT genre FROM ${table} WHERE id = ?`, [id]);
+    await db.run(`DELETE FROM ${join.table} WHERE ${join.column} = ?`, [id]);
+    for (const name of parseGenres(row?.genre)) {
+        const tmdbGenre = genres.find(genre => genre.id && genre.name.toLowerCase() === name.toLowerCase());
+        const genreId = await resolveGenreId(db, name, tmdbGenre?.id ?? null, language || DEFAULT_LANGUAGE);
+        await db.run(`INSERT OR IGNORE INTO ${join.table} (${join.column}, genre_id) VALUES (?, ?)`, [id, genreId]);
+    }
+};
@@ -0,0 +1,453 @@
+import { spawn } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { readIntEnv } from '../utils/env.js';
+import { fileVersion } from '../utils/fingerprint.js';
+import { HLS_LADDER, HLS_QUALITY_NAMES, ORIGINAL, planSegments, planVariants } from '../utils/hls.js';
+import { probeKeyframes, probeMediaInfo } from './mediaInfo.service.js';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const HLS_CACHE_PATH = path.resolve(process.env.HLS_CACHE_PATH || './data/hls');
+const HLS_CACHE_MAX_BYTES = readIntEnv('HLS_CACHE_MAX_MB', 5120) * 1024 * 1024;
+const HLS_SEGMENT_SECONDS = readIntEnv('HLS_SEGMENT_SECONDS', 6, 1);
+// Sessions without segment requests for this long are stopped, e.g. after the player was closed.
+const HLS_IDLE_TIMEOUT_MS = readIntEnv('HLS_IDLE_TIMEOUT_MS', 120000, 1);
+const HLS_MAX_SESSIONS = readIntEnv('HLS_MAX_SESSIONS', 2, 1);
+// How long a request waits for ffmpeg to write its segment.
+const HLS_SEGMENT_TIMEOUT_MS = readIntEnv('HLS_SEGMENT_TIMEOUT_MS', 60000, 1);
+// Ladder rungs offered by default, besides the original.
+const HLS_QUALITIES = (process.env.HLS_QUALITIES || '1080p,720p,480p')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(name => HLS_LADDER.some(rung => rung.name === name));
+// A request this many segments past what the session has made starts a new one there (a seek).
+const SEEK_THRESHOLD_SEGMENTS = 3;
+// ffprobe prints keyframe times rounded to microseconds; cuts and seeks allow for this much.
+const KEYFRAME_SLACK_SECONDS = 0.001;
+// ffmpeg lists each segment here once it is complete.
+const SEGMENT_LIST = 'segments.csv';
+const POLL_INTERVAL_MS = 250;
+const SWEEP_INTERVAL_MS = 30000;
+
+/**
+ * A running ffmpeg process writing the segments of one rendition, from `start` on.
+ * @typedef {object} HlsSession
+ * @property {string} key
+ * @property {string} dir
+ * @property {import('child_process').ChildProcess} process
+ * @property {number} start - First segment it writes
+ * @property {number} position - Segments before this one are on disk
+ * @property {number} lastAccess
+ * @property {boolean} exited
+ * @property {AppError|null} error
+ */
+
+/** @type {Map<string, HlsSession>} Sessions by media ID and rendition */
+const sessions = new Map();
+/** Keyframe probes by file, while they run and when they failed, so a file is not read again per request. */
+const keyframeProbes = new Map();
+let sweepTimer = null;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Checks that the file of a media row is on disk and completes its technical info. A missing
+ * duration is probed now, as the playlists need it.
+ * @param {object} media
+ * @returns {Promise<object>} The media row with a duration
+ * @throws {AppError} 404 when the file is gone, 422 when its duration cannot be read
+ */
+const withDuration = async (media) => {
+    try {
+        await fs.promises.access(media.filepath, fs.constants.R_OK);
+    } catch {
+        throw new AppError('Media file not found', 404);
+    }
+    if (media.duration) return media;
+    const info = await probeMediaInfo(media.filepath);
+    if (!info.duration) throw new AppError('The duration of the media file is unknown', 422);
+    return { ...media, ...info };
+};
+
+/**
+ * Picks the audio track a stream plays.
+ * @param {object} media - A media row
+ * @param {number|null} audioIndex - Stream index of the requested track; the default track when null
+ * @returns {object|null} The track from audio_tracks; null for files without (known) audio tracks
+ * @throws {AppError} 404 when the file has no such audio track
+ */
+const pickAudioTrack = (media, audioIndex) => {
+    const audioTracks = JSON.parse(media.audio_tracks || '[]');
+    if (audioIndex === null) return audioTracks.find(track => track.default) ?? audioTracks[0] ?? null;
+    const track = audioTracks.find(entry => entry.index === audioIndex);
+    if (!track) throw new AppError(`Audio track ${audioIndex} not found`, 404);
+    return track;
+};
+
+/**
+ * Returns the renditions offered for a media file. Each variant carries the audio track it plays
+ * as `audio`; whether that track is copied depends on its codec.
+ * @param {object} media - A media row
+ * @param {string[]|null} [qualities] - Quality names to offer; the original and HLS_QUALITIES when null
+ * @param {number|null} [audioIndex] - Stream index of the audio track; the default track when null
+ * @returns {Promise<{media: object, variants: object[]}>}
+ * @throws {AppError} 404 when the file or the audio track is gone, 422 when its duration cannot be read
+ */
+export const getHlsVariants = async (media, qualities = null, audioIndex = null) => {
+    const source = await withDuration(media);
+    const audio = pickAudioTrack(source, audioIndex);
+    const variants = planVariants({ ...source, audio_codec: audio ? audio.codec : source.audio_codec },
+        qualities ?? [ORIGINAL, ...HLS_QUALITIES]);
+    return { media: source, variants: variants.map(variant => ({ ...variant, audio })) };
+};
+
+/**
+ * Finds a rendition of a media file by name; any quality not above the source may be requested.
+ * @returns {Promise<{media: object, variant: object}>}
+ * @throws {AppError} 404 for a quality the file is not offered in, or an unknown audio track
+ */
+export const getHlsVariant = async (media, name, audioIndex = null) => {
+    const { media: source, variants } = await getHlsVariants(media, HLS_QUALITY_NAMES, audioIndex);
+    const variant = variants.find(entry => entry.name === name);
+    if (!variant) throw new AppError(`Quality ${name} is not available for this media`, 404);
+    return { media: source, variant };
+};
+
+/**
+ * Name of a rendition with its audio track, e.g. 720p-a2; sessions and cache directories are kept per name.
+ */
+const variantKey = (variant) => (variant.audio ? `${variant.name}-a${variant.audio.index}` : variant.name);
+
+/**
+ * Cache directory of a media file. It names the file version, so segments of a replaced file are
+ * never served.
+ */
+const mediaDir = (media) => path.join(HLS_CACHE_PATH, `${media.id}-${fileVersion(media)}`);
+
+/** Cache directory of a rendition. */
+const variantDir = (media, variant) => path.join(mediaDir(media), variantKey(variant));
+
+const segmentName = (index) => `${index}.ts`;
+
+const segmentPath = (dir, index) => path.join(dir, segmentName(index));
+
+/** Formats seconds for ffmpeg, to the microsecond. */
+const formatSeconds = (seconds) => String(Number(seconds.toFixed(6)));
+
+/**
+ * Returns the keyframe times of a media file. They are probed once per file version and kept in
+ * its cache directory; a failed probe is not repeated until a restart.
+ * @param {object} media
+ * @returns {Promise<number[]|null>} null when they cannot be read
+ */
+const loadKeyframes = async (media) => {
+    const file = path.join(mediaDir(media), 'keyframes.json');
+    if (!keyframeProbes.has(file)) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch {
+            // Not probed yet, or evicted from the cache.
+        }
+    }
+    if (!keyframeProbes.has(file)) {
+        keyframeProbes.set(file, probeKeyframes(media.filepath).then(async (keyframes) => {
+            if (!keyframes) return null;
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(keyframes));
+                await fs.promises.rename(`${file}.tmp`, file);
+                keyframeProbes.delete(file);
+            } catch (err) {
+                logger.warn(`Failed to cache the keyframes of media id=${media.id}: ${err.message}`);
+            }
+            return keyframes;
+        }));
+    }
+    return keyframeProbes.get(file);
+};
+
+/**
+ * Plans the segments of a rendition (see planSegments). Remuxed segments start on the source's
+ * keyframes, so the playlist lists their real durations; when the keyframes cannot be read, the
+ * grid is used and remuxed segments may run longer than listed.
+ * @param {object} media - From getHlsVariant
+ * @param {object} variant
+ * @returns {Promise<number[]>} Start time of each segment in seconds
+ */
+export const getSegmentStarts = async (media, variant) => {
+    const keyframes = variant.copyVideo ? await loadKeyframes(media) : null;
+    return planSegments(media.duration, HLS_SEGMENT_SECONDS, keyframes);
+};
+
+/**
+ * Scale filter fitting a frame of unknown size into a rendition, without upscaling it.
+ */
+const fitFilter = (variant) => `scale=w='min(iw,${variant.maxWidth})':h='min(ih,${variant.maxHeight})'`
+    + ':force_original_aspect_ratio=decrease:force_divisible_by=2';
+
+/**
+ * Builds the ffmpeg arguments writing the segments of a rendition from a segment on. Input seeking
+ * starts at the segment's time, and the output timestamps are shifted back to it, so segments of
+ * sessions started at different positions fit together. A remux seeks just past the keyframe its
+ * segment starts on, which ffmpeg then starts copying from. The segment muxer cuts at the planned
+ * start times, so the segments match the playlist whichever segment a session started at.
+ * @param {object} media
+ * @param {object} variant
+ * @param {string} dir
+ * @param {number[]} starts - Start time of each segment, from getSegmentStarts
+ * @param {number} start - First segment to write
+ * @returns {string[]}
+ */
+const ffmpegArgs = (media, variant, dir, starts, start) => {
+    const offset = starts[start] > 0 ? starts[start] + (variant.copyVideo ? KEYFRAME_SLACK_SECONDS : 0) : 0;
+    // Without split times the muxer cuts every two seconds, so the last segment gets one past the end.
+    const splits = start + 1 < starts.length ? starts.slice(start + 1) : [media.duration + HLS_SEGMENT_SECONDS];
+    const { audio } = variant;
+    const args = ['-hide_banner', '-loglevel', 'error', '-nostdin', '-y'];
+    if (offset > 0) args.push('-ss', formatSeconds(offset));
+    args.push('-i', media.filepath, '-map', '0:v:0', '-map', audio ? `0:${audio.index}` : '0:a:0?', '-sn', '-dn');
+    if (variant.copyVideo) {
+        args.push('-c:v', 'copy');
+    } else {
+        args.push(
+            '-c:v', 'libx264', '-preset', 'veryfast', '-profile:v', 'high', '-pix_fmt', 'yuv420p',
+            '-vf', variant.width ? `scale=${variant.width}:${variant.height}` : fitFilter(variant),
+            '-b:v', `${variant.videoBitrate}k`,
+            '-maxrate', `${Math.round(variant.videoBitrate * 1.5)}k`,
+            '-bufsize', `${variant.videoBitrate * 2}k`,
+            // Keyframes on the segment boundaries, so every segment starts where the playlist says.
+            '-force_key_frames', `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+        );
+    }
+    if (variant.copyAudio) args.push('-c:a', 'copy');
+    else args.push('-c:a', 'aac', '-ac', '2', '-b:a', `${variant.audioBitrate}k`);
+    args.push(
+        '-output_ts_offset', formatSeconds(offset),
+        '-f', 'segment',
+        '-segment_format', 'mpegts',
+        '-segment_times', splits.map(formatSeconds).join(','),
+        '-segment_time_delta', String(KEYFRAME_SLACK_SECONDS),
+        '-segment_start_number', String(start),
+        '-segment_list', path.join(dir, SEGMENT_LIST),
+        '-segment_list_type', 'csv',
+        // Written as .part and renamed once listed (see collectSegments), so a segment on disk is complete.
+        path.join(dir, '%d.part'),
+    );
+    return args;
+};
+
+/**
+ * Renames the segments ffmpeg listed as complete to their .ts name.
+ * @param {string} dir
+ * @returns {Promise<void>}
+ */
+const collectSegments = async (dir) => {
+    let list;
+    let files;
+    try {
+        [list, files] = await Promise.all([
+            fs.promises.readFile(path.join(dir, SEGMENT_LIST), 'utf8'),
+            fs.promises.readdir(dir),
+        ]);
+    } catch {
+        return;
+    }
+    const parts = new Set(files.filter(file => file.endsWith('.part')));
+    for (const line of list.split('\n')) {
+        const match = /^(\d+)\.part,/.exec(line);
+        if (!match || !parts.has(`${match[1]}.part`)) continue;
+        await fs.promises.rename(path.join(dir, `${match[1]}.part`), segmentPath(dir, Number(match[1])))
+            .catch((err) => {
+                // Collected by a parallel request in the meantime.
+                if (err.code !== 'ENOENT') throw err;
+            });
+    }
+};
+
+/** Marks a cache directory as used, for the least-recently-used eviction. */
+const touch = (dir) => {
+    const now = new Date();
+    fs.utimes(dir, now, now, () => {});
+};
+
+const directorySize = async (dir) => {
+    let size = 0;
+    for (const entry of await fs.promises.readdir(dir, { withFileTypes: true })) {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) size += await directorySize(entryPath);
+        else size += (await fs.promises.stat(entryPath).catch(() => ({ size: 0 }))).size;
+    }
+    return size;
+};
+
+/**
+ * Deletes the least recently used media directories of the segment cache until it fits
+ * HLS_CACHE_MAX_MB. Directories of running sessions are kept.
+ */
+const evictCache = async () => {
+    const entries = await fs.promises.readdir(HLS_CACHE_PATH, { withFileTypes: true }).catch(() => []);
+    const active = new Set([...sessions.values()].map(session => path.dirname(session.dir)));
+    const dirs = [];
+    let total = 0;
+    for (const entry of entries.filter(item => item.isDirectory())) {
+        const dir = path.join(HLS_CACHE_PATH, entry.name);
+        const [size, stat] = await Promise.all([directorySize(dir), fs.promises.stat(dir)]);
+        dirs.push({ dir, size, mtime: stat.mtimeMs });
+        total += size;
+    }
+    for (const { dir, size } of dirs.sort((a, b) => a.mtime - b.mtime)) {
+        if (total <= HLS_CACHE_MAX_BYTES) break;
+        if (active.has(dir)) continue;
+        await fs.promises.rm(dir, { recursive: true, force: true });
+        total -= size;
+        logger.info(`Removed ${path.basename(dir)} from the HLS cache (${Math.round(size / 1024 / 1024)} MB)`);
+    }
+};
+
+const stopSession = (session) => {
+    if (sessions.get(session.key) === session) sessions.delete(session.key);
+    if (!session.exited) session.process.kill('SIGKILL');
+};
+
+/**
+ * Starts ffmpeg for a rendition at a segment, replacing a session of the same rendition. Beyond
+ * HLS_MAX_SESSIONS, the least recently used session is stopped.
+ * @returns {HlsSession}
+ */
+const startSession = (key, media, variant, dir, starts, start) => {
+    const previous = sessions.get(key);
+    if (previous) stopSession(previous);
+    while (sessions.size >= HLS_MAX_SESSIONS) {
+        const [oldest] = [...sessions.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+        logger.info(`Stopping HLS session ${oldest.key} for ${key}`);
+        stopSession(oldest);
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    // Entries left by the previous session are collected already.
+    fs.rmSync(path.join(dir, SEGMENT_LIST), { force: true });
+    const child = spawn(FFMPEG_PATH, ffmpegArgs(media, variant, dir, starts, start), {
+        stdio: ['ignore', 'ignore', 'pipe'],
+    });
+    /** @type {HlsSession} */
+    const session = {
+        key, dir, process: child, start, position: start, lastAccess: Date.now(), exited: false, error: null,
+    };
+    let stderr = '';
+    child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+    });
+    child.on('error', (err) => {
+        session.exited = true;
+        session.error = err.code === 'ENOENT'
+            ? new AppError(`${FFMPEG_PATH} not found, HLS streaming needs ffmpeg`, 503)
+            : new AppError('Error starting ffmpeg', 500);
+        logger.error(`Failed to start ffmpeg: ${err.message}`);
+    });
+    child.on('exit', (code, signal) => {
+        // The last segments are collected before the session counts as exited, so waiting requests find them.
+        collectSegments(dir)
+            .catch(err => logger.warn(`Failed to collect the HLS segments of ${key}: ${err.message}`))
+            .finally(() => {
+                session.exited = true;
+                if (code !== 0 && !signal && !session.error) {
+                    session.error = new AppError('Error transcoding media', 500);
+                    logger.error(`ffmpeg exited with code ${code} for ${key}: ${stderr.trim()}`);
+                }
+                if (sessions.get(key) === session) sessions.delete(key);
+                evictCache().catch(err => logger.warn(`Failed to clean up the HLS cache: ${err.message}`));
+            });
+    });
+    sessions.set(key, session);
+    startSweeper();
+    logger.info(`Started HLS session ${key} at segment ${start} (${variant.copyVideo ? 'remux' : 'transcode'})`);
+    return session;
+};
+
+/**
+ * Advances a session's position over the segments it wrote so far.
+ * @param {HlsSession} session
+ * @returns {Promise<void>}
+ */
+const updatePosition = async (session) => {
+    await collectSegments(session.dir);
+    const files = new Set(await fs.promises.readdir(session.dir).catch(() => []));
+    while (files.has(segmentName(session.position))) session.position++;
+};
+
+/**
+ * Returns the path of a segment, making it when it is not cached: a session already working
+ * towards it is waited for; otherwise (nothing running, or a seek) a session starts at the segment.
+ * @param {object} media - From getHlsVariant
+ * @param {object} variant
+ * @param {number} index
+ * @returns {Promise<string>}
+ * @throws {AppError} 404 for a segment past the end, 503 without ffmpeg or when the segment takes
+ *   too long, 500 when ffmpeg failed
+ */
+export const getHlsSegment = async (media, variant, index) => {
+    if (!Number.isInteger(index) || index < 0) throw new AppError('Segment not found', 404);
+    const starts = await getSegmentStarts(media, variant);
+    if (index >= starts.length) throw new AppError('Segment not found', 404);
+    const key = `${media.id}/${variantKey(variant)}`;
+    const dir = variantDir(media, variant);
+    const file = segmentPath(dir, index);
+    let session = sessions.get(key);
+    if (session) {
+        session.lastAccess = Date.now();
+        await updatePosition(session);
+    }
+    if (fs.existsSync(file)) {
+        touch(path.dirname(dir));
+        return file;
+    }
+    if (!session || session.exited || index < session.start || index > session.position + SEEK_THRESHOLD_SEGMENTS) {
+        session = startSession(key, media, variant, dir, starts, index);
+    }
+
+    const deadline = Date.now() + HLS_SEGMENT_TIMEOUT_MS;
+    while (!fs.existsSync(file)) {
+        if (session.error) throw session.error;
+        if (session.exited || sessions.get(key) !== session) {
+            // Finished without the segment (its last ones are collected on exit), or replaced by a seek elsewhere.
+            throw new AppError('Segment is not available', 503);
+        }
+        if (Date.now() > deadline) throw new AppError('Timed out waiting for the segment', 503);
+        await sleep(POLL_INTERVAL_MS);
+        await updatePosition(session);
+    }
+    session.lastAccess = Date.now();
+    touch(path.dirname(dir));
+    return file;
+};
+
+/**
+ * Stops sessions that have not been used for HLS_IDLE_TIMEOUT_MS and trims the cache.
+ */
+const sweep = async () => {
+    const idleSince = Date.now() - HLS_IDLE_TIMEOUT_MS;
+    for (const session of [...sessions.values()].filter(entry => entry.lastAccess < idleSince)) {
+        logger.info(`Stopping idle HLS session ${session.key}`);
+        stopSession(session);
+    }
+    await evictCache();
+};
+
+const startSweeper = () => {
+    if (sweepTimer) return;
+    sweepTimer = setInterval(() => {
+        sweep().catch(err => logger.warn(`Failed to clean up HLS sessions: ${err.message}`));
+    }, SWEEP_INTERVAL_MS);
+    // Does not keep the process alive on its own.
+    sweepTimer.unref();
+};
+
+/**
+ * Stops all ffmpeg processes, e.g. on shutdown.
+ */
+export const stopHlsSessions = () => {
+    for (const session of [...sessions.values()]) stopSession(session);
+    clearInterval(sweepTimer);
+    sweepTimer = null;
+};
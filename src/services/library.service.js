@@ -0,0 +1,237 @@
+import path from 'path';
+import { openDb } from '../config/db.config.js';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { LANGUAGE_PATTERN } from '../utils/language.js';
+
+const MEDIA_BASE_PATH = process.env.MEDIA_BASE_PATH || '/mnt/nas/Homeflix';
+const MOVIES_DIR = process.env.MOVIES_DIR || 'Movies';
+const SERIES_DIR = process.env.SERIES_DIR || 'Series';
+const MEDIA_EXTENSIONS = (process.env.MEDIA_EXTENSIONS || '.mp4,.mkv,.avi,.mov')
+    .split(',')
+    .map(ext => ext.trim().toLowerCase());
+
+/** Content types a library can hold; they match the `mediaType` stored on media rows. */
+export const LIBRARY_TYPES = ['movie', 'tv'];
+
+/**
+ * Converts a libraries row into the API representation.
+ * @param {object} row
+ * @returns {object}
+ */
+const toLibrary = (row) => ({
+    id: row.id,
+    name: row.name,
+    type: row.type,
+    paths: JSON.parse(row.paths || '[]'),
+    language: row.language || null,
+    imageLanguage: row.image_language || null,
+    extensions: row.extensions ? JSON.parse(row.extensions) : MEDIA_EXTENSIONS,
+    createdAt: row.created_at,
+});
+
+/**
+ * Validates and normalizes library input for create and update.
+ * @param {object} input - Request body
+ * @param {object} [current] - The library being updated; missing fields fall back to it
+ * @returns {object}
+ * @throws {AppError} 400 on invalid input
+ */
+const normalizeLibraryInput = (input = {}, current = {}) => {
+    const name = input.name ?? current.name;
+    const type = input.type ?? current.type;
+    const paths = input.paths ?? current.paths;
+    const language = input.language !== undefined ? input.language : (current.language ?? null);
+    const imageLanguage = input.imageLanguage !== undefined ? input.imageLanguage : (current.imageLanguage ?? null);
+    const extensions = input.extensions ?? current.extensions ?? MEDIA_EXTENSIONS;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new AppError('Library name is required', 400);
+    }
+    if (!LIBRARY_TYPES.includes(type)) {
+        throw new AppError(`Library type must be one of: ${LIBRARY_TYPES.join(', ')}`, 400);
+    }
+    if (!Array.isArray(paths) || paths.length === 0
+        || !paths.every(p => typeof p === 'string' && path.isAbsolute(p))) {
+        throw new AppError('Library paths must be a non-empty array of absolute paths', 400);
+    }
+    if (language !== null && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+        throw new AppError('Library language must look like "en" or "en-US"', 400);
+    }
+    if (imageLanguage !== null && (typeof imageLanguage !== 'string' || !LANGUAGE_PATTERN.test(imageLanguage))) {
+        throw new AppError('Library imageLanguage must look like "en" or "en-US"', 400);
+    }
+    if (!Array.isArray(extensions) || extensions.length === 0
+        || !extensions.every(ext => typeof ext === 'string' && /^\.[a-z0-9]+$/i.test(ext))) {
+        throw new AppError('Library extensions must be a non-empty array like [".mkv", ".mp4"]', 400);
+    }
+
+    return {
+        name: name.trim(),
+        type,
+        paths: paths.map(p => path.resolve(p)),
+        language,
+        imageLanguage,
+        extensions: extensions.map(ext => ext.toLowerCase()),
+    };
+};
+
+/**
+ * Returns all libraries ordered by name.
+ * @returns {Promise<object[]>}
+ */
+export const listLibraries = async () => {
+    const db = await openDb();
+    const rows = await db.all('SELECT * FROM libraries ORDER BY name');
+    return rows.map(toLibrary);
+};
+
+/**
+ * Returns a library by ID.
+ * @param {number|string} id
+ * @returns {Promise<object|null>}
+ */
+export const getLibrary = async (id) => {
+    const db = await openDb();
+    const row = await db.get('SELECT * FROM libraries WHERE id = ?', [id]);
+    return row ? toLibrary(row) : null;
+};
+
+/**
+ * Creates a library.
+ * @param {object} input
+ * @returns {Promise<object>}
+ */
+export const createLibrary = async (input) => {
+    const library = normalizeLibraryInput(input);
+    const db = await openDb();
+    const existing = await db.get('SELECT id FROM libraries WHERE name = ?', [library.name]);
+    if (existing) {
+        throw new AppError(`A library named "${library.name}" already exists`, 409);
+    }
+    const result = await db.run(
+        `INSERT INTO libraries (name, type, paths, language, image_language, extensions)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [library.name, library.type, JSON.stringify(library.paths), library.language, library.imageLanguage,
+            JSON.stringify(library.extensions)],
+    );
+    return getLibrary(result.lastID);
+};
+
+/**
+ * Updates a library. Omitted fields keep their current value.
+ * @param {number|string} id
+ * @param {object} input
+ * @returns {Promise<object|null>} The updated library, or null when it does not exist
+ */
+export const updateLibrary = async (id, input) => {
+    const current = await getLibrary(id);
+    if (!current) return null;
+    const library = normalizeLibraryInput(input, current);
+    const db = await openDb();
+    const duplicate = await db.get('SELECT id FROM libraries WHERE name = ? AND id != ?', [library.name, id]);
+    if (duplicate) {
+        throw new AppError(`A library named "${library.name}" already exists`, 409);
+    }
+    await db.run(
+        `UPDATE libraries
+         SET name = ?, type = ?, paths = ?, language = ?, image_language = ?, extensions = ?
+         WHERE id = ?`,
+        [library.name, library.type, JSON.stringify(library.paths), library.language, library.imageLanguage,
+            JSON.stringify(library.extensions), id],
+    );
+    return getLibrary(id);
+};
+
+/**
+ * Deletes a library together with its media and series entries. Files on disk are not touched.
+ * @param {number|string} id
+ * @returns {Promise<boolean>} False when the library does not exist
+ */
+export const deleteLibrary = async (id) => {
+    const db = await openDb();
+    const result = await db.run('DELETE FROM libraries WHERE id = ?', [id]);
+    if (!result.changes) return false;
+    await db.run('DELETE FROM media WHERE library_id = ?', [id]);
+    await db.run('DELETE FROM series WHERE library_id = ?', [id]);
+    return true;
+};
+
+/**
+ * Returns catalog statistics, optionally limited to one library.
+ * @param {number|string|null} [libraryId]
+ * @returns {Promise<{total: number, watched: number, favorites: number, totalSizeGB: number}>}
+ */
+export const getLibraryStats = async (libraryId = null) => {
+    const db = await openDb();
+    const scope = libraryId === null ? '' : ' AND library_id = ?';
+    const params = libraryId === null ? [] : [libraryId];
+    const stats = await db.get(
+        `SELECT COUNT(*)                            as total,
+                COALESCE(SUM(watched = 1), 0)       as watched,
+                COALESCE(SUM(favorite = 1), 0)      as favorites,
+                SUM(filesize)                       as size
+         FROM media
+         WHERE missing_since IS NULL${scope}`,
+        params,
+    );
+    return {
+        total: stats.total,
+        watched: stats.watched,
+        favorites: stats.favorites,
+        totalSizeGB: (stats.size || 0) / (1024 ** 3),
+    };
+};
+
+/**
+ * Finds the library and root directory a file belongs to. The deepest matching root wins,
+ * so nested libraries (e.g. Kids inside Movies) are resolved correctly.
+ * @param {string} filepath
+ * @param {object[]} libraries
+ * @returns {{library: object, root: string}|null}
+ */
+export const findLibraryForPath = (filepath, libraries) => {
+    let best = null;
+    for (const library of libraries) {
+        for (const root of library.paths) {
+            const isBelow = filepath === root || filepath.startsWith(`${root}${path.sep}`);
+            if (isBelow && (!best || root.length > best.root.length)) {
+                best = { library, root };
+            }
+        }
+    }
+    return best;
+};
+
+/**
+ * Creates the "Movies" and "Series" libraries from MEDIA_BASE_PATH, MOVIES_DIR and SERIES_DIR
+ * when no library exists yet, and assigns already indexed rows to them.
+ */
+export const ensureDefaultLibraries = async () => {
+    const db = await openDb();
+    const { count } = await db.get('SELECT COUNT(*) as count FROM libraries');
+    if (count > 0) return;
+
+    const defaults = [
+        { name: 'Movies', type: 'movie', paths: [path.join(MEDIA_BASE_PATH, MOVIES_DIR)] },
+        { name: 'Series', type: 'tv', paths: [path.join(MEDIA_BASE_PATH, SERIES_DIR)] },
+    ];
+    for (const library of defaults) {
+        const created = await createLibrary({ ...library, extensions: MEDIA_EXTENSIONS });
+        const root = created.paths[0];
+        await db.run(
+            'UPDATE media SET library_id = ? WHERE library_id IS NULL AND substr(filepath, 1, ?) = ?',
+            [created.id, root.length + 1, `${root}${path.sep}`],
+        );
+        if (created.type === 'tv') {
+            await db.run(
+                `UPDATE series
+                 SET library_id = ?
+                 WHERE library_id IS NULL
+                   AND id IN (SELECT seriesId FROM media WHERE library_id = ?)`,
+                [created.id, created.id],
+            );
+        }
+        logger.info(`Created default library "${created.name}" at ${root}`);
+    }
+};
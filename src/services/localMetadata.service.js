@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { buildNfo, parseNfo } from '../utils/nfo.js';
+
+// Write .nfo sidecars for items enriched from TMDB, so other media centers share the match.
+const NFO_EXPORT = process.env.NFO_EXPORT === 'true';
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Reads and parses an NFO file.
+ * @param {string} nfoPath
+ * @returns {Promise<object[]>} The parsed entries; empty when the file does not exist or is unreadable
+ */
+const readNfo = async (nfoPath) => {
+    try {
+        return parseNfo(await fs.promises.readFile(nfoPath, 'utf8'));
+    } catch (err) {
+        if (err.code !== 'ENOENT') {
+            logger.warn(`Failed to read ${nfoPath}: ${err.message}`);
+        }
+        return [];
+    }
+};
+
+/**
+ * Returns the first image in a directory matching one of the names (without extension).
+ * @param {string} dir
+ * @param {string[]} names - Candidates in order of preference
+ * @returns {string|null}
+ */
+const findImage = (dir, names) => {
+    for (const name of names) {
+        for (const ext of IMAGE_EXTENSIONS) {
+            const candidate = path.join(dir, `${name}${ext}`);
+            if (fs.existsSync(candidate)) return candidate;
+        }
+    }
+    return null;
+};
+
+/**
+ * Reads the local metadata of a movie: `<name>.nfo` or `movie.nfo`, and a poster.
+ * Folder-wide names (movie.nfo, poster.jpg, folder.jpg) only count when the movie has a folder of
+ * its own, not when it sits directly in the library root next to other movies.
+ * @param {string} filepath
+ * @param {string} root - The library root the file belongs to
+ * @returns {Promise<{nfo: object|null, poster: string|null}>}
+ */
+export const readMovieMetadata = async (filepath, root) => {
+    const dir = path.dirname(filepath);
+    const name = path.parse(filepath).name;
+    const ownFolder = dir !== root;
+    let [nfo] = await readNfo(path.join(dir, `${name}.nfo`));
+    if (!nfo && ownFolder) {
+        [nfo] = await readNfo(path.join(dir, 'movie.nfo'));
+    }
+    const poster = findImage(dir, [`${name}-poster`, ...(ownFolder ? ['poster', 'folder', 'cover'] : [])]);
+    return { nfo: nfo || null, poster };
+};
+
+/**
+ * Reads the local metadata of a series folder: `tvshow.nfo`, a poster and a backdrop.
+ * @param {string} seriesDir
+ * @returns {Promise<{nfo: object|null, poster: string|null, backdrop: string|null}>}
+ */
+export const readSeriesMetadata = async (seriesDir) => {
+    const [nfo] = await readNfo(path.join(seriesDir, 'tvshow.nfo'));
+    return {
+        nfo: nfo || null,
+        poster: findImage(seriesDir, ['poster', 'folder', 'cover']),
+        backdrop: findImage(seriesDir, ['fanart', 'backdrop', 'background']),
+    };
+};
+
+/**
+ * Reads the local metadata of an episode file: `<name>.nfo` (one entry per episode for
+ * multi-episode files) and a thumbnail.
+ * @param {string} filepath
+ * @returns {Promise<{episodes: object[], thumb: string|null}>}
+ */
+export const readEpisodeMetadata = async (filepath) => {
+    const dir = path.dirname(filepath);
+    const name = path.parse(filepath).name;
+    const entries = await readNfo(path.join(dir, `${name}.nfo`));
+    return {
+        episodes: entries.filter(entry => entry.type === 'episodedetails'),
+        thumb: findImage(dir, [`${name}-thumb`, name]),
+    };
+};
+
+/**
+ * Writes an NFO file when NFO_EXPORT is enabled. Existing files are never overwritten,
+ * as they may have been written by hand or by another media center.
+ * @param {string} nfoPath
+ * @param {string} type - movie, tvshow or episodedetails
+ * @param {object} fields - See buildNfo
+ * @returns {Promise<boolean>} True when a file was written
+ */
+export const exportNfo = async (nfoPath, type, fields) => {
+    if (!NFO_EXPORT || fs.existsSync(nfoPath)) return false;
+    try {
+        await fs.promises.writeFile(nfoPath, buildNfo(type, fields), { flag: 'wx' });
+        logger.info(`Exported ${nfoPath}`);
+        return true;
+    } catch (err) {
+        logger.warn(`Failed to export ${nfoPath}: ${err.message}`);
+        return false;
+    }
+};
@@ -0,0 +1,331 @@
+import path from 'path';
+import { openDb } from '../config/db.config.js';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { TmdbNotFoundError, TmdbTransientError } from '../utils/TmdbError.js';
+import { parseReleaseName } from '../utils/releaseParser.js';
+import { rankCandidates } from '../utils/matchRanking.js';
+import {
+    MATCH_LOCK,
+    MEDIA_EDITABLE_FIELDS,
+    parseLockedFields,
+    SERIES_EDITABLE_FIELDS,
+} from '../utils/lockedFields.js';
+import { syncGenres } from './genre.service.js';
+import { findLibraryForPath, getLibrary, listLibraries } from './library.service.js';
+import { getMetadataProvider } from './metadataProvider.service.js';
+import { readSeriesMetadata } from './localMetadata.service.js';
+import { refreshMedia, upsertSeries } from './scanner.service.js';
+import { getLanguageSettings, localizeDetails, saveTranslations } from './translation.service.js';
+
+// Editable columns holding numbers; all others hold text.
+const NUMERIC_FIELDS = ['rating', 'vote_average'];
+
+/**
+ * Converts TMDB errors into API errors.
+ * @param {Error} err
+ * @returns {Error}
+ */
+const toAppError = (err) => {
+    if (err instanceof TmdbNotFoundError) return new AppError('No TMDB entry exists with this ID', 404);
+    if (err instanceof TmdbTransientError) return new AppError('TMDB is temporarily unavailable', 503);
+    return err;
+};
+
+/**
+ * Returns the metadata provider matches are looked up with.
+ * @returns {object}
+ * @throws {AppError} 503 when there is only local metadata, e.g. without a TMDB API key
+ */
+const getRemoteProvider = () => {
+    const provider = getMetadataProvider();
+    if (!provider.remote) {
+        throw new AppError('No remote metadata provider is configured', 503);
+    }
+    return provider;
+};
+
+/**
+ * Converts a ranked TMDB search result into the API representation.
+ * @param {object} result
+ * @returns {object}
+ */
+const toCandidate = (result) => {
+    const date = result.release_date || result.first_air_date || '';
+    return {
+        tmdbId: result.id,
+        title: result.title || result.name,
+        originalTitle: result.original_title || result.original_name || null,
+        year: parseInt(date.split('-')[0], 10) || null,
+        overview: result.overview || '',
+        poster: getMetadataProvider().getImageUrl(result.poster_path),
+        popularity: result.popularity || 0,
+        score: result.score,
+    };
+};
+
+/**
+ * Adds the parsed `lockedFields` to a media or series row.
+ * @param {object} row
+ * @returns {object}
+ */
+const withLockedFields = (row) => {
+    const { locked_fields: _lockedFields, ...rest } = row;
+    return { ...rest, lockedFields: parseLockedFields(row) };
+};
+
+/**
+ * Searches TMDB and ranks the results against the wanted title and year.
+ * @param {'movie'|'tv'} type
+ * @param {string} query
+ * @param {number|null} year
+ * @param {string|null} language
+ * @returns {Promise<object[]>}
+ */
+const searchCandidates = async (type, query, year, language) => {
+    if (!query) {
+        throw new AppError('A search query is required', 400);
+    }
+    const provider = getRemoteProvider();
+    const search = type === 'movie' ? provider.searchMovie : provider.searchTv;
+    try {
+        let response = await search(query, year, language);
+        if (year && !response.results?.length) {
+            response = await search(query, null, language);
+        }
+        return rankCandidates(response.results, { title: query, year }).map(toCandidate);
+    } catch (err) {
+        throw toAppError(err);
+    }
+};
+
+/**
+ * Loads a movie row that can be matched.
+ * @throws {AppError} 404 when it does not exist, 400 for episodes
+ */
+const getMovieRow = async (db, mediaId) => {
+    const media = await db.get('SELECT * FROM media WHERE id = ? AND missing_since IS NULL', [mediaId]);
+    if (!media) {
+        throw new AppError('Media not found', 404);
+    }
+    if (media.mediaType !== 'movie') {
+        throw new AppError(`Episodes are matched through their series (seriesId=${media.seriesId})`, 400);
+    }
+    return media;
+};
+
+/**
+ * Loads a series row.
+ * @throws {AppError} 404 when it does not exist
+ */
+const getSeriesRow = async (db, seriesId) => {
+    const series = await db.get('SELECT * FROM series WHERE id = ?', [seriesId]);
+    if (!series) {
+        throw new AppError('Series not found', 404);
+    }
+    return series;
+};
+
+/**
+ * Returns ranked TMDB candidates for a movie. Without a query the title and year parsed from the
+ * filename are used, like the scanner does.
+ * @param {number|string} mediaId
+ * @param {{query?: string, year?: number|null}} [search]
+ * @returns {Promise<object[]>}
+ */
+export const getMediaMatchCandidates = async (mediaId, { query, year = null } = {}) => {
+    const db = await openDb();
+    const media = await getMovieRow(db, mediaId);
+    const release = parseReleaseName(media.filename);
+    const library = await getLibrary(media.library_id);
+    return searchCandidates(
+        'movie',
+        query || release.title,
+        year ?? (query ? null : release.year),
+        library?.language ?? null,
+    );
+};
+
+/**
+ * Matches a movie to a TMDB entry and fetches its metadata and artwork again.
+ * The match is locked, so later scans keep it.
+ * @param {number|string} mediaId
+ * @param {number} tmdbId
+ * @returns {Promise<object>} The updated media row
+ */
+export const matchMedia = async (mediaId, tmdbId) => {
+    const db = await openDb();
+    const media = await getMovieRow(db, mediaId);
+    const library = await getLibrary(media.library_id);
+    try {
+        await getRemoteProvider().getMovieDetails(tmdbId, library?.language ?? null);
+    } catch (err) {
+        throw toAppError(err);
+    }
+    const lockedFields = [...new Set([...parseLockedFields(media), MATCH_LOCK])];
+    await db.run(
+        'UPDATE media SET tmdb_id = ?, locked_fields = ? WHERE id = ?',
+        [tmdbId, JSON.stringify(lockedFields), media.id],
+    );
+    await refreshMedia(media.id);
+    logger.info(`Matched media id=${media.id} to TMDB movie ${tmdbId}`);
+    return withLockedFields(await db.get('SELECT * FROM media WHERE id = ?', [media.id]));
+};
+
+/**
+ * Returns the folder holding a series' episodes, or null when the episodes are not below a series folder.
+ */
+const findSeriesDir = async (db, seriesId) => {
+    const episode = await db.get(
+        'SELECT filepath FROM media WHERE seriesId = ? AND missing_since IS NULL LIMIT 1',
+        [seriesId],
+    );
+    const target = episode && findLibraryForPath(episode.filepath, await listLibraries());
+    if (!target) return null;
+    const parts = path.relative(target.root, episode.filepath).split(path.sep);
+    return parts.length > 1 ? path.join(target.root, parts[0]) : null;
+};
+
+/**
+ * Returns ranked TMDB candidates for a series. Without a query the series folder name is used.
+ * @param {number|string} seriesId
+ * @param {{query?: string, year?: number|null}} [search]
+ * @returns {Promise<object[]>}
+ */
+export const getSeriesMatchCandidates = async (seriesId, { query, year = null } = {}) => {
+    const db = await openDb();
+    const series = await getSeriesRow(db, seriesId);
+    const seriesDir = query ? null : await findSeriesDir(db, series.id);
+    const folder = seriesDir ? parseReleaseName(path.basename(seriesDir)) : null;
+    const library = await getLibrary(series.library_id);
+    return searchCandidates(
+        'tv',
+        query || folder?.title || series.title,
+        year ?? folder?.year ?? null,
+        library?.language ?? null,
+    );
+};
+
+/**
+ * Matches a series to a TMDB entry, fetches its metadata and artwork again and re-enriches
+ * its episodes. The match is locked, so later scans keep it.
+ * @param {number|string} seriesId
+ * @param {number} tmdbId
+ * @returns {Promise<{series: object, episodes: number, metadataPending: number}>}
+ */
+export const matchSeries = async (seriesId, tmdbId) => {
+    const db = await openDb();
+    const series = await getSeriesRow(db, seriesId);
+    const library = await getLibrary(series.library_id);
+    const settings = getLanguageSettings(library);
+    let details;
+    try {
+        details = await getRemoteProvider().getTvDetails(tmdbId, library?.language ?? null, settings.imageLanguage);
+    } catch (err) {
+        throw toAppError(err);
+    }
+    const lockedFields = [...new Set([...parseLockedFields(series), MATCH_LOCK])];
+    await db.run(
+        'UPDATE series SET tmdb_id = ?, locked_fields = ? WHERE id = ?',
+        [tmdbId, JSON.stringify(lockedFields), series.id],
+    );
+    const seriesDir = await findSeriesDir(db, series.id);
+    const artwork = seriesDir ? await readSeriesMetadata(seriesDir) : {};
+    const { result, translations } = localizeDetails(details, settings);
+    await upsertSeries(db, result, series.library_id, {
+        seriesId: series.id,
+        artwork,
+        language: library?.language,
+    });
+    await saveTranslations(db, 'series', series.id, translations);
+
+    const episodes = await db.all('SELECT id FROM media WHERE seriesId = ? AND missing_since IS NULL', [series.id]);
+    let metadataPending = 0;
+    for (const episode of episodes) {
+        const result = await refreshMedia(episode.id);
+        if (result?.metadataPending) metadataPending++;
+    }
+    logger.info(`Matched series id=${series.id} to TMDB series ${tmdbId} (${episodes.length} episodes)`);
+    return {
+        series: withLockedFields(await db.get('SELECT * FROM series WHERE id = ?', [series.id])),
+        episodes: episodes.length,
+        metadataPending,
+    };
+};
+
+/**
+ * Writes user edits to a media or series row and locks the edited fields.
+ * `unlock` lists fields to hand back to scans; their current value stays until the next refresh.
+ * @param {'media'|'series'} table
+ * @param {string[]} editableFields
+ * @param {number|string} id
+ * @param {object} input - Field values plus an optional `unlock` array
+ * @returns {Promise<object|null>} The updated row, or null when it does not exist
+ * @throws {AppError} 400 on invalid input
+ */
+const updateLockedRow = async (table, editableFields, id, input = {}) => {
+    const { unlock = [], ...fields } = input;
+    const unknown = Object.keys(fields).filter(field => !editableFields.includes(field));
+    if (unknown.length) {
+        throw new AppError(
+            `Fields cannot be edited: ${unknown.join(', ')}. Editable: ${editableFields.join(', ')}`,
+            400,
+        );
+    }
+    if (!Array.isArray(unlock) || !unlock.every(field => [...editableFields, MATCH_LOCK].includes(field))) {
+        throw new AppError(`unlock must be an array of: ${[...editableFields, MATCH_LOCK].join(', ')}`, 400);
+    }
+    if (!Object.keys(fields).length && !unlock.length) {
+        throw new AppError('Nothing to update', 400);
+    }
+    for (const [field, value] of Object.entries(fields)) {
+        const valid = NUMERIC_FIELDS.includes(field)
+            ? value === null || (typeof value === 'number' && Number.isFinite(value))
+            : value === null || typeof value === 'string' || typeof value === 'number';
+        if (!valid) {
+            throw new AppError(`Invalid value for ${field}`, 400);
+        }
+    }
+
+    const db = await openDb();
+    const row = await db.get(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+    if (!row) return null;
+
+    const lockedFields = [...new Set([...parseLockedFields(row), ...Object.keys(fields)])]
+        .filter(field => !unlock.includes(field) || field in fields);
+    const columns = {
+        ...Object.fromEntries(Object.entries(fields).map(([field, value]) => [
+            field,
+            value === null || NUMERIC_FIELDS.includes(field) ? value : String(value),
+        ])),
+        locked_fields: JSON.stringify(lockedFields),
+    };
+    const assignments = Object.keys(columns).map(column => `${column} = ?`).join(', ');
+    await db.run(`UPDATE ${table} SET ${assignments} WHERE id = ?`, [...Object.values(columns), id]);
+    if ('genre' in fields) {
+        const library = await getLibrary(row.library_id);
+        await syncGenres(db, table, id, { language: library?.language });
+    }
+    return withLockedFields(await db.get(`SELECT * FROM ${table} WHERE id = ?`, [id]));
+};
+
+/**
+ * Edits the metadata of a movie or episode and locks the edited fields.
+ * @param {number|string} mediaId
+ * @param {object} input
+ * @returns {Promise<object|null>}
+ */
+export const updateMediaMetadata = (mediaId, input) => updateLockedRow('media', MEDIA_EDITABLE_FIELDS, mediaId, input);
+
+/**
+ * Edits the metadata of a series and locks the edited fields.
+ * @param {number|string} seriesId
+ * @param {object} input
+ * @returns {Promise<object|null>}
+ */
+export const updateSeriesMetadata = (seriesId, input) => updateLockedRow(
+    'series',
+    SERIES_EDITABLE_FIELDS,
+    seriesId,
+    input,
+);
@@ -0,0 +1,190 @@
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { readIntEnv } from '../utils/env.js';
+import { parseContainer } from '../utils/containerParser.js';
+import { resolutionLabel } from '../utils/mediaInfo.js';
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const FFPROBE_TIMEOUT_MS = readIntEnv('FFPROBE_TIMEOUT_MS', 30000);
+// Listing keyframes reads the packets of the whole file, which takes a while on network shares.
+const KEYFRAME_PROBE_TIMEOUT_MS = readIntEnv('KEYFRAME_PROBE_TIMEOUT_MS', 300000);
+// Transfer characteristics of HDR video as ffprobe names them (PQ and HLG).
+const HDR_TRANSFERS = ['smpte2084', 'arib-std-b67'];
+
+/** Whether ffprobe can be run; null until the first probe tried. */
+let ffprobeAvailable = null;
+
+/**
+ * Runs ffprobe on a file.
+ * @param {string} filepath
+ * @returns {Promise<object>} ffprobe's JSON output with `format` and `streams`
+ */
+const runFfprobe = (filepath) => new Promise((resolve, reject) => {
+    execFile(
+        FFPROBE_PATH,
+        ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filepath],
+        { timeout: FFPROBE_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 },
+        (err, stdout) => {
+            if (err) return reject(err);
+            try {
+                resolve(JSON.parse(stdout));
+            } catch (parseErr) {
+                reject(parseErr);
+            }
+        },
+    );
+});
+
+/**
+ * Names the container of an ffprobe format, e.g. mp4 for "mov,mp4,m4a,3gp,3g2,mj2".
+ * @param {string} formatName
+ * @param {string} filepath
+ * @returns {string}
+ */
+const toContainer = (formatName, filepath) => {
+    const ext = path.extname(filepath).slice(1).toLowerCase();
+    if (formatName.includes('matroska')) return ext === 'webm' ? 'webm' : 'matroska';
+    if (formatName.startsWith('mov,')) return ext === 'mov' ? 'mov' : 'mp4';
+    return formatName.split(',')[0];
+};
+
+/**
+ * Converts ffprobe's output into the shape parseContainer returns.
+ * @param {object} output
+ * @param {string} filepath
+ * @returns {object}
+ */
+const fromFfprobe = (output, filepath) => {
+    const streams = output.streams || [];
+    const tags = (stream) => stream.tags || {};
+    const language = (stream) => (tags(stream).language !== 'und' && tags(stream).language) || null;
+    // Cover art is reported as a video stream too.
+    const video = streams.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+    const hasDolbyVision = video?.side_data_list
+        ?.some(data => /dovi|dolby vision/i.test(data.side_data_type || ''));
+    return {
+        container: toContainer(output.format?.format_name || '', filepath),
+        duration: parseFloat(output.format?.duration) || null,
+        bitrate: parseInt(output.format?.bit_rate, 10) || null,
+        video: video ? {
+            codec: video.codec_name || null,
+            width: video.width || null,
+            height: video.height || null,
+            hdr: HDR_TRANSFERS.includes(video.color_transfer) || Boolean(hasDolbyVision),
+        } : null,
+        audioTracks: streams.filter(stream => stream.codec_type === 'audio').map(stream => ({
+            index: stream.index,
+            codec: stream.codec_name || null,
+            language: language(stream),
+            channels: stream.channels || null,
+            title: tags(stream).title || null,
+            default: stream.disposition?.default === 1,
+        })),
+        subtitleTracks: streams.filter(stream => stream.codec_type === 'subtitle').map(stream => ({
+            index: stream.index,
+            codec: stream.codec_name || null,
+            language: language(stream),
+            title: tags(stream).title || null,
+            default: stream.disposition?.default === 1,
+            forced: stream.disposition?.forced === 1,
+        })),
+    };
+};
+
+/**
+ * Reads a file's technical info with ffprobe. When ffprobe is not installed, it is not tried again.
+ * @param {string} filepath
+ * @returns {Promise<object|null>} null when ffprobe is missing or failed on the file
+ */
+const probeWithFfprobe = async (filepath) => {
+    if (ffprobeAvailable === false) return null;
+    try {
+        const info = fromFfprobe(await runFfprobe(filepath), filepath);
+        ffprobeAvailable = true;
+        return info;
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            ffprobeAvailable = false;
+            logger.warn(`${FFPROBE_PATH} not found, reading media info from MP4 and Matroska headers only`);
+        } else {
+            logger.warn(`ffprobe failed for ${filepath}: ${err.message}`);
+        }
+        return null;
+    }
+};
+
+/**
+ * Probes a media file for its container, duration, bitrate, video format and audio and subtitle
+ * tracks, with ffprobe when available and the built-in MP4/Matroska header parser otherwise.
+ * Files neither can read still get their container from the extension, so they are not probed again.
+ * @param {string} filepath
+ * @returns {Promise<object>} The media columns: container, duration, bitrate, video_codec,
+ *   audio_codec, width, height, resolution, hdr, audio_tracks and subtitle_tracks
+ */
+export const probeMediaInfo = async (filepath) => {
+    let info = await probeWithFfprobe(filepath);
+    if (!info) {
+        info = await parseContainer(filepath).catch(err => {
+            logger.warn(`Failed to read media info of ${filepath}: ${err.message}`);
+            return null;
+        });
+    }
+    if (!info) {
+        const container = path.extname(filepath).slice(1).toLowerCase() || 'unknown';
+        info = { container, audioTracks: [], subtitleTracks: [] };
+    }
+    if (!info.bitrate && info.duration) {
+        const { size } = await fs.promises.stat(filepath);
+        info.bitrate = Math.round(size * 8 / info.duration);
+    }
+    const audio = info.audioTracks.find(track => track.default) ?? info.audioTracks[0];
+    return {
+        container: info.container,
+        duration: info.duration ? Math.round(info.duration * 1000) / 1000 : null,
+        bitrate: info.bitrate || null,
+        video_codec: info.video?.codec ?? null,
+        audio_codec: audio?.codec ?? null,
+        width: info.video?.width ?? null,
+        height: info.video?.height ?? null,
+        resolution: resolutionLabel(info.video?.width, info.video?.height),
+        hdr: info.video ? Number(info.video.hdr) : null,
+        audio_tracks: JSON.stringify(info.audioTracks),
+        subtitle_tracks: JSON.stringify(info.subtitleTracks),
+    };
+};
+
+/**
+ * Lists the keyframe times of a file's first video stream, where remuxed video can be cut.
+ * @param {string} filepath
+ * @returns {Promise<number[]|null>} Seconds from the start of the file, ascending; null when
+ *   ffprobe is missing or failed on the file
+ */
+export const probeKeyframes = (filepath) => new Promise((resolve) => {
+    execFile(
+        FFPROBE_PATH,
+        ['-v', 'error', '-select_streams', 'v:0', '-show_entries', 'format=start_time:packet=pts_time,flags',
+            '-of', 'csv=p=0', filepath],
+        { timeout: KEYFRAME_PROBE_TIMEOUT_MS, maxBuffer: 256 * 1024 * 1024 },
+        (err, stdout) => {
+            if (err) {
+                logger.warn(`Failed to list the keyframes of ${filepath}: ${err.message}`);
+                return resolve(null);
+            }
+            // Packets are printed as "<pts_time>,<flags>", the format as "<start_time>"; ffmpeg seeks
+            // relative to the start time.
+            let startTime = 0;
+            const keyframes = [];
+            for (const line of stdout.split('\n')) {
+                const [time, flags] = line.trim().split(',');
+                if (flags === undefined) {
+                    startTime = parseFloat(time) || startTime;
+                } else if (flags.startsWith('K') && Number.isFinite(parseFloat(time))) {
+                    keyframes.push(parseFloat(time));
+                }
+            }
+            resolve(keyframes.map(time => time - startTime).sort((a, b) => a - b));
+        },
+    );
+});
@@ -0,0 +1,60 @@
+import { logger } from '../utils/logger.js';
+import { localProvider } from '../providers/local.provider.js';
+import { tmdbProvider } from '../providers/tmdb.provider.js';
+
+/**
+ * A source of movie and series metadata. Responses have the shape of TMDB's, which the scanner and
+ * the match endpoints are built around; another remote source maps its data onto it.
+ * @typedef {object} MetadataProvider
+ * @property {string} name
+ * @property {boolean} remote - False when the provider only knows what is on disk, so there is
+ *   nothing to look up and scans use the file and folder names and the sidecars
+ * @property {() => boolean} isAvailable - Whether the provider is configured, e.g. has an API key
+ * @property {(query: string, year?: number|null, language?: string|null) => Promise<{results: object[]}>} searchMovie
+ * @property {(query: string, year?: number|null, language?: string|null) => Promise<{results: object[]}>} searchTv
+ * @property {(id: number, language?: string|null, imageLanguage?: string|null) => Promise<object>} getMovieDetails
+ * @property {(id: number, language?: string|null, imageLanguage?: string|null) => Promise<object>} getTvDetails
+ * @property {(tvId: number, seasonNumber: number, language?: string|null) => Promise<object>} getSeason - With
+ *   its episodes
+ * @property {(type: string, id: number, language?: string|null) => Promise<object>} getCredits
+ * @property {(id: number, language?: string|null) => Promise<object>} getCollection
+ * @property {(type: string, language?: string|null) => Promise<object[]>} getGenreList
+ * @property {(path: string|null, size?: string) => string} getImageUrl - Download URL of an image
+ *   path from a response; empty when there is none
+ */
+
+const PROVIDERS = {
+    [tmdbProvider.name]: tmdbProvider,
+    [localProvider.name]: localProvider,
+};
+
+const CONFIGURED_NAME = (process.env.METADATA_PROVIDER || tmdbProvider.name).toLowerCase();
+// The provider set with METADATA_PROVIDER; TMDB when it is not set or unknown.
+const configuredProvider = PROVIDERS[CONFIGURED_NAME] || tmdbProvider;
+
+if (!PROVIDERS[CONFIGURED_NAME]) {
+    logger.warn(`Unknown METADATA_PROVIDER "${CONFIGURED_NAME}", using ${tmdbProvider.name}`);
+}
+
+let warnedUnavailable = false;
+
+/**
+ * Returns the provider metadata is looked up with. A configured provider that cannot be used, e.g.
+ * TMDB without an API key, is replaced by the local one, so the app still starts and scans.
+ * @returns {MetadataProvider}
+ */
+export const getMetadataProvider = () => {
+    if (configuredProvider.isAvailable()) return configuredProvider;
+    if (!warnedUnavailable) {
+        warnedUnavailable = true;
+        logger.warn(`Metadata provider ${configuredProvider.name} is not configured, using local metadata only`);
+    }
+    return localProvider;
+};
+
+/**
+ * Whether the configured provider is remote but cannot be used right now. Files indexed meanwhile are
+ * flagged `metadata_pending`, so they are enriched once it is configured.
+ * @returns {boolean}
+ */
+export const isRemoteMetadataDeferred = () => configuredProvider.remote && !configuredProvider.isAvailable();
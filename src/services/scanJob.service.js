@@ -0,0 +1,273 @@
+import crypto from 'crypto';
+import { openDb } from '../config/db.config.js';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { runLibraryScan, validateScanPrerequisites } from './scanner.service.js';
+
+// Progress is written to the database at most this often while a job is running.
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'interrupted'];
+
+/**
+ * The job that currently holds the scan lock, or null. Only one scan may run at a time.
+ */
+let activeJob = null;
+
+/**
+ * The watcher task writing to the catalog right now, or null. A scan waits for it before it starts,
+ * as both write the same media and series rows.
+ */
+let watcherTask = null;
+
+/**
+ * Converts a job (in-memory state or database row) into the API representation.
+ * @param {object} job
+ * @returns {object}
+ */
+const toJobView = (job) => ({
+    id: job.id,
+    status: job.status,
+    libraryId: job.libraryId ?? job.library_id ?? null,
+    total: job.total ?? 0,
+    processed: job.processed ?? 0,
+    currentFile: job.currentFile ?? job.current_file ?? null,
+    summary: typeof job.summary === 'string' ? JSON.parse(job.summary) : (job.summary ?? null),
+    errors: typeof job.errors === 'string' ? JSON.parse(job.errors) : (job.errors ?? []),
+    message: job.message ?? null,
+    cancelRequested: Boolean(job.cancelRequested),
+    createdAt: job.createdAt ?? job.created_at ?? null,
+    startedAt: job.startedAt ?? job.started_at ?? null,
+    finishedAt: job.finishedAt ?? job.finished_at ?? null,
+});
+
+const persistJob = async (job) => {
+    const db = await openDb();
+    await db.run(
+        `UPDATE scan_jobs
+         SET status       = ?,
+             total        = ?,
+             processed    = ?,
+             current_file = ?,
+             summary      = ?,
+             errors       = ?,
+             message      = ?,
+             started_at   = ?,
+             finished_at  = ?
+         WHERE id = ?`,
+        [
+            job.status,
+            job.total,
+            job.processed,
+            job.currentFile,
+            job.summary ? JSON.stringify(job.summary) : null,
+            JSON.stringify(job.errors),
+            job.message,
+            job.startedAt,
+            job.finishedAt,
+            job.id,
+        ],
+    );
+    job.lastSavedAt = Date.now();
+};
+
+const persistProgress = (job) => {
+    if (Date.now() - job.lastSavedAt < PROGRESS_SAVE_INTERVAL_MS) return;
+    persistJob(job).catch(err => logger.warn(`Failed to save progress of scan job ${job.id}: ${err.message}`));
+};
+
+/**
+ * Runs the scan for a job and records its outcome. Releases the scan lock when done.
+ * @param {object} job
+ */
+const executeJob = async (job) => {
+    try {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        await persistJob(job);
+        if (watcherTask) {
+            logger.info(`Scan job ${job.id} waits for the watcher to finish its current file`);
+            await watcherTask;
+        }
+        logger.info(`Scan job ${job.id} started`);
+
+        const { cancelled, summary, errors } = await runLibraryScan({
+            libraryId: job.libraryId,
+            onStart: (files) => {
+                job.total = files.length;
+                persistProgress(job);
+            },
+            onFileStart: ({ filepath }) => {
+                job.currentFile = filepath;
+            },
+            onFileDone: (result) => {
+                job.processed++;
+                if (result.status === 'error') {
+                    job.errors.push({ filepath: result.filepath, error: result.error });
+                }
+                persistProgress(job);
+            },
+            isCancelled: () => job.cancelRequested,
+        });
+
+        job.summary = summary;
+        job.errors = errors;
+        job.currentFile = null;
+        if (cancelled) {
+            job.status = 'cancelled';
+            job.message = `Media scan cancelled after ${job.processed} of ${job.total} files`;
+        } else if (summary.failed && summary.failed === job.total) {
+            job.status = 'failed';
+            job.message = 'Media scan completed with errors: All files failed to process';
+        } else {
+            job.status = 'completed';
+            job.message = `Media scan completed: ${summary.added} added, ${summary.removed} removed, `
+                + `${summary.moved} moved, ${summary.updated} updated, ${summary.failed} failed`;
+        }
+    } catch (err) {
+        job.status = 'failed';
+        job.currentFile = null;
+        job.message = `Error scanning media: ${err.message}`;
+    } finally {
+        job.finishedAt = new Date().toISOString();
+        activeJob = null;
+        const log = job.status === 'failed' ? logger.error : logger.info;
+        log.call(logger, `Scan job ${job.id} ${job.status}: ${job.message}`);
+        await persistJob(job).catch(err => logger.error(`Failed to save scan job ${job.id}: ${err.message}`));
+    }
+};
+
+/**
+ * Starts a library scan in the background.
+ * @param {object} [options]
+ * @param {number|null} [options.libraryId] - Scan only this library; all libraries when omitted
+ * @returns {Promise<object>} The newly created job
+ * @throws {AppError} 409 when another scan is already running
+ */
+export const startScanJob = async ({ libraryId = null } = {}) => {
+    await validateScanPrerequisites(libraryId);
+    if (activeJob) {
+        throw new AppError(`A media scan is already running (job ${activeJob.id})`, 409);
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        status: 'queued',
+        libraryId,
+        total: 0,
+        processed: 0,
+        currentFile: null,
+        summary: null,
+        errors: [],
+        message: null,
+        cancelRequested: false,
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        finishedAt: null,
+        lastSavedAt: 0,
+    };
+    // Take the lock before the first await so concurrent requests cannot both start a scan.
+    activeJob = job;
+
+    try {
+        const db = await openDb();
+        await db.run(
+            'INSERT INTO scan_jobs (id, status, library_id, errors, created_at) VALUES (?, ?, ?, ?, ?)',
+            [job.id, job.status, job.libraryId, '[]', job.createdAt],
+        );
+    } catch (err) {
+        activeJob = null;
+        throw err;
+    }
+
+    executeJob(job);
+    return toJobView(job);
+};
+
+/**
+ * Returns a scan job by ID, preferring the live state of the running job.
+ * @param {string} jobId
+ * @returns {Promise<object|null>}
+ */
+export const getScanJob = async (jobId) => {
+    if (activeJob?.id === jobId) {
+        return toJobView(activeJob);
+    }
+    const db = await openDb();
+    const row = await db.get('SELECT * FROM scan_jobs WHERE id = ?', [jobId]);
+    return row ? toJobView(row) : null;
+};
+
+/**
+ * Returns the most recent scan jobs, newest first.
+ * @param {number} [limit=20]
+ * @returns {Promise<object[]>}
+ */
+export const listScanJobs = async (limit = 20) => {
+    const db = await openDb();
+    const rows = await db.all('SELECT * FROM scan_jobs ORDER BY created_at DESC LIMIT ?', [limit]);
+    return rows.map(row => (activeJob?.id === row.id ? toJobView(activeJob) : toJobView(row)));
+};
+
+/**
+ * Requests cancellation of a running scan job. The scan stops after the files currently in flight.
+ * @param {string} jobId
+ * @returns {Promise<object>} The job
+ * @throws {AppError} 404 when the job does not exist, 409 when it already finished
+ */
+export const cancelScanJob = async (jobId) => {
+    if (activeJob?.id === jobId) {
+        activeJob.cancelRequested = true;
+        logger.info(`Cancellation requested for scan job ${jobId}`);
+        return toJobView(activeJob);
+    }
+    const job = await getScanJob(jobId);
+    if (!job) {
+        throw new AppError('Scan job not found', 404);
+    }
+    throw new AppError(`Scan job is not running (status: ${job.status})`, 409);
+};
+
+/**
+ * Returns true while a scan job holds the scan lock.
+ * @returns {boolean}
+ */
+export const isScanRunning = () => activeJob !== null;
+
+/**
+ * Runs a watcher task unless a scan holds the scan lock. A scan started meanwhile waits for the
+ * task to finish, so the two never write the catalog at the same time.
+ * @param {function(): Promise<void>} task
+ * @returns {Promise<boolean>} False when the task was not run because a scan is running
+ */
+export const runUnlessScanning = async (task) => {
+    if (activeJob) return false;
+    const run = task();
+    // The scan only waits for the task; the watcher reports its failure.
+    watcherTask = run.catch(() => {});
+    try {
+        await run;
+    } finally {
+        watcherTask = null;
+    }
+    return true;
+};
+
+/**
+ * Marks jobs left queued or running by a previous process as interrupted.
+ * Called once at startup, before any new job can be started.
+ */
+export const markInterruptedScanJobs = async () => {
+    const db = await openDb();
+    const result = await db.run(
+        `UPDATE scan_jobs
+         SET status      = 'interrupted',
+             message     = 'Server stopped while the scan was running',
+             finished_at = CURRENT_TIMESTAMP
+         WHERE status NOT IN (${FINISHED_STATUSES.map(() => '?').join(', ')})
+           AND id IS NOT ?`,
+        [...FINISHED_STATUSES, activeJob?.id ?? null],
+    );
+    if (result.changes) {
+        logger.warn(`Marked ${result.changes} unfinished scan job(s) as interrupted`);
+    }
+};
@@ -0,0 +1,1192 @@
+import fs from 'fs';
+import path from 'path';
+import { openDb } from '../config/db.config.js';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { walkDir } from '../utils/walkDir.js';
+import { computeFingerprint } from '../utils/fingerprint.js';
+import { runWithConcurrency } from '../utils/concurrency.js';
+import { parseReleaseName, parseSeasonFolder } from '../utils/releaseParser.js';
+import { formatEpisodeCode } from '../utils/episodes.js';
+import { TmdbTransientError } from '../utils/TmdbError.js';
+import { cleanupArtwork, downloadImage, importLocalImage } from './artwork.service.js';
+import { formatGenres, resolveGenres, syncGenres } from './genre.service.js';
+import { MATCH_LOCK, omitLocked, parseLockedFields } from '../utils/lockedFields.js';
+import { rankCandidates } from '../utils/matchRanking.js';
+import { findLibraryForPath, getLibrary, listLibraries } from './library.service.js';
+import { fetchCredits, saveCredits } from './credits.service.js';
+import { getMetadataProvider, isRemoteMetadataDeferred } from './metadataProvider.service.js';
+import { deleteEmptyCollections, fetchCollection, saveCollection } from './collection.service.js';
+import { getLanguageSettings, localizeDetails, localizeEpisodes, saveTranslations } from './translation.service.js';
+import { exportNfo, readEpisodeMetadata, readMovieMetadata, readSeriesMetadata } from './localMetadata.service.js';
+import { probeMediaInfo } from './mediaInfo.service.js';
+import { syncSubtitles } from './subtitle.service.js';
+import { isSubtitleFile, SUBTITLE_EXTENSIONS } from '../utils/subtitles.js';
+import { readIntEnv } from '../utils/env.js';
+
+// Tombstoned rows (file vanished) are kept this long so a file that comes back keeps its user state.
+const MISSING_RETENTION_DAYS = readIntEnv('MISSING_RETENTION_DAYS', 30);
+// Number of files enriched in parallel; kept low so a Raspberry Pi and TMDB are not flooded.
+const SCAN_CONCURRENCY = readIntEnv('SCAN_CONCURRENCY', 2, 1);
+// The media columns reconcileFile needs to decide whether a file is new, changed or moved.
+const RECONCILE_COLUMNS = `id, filepath, filesize, inode, mtime, fingerprint, missing_since, library_id,
+    metadata_pending, tmdb_id, locked_fields, container`;
+
+/** Running series lookups and inserts by library; episodes of a new series are enriched in parallel. */
+const pendingSeries = new Map();
+
+/**
+ * Fetches TMDB series data by title, narrowed to the first air year when it is known.
+ * The best ranked result wins, not simply the first one TMDB returns.
+ */
+const fetchTmdbSeriesData = async (seriesTitle, year = null, language = null) => {
+    try {
+        let response = await getMetadataProvider().searchTv(seriesTitle, year, language);
+        if (year && !response.results?.length) {
+            // Folder years are often off by one (production vs. air date); retry without it.
+            response = await getMetadataProvider().searchTv(seriesTitle, null, language);
+        }
+        const [result] = rankCandidates(response.results, { title: seriesTitle, year });
+        if (!result) {
+            logger.warn(`No TMDB series found for: ${seriesTitle}`);
+            return null;
+        }
+        return result;
+    } catch (err) {
+        if (err instanceof TmdbTransientError) throw err;
+        logger.error(`Error fetching TMDB series data for ${seriesTitle}: ${err.message}`);
+        return null;
+    }
+};
+
+/**
+ * Fetches TMDB series details by ID, for series that were matched manually or found by a search.
+ */
+const fetchTmdbSeriesById = async (tmdbId, language = null, imageLanguage = null) => {
+    try {
+        return await getMetadataProvider().getTvDetails(tmdbId, language, imageLanguage);
+    } catch (err) {
+        if (err instanceof TmdbTransientError) throw err;
+        logger.error(`Error fetching TMDB series ${tmdbId}: ${err.message}`);
+        return null;
+    }
+};
+
+/**
+ * Fetches a TMDB season by series ID and season number, and picks the episodes a file covers.
+ * Empty names and overviews are filled from the fallback languages.
+ * @param {number} seriesId - TMDB series ID
+ * @param {number} seasonNumber
+ * @param {number[]} episodeNumbers
+ * @param {object} settings - From getLanguageSettings
+ * @returns {Promise<{season: object|null, episodes: object[], translations: object[]|null}>} The season,
+ *   the episodes that were found in the order requested, and the file's translations
+ */
+const fetchTmdbEpisodeData = async (seriesId, seasonNumber, episodeNumbers, settings) => {
+    try {
+        const season = await getMetadataProvider().getSeason(seriesId, seasonNumber, settings.language);
+        const found = episodeNumbers
+            .map(number => season.episodes?.find(ep => ep.episode_number === number))
+            .filter(Boolean);
+        const { episodes, translations } = await localizeEpisodes(seriesId, seasonNumber, found, settings);
+        return { season, episodes, translations };
+    } catch (err) {
+        if (err instanceof TmdbTransientError) throw err;
+        logger.warn(`Failed to fetch episode data for seriesId=${seriesId}, season=${seasonNumber}: ${err.message}`);
+        return { season: null, episodes: [], translations: null };
+    }
+};
+
+/**
+ * Maps an absolute episode number (anime style, counted across seasons) to season and episode
+ * using the episode counts TMDB reports per season. Specials (season 0) are not counted.
+ * @returns {Promise<{seasonNumber: number, episodeNumber: number}|null>}
+ */
+const resolveAbsoluteEpisode = async (seriesId, absoluteNumber, language = null) => {
+    try {
+        const details = await getMetadataProvider().getTvDetails(seriesId, language);
+        let remaining = absoluteNumber;
+        const seasons = (details.seasons || [])
+            .filter(season => season.season_number > 0)
+            .sort((a, b) => a.season_number - b.season_number);
+        for (const season of seasons) {
+            if (remaining <= season.episode_count) {
+                return { seasonNumber: season.season_number, episodeNumber: remaining };
+            }
+            remaining -= season.episode_count;
+        }
+        return null;
+    } catch (err) {
+        if (err instanceof TmdbTransientError) throw err;
+        logger.warn(`Failed to resolve absolute episode ${absoluteNumber} for seriesId=${seriesId}: ${err.message}`);
+        return null;
+    }
+};
+
+/**
+ * Converts a parsed NFO entry into the shape of a TMDB result, so NFO values can simply be
+ * spread over TMDB data. Fields the NFO does not have are left out.
+ * @param {object|null} nfo
+ * @returns {object|null}
+ */
+const fromNfo = (nfo) => {
+    if (!nfo) return null;
+    const date = nfo.premiered || (nfo.year ? String(nfo.year) : null);
+    const fields = {
+        id: nfo.tmdbId,
+        title: nfo.title,
+        name: nfo.title,
+        original_title: nfo.originalTitle,
+        original_name: nfo.originalTitle,
+        overview: nfo.plot,
+        release_date: date,
+        first_air_date: date,
+        air_date: date,
+        genres: nfo.genres?.length ? nfo.genres.map(name => ({ name })) : null,
+        original_language: nfo.language,
+        vote_average: nfo.rating,
+        runtime: nfo.runtime,
+        season_number: nfo.season,
+        episode_number: nfo.episode,
+    };
+    return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null && value !== undefined));
+};
+
+/**
+ * Fetches TMDB metadata for a movie or series episode. Local NFO data and artwork take priority:
+ * a movie NFO with title and plot replaces TMDB, one with a TMDB ID tells which entry to fetch.
+ * @param {string} filename
+ * @param {object} library - The library the file belongs to; its type decides movie or episode
+ * @param {object} options
+ * @param {number|null} [options.movieId] - TMDB ID of a manually matched movie; skips the search and the NFO
+ * @param {object} [options.local] - Local metadata: `nfo` and `poster` for movies, `thumb` and
+ *   `seriesPoster` for episodes
+ * @param {string|null} [options.seriesName] - Series name from the folder or file name; titles
+ *   episodes without metadata along with their numbering, e.g. "Show Name S01E02"
+ * @returns {Promise<object>}
+ */
+const fetchTmdbData = async (filename, library, options = {}) => {
+    const {
+        seriesMeta,
+        seriesName = null,
+        episodeMetas = [],
+        episodeTranslations = null,
+        numbering = {},
+        localOnly = false,
+        movieId = null,
+        local = {},
+    } = options;
+    const episodeMeta = episodeMetas[0];
+    const isMovie = library.type === 'movie';
+    const isSeries = library.type === 'tv';
+    const release = parseReleaseName(filename);
+    const episodeTitle = isSeries
+        && [seriesMeta?.name || seriesName || release.title, formatEpisodeCode(numbering)].filter(Boolean).join(' ');
+    let title = (isMovie && release.title) || episodeTitle || path.parse(filename).name;
+    let originalTitle = null;
+    let description = '';
+    let poster = '';
+    let year = '';
+    let genre = '';
+    let genres = [];
+    let language = '';
+    let rating = 0;
+    let tmdbId = null;
+    let airDate = null;
+    let runtime = null;
+    let credits = null;
+    let collection;
+    let translations = null;
+    let mediaType = library.type;
+
+    if (isMovie) {
+        const nfo = fromNfo(local.nfo);
+        const pinnedId = movieId ?? nfo?.id ?? null;
+        const settings = getLanguageSettings(library);
+        const provider = getMetadataProvider();
+        let result = null;
+        if (!localOnly && (pinnedId || !(nfo?.title && nfo?.overview))) {
+            try {
+                if (pinnedId) {
+                    result = await provider.getMovieDetails(pinnedId, library.language, settings.imageLanguage);
+                } else {
+                    const query = nfo?.title || title;
+                    const queryYear = local.nfo?.year ?? release.year;
+                    let response = await provider.searchMovie(query, queryYear, library.language);
+                    if (queryYear && !response.results?.length) {
+                        response = await provider.searchMovie(query, null, library.language);
+                    }
+                    [result] = rankCandidates(response.results, { title: query, year: queryYear });
+                    if (result) {
+                        // Details add the runtime and the translations; the search result is kept if they fail.
+                        result = await provider.getMovieDetails(result.id, library.language, settings.imageLanguage);
+                    }
+                }
+            } catch (err) {
+                if (err instanceof TmdbTransientError) throw err;
+                logger.warn(`TMDB movie fetch failed for ${title}: ${err.message}`);
+            }
+            ({ result, translations } = localizeDetails(result, settings));
+        }
+        // A manual match wins over the NFO.
+        if (nfo && !movieId) {
+            result = { ...result, ...nfo };
+        }
+        if (result) {
+            title = result.title || title;
+            originalTitle = result.original_title || null;
+            tmdbId = result.id ?? null;
+            description = result.overview || '';
+            year = result.release_date?.split('-')[0] || '';
+            genres = await resolveGenres(result, 'movie', library.language);
+            genre = formatGenres(genres);
+            language = result.original_language || '';
+            rating = result.vote_average || 0;
+            // Only movie details and NFOs carry the runtime, search results do not.
+            runtime = result.runtime || null;
+        }
+        // Without a match or an NFO date the year in the filename is the best there is.
+        year = year || (release.year ? String(release.year) : '');
+        if (!localOnly && tmdbId) {
+            credits = await fetchCredits('movie', tmdbId, library.language);
+            collection = await fetchCollection(result, library.language);
+        }
+        if (local.poster) {
+            poster = await importLocalImage(local.poster);
+        } else if (result?.poster_path) {
+            poster = await downloadImage(result.poster_path, 'poster');
+        }
+    } else if (isSeries && (seriesMeta || episodeMeta)) {
+        // A multi-episode file is titled after all the episodes it covers.
+        title = episodeMetas.map(ep => ep.name).filter(Boolean).join(' / ') || title;
+        description = episodeMeta?.overview || seriesMeta?.overview || '';
+        year = episodeMeta?.air_date?.split('-')[0] || seriesMeta?.first_air_date?.split('-')[0] || '';
+        genres = await resolveGenres(seriesMeta, 'tv', library.language);
+        genre = formatGenres(genres);
+        language = seriesMeta?.original_language || '';
+        rating = episodeMeta?.vote_average || seriesMeta?.vote_average || 0;
+        tmdbId = episodeMeta?.id ?? null;
+        translations = episodeTranslations;
+        airDate = episodeMeta?.air_date || null;
+        runtime = episodeMetas.reduce((total, ep) => total + (ep.runtime || 0), 0) || null;
+        if (local.thumb) {
+            poster = await importLocalImage(local.thumb);
+        } else if (episodeMeta?.still_path) {
+            poster = await downloadImage(episodeMeta.still_path, 'still');
+        } else if (local.seriesPoster) {
+            poster = await importLocalImage(local.seriesPoster);
+        } else if (seriesMeta?.poster_path) {
+            poster = await downloadImage(seriesMeta.poster_path, 'poster');
+        }
+    }
+    return {
+        title,
+        originalTitle,
+        description,
+        poster,
+        year,
+        genre,
+        genres,
+        language,
+        rating,
+        tmdbId,
+        airDate,
+        runtime,
+        credits,
+        collection,
+        translations,
+        mediaType,
+        seasonNumber: numbering.seasonNumber ?? null,
+        episodeNumbers: numbering.episodeNumbers ?? [],
+    };
+};
+
+/**
+ * Resolves the libraries a scan covers.
+ * @param {number|string|null} [libraryId] - Scan only this library; all libraries when omitted
+ * @returns {Promise<object[]>}
+ * @throws {AppError} 404 when the library does not exist
+ */
+const resolveScanLibraries = async (libraryId = null) => {
+    if (libraryId === null || libraryId === undefined) {
+        return listLibraries();
+    }
+    const library = await getLibrary(libraryId);
+    if (!library) {
+        throw new AppError('Library not found', 404);
+    }
+    return [library];
+};
+
+/**
+ * Checks that a scan can run at all, so callers can fail fast before starting a job.
+ * Roots that are missing (e.g. an unmounted share) are skipped by the scan, so only
+ * a scan where no root exists at all is rejected.
+ * @param {number|string|null} [libraryId] - Validate only this library
+ * @throws {AppError} When the library does not exist or no root exists
+ */
+export const validateScanPrerequisites = async (libraryId = null) => {
+    const libraries = await resolveScanLibraries(libraryId);
+    if (libraries.length === 0) {
+        throw new AppError('No libraries are configured', 400);
+    }
+    const roots = libraries.flatMap(library => library.paths);
+    if (!roots.some(dir => fs.existsSync(dir))) {
+        logger.error(`Directories do not exist: ${roots.join(', ')}`);
+        throw new AppError(`Directories do not exist: ${roots.join(', ')}`, 500);
+    }
+};
+
+/**
+ * Finds the series that already holds episodes from the given series folder, preferring a
+ * manually matched one, so new episodes in that folder follow the match instead of a fresh search.
+ * @param {object} db
+ * @param {number} libraryId
+ * @param {string} seriesDir
+ * @returns {Promise<{id: number, tmdb_id: number|null, matched: boolean}|null>}
+ */
+const findFolderSeries = async (db, libraryId, seriesDir) => {
+    const rows = await db.all(
+        `SELECT DISTINCT s.id, s.tmdb_id, s.locked_fields
+         FROM series s
+                  JOIN media m ON m.seriesId = s.id
+         WHERE s.library_id IS ?
+           AND substr(m.filepath, 1, ?) = ?`,
+        [libraryId, seriesDir.length + 1, `${seriesDir}${path.sep}`],
+    );
+    const series = rows.map(row => ({
+        id: row.id,
+        tmdb_id: row.tmdb_id,
+        matched: Boolean(row.tmdb_id) && parseLockedFields(row).includes(MATCH_LOCK),
+    }));
+    return series.find(row => row.matched) || series[0] || null;
+};
+
+/**
+ * Creates or updates the season an episode belongs to. Only fields TMDB returned are written, so a
+ * season keeps its metadata when a file is indexed while TMDB is unavailable. The poster is
+ * downloaded once per season.
+ * @param {object} db
+ * @param {number} seriesId
+ * @param {number} seasonNumber
+ * @param {object|null} seasonMeta - A TMDB season response
+ * @returns {Promise<void>}
+ */
+const upsertSeason = async (db, seriesId, seasonNumber, seasonMeta) => {
+    const existing = await db.get(
+        'SELECT poster_path FROM seasons WHERE series_id = ? AND season_number = ?',
+        [seriesId, seasonNumber],
+    );
+    let poster = null;
+    if (seasonMeta?.poster_path && !existing?.poster_path) {
+        poster = await downloadImage(seasonMeta.poster_path, 'poster') || null;
+    }
+    await db.run(
+        `INSERT INTO seasons (series_id, season_number, name, overview, air_date, poster_path, episode_count, tmdb_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (series_id, season_number) DO UPDATE
+             SET name          = COALESCE(excluded.name, name),
+                 overview      = COALESCE(excluded.overview, overview),
+                 air_date      = COALESCE(excluded.air_date, air_date),
+                 poster_path   = COALESCE(excluded.poster_path, poster_path),
+                 episode_count = COALESCE(excluded.episode_count, episode_count),
+                 tmdb_id       = COALESCE(excluded.tmdb_id, tmdb_id)`,
+        [
+            seriesId,
+            seasonNumber,
+            seasonMeta?.name || null,
+            seasonMeta?.overview || null,
+            seasonMeta?.air_date || null,
+            poster,
+            seasonMeta?.episodes?.length ?? seasonMeta?.episode_count ?? null,
+            seasonMeta?.id ?? null,
+        ],
+    );
+};
+
+/**
+ * Converts stored metadata into NFO fields for export.
+ * @param {object} tmdbData
+ * @returns {object}
+ */
+const toNfoFields = (tmdbData) => ({
+    title: tmdbData.title,
+    plot: tmdbData.description,
+    year: tmdbData.year,
+    genres: tmdbData.genre ? tmdbData.genre.split(', ') : [],
+    rating: tmdbData.rating,
+    runtime: tmdbData.runtime,
+    tmdbId: tmdbData.tmdbId,
+    season: tmdbData.seasonNumber,
+    episode: tmdbData.episodeNumbers[0] ?? null,
+});
+
+/**
+ * Converts the episodes a file covers into its media columns. episode_number and episode_number_end
+ * keep the first and last episode for sorting; episode_numbers lists them all.
+ * @param {number[]} episodeNumbers
+ * @returns {{episode_number: number|null, episode_number_end: number|null, episode_numbers: string|null}}
+ */
+const episodeColumns = (episodeNumbers) => ({
+    episode_number: episodeNumbers[0] ?? null,
+    episode_number_end: episodeNumbers[episodeNumbers.length - 1] ?? null,
+    episode_numbers: episodeNumbers.length ? JSON.stringify(episodeNumbers) : null,
+});
+
+/**
+ * Resolves series linkage and TMDB metadata for a single media file.
+ * NFO sidecars and artwork next to the file are read first (see localMetadata.service).
+ * @param {object} db
+ * @param {string} filepath
+ * @param {{library: object, root: string, savedSeries?: Set<number>}} target - The library and root directory
+ *   the file belongs to; savedSeries holds the series whose credits this scan already saved
+ * @param {object} [options]
+ * @param {boolean} [options.localOnly] - Only use the file and folder names and the sidecars, without
+ *   provider lookups
+ * @param {number|null} [options.movieId] - TMDB ID of a manually matched movie
+ * @returns {Promise<{seriesId: number|null, tmdbData: object}>}
+ * @throws {TmdbTransientError} When TMDB is temporarily unavailable
+ */
+const enrichFile = async (db, filepath, { library, root, savedSeries }, { localOnly = false, movieId = null } = {}) => {
+    const filename = path.basename(filepath);
+    const nfoPath = path.join(path.dirname(filepath), `${path.parse(filepath).name}.nfo`);
+    const isSeries = library.type === 'tv';
+    let seriesId = null;
+    let seriesMeta = null;
+    let seriesName = null;
+    let episodeMetas = [];
+    let seasonMeta = null;
+    let episodeTranslations = null;
+    let numbering = {};
+    let local = {};
+
+    if (isSeries) {
+        // <root>/<Series>/[Season xx/]<file>; files directly in the root carry the show name themselves.
+        const parts = path.relative(root, filepath).split(path.sep);
+        const seriesFolder = parts.length > 1 ? parts[0] : null;
+        const seriesDir = seriesFolder ? path.join(root, seriesFolder) : null;
+        const seasonFolder = parts
+            .slice(1, -1)
+            .map(parseSeasonFolder)
+            .find(season => season !== null);
+        const seriesLocal = seriesDir ? await readSeriesMetadata(seriesDir) : { nfo: null };
+        const episodeLocal = await readEpisodeMetadata(filepath);
+        const showNfo = fromNfo(seriesLocal.nfo);
+        const release = parseReleaseName(filename);
+        const seriesRelease = seriesFolder ? parseReleaseName(seriesFolder) : null;
+        // Files placed directly in the series root carry the show name in the filename.
+        seriesName = showNfo?.name || seriesRelease?.title || seriesFolder || release.title || null;
+        let episodeNumbers = release.episodes;
+        // Without an episode number there is nothing to match; never guess S01E01.
+        let seasonNumber = release.season ?? seasonFolder ?? (episodeNumbers.length ? 1 : null);
+        // Episode NFOs carry the real numbering, also for absolute numbered files.
+        const nfoNumbers = episodeLocal.episodes.map(entry => entry.episode).filter(number => number !== null);
+        if (nfoNumbers.length) {
+            episodeNumbers = nfoNumbers;
+            seasonNumber = episodeLocal.episodes[0].season ?? seasonNumber ?? 1;
+        }
+        local = { thumb: episodeLocal.thumb, seriesPoster: seriesLocal.poster };
+
+        if (seriesName) {
+            const folderSeries = seriesDir ? await findFolderSeries(db, library.id, seriesDir) : null;
+            // A manually matched series keeps its TMDB entry for new episodes in its folder.
+            const matched = folderSeries?.matched ? folderSeries : null;
+            const seriesYear = seriesLocal.nfo?.year ?? seriesRelease?.year ?? release.year;
+            const settings = getLanguageSettings(library);
+            let tmdbSeries = null;
+            if (localOnly) {
+                tmdbSeries = null;
+            } else if (matched || showNfo?.id) {
+                tmdbSeries = await fetchTmdbSeriesById(
+                    matched?.tmdb_id ?? showNfo.id,
+                    library.language,
+                    settings.imageLanguage,
+                );
+            } else {
+                const found = await fetchTmdbSeriesData(seriesName, seriesYear, library.language);
+                // Details carry the translations; the search result is kept if they fail.
+                tmdbSeries = found
+                    && (await fetchTmdbSeriesById(found.id, library.language, settings.imageLanguage) ?? found);
+            }
+            const { result: localizedSeries, translations: seriesTranslations } = localizeDetails(
+                tmdbSeries,
+                settings,
+            );
+            tmdbSeries = localizedSeries;
+            // tvshow.nfo wins over TMDB, but not over a manual match.
+            const merged = { ...tmdbSeries, ...(matched ? null : showNfo) };
+            seriesMeta = merged.name ? merged : null;
+            if (seriesMeta) {
+                seriesId = matched?.id ?? await upsertSeries(db, seriesMeta, library.id, {
+                    artwork: seriesLocal,
+                    language: library.language,
+                });
+            } else {
+                // fallback: keep the folder's series (its title may have been edited) or upsert a minimal entry
+                seriesId = folderSeries?.id ?? await upsertSeries(
+                    db,
+                    { name: seriesName, first_air_date: seriesYear ? String(seriesYear) : null },
+                    library.id,
+                    { artwork: seriesLocal },
+                );
+            }
+            // Credits and translations belong to the series, so a scan saves them with its first episode only.
+            if (tmdbSeries && !savedSeries?.has(seriesId)) {
+                savedSeries?.add(seriesId);
+                try {
+                    const seriesCredits = await fetchCredits('tv', tmdbSeries.id, library.language);
+                    if (seriesCredits) await saveCredits(db, 'series', seriesId, seriesCredits);
+                    await saveTranslations(db, 'series', seriesId, seriesTranslations);
+                } catch (err) {
+                    // Left to the next episode, e.g. when TMDB is temporarily unavailable.
+                    savedSeries?.delete(seriesId);
+                    throw err;
+                }
+            }
+            if (tmdbSeries) {
+                if (release.absolute && seasonFolder === undefined && !nfoNumbers.length && episodeNumbers.length) {
+                    const resolved = await resolveAbsoluteEpisode(tmdbSeries.id, episodeNumbers[0], library.language);
+                    if (resolved) {
+                        seasonNumber = resolved.seasonNumber;
+                        episodeNumbers = episodeNumbers.map(n => resolved.episodeNumber + n - episodeNumbers[0]);
+                    }
+                }
+                if (seasonNumber !== null && episodeNumbers.length) {
+                    ({
+                        season: seasonMeta,
+                        episodes: episodeMetas,
+                        translations: episodeTranslations,
+                    } = await fetchTmdbEpisodeData(tmdbSeries.id, seasonNumber, episodeNumbers, settings));
+                }
+            }
+            if (tmdbSeries && seriesDir && !seriesLocal.nfo) {
+                await exportNfo(path.join(seriesDir, 'tvshow.nfo'), 'tvshow', {
+                    title: tmdbSeries.name,
+                    originalTitle: tmdbSeries.original_name,
+                    plot: tmdbSeries.overview,
+                    premiered: tmdbSeries.first_air_date,
+                    genres: (await resolveGenres(tmdbSeries, 'tv', library.language)).map(genre => genre.name),
+                    rating: tmdbSeries.vote_average,
+                    tmdbId: tmdbSeries.id,
+                });
+            }
+        }
+
+        if (episodeLocal.episodes.length) {
+            episodeMetas = episodeLocal.episodes.map((entry, index) => ({
+                ...(episodeMetas.find(ep => ep.episode_number === entry.episode) ?? episodeMetas[index]),
+                ...fromNfo(entry),
+            }));
+        }
+
+        numbering = { seasonNumber, episodeNumbers };
+        if (seriesId && seasonNumber !== null) {
+            await upsertSeason(db, seriesId, seasonNumber, seasonMeta);
+        }
+        local.hasNfo = episodeLocal.episodes.length > 0;
+    } else {
+        local = await readMovieMetadata(filepath, root);
+        local.hasNfo = Boolean(local.nfo);
+    }
+
+    const tmdbData = await fetchTmdbData(filename, library, {
+        seriesMeta,
+        seriesName,
+        episodeMetas,
+        episodeTranslations,
+        numbering,
+        localOnly,
+        movieId,
+        local,
+    });
+    // Multi-episode files are not exported; their NFO would need one entry per episode.
+    const isSingleFile = !isSeries || (numbering.episodeNumbers?.length ?? 0) <= 1;
+    if (!localOnly && tmdbData.tmdbId && !local.hasNfo && isSingleFile) {
+        await exportNfo(nfoPath, isSeries ? 'episodedetails' : 'movie', toNfoFields(tmdbData));
+    }
+    return { seriesId, tmdbData };
+};
+
+/**
+ * Enriches a file, falling back to name-based metadata while TMDB is temporarily unavailable or no
+ * remote metadata provider can be used (see metadataProvider.service). Such rows are flagged
+ * `metadata_pending` and enriched again by the next scan; with the local provider chosen on purpose
+ * there is nothing to wait for.
+ * @returns {Promise<{seriesId: number|null, tmdbData: object, metadataPending: boolean}>}
+ */
+const enrichWithFallback = async (db, filepath, target, options = {}) => {
+    if (!getMetadataProvider().remote) {
+        const enriched = await enrichFile(db, filepath, target, { ...options, localOnly: true });
+        return { ...enriched, metadataPending: isRemoteMetadataDeferred() };
+    }
+    try {
+        return { ...await enrichFile(db, filepath, target, options), metadataPending: false };
+    } catch (err) {
+        if (!(err instanceof TmdbTransientError)) throw err;
+        logger.warn(`TMDB unavailable for ${filepath}, metadata will be fetched on the next scan: ${err.message}`);
+        return { ...await enrichFile(db, filepath, target, { ...options, localOnly: true }), metadataPending: true };
+    }
+};
+
+/**
+ * Collects the media files of the scanned libraries. A file below a nested library root
+ * (e.g. Kids inside Movies) belongs to the nested library and is only kept when that
+ * library is scanned too.
+ * @param {object[]} libraries - Libraries to scan
+ * @param {object[]} allLibraries - All configured libraries, used to find the owning library
+ * @returns {{files: string[], targets: Map<string, object>, subtitles: Map<string, Set<string>>,
+ *   walkedRoots: Set<string>, errors: string[]}} subtitles holds the subtitle files per folder
+ */
+const collectMediaFiles = (libraries, allLibraries) => {
+    const targets = new Map();
+    const subtitles = new Map();
+    const walkedRoots = new Set();
+    const errors = [];
+    const scannedIds = new Set(libraries.map(library => library.id));
+    for (const library of libraries) {
+        for (const baseDir of library.paths) {
+            try {
+                for (const filepath of walkDir(baseDir, [...library.extensions, ...SUBTITLE_EXTENSIONS])) {
+                    if (isSubtitleFile(filepath) && !isMediaFile(filepath, library.extensions)) {
+                        const dir = path.dirname(filepath);
+                        if (!subtitles.has(dir)) subtitles.set(dir, new Set());
+                        subtitles.get(dir).add(filepath);
+                        continue;
+                    }
+                    const target = findLibraryForPath(filepath, allLibraries);
+                    const isOwned = target && scannedIds.has(target.library.id);
+                    if (isOwned && isMediaFile(filepath, target.library.extensions)) {
+                        targets.set(filepath, target);
+                    }
+                }
+                walkedRoots.add(baseDir);
+            } catch (err) {
+                logger.error(`Error scanning directory ${baseDir}: ${err.message}`);
+                errors.push(`${baseDir}: ${err.message}`);
+            }
+        }
+    }
+    return { files: [...targets.keys()], targets, subtitles, walkedRoots, errors };
+};
+
+/**
+ * Writes file info and freshly fetched metadata onto an existing media row, keeping user state.
+ * Fields the user edited (`locked_fields`) are left alone, and a manually matched movie is
+ * fetched by its TMDB ID instead of being searched again.
+ * @param {object} db
+ * @param {object} row - The media row, with at least `id`, `tmdb_id` and `locked_fields`
+ * @returns {Promise<boolean>} True when the metadata still has to be fetched from TMDB
+ */
+const saveMetadata = async (db, row, filepath, fileInfo, target) => {
+    const lockedFields = parseLockedFields(row);
+    const movieId = lockedFields.includes(MATCH_LOCK) ? row.tmdb_id : null;
+    const { seriesId, tmdbData, metadataPending } = await enrichWithFallback(db, filepath, target, { movieId });
+    const columns = {
+        filename: path.basename(filepath),
+        filepath,
+        filesize: fileInfo.size,
+        inode: fileInfo.inode,
+        mtime: fileInfo.mtime,
+        fingerprint: fileInfo.fingerprint,
+        missing_since: null,
+        ...omitLocked({
+            title: tmdbData.title,
+            description: tmdbData.description,
+            poster: tmdbData.poster,
+            year: tmdbData.year,
+            genre: tmdbData.genre,
+            language: tmdbData.language,
+            rating: tmdbData.rating,
+            tmdb_id: tmdbData.tmdbId,
+        }, lockedFields),
+        original_title: tmdbData.originalTitle,
+        mediaType: tmdbData.mediaType,
+        seriesId,
+        season_number: tmdbData.seasonNumber,
+        ...episodeColumns(tmdbData.episodeNumbers),
+        air_date: tmdbData.airDate,
+        runtime: tmdbData.runtime,
+        library_id: target.library.id,
+        metadata_pending: metadataPending ? 1 : 0,
+    };
+    const assignments = Object.keys(columns).map(column => `${column} = ?`).join(', ');
+    await db.run(`UPDATE media SET ${assignments} WHERE id = ?`, [...Object.values(columns), row.id]);
+    await syncGenres(db, 'media', row.id, { genres: tmdbData.genres, language: target.library.language });
+    if (tmdbData.credits) await saveCredits(db, 'media', row.id, tmdbData.credits);
+    if (tmdbData.collection !== undefined) await saveCollection(db, row.id, tmdbData.collection);
+    if (tmdbData.translations) await saveTranslations(db, 'media', row.id, tmdbData.translations);
+    return metadataPending;
+};
+
+/**
+ * Probes a file's technical info (container, codecs, resolution, tracks) and stores it on its row.
+ * @param {object} db
+ * @param {number} mediaId
+ * @param {string} filepath
+ * @returns {Promise<void>}
+ */
+const saveMediaInfo = async (db, mediaId, filepath) => {
+    const info = await probeMediaInfo(filepath);
+    const assignments = Object.keys(info).map(column => `${column} = ?`).join(', ');
+    await db.run(`UPDATE media SET ${assignments} WHERE id = ?`, [...Object.values(info), mediaId]);
+};
+
+/**
+ * Inserts a new media row for a file that is not in the catalog yet.
+ * @returns {Promise<{mediaId: number, metadataPending: boolean}>} metadataPending is true when the
+ *   metadata still has to be fetched from TMDB
+ */
+const insertMedia = async (db, filepath, fileInfo, target) => {
+    const { seriesId, tmdbData, metadataPending } = await enrichWithFallback(db, filepath, target);
+    const { lastID } = await db.run(
+        `INSERT INTO media
+         (filename, filepath, filesize, inode, mtime, fingerprint, title, original_title, description, poster,
+          year, genre, language, rating, mediaType, favorite, watched, playback_position, last_played,
+          seriesId, season_number, episode_number, episode_number_end, episode_numbers, air_date, runtime,
+          library_id, metadata_pending, tmdb_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 0, 0, 0, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            path.basename(filepath),
+            filepath,
+            fileInfo.size,
+            fileInfo.inode,
+            fileInfo.mtime,
+            fileInfo.fingerprint,
+            tmdbData.title,
+            tmdbData.originalTitle,
+            tmdbData.description,
+            tmdbData.poster,
+            tmdbData.year,
+            tmdbData.genre,
+            tmdbData.language,
+            tmdbData.rating,
+            tmdbData.mediaType,
+            seriesId,
+            tmdbData.seasonNumber,
+            ...Object.values(episodeColumns(tmdbData.episodeNumbers)),
+            tmdbData.airDate,
+            tmdbData.runtime,
+            target.library.id,
+            metadataPending ? 1 : 0,
+            tmdbData.tmdbId,
+        ],
+    );
+    await syncGenres(db, 'media', lastID, { genres: tmdbData.genres, language: target.library.language });
+    await saveMediaInfo(db, lastID, filepath);
+    if (tmdbData.credits) await saveCredits(db, 'media', lastID, tmdbData.credits);
+    if (tmdbData.collection !== undefined) await saveCollection(db, lastID, tmdbData.collection);
+    if (tmdbData.translations) await saveTranslations(db, 'media', lastID, tmdbData.translations);
+    return { mediaId: lastID, metadataPending };
+};
+
+/**
+ * Reconciles a single file with the catalog.
+ * @param {object} db
+ * @param {string} filepath
+ * @param {object} context
+ * @param {{library: object, root: string}} context.target - The library and root the file belongs to
+ * @param {object|undefined} context.existing - The media row currently stored for this path
+ * @param {function(function(object): boolean): object|undefined} context.claimMoveCandidate -
+ *   Claims a row whose file vanished and matches the predicate, so it can be treated as moved
+ * @param {string[]} [context.subtitleFiles] - Subtitle files in the file's folder; it is read when omitted
+ * @returns {Promise<{status: string, filepath: string, metadataPending?: boolean, error?: string}>}
+ */
+const reconcileFile = async (db, filepath, { target, existing, claimMoveCandidate, subtitleFiles }) => {
+    try {
+        const stat = await fs.promises.stat(filepath);
+        const fileInfo = {
+            size: stat.size,
+            inode: stat.ino,
+            mtime: Math.floor(stat.mtimeMs),
+            fingerprint: null,
+        };
+
+        if (existing) {
+            // Checked on every scan, as adding a subtitle does not change the media file.
+            await syncSubtitles(db, existing.id, filepath, subtitleFiles);
+            if (existing.mtime === null && existing.filesize === fileInfo.size) {
+                // Row indexed before change tracking existed: backfill instead of re-enriching.
+                fileInfo.fingerprint = await computeFingerprint(filepath, fileInfo.size);
+                await db.run(
+                    `UPDATE media
+                     SET inode = ?, mtime = ?, fingerprint = ?, missing_since = NULL, library_id = ?
+                     WHERE id = ?`,
+                    [fileInfo.inode, fileInfo.mtime, fileInfo.fingerprint, target.library.id, existing.id],
+                );
+                return { status: 'unchanged', filepath };
+            }
+            // A file that now belongs to another library (e.g. a new nested root) is re-enriched for its type.
+            const changed = existing.filesize !== fileInfo.size || existing.mtime !== fileInfo.mtime
+                || existing.library_id !== target.library.id;
+            // Rows indexed before files were probed get their technical info without being re-enriched.
+            if (changed || existing.container === null) {
+                await saveMediaInfo(db, existing.id, filepath);
+            }
+            if (!changed && !existing.metadata_pending) {
+                if (existing.missing_since) {
+                    await db.run('UPDATE media SET missing_since = NULL WHERE id = ?', [existing.id]);
+                    logger.info(`Restored: ${filepath}`);
+                    return { status: 'added', filepath };
+                }
+                return { status: 'unchanged', filepath };
+            }
+            fileInfo.fingerprint = await computeFingerprint(filepath, fileInfo.size);
+            const metadataPending = await saveMetadata(db, existing, filepath, fileInfo, target);
+            logger.info(`Updated: ${filepath}`);
+            return { status: 'updated', filepath, metadataPending };
+        }
+
+        fileInfo.fingerprint = await computeFingerprint(filepath, fileInfo.size);
+        const moved = claimMoveCandidate(row =>
+            row.filesize === fileInfo.size && row.inode === fileInfo.inode,
+        ) || claimMoveCandidate(row =>
+            row.filesize === fileInfo.size && row.fingerprint === fileInfo.fingerprint,
+        );
+        if (moved) {
+            if (moved.container === null) await saveMediaInfo(db, moved.id, filepath);
+            await syncSubtitles(db, moved.id, filepath, subtitleFiles);
+            const metadataPending = await saveMetadata(db, moved, filepath, fileInfo, target);
+            logger.info(`Moved: ${moved.filepath} -> ${filepath}`);
+            return { status: 'moved', filepath, metadataPending };
+        }
+
+        const { mediaId, metadataPending } = await insertMedia(db, filepath, fileInfo, target);
+        await syncSubtitles(db, mediaId, filepath, subtitleFiles);
+        logger.info(`Indexed: ${filepath}`);
+        return { status: 'added', filepath, metadataPending };
+    } catch (err) {
+        logger.error(`Error processing file ${filepath}: ${err.message}`);
+        return { status: 'error', filepath, error: err.message };
+    }
+};
+
+/**
+ * Scans library roots and reconciles the catalog with the filesystem.
+ * New files are indexed, changed files are re-enriched, moved or renamed files keep their
+ * user state (favorite, watched, playback position) and vanished files are tombstoned.
+ * Only rows below a root that was actually walked are tombstoned, so an unmounted share
+ * does not empty its library.
+ * @param {object} [hooks]
+ * @param {number|string|null} [hooks.libraryId] - Scan only this library; all libraries when omitted
+ * @param {function(string[]): void} [hooks.onStart] - Called with the list of files once the walk is done
+ * @param {function(object): void} [hooks.onFileStart] - Called with `{ filepath }` before a file is processed
+ * @param {function(object): void} [hooks.onFileDone] - Called with the per-file result
+ * @param {function(): boolean} [hooks.isCancelled] - Polled between files; stops the scan when it returns true
+ * @returns {Promise<{cancelled: boolean, summary: object, errors: object[]}>}
+ */
+export const runLibraryScan = async (hooks = {}) => {
+    const { libraryId = null, onStart, onFileStart, onFileDone, isCancelled = () => false } = hooks;
+    const db = await openDb();
+
+    const allLibraries = await listLibraries();
+    const libraries = await resolveScanLibraries(libraryId);
+    const scannedIds = new Set(libraries.map(library => library.id));
+    const {
+        files: allFiles,
+        targets,
+        subtitles,
+        walkedRoots,
+        errors: walkErrors,
+    } = collectMediaFiles(libraries, allLibraries);
+    if (walkedRoots.size === 0 && walkErrors.length > 0) {
+        throw new AppError(`Failed to scan media directories: ${walkErrors.join('; ')}`, 500);
+    }
+    onStart?.(allFiles);
+
+    // A row is in scope when its root was walked, or, on a full scan, when no library contains it anymore.
+    const isInScope = (row) => {
+        const owner = findLibraryForPath(row.filepath, allLibraries);
+        if (!owner) return libraryId === null;
+        return scannedIds.has(owner.library.id) && walkedRoots.has(owner.root);
+    };
+
+    const rows = await db.all(
+        `SELECT ${RECONCILE_COLUMNS} FROM media`,
+    );
+    const rowsByPath = new Map(rows.map(row => [row.filepath, row]));
+    const foundPaths = new Set(allFiles);
+    const inScopeIds = new Set(rows.filter(row => !foundPaths.has(row.filepath) && isInScope(row)).map(row => row.id));
+    // Rows whose file is gone from its recorded path; a new file may turn out to be one of them.
+    // Rows outside the scan only qualify when they are known to be gone (moves between libraries).
+    const moveCandidates = rows.filter(row => !foundPaths.has(row.filepath)
+        && (inScopeIds.has(row.id) || row.missing_since || !fs.existsSync(row.filepath)));
+    const claimedIds = new Set();
+    const savedSeries = new Set();
+
+    const claimMoveCandidate = (predicate) => {
+        const match = moveCandidates.find(row => !claimedIds.has(row.id) && predicate(row));
+        if (match) claimedIds.add(match.id);
+        return match;
+    };
+
+    const results = await runWithConcurrency(allFiles, SCAN_CONCURRENCY, async (filepath) => {
+        onFileStart?.({ filepath });
+        const result = await reconcileFile(db, filepath, {
+            target: { ...targets.get(filepath), savedSeries },
+            existing: rowsByPath.get(filepath),
+            claimMoveCandidate,
+            subtitleFiles: [...(subtitles.get(path.dirname(filepath)) || [])],
+        });
+        onFileDone?.(result);
+        return result;
+    }, isCancelled);
+    const count = (status) => results.filter(result => result?.status === status).length;
+    const cancelled = isCancelled();
+
+    let removed = 0;
+    // A cancelled scan has not seen every new file yet, so it cannot tell a move from a removal.
+    if (!cancelled) {
+        for (const row of moveCandidates) {
+            if (claimedIds.has(row.id) || row.missing_since || !inScopeIds.has(row.id)) continue;
+            await db.run('UPDATE media SET missing_since = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+            logger.info(`Removed: ${row.filepath}`);
+            removed++;
+        }
+        await db.run(
+            `DELETE FROM media
+             WHERE missing_since IS NOT NULL
+               AND missing_since < datetime('now', ?)`,
+            [`-${MISSING_RETENTION_DAYS} days`],
+        );
+        await deleteEmptyCollections(db);
+        await cleanupArtwork().catch(err => logger.warn(`Failed to clean up artwork: ${err.message}`));
+    }
+
+    const summary = {
+        added: count('added'),
+        removed,
+        moved: count('moved'),
+        updated: count('updated'),
+        unchanged: count('unchanged'),
+        failed: count('error'),
+        metadataPending: results.filter(result => result?.metadataPending).length,
+    };
+    const errors = [
+        ...walkErrors.map(error => ({ filepath: null, error })),
+        ...results
+            .filter(result => result?.status === 'error')
+            .map(({ filepath, error }) => ({ filepath, error })),
+    ];
+    return { cancelled, summary, errors };
+};
+
+/**
+ * Inserts or updates a series entry in the database with TMDB metadata and local images.
+ * Series are kept per library, so the same show may appear in e.g. "Series" and "Kids".
+ * An existing entry is found by TMDB ID first, so a renamed series is not duplicated. Lookups in
+ * the same library run one after the other, so parallel episodes of a new series create one entry.
+ * @param {object} db
+ * @param {object} seriesData - A TMDB search result or details response
+ * @param {number|null} [libraryId]
+ * @param {object} [options]
+ * @param {number|null} [options.seriesId] - Overwrite this entry with the data (manual match);
+ *   fields the user locked are kept
+ * @param {{poster?: string|null, backdrop?: string|null}} [options.artwork] - Local images found in
+ *   the series folder; they are used instead of the TMDB images
+ * @param {string|null} [options.language] - TMDB language genre names of search results are looked up and
+ *   stored in
+ * @returns {Promise<number>} The series ID
+ */
+export function upsertSeries(db, seriesData, libraryId = null, options = {}) {
+    if (options.seriesId) return writeSeries(db, seriesData, libraryId, options);
+    const key = String(libraryId);
+    const upsert = (pendingSeries.get(key) || Promise.resolve())
+        .catch(() => {})
+        .then(() => writeSeries(db, seriesData, libraryId, options));
+    const cleanup = () => {
+        if (pendingSeries.get(key) === upsert) pendingSeries.delete(key);
+    };
+    pendingSeries.set(key, upsert);
+    upsert.then(cleanup, cleanup);
+    return upsert;
+}
+
+/**
+ * Finds or inserts a series entry, or overwrites the entry of a manual match; see upsertSeries.
+ */
+async function writeSeries(db, seriesData, libraryId, options) {
+    const { seriesId = null, artwork = {}, language = null } = options;
+    const {
+        id: tmdbId = null,
+        name,
+        original_name,
+        overview,
+        first_air_date,
+        poster_path,
+        backdrop_path,
+        original_language,
+        origin_country,
+        popularity,
+        vote_average,
+        vote_count,
+        mediaType = 'series',
+    } = seriesData;
+
+    if (!seriesId) {
+        const existing = (tmdbId && await db.get(
+            'SELECT id FROM series WHERE tmdb_id = ? AND library_id IS ?',
+            [tmdbId, libraryId],
+        )) || await db.get('SELECT id FROM series WHERE title = ? AND library_id IS ?', [name, libraryId]);
+        if (existing) {
+            if (tmdbId) {
+                await db.run('UPDATE series SET tmdb_id = ? WHERE id = ? AND tmdb_id IS NULL', [tmdbId, existing.id]);
+            }
+            return existing.id;
+        }
+    }
+
+    const genres = await resolveGenres(seriesData, 'tv', language);
+    const genre = formatGenres(genres);
+
+    const originCountry = Array.isArray(origin_country) ? origin_country.join(',') : '';
+
+    let posterLocal = '';
+    let backdropLocal = '';
+    if (artwork.poster) {
+        posterLocal = await importLocalImage(artwork.poster);
+    } else if (poster_path) {
+        posterLocal = await downloadImage(poster_path, 'poster');
+    }
+    if (artwork.backdrop) {
+        backdropLocal = await importLocalImage(artwork.backdrop);
+    } else if (backdrop_path) {
+        backdropLocal = await downloadImage(backdrop_path, 'backdrop');
+    }
+
+    const columns = {
+        title: name,
+        original_name: original_name || '',
+        overview: overview || '',
+        first_air_date: first_air_date || '',
+        poster_path: posterLocal,
+        backdrop_path: backdropLocal,
+        genre,
+        original_language: original_language || '',
+        origin_country: originCountry,
+        popularity: popularity || 0,
+        vote_average: vote_average || 0,
+        vote_count: vote_count || 0,
+        mediaType,
+        library_id: libraryId,
+        tmdb_id: tmdbId,
+    };
+
+    if (seriesId) {
+        const current = await db.get('SELECT locked_fields FROM series WHERE id = ?', [seriesId]);
+        const values = omitLocked(columns, parseLockedFields(current));
+        const assignments = Object.keys(values).map(column => `${column} = ?`).join(', ');
+        await db.run(`UPDATE series SET ${assignments} WHERE id = ?`, [...Object.values(values), seriesId]);
+        await syncGenres(db, 'series', seriesId, { genres, language });
+        return seriesId;
+    }
+
+    const result = await db.run(
+        `INSERT INTO series (${Object.keys(columns).join(', ')})
+         VALUES (${Object.keys(columns).map(() => '?').join(', ')})`,
+        Object.values(columns),
+    );
+    await syncGenres(db, 'series', result.lastID, { genres, language });
+    return result.lastID;
+}
+
+/**
+ * Returns true when the path has one of the given media extensions.
+ * @param {string} filepath
+ * @param {string[]} extensions - Lowercase extensions including the dot
+ * @returns {boolean}
+ */
+export const isMediaFile = (filepath, extensions) => extensions.includes(path.extname(filepath).toLowerCase());
+
+/**
+ * Lists all media files below a directory.
+ * @param {string} dir
+ * @param {string[]} extensions - Lowercase extensions including the dot
+ * @returns {string[]}
+ */
+export const listMediaFiles = (dir, extensions) => walkDir(dir, extensions);
+
+/**
+ * Indexes a single new or changed file, using the same reconciliation as a full scan.
+ * A tombstoned row, or a row whose file is gone, with the same inode or fingerprint is treated as moved.
+ * @param {string} filepath
+ * @returns {Promise<{status: string, filepath: string, error?: string}>}
+ */
+export const indexFile = async (filepath) => {
+    const target = findLibraryForPath(filepath, await listLibraries());
+    if (!target || !isMediaFile(filepath, target.library.extensions)) {
+        return { status: 'error', filepath, error: 'File is not part of any library' };
+    }
+    const db = await openDb();
+    const existing = await db.get(
+        `SELECT ${RECONCILE_COLUMNS}
+         FROM media
+         WHERE filepath = ?`,
+        [filepath],
+    );
+    let moveCandidates = [];
+    if (!existing) {
+        const { size } = await fs.promises.stat(filepath);
+        const sameSize = await db.all(
+            `SELECT ${RECONCILE_COLUMNS}
+             FROM media
+             WHERE filesize = ?`,
+            [size],
+        );
+        moveCandidates = sameSize.filter(row => row.missing_since || !fs.existsSync(row.filepath));
+    }
+    const claimMoveCandidate = (predicate) => moveCandidates.find(predicate);
+    return reconcileFile(db, filepath, { target, existing, claimMoveCandidate });
+};
+
+/**
+ * Fetches the metadata of an indexed file again, e.g. after it was matched manually.
+ * Locked fields are kept and the file itself is not read again.
+ * @param {number|string} mediaId
+ * @returns {Promise<{metadataPending: boolean}|null>} null when the media does not exist
+ * @throws {AppError} 409 when the file is no longer part of any library
+ */
+export const refreshMedia = async (mediaId) => {
+    const db = await openDb();
+    const row = await db.get(
+        `SELECT ${RECONCILE_COLUMNS}
+         FROM media
+         WHERE id = ?
+           AND missing_since IS NULL`,
+        [mediaId],
+    );
+    if (!row) return null;
+    const target = findLibraryForPath(row.filepath, await listLibraries());
+    if (!target) {
+        throw new AppError('The file is not part of any library', 409);
+    }
+    const fileInfo = { size: row.filesize, inode: row.inode, mtime: row.mtime, fingerprint: row.fingerprint };
+    const metadataPending = await saveMetadata(db, row, row.filepath, fileInfo, target);
+    return { metadataPending };
+};
+
+/**
+ * Tombstones the media rows for a removed file, or for all files below a removed directory.
+ * Rows whose file still exists are left alone.
+ * @param {string} removedPath
+ * @returns {Promise<number>} Number of tombstoned rows
+ */
+export const removeFile = async (removedPath) => {
+    const db = await openDb();
+    const rows = await db.all(
+        `SELECT id, filepath
+         FROM media
+         WHERE missing_since IS NULL
+           AND (filepath = ? OR filepath LIKE ?)`,
+        [removedPath, `${removedPath}${path.sep}%`],
+    );
+    let removed = 0;
+    for (const row of rows) {
+        // LIKE treats "_" in directory names as a wildcard, so confirm the prefix match.
+        const isBelow = row.filepath === removedPath || row.filepath.startsWith(`${removedPath}${path.sep}`);
+        if (!isBelow || fs.existsSync(row.filepath)) continue;
+        await db.run('UPDATE media SET missing_since = CURRENT_TIMESTAMP WHERE id = ?', [row.id]);
+        logger.info(`Removed: ${row.filepath}`);
+        removed++;
+    }
+    return removed;
+};
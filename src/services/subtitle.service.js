@@ -0,0 +1,197 @@
+import { execFile } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { openDb } from '../config/db.config.js';
+import { AppError } from '../utils/AppError.js';
+import { logger } from '../utils/logger.js';
+import { readIntEnv } from '../utils/env.js';
+import { fileVersion } from '../utils/fingerprint.js';
+import { decodeSubtitle, isSubtitleFile, parseSubtitleName, toWebVtt } from '../utils/subtitles.js';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const SUBTITLE_CACHE_PATH = path.resolve(process.env.SUBTITLE_CACHE_PATH || './data/subtitles');
+// ffmpeg reads through the whole file to collect a track's cues, which takes a while on network shares.
+const SUBTITLE_EXTRACT_TIMEOUT_MS = readIntEnv('SUBTITLE_EXTRACT_TIMEOUT_MS', 120000);
+
+// Columns compared to tell whether a stored subtitle changed.
+const SUBTITLE_COLUMNS = ['format', 'language', 'title', 'forced', 'sdh'];
+
+/**
+ * Finds the subtitle files belonging to a media file: those next to it whose name starts with its own.
+ * @param {string} filepath - The media file
+ * @param {string[]} [candidates] - Subtitle files in its folder, e.g. from a scan; the folder is
+ *   read when omitted
+ * @returns {Promise<object[]>} The subtitles with their filepath, format, language, title and flags
+ */
+const findSidecarSubtitles = async (filepath, candidates) => {
+    let files = candidates;
+    if (!files) {
+        const dir = path.dirname(filepath);
+        files = (await fs.promises.readdir(dir).catch(() => []))
+            .map(name => path.join(dir, name))
+            .filter(isSubtitleFile);
+    }
+    return files
+        .map(file => ({ filepath: file, ...parseSubtitleName(filepath, file) }))
+        .filter(subtitle => subtitle.format);
+};
+
+/**
+ * Links the sidecar subtitles of a media file to its row: new files are added, renamed ones updated
+ * and vanished ones removed. Subtitles that did not change keep their id.
+ * @param {object} db
+ * @param {number} mediaId
+ * @param {string} filepath - The media file
+ * @param {string[]} [candidates] - Subtitle files in its folder; the folder is read when omitted
+ * @returns {Promise<number>} Number of subtitles linked
+ */
+export const syncSubtitles = async (db, mediaId, filepath, candidates) => {
+    const found = await findSidecarSubtitles(filepath, candidates);
+    const stored = new Map((await db.all('SELECT * FROM subtitles WHERE media_id = ?', [mediaId]))
+        .map(row => [row.filepath, row]));
+    for (const row of stored.values()) {
+        if (!found.some(subtitle => subtitle.filepath === row.filepath)) {
+            await db.run('DELETE FROM subtitles WHERE id = ?', [row.id]);
+        }
+    }
+    for (const subtitle of found) {
+        const values = [subtitle.format, subtitle.language, subtitle.title, Number(subtitle.forced),
+            Number(subtitle.sdh)];
+        const row = stored.get(subtitle.filepath);
+        if (row && SUBTITLE_COLUMNS.every((column, index) => row[column] === values[index])) continue;
+        await db.run(
+            `INSERT INTO subtitles (media_id, filepath, format, language, title, forced, sdh)
+             VALUES (?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (media_id, filepath) DO UPDATE SET format   = excluded.format,
+                                                            language = excluded.language,
+                                                            title    = excluded.title,
+                                                            forced   = excluded.forced,
+                                                            sdh      = excluded.sdh`,
+            [mediaId, subtitle.filepath, ...values],
+        );
+    }
+    return found.length;
+};
+
+/**
+ * Links the subtitles of all media files next to a subtitle file that was added, changed or removed.
+ * @param {string} subtitlePath
+ * @returns {Promise<number>} Number of media files whose subtitles were checked
+ */
+export const refreshSubtitles = async (subtitlePath) => {
+    const db = await openDb();
+    const dir = path.dirname(subtitlePath);
+    const rows = await db.all(
+        `SELECT id, filepath
+         FROM media
+         WHERE missing_since IS NULL
+           AND filepath LIKE ?`,
+        [`${dir}${path.sep}%`],
+    );
+    // LIKE also matches files in subfolders, and "_" in folder names is a wildcard.
+    const siblings = rows.filter(row => path.dirname(row.filepath) === dir);
+    for (const row of siblings) {
+        await syncSubtitles(db, row.id, row.filepath);
+    }
+    return siblings.length;
+};
+
+/**
+ * Reads a subtitle file and converts it to WebVTT.
+ * @param {{filepath: string, format: string}} subtitle - A subtitles row
+ * @param {number} [offset] - Seconds to shift the cues by
+ * @returns {Promise<string>}
+ * @throws {AppError} 404 when the file is gone
+ */
+export const readSubtitleAsVtt = async (subtitle, offset = 0) => {
+    let buffer;
+    try {
+        buffer = await fs.promises.readFile(subtitle.filepath);
+    } catch (err) {
+        if (err.code === 'ENOENT') throw new AppError('Subtitle file not found', 404);
+        throw err;
+    }
+    return toWebVtt(decodeSubtitle(buffer), subtitle.format, offset);
+};
+
+/** Extractions in progress by cache file, so concurrent requests for a track share one ffmpeg run. */
+const extractions = new Map();
+
+/**
+ * Runs ffmpeg writing an embedded subtitle track as WebVTT.
+ * @param {string} filepath - The media file
+ * @param {number} index - Stream index of the track
+ * @param {string} output
+ * @returns {Promise<void>}
+ * @throws {AppError} 503 without ffmpeg, 500 when ffmpeg failed
+ */
+const runExtraction = (filepath, index, output) => new Promise((resolve, reject) => {
+    execFile(
+        FFMPEG_PATH,
+        ['-hide_banner', '-loglevel', 'error', '-nostdin', '-y', '-i', filepath, '-map', `0:${index}`,
+            '-c:s', 'webvtt', '-f', 'webvtt', output],
+        { timeout: SUBTITLE_EXTRACT_TIMEOUT_MS },
+        (err, stdout, stderr) => {
+            if (!err) return resolve();
+            if (err.code === 'ENOENT') {
+                return reject(new AppError(`${FFMPEG_PATH} not found, extracting subtitles needs ffmpeg`, 503));
+            }
+            logger.error(`ffmpeg failed to extract track ${index} of ${filepath}: ${stderr.trim() || err.message}`);
+            reject(new AppError('Error extracting subtitle track', 500));
+        },
+    );
+});
+
+/**
+ * Returns the cached WebVTT file of an embedded subtitle track, extracting it first when needed.
+ * Cache files name the file version; those of an older version of the file are removed.
+ * @param {object} media - A media row
+ * @param {number} index - Stream index of a text subtitle track
+ * @returns {Promise<string>} Path of the cache file
+ */
+const extractSubtitleTrack = async (media, index) => {
+    const version = fileVersion(media);
+    const file = path.join(SUBTITLE_CACHE_PATH, `${media.id}-${version}-${index}.vtt`);
+    if (fs.existsSync(file)) return file;
+    if (!extractions.has(file)) {
+        const extraction = (async () => {
+            await fs.promises.mkdir(SUBTITLE_CACHE_PATH, { recursive: true });
+            for (const name of await fs.promises.readdir(SUBTITLE_CACHE_PATH)) {
+                if (name.startsWith(`${media.id}-`) && !name.startsWith(`${media.id}-${version}-`)) {
+                    await fs.promises.rm(path.join(SUBTITLE_CACHE_PATH, name), { force: true });
+                }
+            }
+            // Written under a temporary name, so a cache file is always complete.
+            const partial = `${file}.${process.pid}.tmp`;
+            try {
+                await runExtraction(media.filepath, index, partial);
+                await fs.promises.rename(partial, file);
+            } finally {
+                await fs.promises.rm(partial, { force: true });
+            }
+            logger.info(`Extracted subtitle track ${index} of media id=${media.id}`);
+        })();
+        extractions.set(file, extraction.finally(() => extractions.delete(file)));
+    }
+    await extractions.get(file);
+    return file;
+};
+
+/**
+ * Reads an embedded text subtitle track of a media file as WebVTT, extracting it with ffmpeg on
+ * the first request and from the cache afterwards.
+ * @param {object} media - A media row
+ * @param {number} index - Stream index of the track
+ * @param {number} [offset] - Seconds to shift the cues by
+ * @returns {Promise<string>}
+ * @throws {AppError} 404 when the file is gone, 503 without ffmpeg, 500 when ffmpeg failed
+ */
+export const readTrackAsVtt = async (media, index, offset = 0) => {
+    try {
+        await fs.promises.access(media.filepath, fs.constants.R_OK);
+    } catch {
+        throw new AppError('Media file not found', 404);
+    }
+    const file = await extractSubtitleTrack(media, index);
+    return toWebVtt(decodeSubtitle(await fs.promises.readFile(file)), 'vtt', offset);
+};
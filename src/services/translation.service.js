@@ -0,0 +1,154 @@
+import { DEFAULT_LANGUAGE } from '../utils/tmdbApi.js';
+import { logger } from '../utils/logger.js';
+import { TmdbTransientError } from '../utils/TmdbError.js';
+import { getMetadataProvider } from './metadataProvider.service.js';
+
+const parseLanguages = (value) => (value || '').split(',').map(language => language.trim()).filter(Boolean);
+
+// Tried in order when TMDB has no title or overview in the metadata language.
+const FALLBACK_LANGUAGES = parseLanguages(process.env.TMDB_FALLBACK_LANGUAGES ?? 'en-US');
+// Further languages stored for `?lang=`; fallback languages are always stored.
+const TRANSLATION_LANGUAGES = parseLanguages(process.env.TMDB_TRANSLATIONS);
+const IMAGE_LANGUAGE = process.env.TMDB_IMAGE_LANGUAGE || null;
+
+/**
+ * Returns true when a TMDB language tag (e.g. en-US) is the configured language; a bare language
+ * code (e.g. en) matches every region.
+ * @param {string} tag
+ * @param {string} language
+ * @returns {boolean}
+ */
+const matchesLanguage = (tag, language) => tag === language || tag.split('-')[0] === language;
+
+/**
+ * Resolves the metadata, fallback, translation and image languages of a library.
+ * @param {object|null} library
+ * @returns {{language: string, imageLanguage: string|null, fallbacks: string[], translations: string[]}}
+ */
+export const getLanguageSettings = (library) => {
+    const language = library?.language || DEFAULT_LANGUAGE;
+    const fallbacks = FALLBACK_LANGUAGES.filter(fallback => fallback !== language);
+    return {
+        language,
+        imageLanguage: library?.imageLanguage || IMAGE_LANGUAGE,
+        fallbacks,
+        translations: [...new Set([...fallbacks, ...TRANSLATION_LANGUAGES])]
+            .filter(translation => !matchesLanguage(language, translation)),
+    };
+};
+
+/**
+ * Reads the translations of a TMDB details response (`append_to_response=translations`).
+ * @param {object} details
+ * @returns {{language: string, title: string|null, overview: string|null}[]}
+ */
+const readTranslations = (details) => (details?.translations?.translations || []).map(entry => ({
+    language: entry.iso_3166_1 ? `${entry.iso_639_1}-${entry.iso_3166_1}` : entry.iso_639_1,
+    title: entry.data?.title || entry.data?.name || null,
+    overview: entry.data?.overview || null,
+}));
+
+/**
+ * Picks the translations of the given languages, in their order.
+ * @param {object[]} translations - From readTranslations
+ * @param {string[]} languages
+ * @returns {object[]}
+ */
+const pickTranslations = (translations, languages) => languages
+    .flatMap(language => translations.filter(translation => matchesLanguage(translation.language, language)))
+    .filter((translation, index, all) => all.findIndex(other => other.language === translation.language) === index);
+
+/**
+ * Applies the language settings to a TMDB movie or series details response: an empty title or
+ * overview is filled from the fallback languages, and a poster in the image language replaces the
+ * default one. Search results carry no translations and are returned unchanged.
+ * @param {object|null} details
+ * @param {object} settings - From getLanguageSettings
+ * @returns {{result: object|null, translations: object[]}} The localized response and the
+ *   translations to store
+ */
+export const localizeDetails = (details, settings) => {
+    if (!details) return { result: details, translations: [] };
+    const all = readTranslations(details);
+    const fallbacks = pickTranslations(all, settings.fallbacks);
+    const titleKey = 'title' in details ? 'title' : 'name';
+    const result = { ...details };
+    if (!result[titleKey]) {
+        result[titleKey] = fallbacks.find(translation => translation.title)?.title || result[titleKey];
+    }
+    if (!result.overview) {
+        result.overview = fallbacks.find(translation => translation.overview)?.overview || result.overview;
+    }
+    const imageLanguage = settings.imageLanguage?.split('-')[0];
+    const poster = imageLanguage && details.images?.posters?.find(image => image.iso_639_1 === imageLanguage);
+    if (poster) {
+        result.poster_path = poster.file_path;
+    }
+    return { result, translations: pickTranslations(all, settings.translations) };
+};
+
+/**
+ * Fetches a season in the fallback and translation languages to fill empty episode names and
+ * overviews, and to collect the translations of a file. A multi-episode file is titled after all
+ * the episodes it covers, in every language.
+ * @param {number} tvId - TMDB series ID
+ * @param {number} seasonNumber
+ * @param {object[]} episodes - The file's episodes in the metadata language
+ * @param {object} settings - From getLanguageSettings
+ * @returns {Promise<{episodes: object[], translations: object[]}>} The episodes with fallbacks
+ *   applied, and the translations to store
+ * @throws {TmdbTransientError} When TMDB is temporarily unavailable
+ */
+export const localizeEpisodes = async (tvId, seasonNumber, episodes, settings) => {
+    const seasons = new Map();
+    for (const language of new Set([...settings.fallbacks, ...settings.translations])) {
+        try {
+            seasons.set(language, await getMetadataProvider().getSeason(tvId, seasonNumber, language));
+        } catch (err) {
+            if (err instanceof TmdbTransientError) throw err;
+            logger.warn(`Failed to fetch season ${seasonNumber} of TMDB series ${tvId} in ${language}: ${err.message}`);
+        }
+    }
+    const find = (language, episode) => seasons.get(language)?.episodes
+        ?.find(entry => entry.episode_number === episode.episode_number);
+    const inLanguage = (language) => episodes.map(episode => find(language, episode)).filter(Boolean);
+    const localized = episodes.map(episode => {
+        const result = { ...episode };
+        for (const language of settings.fallbacks) {
+            const fallback = find(language, episode);
+            result.name = result.name || fallback?.name || '';
+            result.overview = result.overview || fallback?.overview || '';
+        }
+        return result;
+    });
+    const translations = settings.translations
+        .map(language => {
+            const entries = inLanguage(language);
+            return {
+                language,
+                title: entries.map(entry => entry.name).filter(Boolean).join(' / ') || null,
+                overview: entries[0]?.overview || null,
+            };
+        })
+        .filter(translation => translation.title || translation.overview);
+    return { episodes: localized, translations };
+};
+
+/**
+ * Replaces the stored translations of a media or series row.
+ * @param {object} db
+ * @param {string} entityType - media or series
+ * @param {number} id
+ * @param {{language: string, title: string|null, overview: string|null}[]} translations
+ * @returns {Promise<void>}
+ */
+export const saveTranslations = async (db, entityType, id, translations) => {
+    await db.run('DELETE FROM translations WHERE entity_type = ? AND entity_id = ?', [entityType, id]);
+    for (const translation of translations) {
+        await db.run(
+            `INSERT OR REPLACE INTO translations (entity_type, entity_id, language, title, overview)
+             VALUES (?, ?, ?, ?, ?)`,
+            [entityType, id, translation.language, translation.title, translation.overview],
+        );
+    }
+};
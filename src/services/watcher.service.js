@@ -0,0 +1,317 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { readIntEnv } from '../utils/env.js';
+import { indexFile, isMediaFile, listMediaFiles, removeFile } from './scanner.service.js';
+import { isScanRunning, runUnlessScanning } from './scanJob.service.js';
+import { findLibraryForPath, listLibraries } from './library.service.js';
+import { refreshSubtitles } from './subtitle.service.js';
+import { isSubtitleFile, SUBTITLE_EXTENSIONS } from '../utils/subtitles.js';
+
+// 'auto' polls network mounts (NFS/SMB) and uses native events elsewhere; 'true'/'false' force a mode.
+const WATCH_POLLING = (process.env.WATCH_POLLING || 'auto').toLowerCase();
+const WATCH_POLL_INTERVAL_MS = readIntEnv('WATCH_POLL_INTERVAL_MS', 60000, 1);
+// A file is indexed once its size and mtime have not changed for this long (i.e. the copy finished).
+const WATCH_STABILITY_MS = readIntEnv('WATCH_STABILITY_MS', 5000);
+const NETWORK_FS_TYPES = ['nfs', 'nfs4', 'cifs', 'smb3', 'smbfs', 'fuse.sshfs', 'fuse.rclone', '9p'];
+
+const watchers = [];
+/** Libraries being watched; loaded by startWatcher(). */
+let libraries = [];
+/** Next poll timer per polled root. */
+const pollTimers = new Map();
+/** Files waiting for their size to settle, keyed by path. */
+const pending = new Map();
+/** Serializes indexing so the watcher never writes the same rows concurrently. */
+let queue = Promise.resolve();
+/** Incremented by stopWatcher(), so polling loops and checks begun before it end. */
+let generation = 0;
+
+/**
+ * Returns true when the directory lives on a network filesystem where inotify events are unreliable.
+ * Reads /proc/mounts, so it only detects anything on Linux.
+ * @param {string} dir
+ * @returns {boolean}
+ */
+const isNetworkMount = (dir) => {
+    try {
+        const resolved = fs.realpathSync(dir);
+        const mounts = fs.readFileSync('/proc/mounts', 'utf8')
+            .split('\n')
+            .map(line => line.split(' '))
+            .filter(parts => parts.length >= 3)
+            .map(([, mountPoint, type]) => ({ mountPoint: mountPoint.replace(/\\040/g, ' '), type }));
+        const mount = mounts
+            .filter(({ mountPoint }) => resolved === mountPoint || resolved.startsWith(`${mountPoint.replace(/\/$/, '')}/`))
+            .sort((a, b) => b.mountPoint.length - a.mountPoint.length)[0];
+        return Boolean(mount && NETWORK_FS_TYPES.includes(mount.type));
+    } catch {
+        return false;
+    }
+};
+
+const enqueue = (task) => {
+    queue = queue.then(task).catch(err => logger.error(`Watcher task failed: ${err.message}`));
+    return queue;
+};
+
+/**
+ * Queues the indexing of a settled path. A scan may have started while it waited in the queue;
+ * then the path is checked again after the scan instead of being written alongside it. A scan
+ * starting while the task runs waits for it (see runUnlessScanning).
+ * @param {string} filepath
+ * @param {function(): Promise<void>} task
+ */
+const enqueuePath = (filepath, task) => {
+    const queued = generation;
+    return enqueue(async () => {
+        const ran = await runUnlessScanning(task);
+        if (!ran && queued === generation) schedule(filepath);
+    });
+};
+
+/**
+ * Links a subtitle file that was added, changed or removed to the media files next to it.
+ * @param {string} filepath
+ */
+const indexSubtitle = (filepath) => enqueuePath(filepath, async () => {
+    const count = await refreshSubtitles(filepath);
+    logger.info(`Watcher refreshed subtitles of ${count} file(s) for ${filepath}`);
+});
+
+/**
+ * Re-checks a path after the stability window: indexes it once it stopped growing,
+ * tombstones it when it is gone, and expands directories into their media files.
+ * @param {string} filepath
+ */
+const checkPath = async (filepath) => {
+    const entry = pending.get(filepath);
+    if (!entry) return;
+
+    if (isScanRunning()) {
+        entry.timer = setTimeout(() => checkPath(filepath), WATCH_STABILITY_MS);
+        return;
+    }
+
+    let stat;
+    try {
+        stat = await fs.promises.stat(filepath);
+    } catch {
+        stat = null;
+    }
+    // stopWatcher() ran meanwhile.
+    if (pending.get(filepath) !== entry) return;
+
+    if (!stat) {
+        pending.delete(filepath);
+        if (isSubtitleFile(filepath)) {
+            await indexSubtitle(filepath);
+            return;
+        }
+        await enqueuePath(filepath, async () => {
+            const removed = await removeFile(filepath);
+            if (removed) logger.info(`Watcher removed ${removed} file(s) at ${filepath}`);
+        });
+        return;
+    }
+
+    if (stat.isDirectory()) {
+        pending.delete(filepath);
+        for (const file of safeListWatchedFiles(filepath)) {
+            schedule(file);
+        }
+        return;
+    }
+
+    if (stat.size !== entry.size || stat.mtimeMs !== entry.mtimeMs) {
+        entry.size = stat.size;
+        entry.mtimeMs = stat.mtimeMs;
+        entry.timer = setTimeout(() => checkPath(filepath), WATCH_STABILITY_MS);
+        return;
+    }
+
+    pending.delete(filepath);
+    if (isSubtitleFile(filepath)) {
+        await indexSubtitle(filepath);
+        return;
+    }
+    await enqueuePath(filepath, async () => {
+        const result = await indexFile(filepath);
+        logger.info(`Watcher ${result.status}: ${filepath}`);
+    });
+};
+
+/**
+ * Debounces a changed path; it is checked once no further event arrived within the stability window.
+ * @param {string} filepath
+ */
+const schedule = (filepath) => {
+    const existing = pending.get(filepath);
+    if (existing) clearTimeout(existing.timer);
+    const entry = existing || { size: -1, mtimeMs: -1 };
+    entry.timer = setTimeout(() => checkPath(filepath), WATCH_STABILITY_MS);
+    pending.set(filepath, entry);
+};
+
+/**
+ * Returns true when the file has a media extension of the library it belongs to.
+ * @param {string} filepath
+ * @returns {boolean}
+ */
+const isLibraryMediaFile = (filepath) => {
+    const target = findLibraryForPath(filepath, libraries);
+    return Boolean(target && isMediaFile(filepath, target.library.extensions));
+};
+
+/**
+ * Returns true when the file is a media file or a subtitle file in a library.
+ * @param {string} filepath
+ * @returns {boolean}
+ */
+const isWatchedFile = (filepath) => isLibraryMediaFile(filepath)
+    || (isSubtitleFile(filepath) && Boolean(findLibraryForPath(filepath, libraries)));
+
+const safeListWatchedFiles = (dir) => {
+    try {
+        const extensions = [...new Set([...libraries.flatMap(library => library.extensions), ...SUBTITLE_EXTENSIONS])];
+        return listMediaFiles(dir, extensions).filter(isWatchedFile);
+    } catch (err) {
+        logger.warn(`Watcher failed to read ${dir}: ${err.message}`);
+        return [];
+    }
+};
+
+/**
+ * Handles a raw filesystem event below a library root.
+ * @param {string} root
+ * @param {string|null} relativePath - Path reported by fs.watch, may be null on some platforms
+ */
+const handleEvent = (root, relativePath) => {
+    if (!relativePath) return;
+    const filepath = path.join(root, relativePath.toString());
+    // Directories have no media extension; they are expanded (or tombstoned) in checkPath.
+    if (path.extname(filepath) && !isWatchedFile(filepath)) return;
+    schedule(filepath);
+};
+
+/**
+ * Takes a size/mtime snapshot of all media and subtitle files below a root.
+ * @param {string} root
+ * @returns {Promise<Map<string, string>>}
+ */
+const takeSnapshot = async (root) => {
+    const snapshot = new Map();
+    for (const filepath of safeListWatchedFiles(root)) {
+        try {
+            const stat = await fs.promises.stat(filepath);
+            snapshot.set(filepath, `${stat.size}:${stat.mtimeMs}`);
+        } catch {
+            // File vanished between listing and stat; the next poll picks it up.
+        }
+    }
+    return snapshot;
+};
+
+/**
+ * Watches a root by periodically diffing snapshots. Used where inotify does not work.
+ * @param {string} root
+ */
+const startPolling = async (root) => {
+    const started = generation;
+    let previous = await takeSnapshot(root);
+    // stopWatcher() may have run during the first snapshot.
+    if (started !== generation) return;
+    const poll = async () => {
+        try {
+            const current = await takeSnapshot(root);
+            for (const [filepath, signature] of current) {
+                if (previous.get(filepath) !== signature) schedule(filepath);
+            }
+            for (const filepath of previous.keys()) {
+                if (!current.has(filepath)) schedule(filepath);
+            }
+            previous = current;
+        } catch (err) {
+            logger.warn(`Polling ${root} failed: ${err.message}`);
+        } finally {
+            // Ends once stopWatcher() ran, also when the watcher was started again meanwhile.
+            if (started === generation) {
+                pollTimers.set(root, setTimeout(poll, WATCH_POLL_INTERVAL_MS));
+            }
+        }
+    };
+    pollTimers.set(root, setTimeout(poll, WATCH_POLL_INTERVAL_MS));
+    logger.info(`Watching ${root} by polling every ${WATCH_POLL_INTERVAL_MS}ms`);
+};
+
+/**
+ * Watches a root with native recursive fs.watch, falling back to polling when that is unsupported.
+ * @param {string} root
+ */
+const startNativeWatch = (root) => {
+    try {
+        const watcher = fs.watch(root, { recursive: true }, (eventType, filename) => handleEvent(root, filename));
+        watcher.on('error', (err) => {
+            watcher.close();
+            watchers.splice(watchers.indexOf(watcher), 1);
+            // Node's recursive watcher on Linux errors when a watched subdirectory is deleted; just re-arm it.
+            if (err.code === 'ENOENT' && fs.existsSync(root)) {
+                logger.info(`Re-arming native watcher for ${root} after ${err.message}`);
+                startNativeWatch(root);
+                return;
+            }
+            logger.warn(`Native watcher for ${root} failed (${err.message}), falling back to polling`);
+            startPolling(root).catch(pollErr => logger.error(`Failed to start polling ${root}: ${pollErr.message}`));
+        });
+        watchers.push(watcher);
+        logger.info(`Watching ${root} for changes`);
+    } catch (err) {
+        logger.warn(`Native watching not available for ${root} (${err.message}), falling back to polling`);
+        startPolling(root).catch(pollErr => logger.error(`Failed to start polling ${root}: ${pollErr.message}`));
+    }
+};
+
+/**
+ * Starts watching all library roots for new, changed and removed media files.
+ * Does nothing unless WATCH_MODE is enabled.
+ */
+export const startWatcher = async () => {
+    if (!['true', '1'].includes((process.env.WATCH_MODE || '').toLowerCase())) return;
+
+    libraries = await listLibraries();
+    const roots = [...new Set(libraries.flatMap(library => library.paths))];
+    // A root nested inside another watched root is already covered by the recursive watch.
+    const topLevelRoots = roots.filter(root => !roots.some(other => root.startsWith(`${other}${path.sep}`)));
+    for (const root of topLevelRoots) {
+        if (!fs.existsSync(root)) {
+            logger.warn(`Not watching ${root}: directory does not exist`);
+            continue;
+        }
+        const usePolling = WATCH_POLLING === 'true' || (WATCH_POLLING === 'auto' && isNetworkMount(root));
+        if (usePolling) {
+            startPolling(root).catch(err => logger.error(`Failed to start polling ${root}: ${err.message}`));
+        } else {
+            startNativeWatch(root);
+        }
+    }
+};
+
+/**
+ * Stops all watchers and discards files still waiting to settle.
+ */
+export const stopWatcher = () => {
+    generation++;
+    watchers.splice(0).forEach(watcher => watcher.close());
+    pollTimers.forEach(timer => clearTimeout(timer));
+    pollTimers.clear();
+    for (const entry of pending.values()) clearTimeout(entry.timer);
+    pending.clear();
+};
+
+/**
+ * Restarts the watcher so it picks up created, changed or deleted libraries.
+ */
+export const restartWatcher = async () => {
+    stopWatcher();
+    await startWatcher();
+};
@@ -0,0 +1,35 @@
+/**
+ * Base class for failed TMDB requests. `statusCode` is the HTTP status TMDB answered with,
+ * or null when no response was received.
+ */
+export class TmdbError extends Error {
+    constructor(message, statusCode = null) {
+        super(message);
+        this.statusCode = statusCode;
+        this.retryable = false;
+        this.name = 'TmdbError';
+        Error.captureStackTrace(this, this.constructor);
+    }
+}
+
+/**
+ * The requested movie, series, season or episode does not exist on TMDB. Retrying will not help.
+ */
+export class TmdbNotFoundError extends TmdbError {
+    constructor(message, statusCode = 404) {
+        super(message, statusCode);
+        this.name = 'TmdbNotFoundError';
+    }
+}
+
+/**
+ * TMDB could not answer right now (rate limit, server error, timeout, network problem) and
+ * the retries were used up. The same request is expected to succeed later.
+ */
+export class TmdbTransientError extends TmdbError {
+    constructor(message, statusCode = null) {
+        super(message, statusCode);
+        this.retryable = true;
+        this.name = 'TmdbTransientError';
+    }
+}
@@ -0,0 +1,23 @@
+/**
+ * Run an async worker over a list of items with at most `limit` workers in flight.
+ * @param {Array} items
+ * @param {number} limit - Maximum number of concurrently running workers
+ * @param {function(*, number): Promise<*>} worker - Called with the item and its index
+ * @param {function(): boolean} [shouldStop] - Polled before each item; remaining items are skipped once it returns true
+ * @returns {Promise<Array>} Results in input order; skipped items are left undefined
+ */
+export async function runWithConcurrency(items, limit, worker, shouldStop = () => false) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    const runNext = async () => {
+        while (nextIndex < items.length && !shouldStop()) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, runNext);
+    await Promise.all(workers);
+    return results;
+}
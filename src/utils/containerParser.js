@@ -0,0 +1,444 @@
+import fs from 'fs';
+
+// Upper bound for a header structure read into memory (moov box, Matroska Info and Tracks).
+const MAX_HEADER_SIZE = 64 * 1024 * 1024;
+
+// Codec names as ffprobe reports them, so both probes store the same values.
+const MP4_CODECS = {
+    avc1: 'h264', avc3: 'h264', hvc1: 'hevc', hev1: 'hevc', dvh1: 'hevc', dvhe: 'hevc', av01: 'av1',
+    vp09: 'vp9', mp4v: 'mpeg4', mp4a: 'aac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', fLaC: 'flac',
+    '.mp3': 'mp3', tx3g: 'mov_text', wvtt: 'webvtt', c608: 'eia_608',
+};
+const MKV_CODECS = {
+    'V_MPEG4/ISO/AVC': 'h264', 'V_MPEGH/ISO/HEVC': 'hevc', V_AV1: 'av1', V_VP9: 'vp9', V_VP8: 'vp8',
+    'V_MPEG4/ISO/ASP': 'mpeg4', V_MPEG2: 'mpeg2video', A_AC3: 'ac3', A_EAC3: 'eac3', A_TRUEHD: 'truehd',
+    A_FLAC: 'flac', A_OPUS: 'opus', A_VORBIS: 'vorbis', 'A_MPEG/L3': 'mp3', 'S_TEXT/UTF8': 'subrip',
+    'S_TEXT/ASS': 'ass', S_ASS: 'ass', 'S_TEXT/SSA': 'ssa', S_SSA: 'ssa', 'S_HDMV/PGS': 'hdmv_pgs_subtitle',
+    S_VOBSUB: 'dvd_subtitle', 'S_TEXT/WEBVTT': 'webvtt',
+};
+const MP4_HANDLERS = { vide: 'video', soun: 'audio', sbtl: 'subtitle', text: 'subtitle', subt: 'subtitle' };
+// Transfer characteristics (ITU-T H.273) of HDR video: PQ (HDR10, Dolby Vision) and HLG.
+const HDR_TRANSFERS = [16, 18];
+// Boxes and block addition types carrying a Dolby Vision configuration.
+const DOLBY_VISION = ['dvcC', 'dvvC', 'dvwC'];
+
+// Matroska element IDs, including their length marker bits.
+const EBML = {
+    header: 0x1A45DFA3, docType: 0x4282, segment: 0x18538067, seekHead: 0x114D9B74, seek: 0x4DBB,
+    seekId: 0x53AB, seekPosition: 0x53AC, info: 0x1549A966, timecodeScale: 0x2AD7B1, duration: 0x4489,
+    tracks: 0x1654AE6B, trackEntry: 0xAE, trackNumber: 0xD7, trackType: 0x83, codecId: 0x86, name: 0x536E,
+    language: 0x22B59C, languageIetf: 0x22B59D, flagDefault: 0x88, flagForced: 0x55AA, video: 0xE0,
+    pixelWidth: 0xB0, pixelHeight: 0xBA, colour: 0x55B0, transfer: 0x55BA, audio: 0xE1, channels: 0x9F,
+    blockAdditionMapping: 0x41E4, blockAddIdType: 0x41E7, cluster: 0x1F43B675,
+};
+const MKV_TRACK_TYPES = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+
+/**
+ * Opens a file for reads at arbitrary offsets.
+ * @param {string} filepath
+ * @returns {Promise<{size: number, read: function(number, number): Promise<Buffer>, close: function(): Promise<void>}>}
+ */
+const openReader = async (filepath) => {
+    const handle = await fs.promises.open(filepath, 'r');
+    const { size } = await handle.stat();
+    return {
+        size,
+        read: async (offset, length) => {
+            const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+            return buffer.subarray(0, bytesRead);
+        },
+        close: () => handle.close(),
+    };
+};
+
+/**
+ * Reads an unsigned big-endian integer of up to 8 bytes.
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+const readUint = (buffer) => {
+    let value = 0;
+    for (const byte of buffer) value = value * 256 + byte;
+    return value;
+};
+
+/**
+ * Lists the boxes (atoms) in a part of an MP4 buffer.
+ * @param {Buffer} buffer
+ * @param {number} [start]
+ * @param {number} [end]
+ * @returns {{type: string, start: number, end: number}[]} Box type with its payload range
+ */
+const listBoxes = (buffer, start = 0, end = buffer.length) => {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        let header = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = readUint(buffer.subarray(offset + 8, offset + 16));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header || offset + size > end) break;
+        boxes.push({ type, start: offset + header, end: offset + size });
+        offset += size;
+    }
+    return boxes;
+};
+
+const findBox = (buffer, parent, type) => listBoxes(buffer, parent.start, parent.end).find(box => box.type === type);
+
+/**
+ * Finds the top-level boxes of an MP4 file by reading only their headers, so a moov box behind
+ * gigabytes of media data is found without reading them.
+ * @returns {Promise<{type: string, offset: number, size: number}[]>}
+ */
+const listTopLevelBoxes = async (reader) => {
+    const boxes = [];
+    let offset = 0;
+    while (offset + 8 <= reader.size) {
+        const header = await reader.read(offset, 16);
+        let size = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+        if (size === 1) size = readUint(header.subarray(8, 16));
+        else if (size === 0) size = reader.size - offset;
+        if (size < 8) break;
+        boxes.push({ type, offset, size });
+        offset += size;
+    }
+    return boxes;
+};
+
+/**
+ * Reads an ISO-639-2 language code packed into 15 bits (mdhd).
+ * @param {number} packed
+ * @returns {string|null} null for undetermined
+ */
+const unpackLanguage = (packed) => {
+    const code = String.fromCharCode(
+        ((packed >> 10) & 0x1F) + 0x60,
+        ((packed >> 5) & 0x1F) + 0x60,
+        (packed & 0x1F) + 0x60,
+    );
+    return /^[a-z]{3}$/.test(code) && code !== 'und' ? code : null;
+};
+
+/**
+ * Reads a track of the moov box.
+ * @returns {{kind: string|null, codec: string|null, language: string|null, width: number|null,
+ *   height: number|null, channels: number|null, hdr: boolean, enabled: boolean}}
+ */
+const parseMp4Track = (moov, trak) => {
+    const track = {
+        kind: null, codec: null, language: null, width: null, height: null, channels: null, hdr: false, enabled: true,
+    };
+    const tkhd = findBox(moov, trak, 'tkhd');
+    if (tkhd) {
+        const version = moov[tkhd.start];
+        track.enabled = (moov.readUInt32BE(tkhd.start) & 1) === 1;
+        // Width and height are 16.16 fixed point values at the end of the box.
+        const dimensions = tkhd.start + (version === 1 ? 88 : 76);
+        if (dimensions + 8 <= tkhd.end) {
+            track.width = moov.readUInt32BE(dimensions) >>> 16 || null;
+            track.height = moov.readUInt32BE(dimensions + 4) >>> 16 || null;
+        }
+    }
+    const mdia = findBox(moov, trak, 'mdia');
+    if (!mdia) return track;
+    const mdhd = findBox(moov, mdia, 'mdhd');
+    if (mdhd) {
+        const languageOffset = mdhd.start + (moov[mdhd.start] === 1 ? 32 : 20);
+        if (languageOffset + 2 <= mdhd.end) track.language = unpackLanguage(moov.readUInt16BE(languageOffset));
+    }
+    const hdlr = findBox(moov, mdia, 'hdlr');
+    const handler = hdlr ? moov.toString('latin1', hdlr.start + 8, hdlr.start + 12) : null;
+    track.kind = MP4_HANDLERS[handler] || null;
+
+    const minf = findBox(moov, mdia, 'minf');
+    const stbl = minf && findBox(moov, minf, 'stbl');
+    const stsd = stbl && findBox(moov, stbl, 'stsd');
+    // The first sample entry follows version, flags and the entry count.
+    const [entry] = stsd ? listBoxes(moov, stsd.start + 8, stsd.end) : [];
+    if (!entry) return track;
+    track.codec = MP4_CODECS[entry.type] || entry.type.trim().toLowerCase();
+    if (track.kind === 'video' && entry.start + 78 <= entry.end) {
+        track.width = moov.readUInt16BE(entry.start + 24) || track.width;
+        track.height = moov.readUInt16BE(entry.start + 26) || track.height;
+        for (const child of listBoxes(moov, entry.start + 78, entry.end)) {
+            if (DOLBY_VISION.includes(child.type)) track.hdr = true;
+            if (child.type === 'colr' && moov.toString('latin1', child.start, child.start + 4) === 'nclx') {
+                track.hdr ||= HDR_TRANSFERS.includes(moov.readUInt16BE(child.start + 6));
+            }
+        }
+    } else if (track.kind === 'audio' && entry.start + 28 <= entry.end) {
+        track.channels = moov.readUInt16BE(entry.start + 16) || null;
+    }
+    return track;
+};
+
+/**
+ * Reads the technical info of an MP4 or QuickTime file from its ftyp and moov boxes.
+ * @returns {Promise<object|null>} null when the file is no MP4
+ */
+const parseMp4 = async (reader) => {
+    const boxes = await listTopLevelBoxes(reader);
+    const ftyp = boxes.find(box => box.type === 'ftyp');
+    const moovBox = boxes.find(box => box.type === 'moov');
+    if (!moovBox || moovBox.size > MAX_HEADER_SIZE) return null;
+    const brand = ftyp ? (await reader.read(ftyp.offset + 8, 4)).toString('latin1') : null;
+    const moov = await reader.read(moovBox.offset, moovBox.size);
+    const [root] = listBoxes(moov);
+
+    let duration = null;
+    const mvhd = findBox(moov, root, 'mvhd');
+    if (mvhd) {
+        const version = moov[mvhd.start];
+        const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+        const length = version === 1
+            ? readUint(moov.subarray(mvhd.start + 24, mvhd.start + 32))
+            : moov.readUInt32BE(mvhd.start + 16);
+        duration = timescale ? length / timescale : null;
+    }
+    const tracks = listBoxes(moov, root.start, root.end)
+        .filter(box => box.type === 'trak')
+        .map((trak, index) => ({ index, ...parseMp4Track(moov, trak) }));
+    const video = tracks.find(track => track.kind === 'video');
+    const audio = tracks.filter(track => track.kind === 'audio');
+    // MP4 has no default flag; the first enabled track of a kind plays by default.
+    const firstEnabled = (list) => list.find(track => track.enabled) ?? list[0];
+    const defaultAudio = firstEnabled(audio);
+    const subtitles = tracks.filter(track => track.kind === 'subtitle');
+    return {
+        container: brand === 'qt  ' ? 'mov' : 'mp4',
+        duration,
+        video: video ? { codec: video.codec, width: video.width, height: video.height, hdr: video.hdr } : null,
+        audioTracks: audio.map(track => ({
+            index: track.index,
+            codec: track.codec,
+            language: track.language,
+            channels: track.channels,
+            title: null,
+            default: track === defaultAudio,
+        })),
+        subtitleTracks: subtitles.map(track => ({
+            index: track.index,
+            codec: track.codec,
+            language: track.language,
+            title: null,
+            default: false,
+            forced: false,
+        })),
+    };
+};
+
+/**
+ * Reads an EBML variable-length integer.
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {boolean} keepMarker - True for element IDs, which keep their length marker
+ * @returns {{value: number, length: number}|null} value is -1 for an unknown size
+ */
+const readVint = (buffer, offset, keepMarker) => {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) return null;
+    const length = Math.clz32(first) - 23;
+    if (offset + length > buffer.length) return null;
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let allOnes = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        allOnes &&= buffer[offset + i] === 0xFF;
+    }
+    return { value: !keepMarker && allOnes ? -1 : value, length };
+};
+
+/**
+ * Reads an element header (ID and data size).
+ * @returns {{id: number, size: number, headerLength: number}|null}
+ */
+const readElementHeader = (buffer, offset) => {
+    const id = readVint(buffer, offset, true);
+    const size = id && readVint(buffer, offset + id.length, false);
+    return size ? { id: id.value, size: size.value, headerLength: id.length + size.length } : null;
+};
+
+/**
+ * Lists the child elements of a Matroska element held in memory.
+ * @returns {{id: number, data: Buffer}[]}
+ */
+const listElements = (buffer) => {
+    const elements = [];
+    let offset = 0;
+    while (offset < buffer.length) {
+        const header = readElementHeader(buffer, offset);
+        if (!header || header.size < 0) break;
+        const start = offset + header.headerLength;
+        elements.push({ id: header.id, data: buffer.subarray(start, start + header.size) });
+        offset = start + header.size;
+    }
+    return elements;
+};
+
+const readFloat = (data) => {
+    if (data.length === 4) return data.readFloatBE(0);
+    return data.length === 8 ? data.readDoubleBE(0) : null;
+};
+
+/**
+ * Reads a Matroska TrackEntry.
+ * @returns {object}
+ */
+const parseMkvTrack = (data) => {
+    const track = {
+        number: null, kind: null, codec: null, language: 'eng', title: null, default: true, forced: false,
+        width: null, height: null, channels: null, hdr: false,
+    };
+    let languageIetf = null;
+    for (const { id, data: value } of listElements(data)) {
+        if (id === EBML.trackNumber) track.number = readUint(value);
+        else if (id === EBML.trackType) track.kind = MKV_TRACK_TYPES[readUint(value)] || null;
+        else if (id === EBML.codecId) {
+            const codecId = value.toString('latin1').replace(/\0+$/, '');
+            track.codec = MKV_CODECS[codecId] || (codecId.startsWith('A_AAC') && 'aac')
+                || (codecId.startsWith('A_DTS') && 'dts') || codecId.toLowerCase();
+        } else if (id === EBML.language) track.language = value.toString('latin1').replace(/\0+$/, '');
+        else if (id === EBML.languageIetf) languageIetf = value.toString('utf8').replace(/\0+$/, '');
+        else if (id === EBML.name) track.title = value.toString('utf8').replace(/\0+$/, '') || null;
+        else if (id === EBML.flagDefault) track.default = readUint(value) === 1;
+        else if (id === EBML.flagForced) track.forced = readUint(value) === 1;
+        else if (id === EBML.video) {
+            for (const { id: videoId, data: videoValue } of listElements(value)) {
+                if (videoId === EBML.pixelWidth) track.width = readUint(videoValue);
+                else if (videoId === EBML.pixelHeight) track.height = readUint(videoValue);
+                else if (videoId === EBML.colour) {
+                    const transfer = listElements(videoValue).find(element => element.id === EBML.transfer);
+                    track.hdr ||= Boolean(transfer) && HDR_TRANSFERS.includes(readUint(transfer.data));
+                }
+            }
+        } else if (id === EBML.audio) {
+            const channels = listElements(value).find(element => element.id === EBML.channels);
+            track.channels = channels ? readUint(channels.data) : 1;
+        } else if (id === EBML.blockAdditionMapping) {
+            const type = listElements(value).find(element => element.id === EBML.blockAddIdType);
+            const fourcc = type ? Buffer.from(readUint(type.data).toString(16).padStart(8, '0'), 'hex') : null;
+            track.hdr ||= Boolean(fourcc) && DOLBY_VISION.includes(fourcc.toString('latin1'));
+        }
+    }
+    // Undetermined and unset languages are both stored as unknown.
+    track.language = languageIetf || (track.language === 'und' ? null : track.language);
+    return track;
+};
+
+/**
+ * Reads the technical info of a Matroska or WebM file from the Info and Tracks elements of its
+ * segment. They normally precede the first cluster; otherwise the SeekHead tells where they are.
+ * @returns {Promise<object|null>} null when the file is no Matroska
+ */
+const parseMatroska = async (reader) => {
+    const head = await reader.read(0, 64 * 1024);
+    const ebml = readElementHeader(head, 0);
+    if (!ebml || ebml.id !== EBML.header || ebml.size < 0) return null;
+    const docTypeElement = listElements(head.subarray(ebml.headerLength, ebml.headerLength + ebml.size))
+        .find(element => element.id === EBML.docType);
+    const docType = docTypeElement ? docTypeElement.data.toString('latin1') : 'matroska';
+    const segmentOffset = ebml.headerLength + ebml.size;
+    const segment = readElementHeader(await reader.read(segmentOffset, 16), 0);
+    if (!segment || segment.id !== EBML.segment) return null;
+    const segmentStart = segmentOffset + segment.headerLength;
+    const segmentEnd = segment.size < 0 ? reader.size : Math.min(reader.size, segmentStart + segment.size);
+
+    const found = {};
+    const seekPositions = {};
+    const readChild = async (offset) => {
+        const header = readElementHeader(await reader.read(offset, 16), 0);
+        if (!header || header.size < 0 || header.size > MAX_HEADER_SIZE) return null;
+        return { ...header, offset, data: await reader.read(offset + header.headerLength, header.size) };
+    };
+    let offset = segmentStart;
+    while (offset < segmentEnd && !(found.info && found.tracks)) {
+        const header = readElementHeader(await reader.read(offset, 16), 0);
+        if (!header || header.size < 0 || header.id === EBML.cluster) break;
+        if ([EBML.info, EBML.tracks, EBML.seekHead].includes(header.id)) {
+            const child = await readChild(offset);
+            if (!child) break;
+            if (child.id === EBML.info) found.info = child.data;
+            else if (child.id === EBML.tracks) found.tracks = child.data;
+            else {
+                for (const seek of listElements(child.data).filter(element => element.id === EBML.seek)) {
+                    const fields = listElements(seek.data);
+                    const seekId = fields.find(element => element.id === EBML.seekId);
+                    const position = fields.find(element => element.id === EBML.seekPosition);
+                    if (seekId && position) seekPositions[readUint(seekId.data)] = readUint(position.data);
+                }
+            }
+        }
+        offset += header.headerLength + header.size;
+    }
+    for (const [key, id] of [['info', EBML.info], ['tracks', EBML.tracks]]) {
+        if (!found[key] && seekPositions[id] !== undefined) {
+            const child = await readChild(segmentStart + seekPositions[id]);
+            if (child?.id === id) found[key] = child.data;
+        }
+    }
+    if (!found.tracks) return null;
+
+    let duration = null;
+    if (found.info) {
+        const fields = listElements(found.info);
+        const scale = fields.find(element => element.id === EBML.timecodeScale);
+        const length = fields.find(element => element.id === EBML.duration);
+        // Durations are counted in TimecodeScale nanoseconds, 1 ms unless set.
+        if (length) duration = readFloat(length.data) * (scale ? readUint(scale.data) : 1e6) / 1e9;
+    }
+    const tracks = listElements(found.tracks)
+        .filter(element => element.id === EBML.trackEntry)
+        .map((element, index) => ({ index, ...parseMkvTrack(element.data) }));
+    const video = tracks.find(track => track.kind === 'video');
+    return {
+        container: docType === 'webm' ? 'webm' : 'matroska',
+        duration,
+        video: video ? { codec: video.codec, width: video.width, height: video.height, hdr: video.hdr } : null,
+        audioTracks: tracks.filter(track => track.kind === 'audio').map(track => ({
+            index: track.index,
+            codec: track.codec,
+            language: track.language,
+            channels: track.channels,
+            title: track.title,
+            default: track.default,
+        })),
+        subtitleTracks: tracks.filter(track => track.kind === 'subtitle').map(track => ({
+            index: track.index,
+            codec: track.codec,
+            language: track.language,
+            title: track.title,
+            default: track.default,
+            forced: track.forced,
+        })),
+    };
+};
+
+/**
+ * Reads the technical info of an MP4/QuickTime or Matroska/WebM file from its headers, without
+ * external tools. Track indexes count all tracks of the file in order, like ffprobe's stream index.
+ * @param {string} filepath
+ * @returns {Promise<{container: string, duration: number|null, video: object|null,
+ *   audioTracks: object[], subtitleTracks: object[]}|null>} null for other or unreadable formats
+ */
+export const parseContainer = async (filepath) => {
+    const reader = await openReader(filepath);
+    try {
+        const magic = await reader.read(0, 8);
+        if (magic.length < 8) return null;
+        if (magic.readUInt32BE(0) === EBML.header) return await parseMatroska(reader);
+        if (['ftyp', 'moov', 'mdat', 'free', 'wide', 'skip'].includes(magic.toString('latin1', 4, 8))) {
+            return await parseMp4(reader);
+        }
+        return null;
+    } finally {
+        await reader.close();
+    }
+};
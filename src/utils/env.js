@@ -0,0 +1,12 @@
+/**
+ * Read a whole-number setting from the environment. Unset, malformed or too small values fall back
+ * to the default, but an explicit value such as `TMDB_MAX_RETRIES=0` is kept when `min` allows it.
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Used when the variable is unset or invalid
+ * @param {number} [min=0] - Smallest accepted value
+ * @returns {number}
+ */
+export function readIntEnv(name, fallback, min = 0) {
+    const parsed = parseInt(process.env[name], 10);
+    return Number.isInteger(parsed) && parsed >= min ? parsed : fallback;
+}
@@ -0,0 +1,56 @@
+// Episodes in airing order; specials (season 0) first like on TMDB, files without numbering last.
+export const EPISODE_ORDER = `season_number IS NULL, season_number, episode_number IS NULL, episode_number, title`;
+
+/**
+ * Adds the episode numbers a media row covers. Rows indexed before the episode list was stored
+ * cover the range from their first to their last episode.
+ * @param {object} row
+ * @returns {object}
+ */
+export const withEpisodeNumbers = ({ episode_numbers: list = null, ...row }) => {
+    if (list) {
+        return { ...row, episodeNumbers: JSON.parse(list) };
+    }
+    const episodeNumbers = [];
+    if (row.episode_number !== null && row.episode_number !== undefined) {
+        const last = row.episode_number_end ?? row.episode_number;
+        for (let n = row.episode_number; n <= last; n++) episodeNumbers.push(n);
+    }
+    return { ...row, episodeNumbers };
+};
+
+/**
+ * Counts the episodes covered by a series' files, and how many of them are watched.
+ * A watched multi-episode file counts every episode it covers as watched.
+ * @param {object[]} episodes - Rows passed through withEpisodeNumbers
+ * @returns {{episodeCount: number, watchedEpisodeCount: number}}
+ */
+export const countEpisodes = (episodes) => {
+    const all = new Set();
+    const watched = new Set();
+    for (const episode of episodes) {
+        const keys = episode.episodeNumbers.length
+            ? episode.episodeNumbers.map(n => `${episode.season_number}x${n}`)
+            : [`file${episode.id}`];
+        keys.forEach(key => all.add(key));
+        if (episode.watched) keys.forEach(key => watched.add(key));
+    }
+    return { episodeCount: all.size, watchedEpisodeCount: watched.size };
+};
+
+/**
+ * Formats the numbering of an episode file, e.g. S01E02, S01E02-E03 for a multi-episode file or
+ * S01E01E03 when the episodes are not consecutive.
+ * @param {{seasonNumber: number|null, episodeNumbers: number[]}} numbering
+ * @returns {string|null} null without an episode number
+ */
+export const formatEpisodeCode = ({ seasonNumber = null, episodeNumbers = [] }) => {
+    if (!episodeNumbers.length) return null;
+    const pad = (number) => String(number).padStart(2, '0');
+    const first = episodeNumbers[0];
+    const last = episodeNumbers[episodeNumbers.length - 1];
+    const code = `S${pad(seasonNumber ?? 1)}E${pad(first)}`;
+    if (episodeNumbers.length === 1) return code;
+    const consecutive = episodeNumbers.every((number, index) => number === first + index);
+    return consecutive ? `${code}-E${pad(last)}` : `${code}${episodeNumbers.slice(1).map(n => `E${pad(n)}`).join('')}`;
+};
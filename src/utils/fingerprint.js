@@ -0,0 +1,50 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+const SAMPLE_SIZE = 64 * 1024;
+
+/**
+ * Compute a cheap content fingerprint of a media file.
+ * Hashes the file size together with the first and last 64 KiB, which is enough to recognize
+ * a moved or renamed file without reading multi-gigabyte videos over the network.
+ * @param {string} filepath
+ * @param {number} [size] - Known file size, saves a stat call
+ * @returns {Promise<string>} Hex encoded SHA-1 digest
+ */
+export async function computeFingerprint(filepath, size) {
+    const handle = await fs.promises.open(filepath, 'r');
+    try {
+        const fileSize = size ?? (await handle.stat()).size;
+        const hash = crypto.createHash('sha1');
+        hash.update(String(fileSize));
+
+        const headLength = Math.min(SAMPLE_SIZE, fileSize);
+        const head = Buffer.alloc(headLength);
+        await handle.read(head, 0, headLength, 0);
+        hash.update(head);
+
+        if (fileSize > SAMPLE_SIZE) {
+            const tailLength = Math.min(SAMPLE_SIZE, fileSize - SAMPLE_SIZE);
+            const tail = Buffer.alloc(tailLength);
+            await handle.read(tail, 0, tailLength, fileSize - tailLength);
+            hash.update(tail);
+        }
+
+        return hash.digest('hex');
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Returns a short hash naming the version of an indexed file. It changes when the file is moved,
+ * resized or rewritten, so caches derived from the file can be keyed by it.
+ * @param {{filepath: string, filesize: number, mtime: number}} media - A media row
+ * @returns {string} 12 hex characters
+ */
+export function fileVersion(media) {
+    return crypto.createHash('sha1')
+        .update(`${media.filepath}:${media.filesize}:${media.mtime}`)
+        .digest('hex')
+        .slice(0, 12);
+}
@@ -0,0 +1,203 @@
+import { AppError } from './AppError.js';
+
+// Transcoded renditions from high to low: the frame they fit in and their H.264 and AAC bitrates in kbit/s.
+export const HLS_LADDER = [
+    { name: '2160p', width: 3840, height: 2160, videoBitrate: 16000, audioBitrate: 192 },
+    { name: '1080p', width: 1920, height: 1080, videoBitrate: 6000, audioBitrate: 192 },
+    { name: '720p', width: 1280, height: 720, videoBitrate: 3000, audioBitrate: 160 },
+    { name: '480p', width: 854, height: 480, videoBitrate: 1200, audioBitrate: 128 },
+    { name: '360p', width: 640, height: 360, videoBitrate: 700, audioBitrate: 96 },
+];
+// The source video with its own codecs, offered when browsers can play them.
+export const ORIGINAL = 'original';
+export const HLS_QUALITY_NAMES = [ORIGINAL, ...HLS_LADDER.map(rung => rung.name)];
+
+// Codecs every HLS player handles; other video is transcoded to H.264 and other audio to AAC.
+const COMPATIBLE_VIDEO = ['h264'];
+const COMPATIBLE_AUDIO = ['aac', 'mp3'];
+// CODECS attribute of transcoded renditions: H.264 High 4.0 and AAC-LC.
+const TRANSCODED_CODECS = 'avc1.640028,mp4a.40.2';
+
+/**
+ * Reads a comma-separated list of quality names, e.g. `original,720p`.
+ * @param {string|string[]|undefined} value
+ * @returns {string[]|null} null when the value is empty
+ * @throws {AppError} 400 on an unknown quality
+ */
+export const parseQualities = (value) => {
+    const names = [value ?? []].flat().flatMap(entry => String(entry).split(','))
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+    if (names.length === 0) return null;
+    const unknown = names.find(name => !HLS_QUALITY_NAMES.includes(name));
+    if (unknown) {
+        throw new AppError(`qualities must be a list of: ${HLS_QUALITY_NAMES.join(', ')}`, 400);
+    }
+    return [...new Set(names)];
+};
+
+/**
+ * Reads the `audio` query parameter picking the audio track of a stream.
+ * @param {object} query
+ * @returns {number|null} The stream index of the track; null for the default track
+ * @throws {AppError} 400 when it is not a track index
+ */
+export const parseAudioParam = (query) => {
+    const { audio } = query;
+    if (audio === undefined || audio === '') return null;
+    if (typeof audio !== 'string' || !/^\d+$/.test(audio)) {
+        throw new AppError('audio must be the index of an audio track', 400);
+    }
+    return Number(audio);
+};
+
+/**
+ * Scales a frame down to fit a rung, keeping its aspect ratio; 1920x800 fits 720p as 1280x534.
+ * @returns {{width: number, height: number, scale: number}} scale is 1 when the frame already fits
+ */
+const fitFrame = (width, height, rung) => {
+    const scale = Math.min(1, rung.width / width, rung.height / height);
+    const even = (value) => Math.max(2, Math.round(value * scale / 2) * 2);
+    return { width: even(width), height: even(height), scale };
+};
+
+/**
+ * Plans the renditions of a media file. The original is remuxed when its video is H.264, copying
+ * AAC/MP3 audio and converting other audio to AAC. Ladder rungs are transcoded and offered when
+ * they scale the video down; without an original, the smallest rung the source fits in carries it
+ * at its own size. Video is never upscaled.
+ * @param {{video_codec: string|null, audio_codec: string|null, width: number|null, height: number|null,
+ *   bitrate: number|null}} media
+ * @param {string[]} qualities - Names of HLS_QUALITY_NAMES to offer
+ * @returns {{name: string, copyVideo: boolean, copyAudio: boolean, width: number|null,
+ *   height: number|null, maxWidth: number|null, maxHeight: number|null, videoBitrate: number|null,
+ *   audioBitrate: number, bandwidth: number, codecs: string|null}[]} Highest first; width and height
+ *   are null when the source size is unknown, maxWidth and maxHeight bound transcoded frames
+ */
+export const planVariants = (media, qualities) => {
+    const variants = [];
+    if (qualities.includes(ORIGINAL) && COMPATIBLE_VIDEO.includes(media.video_codec)) {
+        variants.push({
+            name: ORIGINAL,
+            copyVideo: true,
+            copyAudio: !media.audio_codec || COMPATIBLE_AUDIO.includes(media.audio_codec),
+            width: media.width,
+            height: media.height,
+            maxWidth: null,
+            maxHeight: null,
+            videoBitrate: null,
+            audioBitrate: 192,
+            bandwidth: media.bitrate || 8_000_000,
+            codecs: null,
+        });
+    }
+    const hasOriginal = variants.length > 0;
+    const rungs = HLS_LADDER.filter(rung => qualities.includes(rung.name));
+    const known = Boolean(media.width && media.height);
+    const frames = rungs.map(rung => (known ? fitFrame(media.width, media.height, rung) : null));
+    // The smallest rung the whole source fits in, used when there is no original.
+    const fullSize = frames.findLastIndex(frame => frame && frame.scale === 1);
+    rungs.forEach((rung, index) => {
+        const frame = frames[index];
+        if (frame && frame.scale === 1 && (hasOriginal || index !== fullSize)) return;
+        variants.push({
+            name: rung.name,
+            copyVideo: false,
+            copyAudio: false,
+            width: frame?.width ?? null,
+            height: frame?.height ?? null,
+            maxWidth: rung.width,
+            maxHeight: rung.height,
+            videoBitrate: rung.videoBitrate,
+            audioBitrate: rung.audioBitrate,
+            bandwidth: (rung.videoBitrate + rung.audioBitrate) * 1000,
+            codecs: TRANSCODED_CODECS,
+        });
+    });
+    return variants;
+};
+
+/**
+ * Number of segments of a media file.
+ * @param {number} duration - Seconds
+ * @param {number} segmentSeconds
+ * @returns {number}
+ */
+export const segmentCount = (duration, segmentSeconds) => Math.max(1, Math.ceil(duration / segmentSeconds));
+
+/**
+ * Plans where the segments of a rendition start. Transcoded video gets a keyframe every
+ * segmentSeconds, so its segments follow that grid. Remuxed video can only be cut on the source's
+ * keyframes: a segment starts at the first keyframe at or after its grid time, so segments run
+ * longer when keyframes are sparse.
+ * @param {number} duration - Seconds
+ * @param {number} segmentSeconds
+ * @param {number[]|null} [keyframes] - Keyframe times of the source, ascending; null for the grid
+ * @returns {number[]} Start time of each segment in seconds; the first is 0
+ */
+export const planSegments = (duration, segmentSeconds, keyframes = null) => {
+    const count = segmentCount(duration, segmentSeconds);
+    const starts = [0];
+    let next = 0;
+    for (let index = 1; index < count; index++) {
+        const time = index * segmentSeconds;
+        if (!keyframes) {
+            starts.push(time);
+            continue;
+        }
+        while (next < keyframes.length && keyframes[next] < time) next++;
+        if (next === keyframes.length || keyframes[next] >= duration) break;
+        if (keyframes[next] > starts.at(-1)) starts.push(keyframes[next]);
+    }
+    return starts;
+};
+
+/**
+ * Query string the playlists append to their URIs, so renditions and segments keep the audio track.
+ * @param {number|null} audioIndex
+ * @returns {string}
+ */
+const audioQuery = (audioIndex) => (audioIndex === null ? '' : `?audio=${audioIndex}`);
+
+/**
+ * Builds the master playlist listing a rendition per variant.
+ * @param {object[]} variants - From planVariants
+ * @param {number|null} [audioIndex] - The audio track requested
+ * @returns {string}
+ */
+export const buildMasterPlaylist = (variants, audioIndex = null) => {
+    const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+    for (const variant of variants) {
+        const attributes = [`BANDWIDTH=${variant.bandwidth}`];
+        if (variant.width && variant.height) attributes.push(`RESOLUTION=${variant.width}x${variant.height}`);
+        if (variant.codecs) attributes.push(`CODECS="${variant.codecs}"`);
+        lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, `${variant.name}/index.m3u8${audioQuery(audioIndex)}`);
+    }
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Builds the media playlist of a rendition. All segments are listed up front with their
+ * durations, so players can seek anywhere; segments are made when requested.
+ * @param {number[]} starts - Start time of each segment, from planSegments
+ * @param {number} duration - Seconds
+ * @param {number|null} [audioIndex] - The audio track requested
+ * @returns {string}
+ */
+export const buildMediaPlaylist = (starts, duration, audioIndex = null) => {
+    // Rounded to the milliseconds listed, so float noise does not raise the target duration.
+    const lengths = starts.map((start, index) => Number(((starts[index + 1] ?? Math.max(duration, start)) - start)
+        .toFixed(3)));
+    const lines = [
+        '#EXTM3U',
+        '#EXT-X-VERSION:3',
+        `#EXT-X-TARGETDURATION:${Math.max(1, Math.ceil(Math.max(...lengths)))}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+    ];
+    lengths.forEach((length, index) => {
+        lines.push(`#EXTINF:${length.toFixed(3)},`, `${index}.ts${audioQuery(audioIndex)}`);
+    });
+    lines.push('#EXT-X-ENDLIST');
+    return `${lines.join('\n')}\n`;
+};
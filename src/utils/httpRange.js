@@ -0,0 +1,188 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { AppError } from './AppError.js';
+import { logger } from './logger.js';
+
+// More ranges than this (after merging) are answered with the whole file, so a request cannot make
+// the server seek through a file in thousands of tiny pieces.
+const MAX_RANGES = 16;
+
+/**
+ * Parses a Range header (RFC 9110) into the byte ranges of a file: `bytes=0-499`, `bytes=500-`,
+ * the suffix `bytes=-500` (the last 500 bytes) and lists of them. Ranges reaching past the end are
+ * cut at the end; overlapping and adjacent ranges are merged.
+ * @param {string|undefined} header
+ * @param {number} size - File size in bytes
+ * @returns {{start: number, end: number}[]|null|'unsatisfiable'} Inclusive ranges in file order;
+ *   null when the header is missing, malformed or asks for too many ranges, so the whole file is
+ *   sent; 'unsatisfiable' when no range lies within the file
+ */
+export const parseRange = (header, size) => {
+    const match = /^bytes=(.+)$/i.exec(String(header ?? '').trim());
+    if (!match) return null;
+    const ranges = [];
+    for (const spec of match[1].split(',')) {
+        const bounds = /^\s*(\d*)-(\d*)\s*$/.exec(spec);
+        if (!bounds || (bounds[1] === '' && bounds[2] === '')) return null;
+        let start;
+        let end;
+        if (bounds[1] === '') {
+            const suffix = Number(bounds[2]);
+            if (suffix === 0) continue;
+            start = Math.max(0, size - suffix);
+            end = size - 1;
+        } else {
+            start = Number(bounds[1]);
+            end = bounds[2] === '' ? size - 1 : Math.min(Number(bounds[2]), size - 1);
+            if (bounds[2] !== '' && Number(bounds[2]) < start) return null;
+        }
+        if (start < size) ranges.push({ start, end });
+    }
+    if (ranges.length === 0) return 'unsatisfiable';
+
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+        else merged.push(range);
+    }
+    return merged.length > MAX_RANGES ? null : merged;
+};
+
+/**
+ * The validator of a file version: changes with its size or modification time.
+ * @param {fs.Stats} stat
+ * @returns {string} A strong ETag, so it can be used in If-Range
+ */
+const toETag = (stat) => `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+
+/** HTTP dates have whole seconds. */
+const toSeconds = (time) => Math.floor(time / 1000);
+
+/**
+ * Whether the client's cached copy is current (If-None-Match, or If-Modified-Since without it).
+ */
+const isNotModified = (req, etag, stat) => {
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifNoneMatch) {
+        // Weak comparison: W/"x" matches "x".
+        return ifNoneMatch.trim() === '*'
+            || ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag);
+    }
+    const since = Date.parse(req.headers['if-modified-since'] ?? '');
+    return !Number.isNaN(since) && toSeconds(stat.mtimeMs) <= toSeconds(since);
+};
+
+/**
+ * Whether a Range may be honoured: without If-Range, or when If-Range names the current version,
+ * by its (strong) ETag or its exact Last-Modified date. Otherwise the client's partial copy is
+ * outdated and it gets the whole file.
+ */
+const isRangeCurrent = (req, etag, stat) => {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+    const value = ifRange.trim();
+    if (value.startsWith('"') || value.startsWith('W/')) return value === etag;
+    const date = Date.parse(value);
+    return !Number.isNaN(date) && toSeconds(date) === toSeconds(stat.mtimeMs);
+};
+
+/**
+ * Prepares a multipart/byteranges body with a part for each range of a file.
+ * @returns {{boundary: string, length: number, body: function(): Readable}}
+ */
+const multipartBody = (filepath, ranges, size, contentType) => {
+    const boundary = crypto.randomBytes(12).toString('hex');
+    const heads = ranges.map((range, index) => Buffer.from(
+        `${index === 0 ? '' : '\r\n'}--${boundary}\r\nContent-Type: ${contentType}\r\n`
+        + `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`,
+    ));
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+    const length = ranges.reduce((sum, range, index) => sum + heads[index].length + range.end - range.start + 1, 0)
+        + tail.length;
+    async function* parts() {
+        for (const [index, range] of ranges.entries()) {
+            yield heads[index];
+            // Leaving the loop early (client gone) destroys the read stream.
+            for await (const chunk of fs.createReadStream(filepath, range)) yield chunk;
+        }
+        yield tail;
+    }
+    return { boundary, length, body: () => Readable.from(parts(), { objectMode: false }) };
+};
+
+/**
+ * Sends a file with HTTP range and conditional request support: single and multiple byte ranges
+ * (206), 416 for ranges outside the file, ETag and Last-Modified with If-None-Match,
+ * If-Modified-Since (304) and If-Range, and HEAD requests without a body. Read streams are closed
+ * when the client disconnects.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {string} filepath
+ * @param {string} contentType
+ * @returns {Promise<{status: number, ranges: {start: number, end: number}[]|null}>} Resolves when the
+ *   response is complete or the client went away
+ * @throws {AppError} 404 when the file does not exist (anymore); nothing has been sent then
+ */
+export const serveFile = async (req, res, filepath, contentType) => {
+    let stat;
+    try {
+        stat = await fs.promises.stat(filepath);
+    } catch (err) {
+        if (err.code === 'ENOENT' || err.code === 'ENOTDIR') throw new AppError('Media file not found', 404);
+        throw err;
+    }
+    if (!stat.isFile()) throw new AppError('Media file not found', 404);
+
+    const etag = toETag(stat);
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('ETag', etag);
+    res.setHeader('Last-Modified', stat.mtime.toUTCString());
+
+    if (isNotModified(req, etag, stat)) {
+        res.status(304).end();
+        return { status: 304, ranges: null };
+    }
+
+    const ranges = isRangeCurrent(req, etag, stat) ? parseRange(req.headers.range, stat.size) : null;
+    if (ranges === 'unsatisfiable') {
+        res.setHeader('Content-Range', `bytes */${stat.size}`);
+        res.status(416).end();
+        return { status: 416, ranges: null };
+    }
+
+    let status = 200;
+    let length = stat.size;
+    let body = () => fs.createReadStream(filepath);
+    if (ranges && ranges.length === 1) {
+        const [range] = ranges;
+        status = 206;
+        length = range.end - range.start + 1;
+        res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${stat.size}`);
+        body = () => fs.createReadStream(filepath, range);
+    } else if (ranges) {
+        const multipart = multipartBody(filepath, ranges, stat.size, contentType);
+        status = 206;
+        length = multipart.length;
+        contentType = `multipart/byteranges; boundary=${multipart.boundary}`;
+        body = multipart.body;
+    }
+    res.status(status);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Length', length);
+
+    if (req.method === 'HEAD') {
+        res.end();
+        return { status, ranges };
+    }
+    try {
+        // Destroys the read stream when the response closes early.
+        await pipeline(body(), res);
+    } catch (err) {
+        if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') logger.warn(`Error sending ${filepath}: ${err.message}`);
+    }
+    return { status, ranges };
+};
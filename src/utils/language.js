@@ -0,0 +1,19 @@
+import { AppError } from './AppError.js';
+
+/** Language tags accepted from clients and in library settings, e.g. "en" or "en-US". */
+export const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Reads the `lang` query parameter selecting stored translations.
+ * @param {object} query
+ * @returns {string|null} null when no language was requested
+ * @throws {AppError} 400 on a malformed language
+ */
+export const parseLanguageParam = (query) => {
+    const { lang } = query;
+    if (lang === undefined || lang === '') return null;
+    if (typeof lang !== 'string' || !LANGUAGE_PATTERN.test(lang)) {
+        throw new AppError('lang must look like "en" or "en-US"', 400);
+    }
+    return lang;
+};
@@ -0,0 +1,35 @@
+/** Media columns a user may edit; edited columns are locked against scans and refreshes. */
+export const MEDIA_EDITABLE_FIELDS = ['title', 'description', 'poster', 'year', 'genre', 'language', 'rating'];
+
+/** Series columns a user may edit. */
+export const SERIES_EDITABLE_FIELDS = [
+    'title', 'original_name', 'overview', 'first_air_date', 'poster_path', 'backdrop_path', 'genre',
+    'original_language', 'vote_average',
+];
+
+/** Locked after a manual match, so scans keep using the chosen TMDB entry instead of searching again. */
+export const MATCH_LOCK = 'tmdb_id';
+
+/**
+ * Reads the `locked_fields` column of a media or series row.
+ * @param {object|null} row
+ * @returns {string[]}
+ */
+export const parseLockedFields = (row) => {
+    try {
+        const fields = JSON.parse(row?.locked_fields || '[]');
+        return Array.isArray(fields) ? fields : [];
+    } catch {
+        return [];
+    }
+};
+
+/**
+ * Drops the locked columns from a set of column values about to be written.
+ * @param {Object<string, *>} values
+ * @param {string[]} lockedFields
+ * @returns {Object<string, *>}
+ */
+export const omitLocked = (values, lockedFields) => Object.fromEntries(
+    Object.entries(values).filter(([column]) => !lockedFields.includes(column)),
+);
@@ -0,0 +1,58 @@
+/**
+ * Lowercases a title and strips accents, punctuation and a leading article for comparison.
+ * @param {string} title
+ * @returns {string}
+ */
+const normalizeTitle = (title) => (title || '')
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^(?:the|a|an|der|die|das) /, '')
+    .trim();
+
+/**
+ * Similarity of two titles between 0 and 1: 1 for equal titles, otherwise the share of common words.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const titleSimilarity = (a, b) => {
+    const left = normalizeTitle(a);
+    const right = normalizeTitle(b);
+    if (!left || !right) return 0;
+    if (left === right) return 1;
+    const leftWords = new Set(left.split(' '));
+    const rightWords = new Set(right.split(' '));
+    const common = [...leftWords].filter(word => rightWords.has(word)).length;
+    return common / new Set([...leftWords, ...rightWords]).size;
+};
+
+/**
+ * Ranks TMDB search results for a parsed title and year instead of trusting TMDB's order.
+ * The title counts most, then the year (an off-by-one year still counts half), then popularity
+ * to break ties between remakes and namesakes.
+ * @param {object[]} results - Movie or TV results of a TMDB search
+ * @param {object} wanted
+ * @param {string} wanted.title
+ * @param {number|null} [wanted.year]
+ * @returns {object[]} The results with a `score` between 0 and 1, best first
+ */
+export function rankCandidates(results, { title, year = null }) {
+    const maxPopularity = Math.max(1, ...(results || []).map(result => result.popularity || 0));
+    return (results || [])
+        .map((result) => {
+            const names = [result.title, result.name, result.original_title, result.original_name];
+            const similarity = Math.max(...names.map(name => titleSimilarity(title, name)));
+            const date = result.release_date || result.first_air_date || '';
+            const resultYear = parseInt(date.split('-')[0], 10);
+            let yearScore = 0;
+            if (year && resultYear === year) yearScore = 1;
+            else if (year && Math.abs(resultYear - year) === 1) yearScore = 0.5;
+            const popularity = Math.log1p(result.popularity || 0) / Math.log1p(maxPopularity);
+            const score = similarity * 0.6 + yearScore * 0.3 + popularity * 0.1;
+            return { ...result, score: Math.round(score * 1000) / 1000 };
+        })
+        .sort((a, b) => b.score - a.score);
+}
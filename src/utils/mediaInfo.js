@@ -0,0 +1,68 @@
+import { AppError } from './AppError.js';
+
+// Resolution classes from high to low. A frame counts as a class when it reaches 85% of its
+// height, or of its width for widescreen crops (1920x800 is still 1080p).
+const RESOLUTIONS = [
+    { label: '4320p', width: 7680, height: 4320 },
+    { label: '2160p', width: 3840, height: 2160 },
+    { label: '1440p', width: 2560, height: 1440 },
+    { label: '1080p', width: 1920, height: 1080 },
+    { label: '720p', width: 1280, height: 720 },
+    { label: '576p', width: 1024, height: 576 },
+    { label: '480p', width: 640, height: 480 },
+];
+export const RESOLUTION_LABELS = [...RESOLUTIONS.map(resolution => resolution.label), 'sd'];
+const BOOLEANS = { true: true, 1: true, false: false, 0: false };
+
+/**
+ * Classifies a video frame size, e.g. 3840x1600 as 2160p.
+ * @param {number|null} width
+ * @param {number|null} height
+ * @returns {string|null} One of RESOLUTION_LABELS, or null without a size
+ */
+export const resolutionLabel = (width, height) => {
+    if (!width || !height) return null;
+    const match = RESOLUTIONS.find(resolution =>
+        width >= resolution.width * 0.85 || height >= resolution.height * 0.85);
+    return match ? match.label : 'sd';
+};
+
+/**
+ * Reads the technical filters from the query string: `resolution` (e.g. 2160p), `hdr` (true or
+ * false), `videoCodec` (e.g. hevc) and `audioLanguage` (a language of any audio track, e.g. ger).
+ * @param {object} query
+ * @returns {{resolution?: string, hdr?: boolean, videoCodec?: string, audioLanguage?: string}}
+ * @throws {AppError} 400 on an unknown resolution or a malformed hdr value
+ */
+export const parseMediaInfoFilter = (query) => {
+    const filter = {};
+    if (query.resolution) {
+        const resolution = String(query.resolution).toLowerCase();
+        if (!RESOLUTION_LABELS.includes(resolution)) {
+            throw new AppError(`resolution must be one of: ${RESOLUTION_LABELS.join(', ')}`, 400);
+        }
+        filter.resolution = resolution;
+    }
+    if (query.hdr !== undefined && query.hdr !== '') {
+        if (!(String(query.hdr) in BOOLEANS)) {
+            throw new AppError('hdr must be true or false', 400);
+        }
+        filter.hdr = BOOLEANS[String(query.hdr)];
+    }
+    if (query.videoCodec) filter.videoCodec = String(query.videoCodec).toLowerCase();
+    if (query.audioLanguage) filter.audioLanguage = String(query.audioLanguage).toLowerCase();
+    return filter;
+};
+
+const parseTracks = (value) => (typeof value === 'string' ? JSON.parse(value) : (value ?? []));
+
+/**
+ * Parses the audio and subtitle track lists of a media row, which are stored as JSON.
+ * @param {object} row
+ * @returns {object}
+ */
+export const withTrackLists = (row) => ({
+    ...row,
+    audio_tracks: parseTracks(row.audio_tracks),
+    subtitle_tracks: parseTracks(row.subtitle_tracks),
+});
@@ -0,0 +1,32 @@
+import path from 'path';
+
+// Content types of the video containers a library may hold, by file extension.
+const MIME_TYPES = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mkv': 'video/x-matroska',
+    '.webm': 'video/webm',
+    '.avi': 'video/x-msvideo',
+    '.mov': 'video/quicktime',
+    '.wmv': 'video/x-ms-wmv',
+    '.flv': 'video/x-flv',
+    '.mpg': 'video/mpeg',
+    '.mpeg': 'video/mpeg',
+    '.ts': 'video/mp2t',
+    '.m2ts': 'video/mp2t',
+    '.3gp': 'video/3gpp',
+    '.ogv': 'video/ogg',
+};
+
+// Probed containers whose content type differs from what the extension suggests, e.g. WebM in a .mkv.
+const CONTAINER_TYPES = { webm: 'video/webm', mov: 'video/quicktime' };
+
+/**
+ * Returns the content type a media file is served with.
+ * @param {string} filepath
+ * @param {string|null} [container] - The probed container, when known
+ * @returns {string} application/octet-stream for unknown types
+ */
+export const getMimeType = (filepath, container = null) => CONTAINER_TYPES[container]
+    || MIME_TYPES[path.extname(filepath).toLowerCase()]
+    || 'application/octet-stream';
@@ -0,0 +1,194 @@
+/**
+ * Reader and writer for Kodi/Jellyfin style .nfo sidecar files (movie.nfo, tvshow.nfo, episode .nfo).
+ * Only the fields the catalog stores are read; everything else in the file is ignored.
+ */
+
+/** Root elements of the NFO kinds we understand. */
+export const NFO_ROOTS = ['movie', 'tvshow', 'episodedetails'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Kodi also accepts an NFO that only contains a TMDB link instead of XML.
+const TMDB_URL = /themoviedb\.org\/(?:movie|tv)\/(\d+)/i;
+const ROOT_ELEMENT = new RegExp(`<(${NFO_ROOTS.join('|')})(?:\\s[^>]*)?>([\\s\\S]*?)</\\1>`, 'gi');
+
+/**
+ * Decodes XML entities and CDATA sections of a text node.
+ * @param {string} text
+ * @returns {string}
+ */
+const decodeText = (text) => text
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (match, data) => data.replace(/&/g, '&amp;'))
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === '#') {
+            const isHex = entity[1].toLowerCase() === 'x';
+            return String.fromCodePoint(parseInt(entity.slice(isHex ? 2 : 1), isHex ? 16 : 10));
+        }
+        return ENTITIES[entity.toLowerCase()] ?? match;
+    })
+    .trim();
+
+/**
+ * Escapes text for an XML text node.
+ * @param {string} text
+ * @returns {string}
+ */
+const encodeText = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+/**
+ * Returns all elements with the given tag name as `{ attributes, content }`.
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {{attributes: string, content: string}[]}
+ */
+const findElements = (xml, tag) => {
+    const pattern = new RegExp(`<${tag}(\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'gi');
+    return [...xml.matchAll(pattern)].map(([, attributes = '', content]) => ({ attributes, content }));
+};
+
+/**
+ * Returns the decoded text of the first element with the given tag name, or null.
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {string|null}
+ */
+const readText = (xml, tag) => {
+    const [element] = findElements(xml, tag);
+    const text = element ? decodeText(element.content) : '';
+    return text || null;
+};
+
+/**
+ * Reads a number from the first element with the given tag name, or null.
+ * @param {string} xml
+ * @param {string} tag
+ * @returns {number|null}
+ */
+const readNumber = (xml, tag) => {
+    const value = parseFloat(readText(xml, tag));
+    return Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Reads the TMDB ID from `<uniqueid type="tmdb">` or the older `<tmdbid>` element.
+ * @param {string} xml
+ * @returns {number|null}
+ */
+const readTmdbId = (xml) => {
+    const uniqueId = findElements(xml, 'uniqueid')
+        .find(({ attributes }) => /type\s*=\s*["']tmdb["']/i.test(attributes));
+    const value = parseInt(uniqueId ? decodeText(uniqueId.content) : readText(xml, 'tmdbid'), 10);
+    return Number.isInteger(value) && value > 0 ? value : null;
+};
+
+/**
+ * Reads the rating, preferring the default entry of a `<ratings>` block over a plain `<rating>`.
+ * @param {string} xml
+ * @returns {number|null}
+ */
+const readRating = (xml) => {
+    const [ratings] = findElements(xml, 'ratings');
+    if (ratings) {
+        const entries = findElements(ratings.content, 'rating');
+        const entry = entries.find(({ attributes }) => /default\s*=\s*["']true["']/i.test(attributes))
+            || entries[0];
+        if (entry) return readNumber(entry.content, 'value');
+    }
+    return readNumber(xml, 'rating');
+};
+
+/**
+ * Parses the fields of one NFO root element.
+ * @param {string} type - One of NFO_ROOTS
+ * @param {string} content - The element content
+ * @returns {object}
+ */
+const parseEntry = (type, content) => {
+    // Nested blocks repeat tags like <name> and <thumb>; only top-level fields are wanted.
+    const xml = content.replace(/<(actor|fileinfo|set|resume)(\s[^>]*)?>[\s\S]*?<\/\1>/gi, '');
+    const premiered = readText(xml, 'premiered') || readText(xml, 'aired');
+    const year = parseInt(readText(xml, 'year') || premiered?.split('-')[0], 10) || null;
+    return {
+        type,
+        title: readText(xml, 'title'),
+        originalTitle: readText(xml, 'originaltitle'),
+        plot: readText(xml, 'plot') || readText(xml, 'outline'),
+        year,
+        premiered,
+        genres: findElements(xml, 'genre').map(({ content: genre }) => decodeText(genre)).filter(Boolean),
+        language: readText(xml, 'language'),
+        rating: readRating(xml),
+        runtime: readNumber(xml, 'runtime'),
+        tmdbId: readTmdbId(xml),
+        season: readNumber(xml, 'season'),
+        episode: readNumber(xml, 'episode'),
+    };
+};
+
+/**
+ * Parses an NFO file. Multi-episode files contain one `<episodedetails>` element per episode.
+ * A file that only holds a TMDB URL yields an entry with just the TMDB ID.
+ * @param {string} text - The file content
+ * @returns {object[]} One entry per root element, empty when nothing usable was found
+ */
+export const parseNfo = (text) => {
+    const entries = [];
+    for (const [, type, content] of text.matchAll(ROOT_ELEMENT)) {
+        entries.push(parseEntry(type.toLowerCase(), content));
+    }
+    if (entries.length === 0) {
+        const url = text.match(TMDB_URL);
+        if (url) entries.push({ type: null, tmdbId: parseInt(url[1], 10), genres: [] });
+    }
+    return entries;
+};
+
+/**
+ * Builds an NFO document Kodi and Jellyfin can read.
+ * @param {string} type - One of NFO_ROOTS
+ * @param {object} fields
+ * @param {string} [fields.title]
+ * @param {string} [fields.originalTitle]
+ * @param {string} [fields.plot]
+ * @param {number|string} [fields.year]
+ * @param {string} [fields.premiered]
+ * @param {string[]} [fields.genres]
+ * @param {number} [fields.rating]
+ * @param {number} [fields.runtime] - Minutes
+ * @param {number} [fields.tmdbId]
+ * @param {number} [fields.season]
+ * @param {number} [fields.episode]
+ * @returns {string}
+ */
+export const buildNfo = (type, fields) => {
+    const lines = [];
+    const add = (tag, value, attributes = '') => {
+        if (value === null || value === undefined || value === '') return;
+        lines.push(`  <${tag}${attributes}>${encodeText(value)}</${tag}>`);
+    };
+    add('title', fields.title);
+    add('originaltitle', fields.originalTitle);
+    add('plot', fields.plot);
+    add('year', fields.year);
+    add(type === 'episodedetails' ? 'aired' : 'premiered', fields.premiered);
+    for (const genre of fields.genres || []) add('genre', genre);
+    if (fields.rating) {
+        lines.push('  <ratings>');
+        lines.push(`    <rating name="themoviedb" max="10" default="true"><value>${fields.rating}</value></rating>`);
+        lines.push('  </ratings>');
+    }
+    add('runtime', fields.runtime);
+    add('season', fields.season);
+    add('episode', fields.episode);
+    add('uniqueid', fields.tmdbId, ' type="tmdb" default="true"');
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+        `<${type}>`,
+        ...lines,
+        `</${type}>`,
+        '',
+    ].join('\n');
+};
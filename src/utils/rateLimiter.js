@@ -0,0 +1,69 @@
+/**
+ * Creates a limiter that runs async tasks with a concurrency cap and a token-bucket rate limit.
+ * Up to `burst` tasks may start at once, after that tasks start at `ratePerSecond`.
+ * @param {object} options
+ * @param {number} options.concurrency - Maximum number of tasks running at the same time
+ * @param {number} options.ratePerSecond - Sustained number of task starts per second
+ * @param {number} [options.burst] - Bucket size; defaults to `ratePerSecond`
+ * @returns {{schedule: function(function(): Promise<*>): Promise<*>, pauseFor: function(number): void}}
+ */
+export function createRateLimiter({ concurrency, ratePerSecond, burst = ratePerSecond }) {
+    const waiting = [];
+    let tokens = burst;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let active = 0;
+    let timer = null;
+
+    const refill = () => {
+        const now = Date.now();
+        tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * ratePerSecond);
+        lastRefill = now;
+    };
+
+    const wakeUpIn = (ms) => {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            drain();
+        }, Math.max(ms, 1));
+    };
+
+    const drain = () => {
+        refill();
+        while (waiting.length > 0 && active < concurrency && tokens >= 1 && Date.now() >= pausedUntil) {
+            tokens -= 1;
+            active++;
+            const { task, resolve, reject } = waiting.shift();
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    active--;
+                    drain();
+                });
+        }
+        if (waiting.length === 0 || active >= concurrency) return;
+        if (Date.now() < pausedUntil) {
+            wakeUpIn(pausedUntil - Date.now());
+        } else {
+            wakeUpIn(Math.ceil(((1 - tokens) / ratePerSecond) * 1000));
+        }
+    };
+
+    return {
+        /**
+         * Queues a task; resolves or rejects with the task's outcome.
+         */
+        schedule: (task) => new Promise((resolve, reject) => {
+            waiting.push({ task, resolve, reject });
+            drain();
+        }),
+        /**
+         * Starts no new tasks for the given time, e.g. when the server asked to back off.
+         */
+        pauseFor: (ms) => {
+            pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+        },
+    };
+}
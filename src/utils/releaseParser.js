@@ -0,0 +1,199 @@
+import path from 'path';
+
+/**
+ * Extensions stripped from names before parsing. Anything else after the last dot is
+ * treated as part of the name, so "Movie.2010" keeps its year.
+ */
+const KNOWN_EXTENSIONS = [
+    '.mp4', '.mkv', '.avi', '.mov', '.m4v', '.wmv', '.ts', '.m2ts', '.webm', '.mpg', '.mpeg',
+    '.srt', '.ass', '.ssa', '.vtt', '.sub', '.nfo',
+];
+
+/**
+ * Release tags that only ever describe the file, never the title. The first one marks the end of the title.
+ */
+const STRONG_TAG = new RegExp(
+    '\\b(?:'
+    + '\\d{3,4}[pi]|\\d{3,4}x\\d{3,4}|4k|uhd|'
+    + 'blu-?ray|bdrip|brrip|bdremux|remux|web-?dl|web-?rip|hdtv|pdtv|dvdrip|dvdscr|hdrip|hdcam|'
+    + '[xh] ?26[45]|hevc|avc|xvid|divx|av1|10bit|8bit|'
+    + 'dts(?:-?hd)?|truehd|atmos|e?ac3|dd[p+]?\\s?[257]\\s?[01]|aac(?:\\s?[257]\\s?[01])?|flac'
+    + ')\\b',
+    'i',
+);
+
+/**
+ * Tags that are also ordinary words ("Web", "Proper"), so they only count when written in capitals
+ * and only at the end of a title.
+ */
+const WEAK_TAGS = [
+    'WEB', 'DL', 'DV', 'DVD', 'HDR', 'HDR10', 'SDR', 'GERMAN', 'ENGLISH', 'FRENCH', 'MULTI', 'DUAL', 'DUBBED',
+    'SUBBED', 'PROPER', 'REPACK', 'EXTENDED', 'UNRATED', 'REMASTERED', 'LIMITED', 'INTERNAL', 'COMPLETE', 'UNCUT',
+    'DC', 'IMAX', 'READNFO',
+];
+
+const YEAR = /(?:^|[\s([])((?:19|20)\d{2})(?=$|[\s)\]])/g;
+const SEASON_EPISODE = /\bS(\d{1,3})\s?E(\d{1,4})((?:\s?-?\s?E\d{1,4}|-\d{1,4}(?![\dpi]))*)/i;
+const CROSS_EPISODE = /\b(\d{1,2})x(\d{2,3})((?:x\d{2,3}|-(?:\d{1,2}x)?\d{2,3})*)\b/i;
+const NAMED_SEASON_EPISODE = /\b(?:Season|Staffel)\s?(\d{1,3})\s?(?:-\s?)?(?:Episode|Folge|Ep|E)\s?(\d{1,4})\b/i;
+const NAMED_EPISODE = /(?<![\w-])(?:(?:Episode|Folge|Ep)\s?|E)(\d{1,4})(?:\s?-\s?(?:Episode\s?|Folge\s?|Ep\s?|E)?(\d{1,4}))?\b/i;
+const ABSOLUTE_EPISODE = /\s-\s(?!(?:19|20)\d{2}\b)(\d{1,4})(?:v\d)?(?:\s?-\s?(\d{1,4})(?:v\d)?)?(?=$|\s)/;
+const SEASON_ONLY = /\b(?:S|Season\s?|Staffel\s?)(\d{1,3})\b/i;
+const SPECIALS_FOLDER = /^(?:specials?|season[\s._-]?specials)$/i;
+const SEASON_FOLDER = /(?:^|[\s._-])(?:Season|Staffel|Series)[\s._-]?(\d{1,3})\b|^S(\d{1,3})$/i;
+
+/**
+ * Expands the tail of an episode marker ("E02E03", "-E05", "-05") into episode numbers.
+ * A dash means a range, consecutive markers are listed individually.
+ * @param {number} first
+ * @param {string} tail
+ * @returns {number[]}
+ */
+const expandEpisodes = (first, tail) => {
+    const episodes = [first];
+    const parts = tail.match(/-?\s?(?:\d{1,2}x|E)?\d{1,4}/gi) || [];
+    for (const part of parts) {
+        const number = parseInt(part.match(/(\d{1,4})$/)[1], 10);
+        const last = episodes[episodes.length - 1];
+        // Ranges wider than a season are more likely a misread tag than real episodes.
+        if (part.trim().startsWith('-') && number > last && number - last <= 50) {
+            for (let n = last + 1; n <= number; n++) episodes.push(n);
+        } else if (!episodes.includes(number)) {
+            episodes.push(number);
+        }
+    }
+    return episodes;
+};
+
+/**
+ * Replaces the dots and underscores used as word separators in release names with spaces
+ * and drops bracketed tags such as "[Group]" or "[1080p]" (a bracketed year is kept).
+ * @param {string} name
+ * @returns {string}
+ */
+const normalize = (name) => name
+    .replace(/\[((?:19|20)\d{2})\]/g, '($1)')
+    .replace(/\[[^\]]*\]|\{[^}]*\}/g, ' ')
+    .replace(/(?<=\S)[._](?=\S)/g, ' ')
+    .replace(/_/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Finds the release year. A leading year belongs to the title ("1917 (2019)"), and of several
+ * adjacent years the last one wins ("Blade Runner 2049 2017").
+ * @param {string} text
+ * @returns {{year: number, index: number}|null}
+ */
+const findYear = (text) => {
+    const matches = [...text.matchAll(YEAR)]
+        .map(match => ({ year: parseInt(match[1], 10), index: match.index + match[0].indexOf(match[1]) }))
+        .filter(({ index }) => index > 0);
+    if (matches.length === 0) return null;
+
+    let chosen = matches[0];
+    for (const next of matches.slice(1)) {
+        const between = text.slice(chosen.index + 4, next.index);
+        if (!/^[\s()[\]]*$/.test(between)) break;
+        chosen = next;
+    }
+    return chosen;
+};
+
+/**
+ * Cleans the text that precedes the first marker into a display title.
+ * @param {string} text
+ * @returns {string}
+ */
+const cleanTitle = (text) => {
+    const words = text
+        .replace(/[([{]\s*$/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(' ');
+    while (words.length > 1 && WEAK_TAGS.includes(words[words.length - 1].replace(/[^A-Z0-9]/g, ''))
+        && words[words.length - 1] === words[words.length - 1].toUpperCase()) {
+        words.pop();
+    }
+    return words.join(' ').replace(/[\s\-–:,]+$/, '').replace(/^[\s\-–:,]+/, '');
+};
+
+/**
+ * Parses a movie or episode release name.
+ *
+ * Recognizes the title, the release year and episode numbering in the styles `S01E02`,
+ * `S01E01E02`, `S01E01-E03`, `1x02`, `1x02-03`, `Episode 5` and absolute numbering (`Show - 012`).
+ * Quality, source, codec and audio tags as well as bracketed release groups are dropped.
+ *
+ * @param {string} name - A file or folder name, with or without extension
+ * @returns {{
+ *   title: string,
+ *   year: number|null,
+ *   season: number|null,
+ *   episodes: number[],
+ *   absolute: boolean,
+ * }} `season` is null when the name does not say; `absolute` is true for anime style numbering
+ *   that counts episodes across seasons.
+ */
+export function parseReleaseName(name) {
+    const ext = path.extname(name || '').toLowerCase();
+    const base = KNOWN_EXTENSIONS.includes(ext) ? name.slice(0, -ext.length) : (name || '');
+    const text = normalize(base);
+
+    const result = { title: '', year: null, season: null, episodes: [], absolute: false };
+    const markers = [];
+
+    let match = text.match(SEASON_EPISODE);
+    if (match) {
+        result.season = parseInt(match[1], 10);
+        result.episodes = expandEpisodes(parseInt(match[2], 10), match[3] || '');
+        markers.push(match.index);
+    } else if ((match = text.match(CROSS_EPISODE))) {
+        result.season = parseInt(match[1], 10);
+        result.episodes = expandEpisodes(parseInt(match[2], 10), match[3] || '');
+        markers.push(match.index);
+    } else if ((match = text.match(NAMED_SEASON_EPISODE))) {
+        result.season = parseInt(match[1], 10);
+        result.episodes = [parseInt(match[2], 10)];
+        markers.push(match.index);
+    } else if ((match = text.match(NAMED_EPISODE))) {
+        result.episodes = expandEpisodes(parseInt(match[1], 10), match[2] ? `-${match[2]}` : '');
+        markers.push(match.index);
+    } else if ((match = text.match(ABSOLUTE_EPISODE))) {
+        result.episodes = expandEpisodes(parseInt(match[1], 10), match[2] ? `-${match[2]}` : '');
+        result.absolute = true;
+        markers.push(match.index);
+    } else if ((match = text.match(SEASON_ONLY))) {
+        result.season = parseInt(match[1], 10);
+        markers.push(match.index);
+    }
+
+    const year = findYear(text);
+    if (year) {
+        result.year = year.year;
+        markers.push(year.index);
+    }
+
+    const tag = text.match(STRONG_TAG);
+    if (tag) markers.push(tag.index);
+
+    const end = markers.length > 0 ? Math.min(...markers) : text.length;
+    result.title = cleanTitle(text.slice(0, end));
+    if (!result.title && result.episodes.length === 0) {
+        result.title = cleanTitle(text);
+    }
+    return result;
+}
+
+/**
+ * Parses a season folder name such as "Season 2", "Staffel 02" or "S02".
+ * A "Specials" folder maps to season 0, which is where TMDB keeps specials.
+ * @param {string} name
+ * @returns {number|null}
+ */
+export function parseSeasonFolder(name) {
+    if (SPECIALS_FOLDER.test((name || '').trim())) return 0;
+    const match = (name || '').match(SEASON_FOLDER);
+    if (!match) return null;
+    return parseInt(match[1] ?? match[2], 10);
+}
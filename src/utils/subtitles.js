@@ -0,0 +1,306 @@
+import path from 'path';
+import { AppError } from './AppError.js';
+
+// Subtitle formats read from sidecar files, by file extension.
+const SUBTITLE_FORMATS = { '.srt': 'srt', '.ass': 'ass', '.ssa': 'ssa', '.vtt': 'vtt' };
+export const SUBTITLE_EXTENSIONS = Object.keys(SUBTITLE_FORMATS);
+// Codecs of embedded text subtitles, which ffmpeg converts to WebVTT. Image-based ones (PGS, VobSub)
+// would need OCR.
+const TEXT_SUBTITLE_CODECS = ['subrip', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Name tags marking forced (foreign parts only) and SDH (hearing impaired) subtitles. "hi" is taken
+// as hearing impaired, so Hindi has to be tagged "hin" or "hindi".
+const FORCED_TAGS = ['forced', 'foreign'];
+const SDH_TAGS = ['sdh', 'cc', 'hi'];
+// Languages by ISO 639-2/B code, as in the probed tracks, with the codes and names file names use.
+const LANGUAGES = [
+    ['eng', 'en', 'english'],
+    ['ger', 'de', 'deu', 'german', 'deutsch'],
+    ['fre', 'fr', 'fra', 'french', 'francais'],
+    ['spa', 'es', 'spanish', 'espanol'],
+    ['ita', 'it', 'italian', 'italiano'],
+    ['por', 'pt', 'portuguese'],
+    ['dut', 'nl', 'nld', 'dutch', 'nederlands'],
+    ['swe', 'sv', 'swedish'],
+    ['nor', 'no', 'nb', 'nob', 'norwegian'],
+    ['dan', 'da', 'danish'],
+    ['fin', 'fi', 'finnish'],
+    ['ice', 'is', 'isl', 'icelandic'],
+    ['pol', 'pl', 'polish'],
+    ['cze', 'cs', 'ces', 'czech'],
+    ['slo', 'sk', 'slk', 'slovak'],
+    ['slv', 'sl', 'slovenian'],
+    ['hun', 'hu', 'hungarian'],
+    ['rum', 'ro', 'ron', 'romanian'],
+    ['bul', 'bg', 'bulgarian'],
+    ['hrv', 'hr', 'croatian'],
+    ['srp', 'sr', 'serbian'],
+    ['gre', 'el', 'ell', 'greek'],
+    ['tur', 'tr', 'turkish'],
+    ['rus', 'ru', 'russian'],
+    ['ukr', 'uk', 'ukrainian'],
+    ['est', 'et', 'estonian'],
+    ['lav', 'lv', 'latvian'],
+    ['lit', 'lt', 'lithuanian'],
+    ['ara', 'ar', 'arabic'],
+    ['heb', 'he', 'hebrew'],
+    ['per', 'fa', 'fas', 'persian'],
+    ['hin', 'hindi'],
+    ['tha', 'th', 'thai'],
+    ['vie', 'vi', 'vietnamese'],
+    ['ind', 'id', 'indonesian'],
+    ['may', 'ms', 'msa', 'malay'],
+    ['chi', 'zh', 'zho', 'chinese'],
+    ['jpn', 'ja', 'japanese'],
+    ['kor', 'ko', 'korean'],
+    ['cat', 'ca', 'catalan'],
+];
+const LANGUAGE_CODES = new Map(LANGUAGES.flatMap(([code, ...aliases]) =>
+    [code, ...aliases].map(alias => [alias, code])));
+
+// A cue timestamp: hours are optional in WebVTT, SRT separates milliseconds with a comma and ASS
+// has centiseconds.
+const TIMESTAMP = /(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?/;
+const TIMING = new RegExp(`^\\s*${TIMESTAMP.source}\\s*-->\\s*${TIMESTAMP.source}(.*)$`);
+// Inline tags WebVTT shares with SRT and ASS; others (e.g. <font>) are dropped.
+const STYLE_TAGS = ['i', 'b', 'u'];
+// Field order of ASS events without a Format line.
+const ASS_DEFAULT_FORMAT = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect',
+    'text'];
+
+/**
+ * Returns true when the file has a subtitle extension.
+ * @param {string} filepath
+ * @returns {boolean}
+ */
+export const isSubtitleFile = (filepath) => SUBTITLE_EXTENSIONS.includes(path.extname(filepath).toLowerCase());
+
+/**
+ * Returns true when an embedded subtitle track holds text that can be converted to WebVTT.
+ * @param {string|null} codec - The codec name of the track, e.g. subrip
+ * @returns {boolean}
+ */
+export const isTextSubtitleCodec = (codec) => TEXT_SUBTITLE_CODECS.includes(codec);
+
+/**
+ * Reads a sidecar subtitle's language and flags from its name, which starts with the name of its
+ * media file, e.g. "Movie (2020).en.forced.srt" or "Show.S01E02.German.SDH.ass" for "Show.S01E02.mkv".
+ * Tags that are neither a language nor a flag make up the title, e.g. "Commentary".
+ * @param {string} mediaPath
+ * @param {string} subtitlePath
+ * @returns {{format: string, language: string|null, title: string|null, forced: boolean,
+ *   sdh: boolean}|null} null when the file is no subtitle of the media file; language is an
+ *   ISO 639-2/B code, e.g. ger
+ */
+export const parseSubtitleName = (mediaPath, subtitlePath) => {
+    const format = SUBTITLE_FORMATS[path.extname(subtitlePath).toLowerCase()];
+    if (!format || path.dirname(subtitlePath) !== path.dirname(mediaPath)) return null;
+    const base = path.parse(mediaPath).name.toLowerCase();
+    const name = path.parse(subtitlePath).name;
+    if (name.toLowerCase() !== base && !name.toLowerCase().startsWith(`${base}.`)) return null;
+
+    const subtitle = { format, language: null, title: null, forced: false, sdh: false };
+    const titleTags = [];
+    for (const tag of name.slice(base.length + 1).split('.').filter(Boolean)) {
+        const lower = tag.toLowerCase();
+        // Region suffixes are dropped: "pt-BR" is Portuguese.
+        const language = LANGUAGE_CODES.get(lower.split(/[-_]/)[0]);
+        if (FORCED_TAGS.includes(lower)) subtitle.forced = true;
+        else if (SDH_TAGS.includes(lower)) subtitle.sdh = true;
+        else if (language && !subtitle.language) subtitle.language = language;
+        else if (lower !== 'default') titleTags.push(tag);
+    }
+    subtitle.title = titleTags.join(' ') || null;
+    return subtitle;
+};
+
+/**
+ * Reads the `offset` query parameter shifting subtitle timings.
+ * @param {object} query
+ * @returns {number} Seconds, negative to show subtitles earlier; 0 when not given
+ * @throws {AppError} 400 when the offset is not a number
+ */
+export const parseOffsetParam = (query) => {
+    const { offset } = query;
+    if (offset === undefined || offset === '') return 0;
+    const seconds = Number(offset);
+    if (typeof offset !== 'string' || !Number.isFinite(seconds)) {
+        throw new AppError('offset must be a number of seconds, e.g. -1.5', 400);
+    }
+    return seconds;
+};
+
+/**
+ * Decodes a subtitle file. Files without a byte order mark that are not valid UTF-8 are read as
+ * Windows-1252, which most older SRT files are written in.
+ * @param {Buffer} buffer
+ * @returns {string} The text with \n line breaks
+ */
+export const decodeSubtitle = (buffer) => {
+    let text;
+    if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+        text = new TextDecoder('utf-16le').decode(buffer);
+    } else if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+        text = new TextDecoder('utf-16be').decode(buffer);
+    } else {
+        try {
+            text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        } catch {
+            text = new TextDecoder('windows-1252').decode(buffer);
+        }
+    }
+    return text.replace(/\r\n?/g, '\n');
+};
+
+/**
+ * Converts the groups of a TIMESTAMP match to seconds.
+ * @returns {number}
+ */
+const toSeconds = (hours, minutes, seconds, fraction) =>
+    Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction || 0}`);
+
+/**
+ * Formats seconds as a WebVTT timestamp, e.g. 01:02:03.450.
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatTimestamp = (seconds) => {
+    const ms = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(ms / 3600000);
+    return `${pad(hours)}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+const escapeText = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Turns SRT cue text into WebVTT cue text: italic, bold and underline tags are kept, other tags
+ * and ASS override blocks some SRT files carry (e.g. {\an8}) are dropped.
+ * @param {string} text
+ * @returns {string}
+ */
+const srtCueText = (text) => text.replace(/\{\\[^}]*\}/g, '')
+    // The capturing group keeps the tags at the odd indexes.
+    .split(/(<\/?[a-z]+[^>]*>)/i)
+    .map((part, index) => {
+        if (index % 2 === 0) return escapeText(part);
+        const [, close, name] = /^<(\/?)([a-z]+)/i.exec(part);
+        return STYLE_TAGS.includes(name.toLowerCase()) ? `<${close}${name.toLowerCase()}>` : '';
+    })
+    .join('')
+    .trim();
+
+/**
+ * Turns ASS dialogue text into WebVTT cue text: \N breaks lines, italic, bold and underline
+ * overrides become tags and other overrides (position, colour, karaoke) are dropped.
+ * @param {string} text
+ * @returns {string}
+ */
+const assCueText = (text) => {
+    const open = new Set();
+    let cue = '';
+    for (const [index, part] of text.split(/(\{[^}]*\})/).entries()) {
+        if (index % 2 === 0) {
+            cue += escapeText(part.replace(/\\[Nn]/g, '\n').replace(/\\h/g, ' '));
+            continue;
+        }
+        for (const [, tag, state] of part.matchAll(/\\([ibu])(\d)/g)) {
+            const on = state !== '0';
+            if (on === open.has(tag)) continue;
+            cue += on ? `<${tag}>` : `</${tag}>`;
+            if (on) open.add(tag);
+            else open.delete(tag);
+        }
+    }
+    for (const tag of open) cue += `</${tag}>`;
+    return cue.trim();
+};
+
+/**
+ * Reads the cues of an SRT file.
+ * @param {string} text
+ * @returns {{start: number, end: number, text: string}[]}
+ */
+const parseSrt = (text) => {
+    const cues = [];
+    let cue = null;
+    for (const line of text.split('\n')) {
+        const timing = TIMING.exec(line);
+        if (timing) {
+            cue = { start: toSeconds(...timing.slice(1, 5)), end: toSeconds(...timing.slice(5, 9)), lines: [] };
+            cues.push(cue);
+        } else if (!line.trim()) {
+            // The cue number after a blank line is skipped along with it.
+            cue = null;
+        } else if (cue) {
+            cue.lines.push(line);
+        }
+    }
+    return cues.map(({ start, end, lines }) => ({ start, end, text: srtCueText(lines.join('\n')) }));
+};
+
+/**
+ * Reads the dialogue lines of an ASS or SSA file, in the order they are shown.
+ * @param {string} text
+ * @returns {{start: number, end: number, text: string}[]}
+ */
+const parseAss = (text) => {
+    const cues = [];
+    let section = null;
+    let format = ASS_DEFAULT_FORMAT;
+    for (const line of text.split('\n')) {
+        const trimmed = line.trim();
+        if (/^\[.*\]$/.test(trimmed)) {
+            section = trimmed.toLowerCase();
+            continue;
+        }
+        const [, key, value] = /^(\w+)\s*:\s*(.*)$/.exec(trimmed) || [];
+        if (section !== '[events]' || !key) continue;
+        if (key === 'Format') {
+            format = value.split(',').map(field => field.trim().toLowerCase());
+        } else if (key === 'Dialogue') {
+            const fields = value.split(',');
+            // The text comes last and may contain commas itself.
+            const values = [...fields.slice(0, format.length - 1), fields.slice(format.length - 1).join(',')];
+            const start = TIMESTAMP.exec(values[format.indexOf('start')] || '');
+            const end = TIMESTAMP.exec(values[format.indexOf('end')] || '');
+            if (!start || !end) continue;
+            cues.push({
+                start: toSeconds(...start.slice(1)),
+                end: toSeconds(...end.slice(1)),
+                text: assCueText(values[format.indexOf('text')] || ''),
+            });
+        }
+    }
+    return cues.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Shifts the cue timings of a WebVTT file, keeping everything else (styles, cue settings, voices).
+ * @param {string} text
+ * @param {number} offset - Seconds
+ * @returns {string}
+ */
+const shiftVtt = (text, offset) => text.split('\n').map((line) => {
+    const timing = TIMING.exec(line);
+    if (!timing || offset === 0) return line;
+    const start = Math.max(0, toSeconds(...timing.slice(1, 5)) + offset);
+    const end = Math.max(0, toSeconds(...timing.slice(5, 9)) + offset);
+    return `${formatTimestamp(start)} --> ${formatTimestamp(end)}${timing[9]}`;
+}).join('\n');
+
+/**
+ * Converts a subtitle file to WebVTT, as HTML5 video players read it.
+ * @param {string} text - From decodeSubtitle
+ * @param {string} format - srt, ass, ssa or vtt
+ * @param {number} [offset] - Seconds to shift all cues by; cues shifted before the start are dropped
+ * @returns {string}
+ */
+export const toWebVtt = (text, format, offset = 0) => {
+    if (format === 'vtt') return shiftVtt(text, offset);
+    const cues = (format === 'srt' ? parseSrt(text) : parseAss(text))
+        .map(cue => ({ ...cue, start: Math.max(0, cue.start + offset), end: cue.end + offset }))
+        .filter(cue => cue.text && cue.end > cue.start);
+    const blocks = cues.map(cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}\n${cue.text}\n`);
+    return ['WEBVTT\n', ...blocks].join('\n');
+};
@@ -1,47 +1,241 @@
 import axios from 'axios';
+import { logger } from './logger.js';
+import { readIntEnv } from './env.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { TmdbError, TmdbNotFoundError, TmdbTransientError } from './TmdbError.js';
+import { buildCacheKey, isCacheEnabled, readCache, writeCache } from './tmdbCache.js';
 
 const TMDB_API_KEY = process.env.TMDB_API_KEY;
-const TMDB_BASE_URL = 'https://api.themoviedb.org/3';
+// Both base URLs can point to a local fake TMDB server, e.g. in tests.
+const TMDB_BASE_URL = (process.env.TMDB_BASE_URL || 'https://api.themoviedb.org/3').replace(/\/+$/, '');
+const TMDB_IMAGE_BASE_URL = (process.env.TMDB_IMAGE_BASE_URL || 'https://image.tmdb.org/t/p').replace(/\/+$/, '');
+// TMDB allows roughly 50 requests per second; stay well below so a Raspberry Pi scan never trips it.
+const TMDB_CONCURRENCY = readIntEnv('TMDB_CONCURRENCY', 4, 1);
+const TMDB_RATE_LIMIT = readIntEnv('TMDB_RATE_LIMIT', 20, 1);
+const TMDB_TIMEOUT_MS = readIntEnv('TMDB_TIMEOUT_MS', 10000);
+const TMDB_MAX_RETRIES = readIntEnv('TMDB_MAX_RETRIES', 3);
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 30000;
+// Connection problems worth retrying; a failed DNS lookup (offline) is reported right away.
+const RETRYABLE_NETWORK_CODES = ['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
 
-if (!TMDB_API_KEY) {
-    throw new Error('TMDB_API_KEY fehlt in den Umgebungsvariablen');
-}
+// Metadata language used when a library does not set its own.
+export const DEFAULT_LANGUAGE = process.env.TMDB_LANGUAGE || 'de-DE';
+
+/**
+ * Whether an API key is configured. Without one every request fails, so metadata comes from local
+ * files only (see metadataProvider.service).
+ * @returns {boolean}
+ */
+export const isTmdbConfigured = () => Boolean(TMDB_API_KEY);
 
 const DEFAULT_PARAMS = {
     api_key: TMDB_API_KEY,
-    language: 'de-DE',
+    language: DEFAULT_LANGUAGE,
     include_adult: false,
 };
 
-const tmdbRequest = async (endpoint, params = {}) => {
+/** Requests currently on their way to TMDB, keyed by cache key, so parallel lookups share one request. */
+const inFlight = new Map();
+
+const limiter = createRateLimiter({ concurrency: TMDB_CONCURRENCY, ratePerSecond: TMDB_RATE_LIMIT });
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Reads a Retry-After header, given either in seconds or as an HTTP date.
+ * @param {string|undefined} header
+ * @returns {number|null} Delay in milliseconds
+ */
+const parseRetryAfter = (header) => {
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Exponential backoff with jitter: ~0.5s, 1s, 2s, … capped at 30s.
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number}
+ */
+const backoffDelay = (attempt) => {
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(RETRY_MAX_DELAY_MS, delay / 2 + Math.random() * (delay / 2));
+};
+
+/**
+ * Converts an axios error into a typed TMDB error.
+ * @param {Error} err
+ * @param {string} endpoint
+ * @returns {TmdbError}
+ */
+const toTmdbError = (err, endpoint) => {
+    const status = err.response?.status ?? null;
+    const reason = err.response?.data?.status_message || err.message;
+    const message = `TMDB request ${endpoint} failed: ${reason}`;
+    if (status === 404) return new TmdbNotFoundError(message);
+    // No response at all (offline, timeout) is as temporary as a rate limit or server error.
+    if (!status || status === 429 || status >= 500) return new TmdbTransientError(message, status);
+    return new TmdbError(message, status);
+};
+
+const isRetryable = (err) => {
+    const status = err.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return RETRYABLE_NETWORK_CODES.includes(err.code);
+};
+
+/**
+ * Sends a GET request to TMDB through the shared rate limiter. 429 and 5xx responses as well as
+ * timeouts are retried with exponential backoff, honoring Retry-After.
+ * @param {string} endpoint
+ * @param {object} mergedParams - Query parameters including the defaults
+ * @returns {Promise<object>}
+ * @throws {TmdbNotFoundError} When TMDB answers 404
+ * @throws {TmdbTransientError} When TMDB stayed unavailable after all retries; the request can be repeated later
+ * @throws {TmdbError} For other failures, e.g. an invalid API key
+ */
+const fetchFromTmdb = async (endpoint, mergedParams) => {
     const url = `${TMDB_BASE_URL}${endpoint}`;
+    for (let attempt = 0; ; attempt++) {
+        try {
+            // Each attempt queues separately, so a request waiting for its backoff does not block a slot.
+            const response = await limiter.schedule(() => axios.get(url, {
+                params: mergedParams,
+                timeout: TMDB_TIMEOUT_MS,
+            }));
+            return response.data;
+        } catch (err) {
+            if (!isRetryable(err) || attempt >= TMDB_MAX_RETRIES) {
+                throw toTmdbError(err, endpoint);
+            }
+            const retryAfter = parseRetryAfter(err.response?.headers?.['retry-after']);
+            const delay = Math.min(RETRY_MAX_DELAY_MS, retryAfter ?? backoffDelay(attempt));
+            if (err.response?.status === 429) {
+                // The limit applies to the whole client, so hold back every queued request.
+                limiter.pauseFor(delay);
+            }
+            logger.warn(`TMDB request ${endpoint} failed (${err.response?.status ?? err.code}), `
+                + `retrying in ${Math.round(delay)}ms (${attempt + 1}/${TMDB_MAX_RETRIES})`);
+            await sleep(delay);
+        }
+    }
+};
+
+/**
+ * Answers a request from the cache or TMDB. Fresh cache entries (including cached 404s) are used
+ * directly; expired ones are refreshed, but still served while TMDB is temporarily unavailable.
+ * @param {string} endpoint
+ * @param {object} mergedParams
+ * @returns {Promise<object>}
+ */
+const cachedRequest = async (endpoint, mergedParams) => {
+    const key = buildCacheKey(endpoint, mergedParams);
+    const cached = isCacheEnabled() ? await readCache(key) : null;
+    const fromCache = () => {
+        if (cached.status === 404) {
+            throw new TmdbNotFoundError(`TMDB request ${endpoint} failed: not found (cached)`);
+        }
+        return cached.data;
+    };
+    if (cached && !cached.expired) return fromCache();
+
+    try {
+        const data = await fetchFromTmdb(endpoint, mergedParams);
+        if (isCacheEnabled()) await writeCache(key, endpoint, 200, data);
+        return data;
+    } catch (err) {
+        if (err instanceof TmdbNotFoundError && isCacheEnabled()) {
+            await writeCache(key, endpoint, 404, null);
+        }
+        if (err instanceof TmdbTransientError && cached) {
+            logger.warn(`TMDB unavailable, serving expired cache entry for ${key}`);
+            return fromCache();
+        }
+        throw err;
+    }
+};
+
+/**
+ * Sends a GET request to TMDB, answered from the persistent cache when possible.
+ * Identical requests running at the same time share one lookup.
+ * @param {string} endpoint
+ * @param {object} [params]
+ * @returns {Promise<object>}
+ */
+const tmdbRequest = (endpoint, params = {}) => {
+    if (!TMDB_API_KEY) {
+        return Promise.reject(new TmdbError(`TMDB request ${endpoint} failed: TMDB_API_KEY is not set`));
+    }
     const mergedParams = { ...DEFAULT_PARAMS, ...params };
-    const response = await axios.get(url, { params: mergedParams });
-    return response.data;
+    const key = buildCacheKey(endpoint, mergedParams);
+    if (!inFlight.has(key)) {
+        inFlight.set(key, cachedRequest(endpoint, mergedParams).finally(() => inFlight.delete(key)));
+    }
+    return inFlight.get(key);
+};
+
+// A library can override the default metadata language, e.g. 'ja-JP' for an anime library.
+const languageParam = (language) => (language ? { language } : {});
+
+export const searchMovie = async (query, year = null, language = null) => {
+    return tmdbRequest('/search/movie', {
+        query,
+        include_adult: true,
+        ...(year ? { year } : {}),
+        ...languageParam(language),
+    });
+};
+
+export const searchTv = async (query, year = null, language = null) => {
+    return tmdbRequest('/search/tv', {
+        query,
+        include_adult: true,
+        ...(year ? { first_air_date_year: year } : {}),
+        ...languageParam(language),
+    });
+};
+
+// Details carry all translations, for fallbacks and stored translations. With an image language the
+// posters in that language are appended too, e.g. 'de' for German posters on English metadata.
+const detailParams = (language, imageLanguage) => ({
+    ...languageParam(language),
+    append_to_response: imageLanguage ? 'translations,images' : 'translations',
+    ...(imageLanguage ? { include_image_language: `${imageLanguage.split('-')[0]},null` } : {}),
+});
+
+export const getMovieDetails = async (id, language = null, imageLanguage = null) => {
+    return tmdbRequest(`/movie/${id}`, detailParams(language, imageLanguage));
 };
 
-export const searchMovie = async (query) => {
-    return tmdbRequest('/search/movie', { query, include_adult: true });
+export const getTvDetails = async (id, language = null, imageLanguage = null) => {
+    return tmdbRequest(`/tv/${id}`, detailParams(language, imageLanguage));
 };
 
-export const searchTv = async (query) => {
-    return tmdbRequest('/search/tv', { query, include_adult: true });
+// A collection lists all its movies as `parts`, including unreleased ones.
+export const getCollection = async (id, language = null) => {
+    return tmdbRequest(`/collection/${id}`, languageParam(language));
 };
 
-export const getMovieDetails = async (id) => {
-    return tmdbRequest(`/movie/${id}`);
+export const getSeason = async (tvId, seasonNumber, language = null) => {
+    return tmdbRequest(`/tv/${tvId}/season/${seasonNumber}`, languageParam(language));
 };
 
-export const getTvDetails = async (id) => {
-    return tmdbRequest(`/tv/${id}`);
+// Movies use /credits; series use /aggregate_credits, which covers every season instead of the latest one.
+export const getCredits = async (type, id, language = null) => {
+    const endpoint = type === 'tv' ? `/tv/${id}/aggregate_credits` : `/movie/${id}/credits`;
+    return tmdbRequest(endpoint, languageParam(language));
 };
 
-export const getSeasonEpisodes = async (tvId, seasonNumber) => {
-    const data = await tmdbRequest(`/tv/${tvId}/season/${seasonNumber}`);
-    return data.episodes || [];
+// type is 'movie' or 'tv'; names come in the requested language.
+export const getGenreList = async (type, language = null) => {
+    const data = await tmdbRequest(`/genre/${type}/list`, languageParam(language));
+    return data.genres || [];
 };
 
 export const getImageUrl = (path, size = 'w500') => {
     if (!path) return '';
-    return `https://image.tmdb.org/t/p/${size}${path}`;
+    return `${TMDB_IMAGE_BASE_URL}/${size}${path}`;
 };
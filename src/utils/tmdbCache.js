@@ -0,0 +1,172 @@
+import { openDb } from '../config/db.config.js';
+import { logger } from './logger.js';
+
+// How long a TMDB response is served from the cache before it is fetched again. 0 disables the cache.
+const TMDB_CACHE_TTL_HOURS = parseFloat(process.env.TMDB_CACHE_TTL_HOURS ?? '168');
+
+export const isCacheEnabled = () => TMDB_CACHE_TTL_HOURS > 0;
+
+/**
+ * Builds the cache key for a request: the endpoint plus its sorted query parameters.
+ * The API key is left out so rotating it keeps the cache valid.
+ * @param {string} endpoint
+ * @param {object} params
+ * @returns {string}
+ */
+export const buildCacheKey = (endpoint, params) => {
+    const query = new URLSearchParams(
+        Object.entries(params)
+            .filter(([name, value]) => name !== 'api_key' && value !== undefined && value !== null)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([name, value]) => [name, String(value)]),
+    ).toString();
+    return query ? `${endpoint}?${query}` : endpoint;
+};
+
+/**
+ * Reads a cached response. Expired entries are returned too, flagged as expired, so callers
+ * can fall back to them while TMDB is unreachable.
+ * @param {string} key
+ * @returns {Promise<{status: number, data: object|null, expired: boolean}|null>}
+ */
+export const readCache = async (key) => {
+    try {
+        const db = await openDb();
+        const row = await db.get('SELECT status, response, expires_at FROM tmdb_cache WHERE cache_key = ?', [key]);
+        if (!row) return null;
+        return {
+            status: row.status,
+            data: row.response ? JSON.parse(row.response) : null,
+            expired: row.expires_at <= Date.now(),
+        };
+    } catch (err) {
+        logger.warn(`Failed to read TMDB cache for ${key}: ${err.message}`);
+        return null;
+    }
+};
+
+/**
+ * Stores a response. A 404 is stored without data so repeated lookups of unknown titles stay offline.
+ * @param {string} key
+ * @param {string} endpoint
+ * @param {number} status
+ * @param {object|null} data
+ */
+export const writeCache = async (key, endpoint, status, data) => {
+    try {
+        const db = await openDb();
+        const now = Date.now();
+        await db.run(
+            `INSERT INTO tmdb_cache (cache_key, endpoint, status, response, fetched_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT(cache_key) DO UPDATE SET status     = excluded.status,
+                                                  response   = excluded.response,
+                                                  fetched_at = excluded.fetched_at,
+                                                  expires_at = excluded.expires_at`,
+            [
+                key,
+                endpoint,
+                status,
+                data ? JSON.stringify(data) : null,
+                now,
+                now + TMDB_CACHE_TTL_HOURS * 60 * 60 * 1000,
+            ],
+        );
+    } catch (err) {
+        logger.warn(`Failed to write TMDB cache for ${key}: ${err.message}`);
+    }
+};
+
+/**
+ * Builds the WHERE clause shared by the inspect and purge functions.
+ * @param {object} filter
+ * @param {string} [filter.endpoint] - Only entries whose endpoint starts with this prefix, e.g. "/tv/1396"
+ * @param {boolean} [filter.expired] - Only expired entries
+ * @returns {{where: string, params: Array}}
+ */
+const buildFilter = ({ endpoint, expired } = {}) => {
+    const clauses = [];
+    const params = [];
+    if (endpoint) {
+        clauses.push('substr(endpoint, 1, ?) = ?');
+        params.push(endpoint.length, endpoint);
+    }
+    if (expired) {
+        clauses.push('expires_at <= ?');
+        params.push(Date.now());
+    }
+    return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+};
+
+/**
+ * Returns size and age information about the cache.
+ * @returns {Promise<object>}
+ */
+export const getCacheStats = async () => {
+    const db = await openDb();
+    const stats = await db.get(
+        `SELECT COUNT(*)                                   as entries,
+                COALESCE(SUM(expires_at <= ?), 0)          as expired,
+                COALESCE(SUM(status = 404), 0)             as notFound,
+                COALESCE(SUM(LENGTH(response)), 0)         as sizeBytes,
+                MIN(fetched_at)                            as oldest,
+                MAX(fetched_at)                            as newest
+         FROM tmdb_cache`,
+        [Date.now()],
+    );
+    return {
+        enabled: isCacheEnabled(),
+        ttlHours: TMDB_CACHE_TTL_HOURS,
+        entries: stats.entries,
+        expired: stats.expired,
+        notFound: stats.notFound,
+        sizeBytes: stats.sizeBytes,
+        oldestFetchedAt: stats.oldest ? new Date(stats.oldest).toISOString() : null,
+        newestFetchedAt: stats.newest ? new Date(stats.newest).toISOString() : null,
+    };
+};
+
+/**
+ * Lists cache entries, newest first, without their response bodies.
+ * @param {object} [filter] - See buildFilter
+ * @param {number} [limit=50]
+ * @param {number} [offset=0]
+ * @returns {Promise<{total: number, entries: object[]}>}
+ */
+export const listCacheEntries = async (filter = {}, limit = 50, offset = 0) => {
+    const db = await openDb();
+    const { where, params } = buildFilter(filter);
+    const { total } = await db.get(`SELECT COUNT(*) as total FROM tmdb_cache ${where}`, params);
+    const rows = await db.all(
+        `SELECT cache_key, endpoint, status, LENGTH(response) as size, fetched_at, expires_at
+         FROM tmdb_cache ${where}
+         ORDER BY fetched_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+    );
+    const now = Date.now();
+    return {
+        total,
+        entries: rows.map(row => ({
+            key: row.cache_key,
+            endpoint: row.endpoint,
+            status: row.status,
+            sizeBytes: row.size || 0,
+            fetchedAt: new Date(row.fetched_at).toISOString(),
+            expiresAt: new Date(row.expires_at).toISOString(),
+            expired: row.expires_at <= now,
+        })),
+    };
+};
+
+/**
+ * Deletes cache entries.
+ * @param {object} [filter] - See buildFilter; deletes everything when empty
+ * @returns {Promise<number>} Number of deleted entries
+ */
+export const purgeCache = async (filter = {}) => {
+    const db = await openDb();
+    const { where, params } = buildFilter(filter);
+    const result = await db.run(`DELETE FROM tmdb_cache ${where}`, params);
+    return result.changes;
+};
@@ -0,0 +1,177 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { Jimp } from 'jimp';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artwork-'));
+const artworkDir = path.join(dir, 'posters', 'artwork');
+
+// A fake image host; every requested path is recorded.
+const requests = [];
+const images = {};
+const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const image = images[req.url];
+    res.writeHead(image ? 200 : 404);
+    res.end(image);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.TMDB_API_KEY = 'test-key';
+process.env.TMDB_IMAGE_BASE_URL = `http://127.0.0.1:${server.address().port}/t/p`;
+
+const { closeDb, execute } = await import('../src/config/db.config.js');
+const {
+    ARTWORK_URL_PREFIX,
+    cleanupArtwork,
+    downloadImage,
+    importLocalImage,
+    resolveArtwork,
+} = await import('../src/services/artwork.service.js');
+
+/** Writes a file below the temporary directory, creating its folders. */
+const writeFile = (relativePath, content) => {
+    const filepath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    return filepath;
+};
+
+/** Returns the name resolveArtwork takes from an artwork URL. */
+const nameOf = (url) => url.slice(ARTWORK_URL_PREFIX.length);
+
+/** Returns the path of a stored image from its artwork URL. */
+const storedPath = (url) => path.join(artworkDir, nameOf(url).slice(0, 2), nameOf(url));
+
+/** Lists the files of the artwork store. */
+const storedFiles = () => fs.readdirSync(artworkDir, { recursive: true })
+    .filter(file => fs.statSync(path.join(artworkDir, file)).isFile())
+    .map(file => path.basename(file))
+    .sort();
+
+/** Sets the modification time of a file, so the cleanup sees it as that old. */
+const age = (filepath, hours) => {
+    const time = new Date(Date.now() - hours * 60 * 60 * 1000);
+    fs.utimesSync(filepath, time, time);
+};
+
+let png;
+
+before(async () => {
+    png = await new Jimp({ width: 400, height: 200, color: 0x336699ff }).getBuffer('image/png');
+});
+
+after(async () => {
+    server.close();
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('artwork store', () => {
+    it('stores identical images once under their content hash', async () => {
+        const first = await importLocalImage(writeFile('Movies/Heat/poster.JPEG', 'heat poster'));
+        const copy = await importLocalImage(writeFile('Movies/Heat (Copy)/poster.jpg', 'heat poster'));
+        const other = await importLocalImage(writeFile('Movies/Ronin/poster.jpg', 'ronin poster'));
+
+        assert.match(first, /^\/api\/artwork\/[0-9a-f]{32}\.jpg$/);
+        assert.equal(copy, first);
+        assert.notEqual(other, first);
+        assert.equal(fs.readFileSync(storedPath(first), 'utf8'), 'heat poster');
+        assert.equal(fs.readFileSync(storedPath(other), 'utf8'), 'ronin poster');
+    });
+
+    it('downloads provider images in the size of their type into the same store', async () => {
+        images['/t/p/w780/heat.jpg'] = 'heat poster';
+        images['/t/p/w1280/heat-backdrop.jpg'] = 'heat backdrop';
+        const local = await importLocalImage(path.join(dir, 'Movies/Heat/poster.JPEG'));
+
+        assert.equal(await downloadImage('/heat.jpg', 'poster'), local);
+        const backdrop = await downloadImage('/heat-backdrop.jpg', 'backdrop');
+        assert.equal(fs.readFileSync(storedPath(backdrop), 'utf8'), 'heat backdrop');
+        assert.deepEqual(requests, ['/t/p/w780/heat.jpg', '/t/p/w1280/heat-backdrop.jpg']);
+    });
+
+    it('returns an empty URL for images that cannot be read', async () => {
+        assert.equal(await downloadImage('/missing.jpg'), '');
+        assert.equal(await downloadImage(null), '');
+        assert.equal(await importLocalImage(path.join(dir, 'missing.jpg')), '');
+        assert.equal(await importLocalImage(null), '');
+    });
+});
+
+describe('resolveArtwork', () => {
+    it('generates a variant rounded up to the next served width', async () => {
+        const name = nameOf(await importLocalImage(writeFile('Movies/Up/poster.png', png)));
+
+        const variant = await resolveArtwork(name, 300);
+        assert.equal(path.basename(variant), name.replace('.png', '-w342.png'));
+        assert.equal((await Jimp.read(variant)).width, 342);
+        // Generated once; later requests are served from the stored variant.
+        const { mtimeMs } = fs.statSync(variant);
+        assert.equal(await resolveArtwork(name, 342), variant);
+        assert.equal(fs.statSync(variant).mtimeMs, mtimeMs);
+    });
+
+    it('serves parallel requests for one size the same variant', async () => {
+        const name = nameOf(await importLocalImage(writeFile('Movies/Up/backdrop.png', png)));
+        const [first, second] = await Promise.all([resolveArtwork(name, 100), resolveArtwork(name, 185)]);
+        assert.equal(first, second);
+        assert.equal((await Jimp.read(first)).width, 185);
+    });
+
+    it('copies images that are not wider than the variant', async () => {
+        const name = nameOf(await importLocalImage(path.join(dir, 'Movies/Up/poster.png')));
+        const variant = await resolveArtwork(name, 1000);
+        assert.equal(path.basename(variant), name.replace('.png', '-w1280.png'));
+        assert.deepEqual(fs.readFileSync(variant), png);
+    });
+
+    it('serves the stored image beyond the widest variant and for formats it does not resize', async () => {
+        const name = nameOf(await importLocalImage(path.join(dir, 'Movies/Up/poster.png')));
+        const original = path.join(artworkDir, name.slice(0, 2), name);
+        assert.equal(await resolveArtwork(name, 4000), original);
+        assert.equal(await resolveArtwork(name), original);
+
+        const webp = await importLocalImage(writeFile('Movies/Up/poster.webp', 'webp'));
+        assert.equal(await resolveArtwork(nameOf(webp), 300), storedPath(webp));
+    });
+
+    it('answers 404 for unknown and malformed names', async () => {
+        await assert.rejects(resolveArtwork(`${'0'.repeat(32)}.jpg`), { statusCode: 404 });
+        await assert.rejects(resolveArtwork('../catalog.db'), { statusCode: 404 });
+    });
+});
+
+describe('cleanupArtwork', () => {
+    it('removes old images no row references, with their variants', async () => {
+        const referenced = await importLocalImage(writeFile('Cleanup/referenced.png', png));
+        const orphaned = await importLocalImage(writeFile('Cleanup/orphaned.jpg', 'orphaned'));
+        const fresh = await importLocalImage(writeFile('Cleanup/fresh.jpg', 'fresh'));
+        const referencedVariant = await resolveArtwork(nameOf(referenced), 92);
+        // A variant of an image no row references any more, e.g. the poster of a rematched movie.
+        const orphanedVariant = storedPath(orphaned).replace('.jpg', '-w92.jpg');
+        fs.copyFileSync(storedPath(orphaned), orphanedVariant);
+        await execute(
+            "INSERT INTO media (filename, filepath, title, poster) VALUES ('Up.mkv', '/media/Up.mkv', 'Up', ?)",
+            [referenced],
+        );
+        // Past the grace period; the fresh image and the images of the other tests are not.
+        for (const filepath of [storedPath(referenced), referencedVariant, storedPath(orphaned), orphanedVariant]) {
+            age(filepath, 2);
+        }
+
+        const stored = storedFiles();
+        assert.deepEqual(await cleanupArtwork(), { deleted: 2, freedBytes: 2 * 'orphaned'.length });
+        const removed = stored.filter(file => !storedFiles().includes(file));
+        assert.deepEqual(removed, [path.basename(orphanedVariant), path.basename(storedPath(orphaned))]);
+        assert.ok(fs.existsSync(storedPath(referenced)));
+        assert.ok(fs.existsSync(referencedVariant));
+        assert.ok(fs.existsSync(storedPath(fresh)));
+    });
+});
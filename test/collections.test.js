@@ -0,0 +1,164 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'collections-'));
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.METADATA_PROVIDER = 'local';
+
+const { closeDb, execute, openDb, queryAll, queryOne } = await import('../src/config/db.config.js');
+const { saveCollection } = await import('../src/services/collection.service.js');
+const { default: collectionRoutes } = await import('../src/routes/collection.route.js');
+const { errorHandler } = await import('../src/middlewares/errorHandler.middleware.js');
+
+const app = express();
+app.use('/api/collections', collectionRoutes);
+app.use(errorHandler);
+const server = http.createServer(app);
+let baseUrl;
+let db;
+
+/** Fetches a collections endpoint and returns its status and JSON body. */
+const request = async (urlPath) => {
+    const response = await fetch(`${baseUrl}/api/collections${urlPath}`);
+    return { status: response.status, body: await response.json() };
+};
+
+/** Inserts a movie matched to a TMDB ID. */
+const addMovie = async (title, tmdbId, year) => {
+    const { lastID } = await execute(
+        "INSERT INTO media (filename, filepath, title, tmdb_id, year, mediaType) VALUES (?, ?, ?, ?, ?, 'movie')",
+        [`${title}.mkv`, `/media/${title}.mkv`, title, tmdbId, year],
+    );
+    return lastID;
+};
+
+const part = (tmdbId, title, releaseDate) => ({ tmdbId, title, releaseDate, posterPath: null });
+
+const matrix = {
+    tmdbId: 2344,
+    name: 'The Matrix Collection',
+    overview: 'Neo and the machines.',
+    posterPath: null,
+    backdropPath: null,
+    parts: [
+        part(603, 'The Matrix', '1999-03-30'),
+        part(604, 'The Matrix Reloaded', '2003-05-15'),
+        part(605, 'The Matrix Revolutions', '2003-11-05'),
+        part(624860, 'The Matrix Resurrections', '2021-12-16'),
+        part(999999, 'The Matrix 5', null),
+    ],
+};
+
+let ids;
+
+before(async () => {
+    db = await openDb();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    ids = {
+        reloaded: await addMovie('The Matrix Reloaded', 604, '2003'),
+        matrix: await addMovie('The Matrix', 603, '1999'),
+        // Matched before TMDB listed it as a part: only its year places it.
+        animatrix: await addMovie('The Animatrix', 55931, '2003'),
+        // Neither a part nor a year: last.
+        fanEdit: await addMovie('Matrix Fan Edit', null, ''),
+        // A deleted file does not count as owned.
+        revolutions: await addMovie('The Matrix Revolutions', 605, '2003'),
+    };
+    for (const id of Object.values(ids)) await saveCollection(db, id, matrix);
+    await execute("UPDATE media SET missing_since = datetime('now') WHERE id = ?", [ids.revolutions]);
+
+    const heist = await addMovie('Ocean\'s Eleven', 161, '2001');
+    await saveCollection(db, heist, {
+        tmdbId: 304,
+        name: 'Ocean\'s Collection',
+        overview: null,
+        posterPath: null,
+        backdropPath: null,
+        parts: [part(161, 'Ocean\'s Eleven', '2001-12-07'), part(163, 'Ocean\'s Twelve', '2004-12-09')],
+    });
+});
+
+after(async () => {
+    server.close();
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('saveCollection', () => {
+    it('stores the collection and its parts once and links the movies', async () => {
+        const rows = await queryAll('SELECT id, name FROM collections WHERE tmdb_id = ?', [matrix.tmdbId]);
+        assert.equal(rows.length, 1);
+        const linked = await queryAll('SELECT id FROM media WHERE collection_id = ? ORDER BY id', [rows[0].id]);
+        assert.deepEqual(linked.map(row => row.id), Object.values(ids).sort((a, b) => a - b));
+        const parts = await queryAll('SELECT tmdb_id FROM collection_parts WHERE collection_id = ?', [rows[0].id]);
+        assert.equal(parts.length, matrix.parts.length);
+    });
+
+    it('drops parts TMDB no longer lists and unlinks movies without a collection', async () => {
+        const movie = await addMovie('Ocean\'s Thirteen', 298, '2007');
+        const oceans = (await queryOne('SELECT id FROM collections WHERE tmdb_id = 304')).id;
+        await saveCollection(db, movie, {
+            tmdbId: 304,
+            name: 'Ocean\'s Collection',
+            overview: null,
+            posterPath: null,
+            backdropPath: null,
+            parts: [part(161, 'Ocean\'s Eleven', '2001-12-07'), part(298, 'Ocean\'s Thirteen', '2007-06-07')],
+        });
+        const parts = await queryAll(
+            'SELECT tmdb_id FROM collection_parts WHERE collection_id = ? ORDER BY tmdb_id',
+            [oceans],
+        );
+        assert.deepEqual(parts.map(row => row.tmdb_id), [161, 298]);
+
+        await saveCollection(db, movie, null);
+        assert.equal((await queryOne('SELECT collection_id FROM media WHERE id = ?', [movie])).collection_id, null);
+    });
+});
+
+describe('collections API', () => {
+    it('lists collections with available movies and their counts', async () => {
+        const { status, body } = await request('');
+        assert.equal(status, 200);
+        assert.deepEqual(
+            body.map(({ name, ownedCount, partCount }) => [name, ownedCount, partCount]),
+            [['Ocean\'s Collection', 1, 2], ['The Matrix Collection', 3, 5]],
+        );
+    });
+
+    it('returns the owned movies in release order', async () => {
+        const id = (await queryOne('SELECT id FROM collections WHERE tmdb_id = ?', [matrix.tmdbId])).id;
+        const { status, body } = await request(`/${id}`);
+        assert.equal(status, 200);
+        assert.equal(body.name, 'The Matrix Collection');
+        assert.deepEqual(
+            body.owned.map(movie => movie.title),
+            ['The Matrix', 'The Animatrix', 'The Matrix Reloaded', 'Matrix Fan Edit'],
+        );
+    });
+
+    it('returns the missing parts in release order, unreleased last', async () => {
+        const id = (await queryOne('SELECT id FROM collections WHERE tmdb_id = ?', [matrix.tmdbId])).id;
+        const { body } = await request(`/${id}`);
+        assert.deepEqual(
+            body.missing.map(({ tmdbId, releaseDate }) => [tmdbId, releaseDate]),
+            [[605, '2003-11-05'], [624860, '2021-12-16'], [999999, null]],
+        );
+    });
+
+    it('answers 404 for unknown collections', async () => {
+        const { status, body } = await request('/9999');
+        assert.equal(status, 404);
+        assert.equal(body.message, 'Collection not found');
+    });
+});
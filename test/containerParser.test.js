@@ -0,0 +1,162 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseContainer } from '../src/utils/containerParser.js';
+import { getMimeType } from '../src/utils/mimeTypes.js';
+import { parseMediaInfoFilter, resolutionLabel } from '../src/utils/mediaInfo.js';
+
+const uint = (value, bytes) => {
+    const buffer = Buffer.alloc(bytes);
+    buffer.writeUIntBE(value, 0, bytes);
+    return buffer;
+};
+
+// MP4 box: 32-bit size, type, payload.
+const box = (type, ...payload) => {
+    const data = Buffer.concat(payload);
+    return Buffer.concat([uint(data.length + 8, 4), Buffer.from(type, 'latin1'), data]);
+};
+
+const packLanguage = (code) => uint([...code].reduce((packed, char) => packed * 32 + char.charCodeAt(0) - 0x60, 0), 2);
+
+const mp4Track = ({ handler, language, width = 0, height = 0, entry }) => box('trak',
+    box('tkhd', uint(1, 4), Buffer.alloc(72), uint(width * 65536, 4), uint(height * 65536, 4)),
+    box('mdia',
+        box('mdhd', Buffer.alloc(20), packLanguage(language), Buffer.alloc(2)),
+        box('hdlr', Buffer.alloc(8), Buffer.from(handler, 'latin1'), Buffer.alloc(12)),
+        box('minf', box('stbl', box('stsd', uint(0, 4), uint(1, 4), entry)))));
+
+const buildMp4 = () => {
+    const hevc = Buffer.alloc(78);
+    hevc.writeUInt16BE(3840, 24);
+    hevc.writeUInt16BE(1608, 26);
+    // nclx colour information with the PQ transfer function.
+    const colr = box('colr', Buffer.from('nclx', 'latin1'), uint(9, 2), uint(16, 2), uint(9, 2), uint(0, 1));
+    const aac = Buffer.alloc(28);
+    aac.writeUInt16BE(2, 16);
+    return Buffer.concat([
+        box('ftyp', Buffer.from('isom', 'latin1'), uint(512, 4), Buffer.from('isommp41', 'latin1')),
+        box('mdat', Buffer.alloc(1024)),
+        box('moov',
+            box('mvhd', uint(0, 4), Buffer.alloc(8), uint(1000, 4), uint(5400000, 4), Buffer.alloc(80)),
+            mp4Track({ handler: 'vide', language: 'und', width: 3840, height: 1608, entry: box('hvc1', hevc, colr) }),
+            mp4Track({ handler: 'soun', language: 'ger', entry: box('mp4a', aac) }),
+            mp4Track({ handler: 'sbtl', language: 'eng', entry: box('tx3g', Buffer.alloc(8)) })),
+    ]);
+};
+
+// Matroska element: ID with its marker bits, 4-byte data size, data.
+const element = (id, ...data) => {
+    const payload = Buffer.concat(data.map(value => (typeof value === 'string' ? Buffer.from(value) : value)));
+    const idBytes = uint(id, Math.ceil(id.toString(16).length / 2));
+    return Buffer.concat([idBytes, uint(0x10000000 + payload.length, 4), payload]);
+};
+
+const buildMatroska = (docType = 'matroska') => {
+    const duration = Buffer.alloc(8);
+    duration.writeDoubleBE(5400000);
+    return Buffer.concat([
+        element(0x1A45DFA3, element(0x4282, docType)),
+        element(0x18538067,
+            element(0x1549A966, element(0x2AD7B1, uint(1000000, 3)), element(0x4489, duration)),
+            element(0x1654AE6B,
+                element(0xAE, element(0xD7, uint(1, 1)), element(0x83, uint(1, 1)), element(0x86, 'V_MPEG4/ISO/AVC'),
+                    element(0xE0, element(0xB0, uint(1920, 2)), element(0xBA, uint(800, 2)))),
+                element(0xAE, element(0xD7, uint(2, 1)), element(0x83, uint(2, 1)), element(0x86, 'A_EAC3'),
+                    element(0x22B59C, 'ger'), element(0x536E, 'Surround'), element(0xE1, element(0x9F, uint(6, 1)))),
+                element(0xAE, element(0xD7, uint(3, 1)), element(0x83, uint(2, 1)), element(0x86, 'A_AAC/MPEG4/LC'),
+                    element(0x88, uint(0, 1)), element(0xE1, element(0x9F, uint(2, 1)))),
+                element(0xAE, element(0xD7, uint(4, 1)), element(0x83, uint(17, 1)), element(0x86, 'S_TEXT/UTF8'),
+                    element(0x22B59C, 'und'), element(0x88, uint(0, 1)), element(0x55AA, uint(1, 1)))),
+            element(0x1F43B675, Buffer.alloc(64))),
+    ]);
+};
+
+describe('parseContainer', () => {
+    let dir;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'container-parser-'));
+        fs.writeFileSync(path.join(dir, 'movie.mp4'), buildMp4());
+        fs.writeFileSync(path.join(dir, 'movie.mkv'), buildMatroska());
+        fs.writeFileSync(path.join(dir, 'clip.webm'), buildMatroska('webm'));
+        fs.writeFileSync(path.join(dir, 'movie.avi'), Buffer.from('RIFF\0\0\0\0AVI LIST'));
+    });
+
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    it('reads an MP4 with its moov box after the media data', async () => {
+        const info = await parseContainer(path.join(dir, 'movie.mp4'));
+        assert.equal(info.container, 'mp4');
+        assert.equal(info.duration, 5400);
+        assert.deepEqual(info.video, { codec: 'hevc', width: 3840, height: 1608, hdr: true });
+        assert.deepEqual(info.audioTracks, [
+            { index: 1, codec: 'aac', language: 'ger', channels: 2, title: null, default: true },
+        ]);
+        assert.deepEqual(info.subtitleTracks, [
+            { index: 2, codec: 'mov_text', language: 'eng', title: null, default: false, forced: false },
+        ]);
+    });
+
+    it('reads a Matroska file', async () => {
+        const info = await parseContainer(path.join(dir, 'movie.mkv'));
+        assert.equal(info.container, 'matroska');
+        assert.equal(info.duration, 5400);
+        assert.deepEqual(info.video, { codec: 'h264', width: 1920, height: 800, hdr: false });
+        assert.deepEqual(info.audioTracks, [
+            { index: 1, codec: 'eac3', language: 'ger', channels: 6, title: 'Surround', default: true },
+            // Tracks without a language are English by the Matroska spec.
+            { index: 2, codec: 'aac', language: 'eng', channels: 2, title: null, default: false },
+        ]);
+        assert.deepEqual(info.subtitleTracks, [
+            { index: 3, codec: 'subrip', language: null, title: null, default: false, forced: true },
+        ]);
+    });
+
+    it('tells WebM from Matroska by the doc type', async () => {
+        assert.equal((await parseContainer(path.join(dir, 'clip.webm'))).container, 'webm');
+    });
+
+    it('returns null for other formats', async () => {
+        assert.equal(await parseContainer(path.join(dir, 'movie.avi')), null);
+    });
+});
+
+describe('resolutionLabel', () => {
+    it('classifies by height, or by width for widescreen crops', () => {
+        assert.equal(resolutionLabel(3840, 2160), '2160p');
+        assert.equal(resolutionLabel(3840, 1608), '2160p');
+        assert.equal(resolutionLabel(1920, 800), '1080p');
+        assert.equal(resolutionLabel(1280, 720), '720p');
+        assert.equal(resolutionLabel(720, 576), '576p');
+        assert.equal(resolutionLabel(320, 240), 'sd');
+        assert.equal(resolutionLabel(null, null), null);
+    });
+});
+
+describe('parseMediaInfoFilter', () => {
+    it('reads the technical filters', () => {
+        assert.deepEqual(
+            parseMediaInfoFilter({ resolution: '2160P', hdr: 'true', videoCodec: 'HEVC', audioLanguage: 'GER' }),
+            { resolution: '2160p', hdr: true, videoCodec: 'hevc', audioLanguage: 'ger' },
+        );
+        assert.deepEqual(parseMediaInfoFilter({ hdr: '0' }), { hdr: false });
+        assert.deepEqual(parseMediaInfoFilter({}), {});
+    });
+
+    it('rejects unknown values', () => {
+        assert.throws(() => parseMediaInfoFilter({ resolution: '4k' }), { statusCode: 400 });
+        assert.throws(() => parseMediaInfoFilter({ hdr: 'yes' }), { statusCode: 400 });
+    });
+});
+
+describe('getMimeType', () => {
+    it('uses the probed container before the extension', () => {
+        assert.equal(getMimeType('/media/movie.mkv'), 'video/x-matroska');
+        assert.equal(getMimeType('/media/movie.mkv', 'webm'), 'video/webm');
+        assert.equal(getMimeType('/media/movie.MP4', 'mp4'), 'video/mp4');
+        assert.equal(getMimeType('/media/movie.xyz'), 'application/octet-stream');
+    });
+});
@@ -0,0 +1,25 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readIntEnv } from '../src/utils/env.js';
+
+const cases = [
+    // [value, min, expected]
+    [undefined, 0, 3],
+    ['', 0, 3],
+    ['5', 0, 5],
+    ['0', 0, 0],
+    ['0', 1, 3],
+    ['-1', 0, 3],
+    ['abc', 0, 3],
+    [' 7 ', 0, 7],
+];
+
+describe('readIntEnv', () => {
+    for (const [value, min, expected] of cases) {
+        it(`reads ${JSON.stringify(value)} with min ${min} as ${expected}`, () => {
+            if (value === undefined) delete process.env.TEST_INT_SETTING;
+            else process.env.TEST_INT_SETTING = value;
+            assert.equal(readIntEnv('TEST_INT_SETTING', 3, min), expected);
+        });
+    }
+});
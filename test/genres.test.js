@@ -0,0 +1,92 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'genres-'));
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.METADATA_PROVIDER = 'local';
+
+const { closeDb, execute, openDb, queryAll, queryOne } = await import('../src/config/db.config.js');
+const { resolveGenres, syncGenres } = await import('../src/services/genre.service.js');
+const { genreClause, listGenreCounts } = await import('../src/repositories/genre.repository.js');
+
+let db;
+
+/** Inserts a movie with the given genre column and links its genres like a scan does. */
+const addMovie = async (title, genres, language) => {
+    const { lastID } = await execute(
+        "INSERT INTO media (filename, filepath, title, genre, mediaType) VALUES (?, ?, ?, ?, 'movie')",
+        [`${title}.mkv`, `/media/${title}.mkv`, title, genres.map(genre => genre.name).join(', ')],
+    );
+    await syncGenres(db, 'media', lastID, { genres, language });
+    return lastID;
+};
+
+/** Lists the movies matching genre names. */
+const findMovies = async (genres, genreMode = 'or') => {
+    const { clause, params } = genreClause('media_genres', 'media_id', 'm.id', genres, genreMode);
+    const rows = await queryAll(`SELECT title FROM media m WHERE ${clause} ORDER BY title`, params);
+    return rows.map(row => row.title);
+};
+
+const counts = async (language) => (await listGenreCounts({ language }))
+    .map(({ name, movieCount }) => [name, movieCount]);
+
+before(async () => {
+    db = await openDb();
+    // A genre left by a scan before genres were keyed by TMDB ID.
+    await execute("INSERT INTO genres (name) VALUES ('Action')");
+    await addMovie('Heat', [{ id: 28, name: 'Action' }, { id: 80, name: 'Crime' }], 'en-US');
+    await addMovie('Der Baader Meinhof Komplex', [{ id: 28, name: 'Aktion' }, { id: 18, name: 'Drama' }], 'de-DE');
+    await addMovie('Kung Fu Hustle', [{ id: null, name: 'Kung Fu' }, { id: 28, name: 'Action' }], 'en-US');
+});
+
+after(async () => {
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('genres', () => {
+    it('keys TMDB genres by their ID and names them per language', async () => {
+        const action = await queryOne('SELECT id, name FROM genres WHERE tmdb_id = 28');
+        // The older local genre of the same name became the TMDB genre.
+        assert.deepEqual(action, { id: 1, name: 'Action' });
+        assert.deepEqual(
+            await queryAll('SELECT language, name FROM genre_translations WHERE genre_id = ? ORDER BY language', [1]),
+            [{ language: 'de-DE', name: 'Aktion' }, { language: 'en-US', name: 'Action' }],
+        );
+        assert.equal((await queryOne('SELECT COUNT(*) as count FROM genres')).count, 4);
+    });
+
+    it('lists the genres in the requested language', async () => {
+        assert.deepEqual(await counts('de-DE'), [['Aktion', 3], ['Crime', 1], ['Drama', 1], ['Kung Fu', 1]]);
+        assert.deepEqual(await counts('en-GB'), [['Action', 3], ['Crime', 1], ['Drama', 1], ['Kung Fu', 1]]);
+    });
+
+    it('filters by genre names in any language', async () => {
+        const all = ['Der Baader Meinhof Komplex', 'Heat', 'Kung Fu Hustle'];
+        assert.deepEqual(await findMovies(['aktion']), all);
+        assert.deepEqual(await findMovies(['Action']), all);
+        assert.deepEqual(await findMovies(['Action', 'Drama'], 'and'), ['Der Baader Meinhof Komplex']);
+        assert.deepEqual(await findMovies(['Kung Fu', 'Crime']), ['Heat', 'Kung Fu Hustle']);
+    });
+
+    it('links edited names to the genre known under them', async () => {
+        const id = await addMovie('Ronin', [{ id: null, name: 'Aktion' }, { id: null, name: 'Kung Fu' }], 'de-DE');
+        const linked = await queryAll('SELECT genre_id FROM media_genres WHERE media_id = ? ORDER BY genre_id', [id]);
+        const kungFu = await queryOne("SELECT id FROM genres WHERE name = 'Kung Fu'");
+        assert.deepEqual(linked.map(row => row.genre_id), [1, kungFu.id]);
+    });
+
+    it('reads the genres of detail responses and NFOs', async () => {
+        assert.deepEqual(
+            await resolveGenres({ genres: [{ id: 18, name: 'Drama' }, { name: 'Heist' }, { id: 18, name: 'Drama' }] }),
+            [{ id: 18, name: 'Drama' }, { id: null, name: 'Heist' }],
+        );
+        assert.deepEqual(await resolveGenres({ genre_ids: [18] }, 'movie'), []);
+    });
+});
@@ -0,0 +1,254 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+    buildMasterPlaylist, buildMediaPlaylist, parseQualities, planSegments, planVariants,
+} from '../src/utils/hls.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hls-'));
+
+// A stand-in for ffmpeg's segment muxer: records its arguments and writes a few segments from
+// -segment_start_number on, listing each when done, or fails for inputs named "broken".
+const fakeFfmpeg = path.join(dir, 'ffmpeg');
+fs.writeFileSync(fakeFfmpeg, `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+const value = (name) => args[args.indexOf(name) + 1];
+fs.appendFileSync(${JSON.stringify(path.join(dir, 'calls.log'))}, JSON.stringify(args) + '\\n');
+if (value('-i').includes('broken')) {
+    console.error('Invalid data found when processing input');
+    process.exit(1);
+}
+const start = Number(value('-segment_start_number'));
+fs.writeFileSync(value('-segment_list'), '');
+let index = start;
+const timer = setInterval(() => {
+    const file = args.at(-1).replace('%d', index);
+    fs.writeFileSync(file, 'segment ' + index);
+    fs.appendFileSync(value('-segment_list'), require('path').basename(file) + ',0,0\\n');
+    if (++index === start + 5) clearInterval(timer);
+}, 20);
+`, { mode: 0o755 });
+
+// A stand-in for ffprobe listing video packets: a keyframe every 2 seconds, or every 5 seconds
+// after a start time of 1.4 seconds for inputs named "gop5".
+const fakeFfprobe = path.join(dir, 'ffprobe');
+fs.writeFileSync(fakeFfprobe, `#!/usr/bin/env node
+const fs = require('fs');
+const file = process.argv.at(-1);
+fs.appendFileSync(${JSON.stringify(path.join(dir, 'probes.log'))}, file + '\\n');
+const [gop, startTime] = file.includes('gop5') ? [5, 1.4] : [2, 0];
+for (let frame = 0; frame < 300 * 4; frame++) {
+    const time = startTime + frame / 4;
+    console.log(time.toFixed(6) + ',' + (frame % (gop * 4) === 0 ? 'K_' : '__'));
+}
+console.log(startTime.toFixed(6));
+`, { mode: 0o755 });
+
+// Read when the service is imported, so set before.
+process.env.FFMPEG_PATH = fakeFfmpeg;
+process.env.FFPROBE_PATH = fakeFfprobe;
+process.env.HLS_CACHE_PATH = path.join(dir, 'cache');
+process.env.HLS_SEGMENT_SECONDS = '6';
+
+const { getHlsSegment, getHlsVariant, getHlsVariants, getSegmentStarts, stopHlsSessions } = await import(
+    '../src/services/hls.service.js'
+);
+
+const calls = () => fs.readFileSync(path.join(dir, 'calls.log'), 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+const arg = (args, name) => args[args.indexOf(name) + 1];
+const mediaFile = (name) => {
+    const filepath = path.join(dir, name);
+    fs.writeFileSync(filepath, 'video');
+    return filepath;
+};
+
+after(() => {
+    stopHlsSessions();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const h264 = { video_codec: 'h264', audio_codec: 'aac', width: 1920, height: 1080, bitrate: 9000000 };
+
+describe('planVariants', () => {
+    it('remuxes H.264 and adds the lower qualities', () => {
+        const variants = planVariants(h264, ['original', '1080p', '720p', '480p']);
+        assert.deepEqual(variants.map(variant => [variant.name, variant.copyVideo, variant.copyAudio]), [
+            ['original', true, true],
+            ['720p', false, false],
+            ['480p', false, false],
+        ]);
+        assert.equal(variants[0].bandwidth, 9000000);
+        assert.deepEqual([variants[1].width, variants[1].height], [1280, 720]);
+    });
+
+    it('converts other audio of a remux to AAC', () => {
+        const [original] = planVariants({ ...h264, audio_codec: 'ac3' }, ['original']);
+        assert.equal(original.copyVideo, true);
+        assert.equal(original.copyAudio, false);
+    });
+
+    it('transcodes other video up to the source resolution', () => {
+        const variants = planVariants({ ...h264, video_codec: 'hevc' }, ['original', '1080p', '720p']);
+        assert.deepEqual(variants.map(variant => variant.name), ['1080p', '720p']);
+    });
+
+    it('fits widescreen video into the rung frames', () => {
+        const variants = planVariants({ video_codec: 'hevc', width: 1920, height: 800 }, ['1080p', '720p']);
+        assert.deepEqual(variants.map(variant => [variant.name, variant.width, variant.height]), [
+            ['1080p', 1920, 800],
+            ['720p', 1280, 534],
+        ]);
+    });
+
+    it('gives a small source the smallest quality without upscaling', () => {
+        const variants = planVariants({ video_codec: 'mpeg4', width: 320, height: 240 }, ['1080p', '720p']);
+        assert.deepEqual(variants.map(variant => [variant.name, variant.width, variant.height]), [['720p', 320, 240]]);
+    });
+});
+
+describe('parseQualities', () => {
+    it('reads a comma-separated list', () => {
+        assert.deepEqual(parseQualities('Original, 720p,720p'), ['original', '720p']);
+        assert.equal(parseQualities(undefined), null);
+        assert.throws(() => parseQualities('4k'), { statusCode: 400 });
+    });
+});
+
+describe('playlists', () => {
+    it('lists the renditions', () => {
+        const playlist = buildMasterPlaylist(planVariants(h264, ['original', '720p']));
+        assert.equal(playlist, [
+            '#EXTM3U',
+            '#EXT-X-VERSION:3',
+            '#EXT-X-STREAM-INF:BANDWIDTH=9000000,RESOLUTION=1920x1080',
+            'original/index.m3u8',
+            '#EXT-X-STREAM-INF:BANDWIDTH=3160000,RESOLUTION=1280x720,CODECS="avc1.640028,mp4a.40.2"',
+            '720p/index.m3u8',
+            '',
+        ].join('\n'));
+    });
+
+    it('keeps the audio track in the URIs', () => {
+        assert.match(buildMasterPlaylist(planVariants(h264, ['original']), 3), /\noriginal\/index\.m3u8\?audio=3\n/);
+        assert.match(buildMediaPlaylist([0], 6, 3), /\n0\.ts\?audio=3\n/);
+    });
+
+    it('lists every segment of a rendition', () => {
+        const playlist = buildMediaPlaylist(planSegments(20, 6), 20);
+        assert.match(playlist, /#EXT-X-TARGETDURATION:6\n/);
+        assert.match(playlist, /#EXT-X-PLAYLIST-TYPE:VOD/);
+        assert.deepEqual(playlist.match(/#EXTINF:[\d.]+/g), ['#EXTINF:6.000', '#EXTINF:6.000', '#EXTINF:6.000',
+            '#EXTINF:2.000']);
+        assert.match(playlist, /3\.ts\n#EXT-X-ENDLIST\n$/);
+    });
+
+    it('lists the real durations of segments cut on keyframes', () => {
+        const starts = planSegments(31, 6, [0, 5, 10, 15, 20, 25, 30]);
+        assert.deepEqual(starts, [0, 10, 15, 20, 25, 30]);
+        const playlist = buildMediaPlaylist(starts, 31);
+        assert.match(playlist, /#EXT-X-TARGETDURATION:10\n/);
+        assert.deepEqual(playlist.match(/#EXTINF:[\d.]+/g), ['#EXTINF:10.000', '#EXTINF:5.000', '#EXTINF:5.000',
+            '#EXTINF:5.000', '#EXTINF:5.000', '#EXTINF:1.000']);
+    });
+
+    it('merges segments between sparse keyframes', () => {
+        assert.deepEqual(planSegments(30, 6, [0, 20, 31]), [0, 20]);
+        assert.deepEqual(planSegments(20, 6), [0, 6, 12, 18]);
+    });
+});
+
+describe('HLS sessions', () => {
+    const media = { id: 1, filepath: mediaFile('movie.mkv'), filesize: 5, mtime: 1, duration: 300, ...h264,
+        audio_tracks: JSON.stringify([{ index: 2, codec: 'aac', default: true }, { index: 3, codec: 'ac3' }]) };
+
+    it('offers the configured qualities', async () => {
+        const { variants } = await getHlsVariants(media);
+        assert.deepEqual(variants.map(variant => variant.name), ['original', '720p', '480p']);
+    });
+
+    it('makes segments on demand and restarts ffmpeg on a seek', async () => {
+        const { variant } = await getHlsVariant(media, 'original');
+        const first = await getHlsSegment(media, variant, 0);
+        assert.equal(fs.readFileSync(first, 'utf8'), 'segment 0');
+        // Written by the running session.
+        assert.equal(fs.readFileSync(await getHlsSegment(media, variant, 2), 'utf8'), 'segment 2');
+        assert.equal(calls().length, 1);
+        const [args] = calls();
+        assert.deepEqual(args.slice(args.indexOf('-c:v'), args.indexOf('-c:v') + 2), ['-c:v', 'copy']);
+        assert.equal(args[args.indexOf('-map', args.indexOf('-map') + 1) + 1], '0:2');
+        assert.equal(args.includes('-ss'), false);
+        assert.match(arg(args, '-segment_times'), /^6,12,18,.*,294$/);
+
+        assert.equal(fs.readFileSync(await getHlsSegment(media, variant, 40), 'utf8'), 'segment 40');
+        const seek = calls()[1];
+        // Just past the keyframe the segment starts on, which the output timestamps are shifted back to.
+        assert.equal(arg(seek, '-ss'), '240.001');
+        assert.equal(arg(seek, '-output_ts_offset'), '240.001');
+        assert.equal(arg(seek, '-segment_start_number'), '40');
+        assert.match(arg(seek, '-segment_times'), /^246,252,/);
+    });
+
+    it('cuts a remux on the keyframes of the source', async () => {
+        const gop = { ...media, id: 3, filepath: mediaFile('gop5.mkv'), duration: 31 };
+        const { variant } = await getHlsVariant(gop, 'original');
+        const starts = await getSegmentStarts(gop, variant);
+        assert.deepEqual(starts.map(start => Number(start.toFixed(6))), [0, 10, 15, 20, 25, 30]);
+
+        // The last segment has no cut left.
+        await getHlsSegment(gop, variant, 5);
+        assert.equal(arg(calls().at(-1), '-segment_times'), '37');
+
+        await getHlsSegment(gop, variant, 2);
+        const args = calls().at(-1);
+        assert.equal(arg(args, '-ss'), '15.001');
+        assert.equal(arg(args, '-output_ts_offset'), '15.001');
+        assert.equal(arg(args, '-segment_times'), '20,25,30');
+        assert.equal(arg(args, '-segment_start_number'), '2');
+
+        // The keyframes are probed once per file version.
+        const probes = fs.readFileSync(path.join(dir, 'probes.log'), 'utf8').trim().split('\n');
+        assert.equal(probes.filter(file => file.endsWith('gop5.mkv')).length, 1);
+        await assert.rejects(getHlsSegment(gop, variant, 6), { statusCode: 404 });
+    });
+
+    it('transcodes lower qualities to H.264', async () => {
+        const { variant } = await getHlsVariant(media, '480p');
+        await getHlsSegment(media, variant, 0);
+        const args = calls().at(-1);
+        assert.equal(args[args.indexOf('-c:v') + 1], 'libx264');
+        assert.equal(args[args.indexOf('-vf') + 1], 'scale=854:480');
+        assert.match(arg(args, '-segment_times'), /^6,12,/);
+    });
+
+    it('plays the requested audio track', async () => {
+        const { variant } = await getHlsVariant(media, 'original', 3);
+        assert.equal(variant.copyAudio, false);
+        await getHlsSegment(media, variant, 0);
+        const args = calls().at(-1);
+        assert.equal(args[args.indexOf('-map', args.indexOf('-map') + 1) + 1], '0:3');
+        assert.equal(args[args.indexOf('-c:a') + 1], 'aac');
+        await assert.rejects(getHlsVariant(media, 'original', 7), { statusCode: 404 });
+    });
+
+    it('rejects segments past the end and unknown qualities', async () => {
+        const { variant } = await getHlsVariant(media, 'original');
+        await assert.rejects(getHlsSegment(media, variant, 50), { statusCode: 404 });
+        await assert.rejects(getHlsVariant({ ...media, height: 720 }, '1080p'), { statusCode: 404 });
+    });
+
+    it('reports a failed transcode', async () => {
+        const broken = { ...media, id: 2, filepath: mediaFile('broken.mkv') };
+        const { variant } = await getHlsVariant(broken, 'original');
+        await assert.rejects(getHlsSegment(broken, variant, 0), { statusCode: 500 });
+    });
+
+    it('reports a missing file', async () => {
+        await assert.rejects(getHlsVariants({ ...media, filepath: path.join(dir, 'gone.mkv') }), { statusCode: 404 });
+    });
+});
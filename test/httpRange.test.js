@@ -0,0 +1,162 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+import { parseRange, serveFile } from '../src/utils/httpRange.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-range-'));
+const file = path.join(dir, 'movie.mp4');
+const content = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+const largeFile = path.join(dir, 'large.mp4');
+
+// The last serveFile call, to check it finishes when the client aborts.
+let lastServe;
+const app = express();
+app.get('/:name', (req, res) => {
+    lastServe = serveFile(req, res, path.join(dir, req.params.name), 'video/mp4');
+    lastServe.catch(err => res.status(err.statusCode || 500).json({ message: err.message }));
+});
+const server = http.createServer(app);
+let baseUrl;
+
+const request = (name, headers = {}, method = 'GET') => fetch(`${baseUrl}/${name}`, { headers, method });
+const bytes = async (response) => Buffer.from(await response.arrayBuffer());
+
+before(async () => {
+    fs.writeFileSync(file, content);
+    fs.writeFileSync(largeFile, Buffer.alloc(16 * 1024 * 1024));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('parseRange', () => {
+    it('parses single, open and suffix ranges', () => {
+        assert.deepEqual(parseRange('bytes=0-499', 1000), [{ start: 0, end: 499 }]);
+        assert.deepEqual(parseRange('bytes=500-', 1000), [{ start: 500, end: 999 }]);
+        assert.deepEqual(parseRange('bytes=-200', 1000), [{ start: 800, end: 999 }]);
+        assert.deepEqual(parseRange('bytes=-5000', 1000), [{ start: 0, end: 999 }]);
+        assert.deepEqual(parseRange('bytes=900-5000', 1000), [{ start: 900, end: 999 }]);
+    });
+
+    it('sorts and merges overlapping and adjacent ranges', () => {
+        assert.deepEqual(parseRange('bytes=500-599, 0-99, 100-199, 550-650', 1000), [
+            { start: 0, end: 199 },
+            { start: 500, end: 650 },
+        ]);
+    });
+
+    it('ignores missing and malformed headers', () => {
+        assert.equal(parseRange(undefined, 1000), null);
+        assert.equal(parseRange('items=0-10', 1000), null);
+        assert.equal(parseRange('bytes=abc', 1000), null);
+        assert.equal(parseRange('bytes=-', 1000), null);
+        assert.equal(parseRange('bytes=500-100', 1000), null);
+    });
+
+    it('reports ranges outside the file', () => {
+        assert.equal(parseRange('bytes=1000-', 1000), 'unsatisfiable');
+        assert.equal(parseRange('bytes=-0', 1000), 'unsatisfiable');
+        assert.equal(parseRange('bytes=0-', 0), 'unsatisfiable');
+    });
+});
+
+describe('serveFile', () => {
+    it('sends the whole file with validators', async () => {
+        const response = await request('movie.mp4');
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'video/mp4');
+        assert.equal(response.headers.get('content-length'), '1000');
+        assert.equal(response.headers.get('accept-ranges'), 'bytes');
+        assert.match(response.headers.get('etag'), /^"[0-9a-f]+-[0-9a-f]+"$/);
+        assert.ok(response.headers.get('last-modified'));
+        assert.deepEqual(await bytes(response), content);
+    });
+
+    it('sends a range', async () => {
+        const response = await request('movie.mp4', { Range: 'bytes=100-199' });
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get('content-range'), 'bytes 100-199/1000');
+        assert.equal(response.headers.get('content-length'), '100');
+        assert.deepEqual(await bytes(response), content.subarray(100, 200));
+    });
+
+    it('sends a suffix range', async () => {
+        const response = await request('movie.mp4', { Range: 'bytes=-500' });
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get('content-range'), 'bytes 500-999/1000');
+        assert.deepEqual(await bytes(response), content.subarray(500));
+    });
+
+    it('answers ranges outside the file with 416', async () => {
+        const response = await request('movie.mp4', { Range: 'bytes=2000-3000' });
+        assert.equal(response.status, 416);
+        assert.equal(response.headers.get('content-range'), 'bytes */1000');
+    });
+
+    it('sends several ranges as multipart/byteranges', async () => {
+        const response = await request('movie.mp4', { Range: 'bytes=0-9,990-' });
+        assert.equal(response.status, 206);
+        const [, boundary] = response.headers.get('content-type').match(/^multipart\/byteranges; boundary=(\w+)$/);
+        const body = await bytes(response);
+        assert.equal(Number(response.headers.get('content-length')), body.length);
+        const expected = Buffer.concat([
+            Buffer.from(`--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 0-9/1000\r\n\r\n`),
+            content.subarray(0, 10),
+            Buffer.from(`\r\n--${boundary}\r\nContent-Type: video/mp4\r\nContent-Range: bytes 990-999/1000\r\n\r\n`),
+            content.subarray(990),
+            Buffer.from(`\r\n--${boundary}--\r\n`),
+        ]);
+        assert.deepEqual(body, expected);
+    });
+
+    it('answers HEAD requests without a body', async () => {
+        const response = await request('movie.mp4', { Range: 'bytes=0-99' }, 'HEAD');
+        assert.equal(response.status, 206);
+        assert.equal(response.headers.get('content-length'), '100');
+        assert.equal((await bytes(response)).length, 0);
+    });
+
+    it('answers a current If-None-Match or If-Modified-Since with 304', async () => {
+        const { headers } = await request('movie.mp4', {}, 'HEAD');
+        assert.equal((await request('movie.mp4', { 'If-None-Match': headers.get('etag') })).status, 304);
+        assert.equal((await request('movie.mp4', { 'If-None-Match': '"other"' })).status, 200);
+        assert.equal((await request('movie.mp4', { 'If-Modified-Since': headers.get('last-modified') })).status, 304);
+    });
+
+    it('honours a Range only when If-Range names the current version', async () => {
+        const { headers } = await request('movie.mp4', {}, 'HEAD');
+        const current = await request('movie.mp4', { Range: 'bytes=0-9', 'If-Range': headers.get('etag') });
+        assert.equal(current.status, 206);
+        const byDate = await request('movie.mp4', { Range: 'bytes=0-9', 'If-Range': headers.get('last-modified') });
+        assert.equal(byDate.status, 206);
+        const outdated = await request('movie.mp4', { Range: 'bytes=0-9', 'If-Range': '"outdated"' });
+        assert.equal(outdated.status, 200);
+        assert.equal((await bytes(outdated)).length, 1000);
+    });
+
+    it('answers a missing file with 404', async () => {
+        const response = await request('gone.mp4');
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).message, 'Media file not found');
+    });
+
+    it('finishes when the client aborts', async () => {
+        await new Promise((resolve, reject) => {
+            const req = http.get(`${baseUrl}/large.mp4`, (res) => {
+                res.once('data', () => req.destroy());
+            });
+            req.on('close', resolve);
+            req.on('error', err => (err.code === 'ECONNRESET' ? resolve() : reject(err)));
+        });
+        const { status } = await lastServe;
+        assert.equal(status, 200);
+    });
+});
@@ -0,0 +1,231 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'libraries-'));
+const moviesRoot = path.join(dir, 'Movies');
+const seriesRoot = path.join(dir, 'Series');
+const kidsRoot = path.join(moviesRoot, 'Kids');
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.METADATA_PROVIDER = 'local';
+process.env.FFPROBE_PATH = path.join(dir, 'no-ffprobe');
+process.env.MEDIA_BASE_PATH = dir;
+
+const { closeDb, execute, queryAll, queryOne } = await import('../src/config/db.config.js');
+const {
+    createLibrary,
+    deleteLibrary,
+    ensureDefaultLibraries,
+    findLibraryForPath,
+    getLibraryStats,
+    listLibraries,
+    updateLibrary,
+} = await import('../src/services/library.service.js');
+const { runLibraryScan } = await import('../src/services/scanner.service.js');
+const {
+    countLibraryMedia,
+    countMediaByLibrary,
+    listLibraryMedia,
+} = await import('../src/repositories/media.repository.js');
+const { countSeries, listSeries } = await import('../src/repositories/series.repository.js');
+
+/** Inserts a media row as a scan would leave it. */
+const addMedia = async (filepath, fields = {}) => {
+    const row = { filename: path.basename(filepath), filepath, title: path.parse(filepath).name, ...fields };
+    const { lastID } = await execute(
+        `INSERT INTO media (${Object.keys(row).join(', ')}) VALUES (${Object.keys(row).map(() => '?').join(', ')})`,
+        Object.values(row),
+    );
+    return lastID;
+};
+
+/** Counts the rows of a table that belong to a library. */
+const countRows = async (table, libraryId) => (
+    await queryOne(`SELECT COUNT(*) AS count FROM ${table} WHERE library_id = ?`, [libraryId])
+).count;
+
+/** Writes a file below the temporary directory, creating its folders. */
+const writeFile = (relativePath, content = 'video') => {
+    const filepath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    return filepath;
+};
+
+const GB = 1024 ** 3;
+let movies;
+let series;
+let kids;
+let namedSeries;
+
+before(async () => {
+    // Rows indexed before libraries existed.
+    await addMedia(path.join(moviesRoot, 'Heat (1995).mkv'), { mediaType: 'movie', filesize: GB, watched: 1 });
+    const { lastID: seriesId } = await execute("INSERT INTO series (title) VALUES ('Show Name')");
+    await addMedia(path.join(seriesRoot, 'Show Name', 'Show.Name.S01E01.mkv'), { mediaType: 'tv', seriesId });
+    await addMedia(path.join(dir, 'Elsewhere', 'Ronin.mkv'), { mediaType: 'movie' });
+
+    await ensureDefaultLibraries();
+    [movies, series] = await listLibraries();
+    namedSeries = seriesId;
+});
+
+after(async () => {
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('ensureDefaultLibraries', () => {
+    it('creates Movies and Series and assigns the rows below their roots', async () => {
+        assert.deepEqual(
+            [movies, series].map(({ name, type, paths }) => [name, type, paths]),
+            [['Movies', 'movie', [moviesRoot]], ['Series', 'tv', [seriesRoot]]],
+        );
+        const rows = await queryAll('SELECT title, library_id FROM media ORDER BY title');
+        assert.deepEqual(rows.map(row => [row.title, row.library_id]), [
+            ['Heat (1995)', movies.id],
+            ['Ronin', null],
+            ['Show.Name.S01E01', series.id],
+        ]);
+        assert.equal((await queryOne('SELECT library_id FROM series WHERE id = ?', [namedSeries])).library_id,
+            series.id);
+    });
+
+    it('leaves existing libraries alone', async () => {
+        await ensureDefaultLibraries();
+        assert.equal((await listLibraries()).length, 2);
+    });
+});
+
+describe('library CRUD', () => {
+    it('creates a library with normalized input', async () => {
+        kids = await createLibrary({
+            name: '  Kids ',
+            type: 'movie',
+            paths: [`${kidsRoot}/`],
+            language: 'en-US',
+            extensions: ['.MKV'],
+        });
+        assert.deepEqual(
+            [kids.name, kids.paths, kids.language, kids.imageLanguage, kids.extensions],
+            ['Kids', [kidsRoot], 'en-US', null, ['.mkv']],
+        );
+    });
+
+    it('rejects invalid input and duplicate names', async () => {
+        const invalid = [
+            { name: '', type: 'movie', paths: [moviesRoot] },
+            { name: 'Music', type: 'audio', paths: [moviesRoot] },
+            { name: 'Relative', type: 'movie', paths: ['Movies'] },
+            { name: 'Language', type: 'movie', paths: [moviesRoot], language: 'english' },
+            { name: 'Extensions', type: 'movie', paths: [moviesRoot], extensions: ['mkv'] },
+        ];
+        for (const input of invalid) {
+            await assert.rejects(createLibrary(input), { statusCode: 400 }, input.name);
+        }
+        await assert.rejects(createLibrary({ name: 'Kids', type: 'movie', paths: [kidsRoot] }), { statusCode: 409 });
+        await assert.rejects(updateLibrary(kids.id, { name: 'Movies' }), { statusCode: 409 });
+    });
+
+    it('updates only the given fields', async () => {
+        const updated = await updateLibrary(kids.id, { language: null, imageLanguage: 'de' });
+        assert.deepEqual(
+            [updated.name, updated.paths, updated.language, updated.imageLanguage],
+            ['Kids', [kidsRoot], null, 'de'],
+        );
+        assert.equal(await updateLibrary(9999, { name: 'Nothing' }), null);
+    });
+
+    it('resolves a file to the deepest library root', () => {
+        const libraries = [movies, series, kids];
+        const nested = findLibraryForPath(path.join(kidsRoot, 'Up (2009).mkv'), libraries);
+        assert.deepEqual([nested.library.id, nested.root], [kids.id, kidsRoot]);
+        assert.equal(findLibraryForPath(path.join(moviesRoot, 'Heat.mkv'), libraries).library.id, movies.id);
+        assert.equal(findLibraryForPath(`${moviesRoot}-old/Heat.mkv`, libraries), null);
+    });
+
+    it('deletes a library with its media and series but not the files', async () => {
+        const scratch = await createLibrary({ name: 'Scratch', type: 'tv', paths: [path.join(dir, 'Scratch')] });
+        const file = writeFile('Scratch/Other Show/Other.Show.S01E01.mkv');
+        await runLibraryScan({ libraryId: scratch.id });
+        assert.equal(await countRows('series', scratch.id), 1);
+
+        assert.equal(await deleteLibrary(scratch.id), true);
+        assert.equal(await deleteLibrary(scratch.id), false);
+        assert.equal(await countRows('media', scratch.id), 0);
+        assert.equal(await countRows('series', scratch.id), 0);
+        assert.ok(fs.existsSync(file));
+    });
+});
+
+describe('per-library scan', () => {
+    it('only indexes the files of the scanned library', async () => {
+        const films = await createLibrary({ name: 'Films', type: 'movie', paths: [path.join(dir, 'Films')] });
+        const tv = await createLibrary({ name: 'TV', type: 'tv', paths: [path.join(dir, 'TV')] });
+        const film = writeFile('Films/Ronin (1998).mkv', 'ronin');
+        writeFile('TV/Other Show/Season 01/Other.Show.S01E01.mkv', 'other');
+
+        const { summary } = await runLibraryScan({ libraryId: films.id });
+        assert.equal(summary.added, 1);
+        assert.equal((await queryOne('SELECT library_id FROM media WHERE filepath = ?', [film])).library_id, films.id);
+        assert.equal(await queryOne("SELECT id FROM series WHERE title = 'Other Show'"), undefined);
+
+        await runLibraryScan({ libraryId: tv.id });
+        assert.equal((await queryOne("SELECT library_id FROM series WHERE title = 'Other Show'")).library_id, tv.id);
+        // The rows of other libraries, whose files do not exist here, were not tombstoned.
+        assert.equal((await queryOne('SELECT COUNT(*) AS count FROM media WHERE missing_since IS NOT NULL')).count, 0);
+    });
+});
+
+describe('per-library listing', () => {
+    before(async () => {
+        await addMedia(path.join(kidsRoot, 'Up (2009).mkv'), {
+            library_id: kids.id, mediaType: 'movie', filesize: 2 * GB, favorite: 1,
+        });
+        await addMedia(path.join(kidsRoot, 'Brave (2012).mkv'), { library_id: kids.id, mediaType: 'movie' });
+        await addMedia(path.join(kidsRoot, 'Cars (2006).mkv'), {
+            library_id: kids.id, mediaType: 'movie', filesize: 4 * GB, missing_since: '2026-01-01 00:00:00',
+        });
+        // A series whose only episode is tombstoned.
+        const { lastID } = await execute(
+            'INSERT INTO series (title, library_id) VALUES (?, ?)',
+            ['Gone Show', series.id],
+        );
+        await addMedia(path.join(seriesRoot, 'Gone Show', 'Gone.Show.S01E01.mkv'), {
+            library_id: series.id, mediaType: 'tv', seriesId: lastID, missing_since: '2026-01-01 00:00:00',
+        });
+    });
+
+    it('lists and counts the available media of a library', async () => {
+        const rows = await listLibraryMedia(kids.id, { limit: 10, offset: 0 });
+        assert.deepEqual(rows.map(row => row.title), ['Brave (2012)', 'Up (2009)']);
+        assert.equal(await countLibraryMedia(kids.id), 2);
+        const page = await listLibraryMedia(kids.id, { limit: 1, offset: 1 });
+        assert.deepEqual(page.map(row => row.title), ['Up (2009)']);
+    });
+
+    it('counts the available media of every library', async () => {
+        const counts = await countMediaByLibrary();
+        assert.deepEqual([counts.get(movies.id), counts.get(kids.id), counts.get(series.id)], [1, 2, 1]);
+    });
+
+    it('leaves out series whose episodes are all tombstoned', async () => {
+        const rows = await listSeries({ libraryId: series.id }, { limit: 10, offset: 0 });
+        assert.deepEqual(rows.map(row => row.id), [namedSeries]);
+        assert.equal(await countSeries({ libraryId: series.id }), 1);
+    });
+
+    it('reports statistics per library and overall', async () => {
+        assert.deepEqual(await getLibraryStats(kids.id), { total: 2, watched: 0, favorites: 1, totalSizeGB: 2 });
+        assert.deepEqual(await getLibraryStats(movies.id), { total: 1, watched: 1, favorites: 0, totalSizeGB: 1 });
+        const overall = await getLibraryStats();
+        // Tombstoned rows are left out, rows outside every library are not.
+        assert.equal(overall.total, 7);
+        assert.equal(overall.favorites, 1);
+    });
+});
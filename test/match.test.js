@@ -0,0 +1,131 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'match-'));
+const moviesRoot = path.join(dir, 'Movies');
+const seriesRoot = path.join(dir, 'Series');
+
+// A slow stand-in for ffprobe, so a scan is still running while the API is called. It fails, so
+// the container is read instead.
+const fakeFfprobe = path.join(dir, 'ffprobe');
+fs.writeFileSync(fakeFfprobe, '#!/usr/bin/env node\nsetTimeout(() => process.exit(1), 300);\n', { mode: 0o755 });
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.METADATA_PROVIDER = 'local';
+process.env.FFPROBE_PATH = fakeFfprobe;
+
+const { closeDb, queryOne } = await import('../src/config/db.config.js');
+const { createLibrary } = await import('../src/services/library.service.js');
+const { runLibraryScan } = await import('../src/services/scanner.service.js');
+const { getScanJob, startScanJob } = await import('../src/services/scanJob.service.js');
+const { default: mediaRoutes } = await import('../src/routes/media.route.js');
+const { default: seriesRoutes } = await import('../src/routes/series.route.js');
+const { errorHandler } = await import('../src/middlewares/errorHandler.middleware.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/media', mediaRoutes);
+app.use('/api/series', seriesRoutes);
+app.use(errorHandler);
+const server = http.createServer(app);
+let baseUrl;
+
+/** Sends a JSON request and returns its status and JSON body. */
+const request = async (method, urlPath, body) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+    });
+    return { status: response.status, body: await response.json() };
+};
+
+/** Writes a file below the temporary directory, creating its folders. */
+const writeFile = (relativePath, content = 'video') => {
+    const filepath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    return filepath;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+let movies;
+let series;
+let heat;
+let episode;
+
+before(async () => {
+    movies = await createLibrary({ name: 'Movies', type: 'movie', paths: [moviesRoot] });
+    series = await createLibrary({ name: 'Series', type: 'tv', paths: [seriesRoot] });
+    heat = writeFile('Movies/Heat (1995).mkv', 'heat');
+    episode = writeFile('Series/Show Name/Season 01/Show.Name.S01E01.mkv', 'one');
+    await runLibraryScan();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.close();
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('locked fields', () => {
+    it('keeps an edited movie title through a rescan of the changed file', async () => {
+        const { id } = await queryOne('SELECT id FROM media WHERE filepath = ?', [heat]);
+        const title = 'Heat (Director\'s Cut)';
+        const { status, body } = await request('PATCH', `/api/media/${id}/metadata`, { title });
+        assert.equal(status, 200);
+        assert.deepEqual(body.lockedFields, ['title']);
+
+        fs.writeFileSync(heat, 'heat, remastered');
+        const { summary } = await runLibraryScan({ libraryId: movies.id });
+        assert.equal(summary.updated, 1);
+        const row = await queryOne('SELECT title, year FROM media WHERE id = ?', [id]);
+        assert.deepEqual([row.title, row.year], [title, '1995']);
+
+        await request('PATCH', `/api/media/${id}/metadata`, { unlock: ['title'] });
+        fs.writeFileSync(heat, 'heat, remastered again');
+        await runLibraryScan({ libraryId: movies.id });
+        assert.equal((await queryOne('SELECT title FROM media WHERE id = ?', [id])).title, 'Heat');
+    });
+
+    it('keeps an edited series title when its episodes are rescanned', async () => {
+        const { seriesId } = await queryOne('SELECT seriesId FROM media WHERE filepath = ?', [episode]);
+        const { status } = await request('PATCH', `/api/series/${seriesId}/metadata`, { title: 'The Show' });
+        assert.equal(status, 200);
+
+        fs.writeFileSync(episode, 'one, repaired');
+        writeFile('Series/Show Name/Season 01/Show.Name.S01E02.mkv', 'two');
+        await runLibraryScan({ libraryId: series.id });
+        assert.equal((await queryOne('SELECT title FROM series WHERE id = ?', [seriesId])).title, 'The Show');
+        const episodes = await queryOne('SELECT COUNT(*) AS count FROM media WHERE seriesId = ?', [seriesId]);
+        assert.equal(episodes.count, 2);
+    });
+});
+
+describe('matching during a scan', () => {
+    it('answers 409 while a scan runs', async () => {
+        const { id: mediaId } = await queryOne('SELECT id FROM media WHERE filepath = ?', [heat]);
+        const { seriesId } = await queryOne('SELECT seriesId FROM media WHERE filepath = ?', [episode]);
+        writeFile('Movies/Ronin (1998).mkv', 'ronin');
+        const job = await startScanJob();
+
+        const seriesMatch = await request('PUT', `/api/series/${seriesId}/match`, { tmdbId: 1399 });
+        assert.equal(seriesMatch.status, 409);
+        assert.equal(seriesMatch.body.message, 'Series cannot be matched while a media scan is running');
+        assert.equal((await request('PUT', `/api/media/${mediaId}/match`, { tmdbId: 949 })).status, 409);
+
+        while (['queued', 'running'].includes((await getScanJob(job.id)).status)) await sleep(20);
+        // Without a remote metadata provider there is nothing to match against.
+        assert.equal((await request('PUT', `/api/series/${seriesId}/match`, { tmdbId: 1399 })).status, 503);
+    });
+});
@@ -0,0 +1,113 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrator-'));
+const dbPath = path.join(dir, 'catalog.db');
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = dbPath;
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+
+const { connectDb } = await import('../src/config/db.config.js');
+const { getMigrationStatus, loadMigrations, runMigrations } = await import('../src/config/migrator.js');
+
+const tableNames = async (db) => (await db.all("SELECT name FROM sqlite_master WHERE type = 'table'"))
+    .map(row => row.name);
+const backups = () => fs.readdirSync(dir).filter(file => file.endsWith('.bak'));
+
+let db;
+let migrations;
+
+before(async () => {
+    db = await connectDb();
+    migrations = await loadMigrations();
+});
+
+after(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('loadMigrations', () => {
+    it('loads the migration files in version order', () => {
+        assert.deepEqual(migrations.map(migration => migration.version), migrations.map((_, index) => index + 1));
+        assert.equal(migrations[0].name, 'baseline');
+        assert.ok(migrations.every(migration => typeof migration.up === 'function' && migration.description));
+    });
+});
+
+describe('runMigrations', () => {
+    const latest = () => migrations.at(-1);
+
+    it('rolls back a dry run', async () => {
+        const result = await runMigrations(db, { dbPath, dryRun: true });
+        assert.equal(result.fromVersion, 0);
+        assert.equal(result.toVersion, latest().version);
+        assert.equal(result.applied.length, migrations.length);
+        assert.equal(result.backupPath, null);
+        assert.deepEqual(await tableNames(db), []);
+        assert.equal((await getMigrationStatus(db)).pending.length, migrations.length);
+    });
+
+    it('applies every migration and records it in schema_version', async () => {
+        const result = await runMigrations(db, { dbPath });
+        // A new, empty database is not backed up.
+        assert.equal(result.backupPath, null);
+        assert.deepEqual(backups(), []);
+
+        const rows = await db.all('SELECT version, name, applied_at FROM schema_version ORDER BY rowid');
+        assert.deepEqual(rows.map(row => [row.version, row.name]),
+            migrations.map(migration => [migration.version, migration.name]));
+        assert.ok(rows.every(row => row.applied_at));
+
+        const status = await getMigrationStatus(db);
+        assert.equal(status.currentVersion, latest().version);
+        assert.deepEqual(status.pending, []);
+        assert.deepEqual((await runMigrations(db, { dbPath })).applied, []);
+    });
+
+    describe('on an older database', () => {
+        // The version before the subtitles table was added; later migrations only add columns and run again.
+        const previous = () => migrations.find(migration => migration.name === 'subtitles').version - 1;
+        const pendingNames = () => migrations.filter(migration => migration.version > previous())
+            .map(migration => migration.name);
+
+        before(async () => {
+            // Turn the database back into that version, with data to migrate.
+            await db.run("INSERT INTO libraries (name, type, paths) VALUES ('Movies', 'movie', '[]')");
+            await db.exec('DROP TABLE subtitles');
+            await db.run('DELETE FROM schema_version WHERE version > ?', [previous()]);
+        });
+
+        it('leaves it unchanged on a dry run', async () => {
+            const result = await runMigrations(db, { dbPath, dryRun: true });
+            assert.deepEqual([result.fromVersion, result.toVersion], [previous(), latest().version]);
+            assert.deepEqual(result.applied.map(migration => migration.name), pendingNames());
+            assert.equal(result.backupPath, null);
+            assert.equal((await tableNames(db)).includes('subtitles'), false);
+            assert.equal((await getMigrationStatus(db)).currentVersion, previous());
+            assert.deepEqual(backups(), []);
+        });
+
+        it('backs it up before migrating', async () => {
+            const result = await runMigrations(db, { dbPath });
+            assert.equal(result.backupPath, path.join(dir, backups()[0]));
+            assert.match(result.backupPath, new RegExp(`catalog\\.db\\.v${previous()}-[\\dT-]+Z\\.bak$`));
+            assert.ok((await tableNames(db)).includes('subtitles'));
+
+            const backup = await open({ filename: result.backupPath, driver: sqlite3.Database });
+            try {
+                assert.equal((await tableNames(backup)).includes('subtitles'), false);
+                assert.equal((await getMigrationStatus(backup)).currentVersion, previous());
+                assert.deepEqual(await backup.all('SELECT name FROM libraries'), [{ name: 'Movies' }]);
+            } finally {
+                await backup.close();
+            }
+        });
+    });
+});
@@ -0,0 +1,270 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nfo-'));
+const moviesRoot = path.join(dir, 'Movies');
+const seriesRoot = path.join(dir, 'Series');
+
+// A fake TMDB answering from fixtures; every request path is recorded.
+const requests = [];
+const winterIsComing = { id: 63056, episode_number: 1, name: 'Winter Is Coming', air_date: '2011-04-17' };
+const fixtures = {
+    '/3/search/movie': { results: [{ id: 603, title: 'The Matrix', release_date: '1999-03-30' }] },
+    '/3/movie/603': { id: 603, title: 'The Matrix', overview: 'A hacker learns the truth.' },
+    '/3/movie/604': { id: 604, title: 'The Matrix Reloaded', release_date: '2003-05-15' },
+    '/3/search/tv': { results: [{ id: 1399, name: 'Game of Thrones', first_air_date: '2011-04-17' }] },
+    '/3/tv/1399': { id: 1399, name: 'Game of Thrones', first_air_date: '2011-04-17' },
+    '/3/tv/1399/aggregate_credits': {
+        cast: [{ id: 22970, name: 'Peter Dinklage', order: 0, roles: [{ character: 'Tyrion Lannister' }] }],
+    },
+    '/3/tv/1399/season/1': {
+        season_number: 1,
+        episodes: [
+            winterIsComing,
+            { id: 63057, episode_number: 2, name: 'The Kingsroad', air_date: '2011-04-24' },
+            { id: 63058, episode_number: 3, name: 'Lord Snow', air_date: '2011-05-01' },
+        ],
+    },
+};
+
+const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    requests.push(pathname);
+    const fixture = fixtures[pathname];
+    res.writeHead(fixture ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(fixture ?? { status_message: 'The resource you requested could not be found.' }));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.FFPROBE_PATH = path.join(dir, 'no-ffprobe');
+process.env.TMDB_API_KEY = 'test-key';
+process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+process.env.TMDB_CACHE_TTL_HOURS = '0';
+process.env.TMDB_MAX_RETRIES = '0';
+process.env.NFO_EXPORT = 'true';
+
+const { closeDb, queryOne } = await import('../src/config/db.config.js');
+const { createLibrary } = await import('../src/services/library.service.js');
+const { runLibraryScan } = await import('../src/services/scanner.service.js');
+const { exportNfo, readMovieMetadata } = await import('../src/services/localMetadata.service.js');
+const { buildNfo, parseNfo } = await import('../src/utils/nfo.js');
+
+/** Writes a file below the temporary directory, creating its folders. */
+const writeFile = (relativePath, content = 'video') => {
+    const filepath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    return filepath;
+};
+
+const documents = [
+    // [description, xml, expected fields of the first entry]
+    [
+        'a movie with uniqueid',
+        `<?xml version="1.0" encoding="UTF-8"?>
+        <movie>
+          <title>Heat</title>
+          <originaltitle>Heat</originaltitle>
+          <year>1995</year>
+          <genre>Action</genre><genre>Crime</genre>
+          <uniqueid type="imdb">tt0113277</uniqueid>
+          <uniqueid type="tmdb" default="true">949</uniqueid>
+        </movie>`,
+        { type: 'movie', title: 'Heat', originalTitle: 'Heat', year: 1995, genres: ['Action', 'Crime'], tmdbId: 949 },
+    ],
+    [
+        'the older tmdbid element',
+        '<movie><title>Heat</title><tmdbid>949</tmdbid></movie>',
+        { title: 'Heat', tmdbId: 949 },
+    ],
+    [
+        'a TMDB URL instead of XML',
+        'https://www.themoviedb.org/movie/949-heat',
+        { type: null, tmdbId: 949, genres: [] },
+    ],
+    [
+        'the year from premiered and the plot from outline',
+        '<movie><title>Ronin</title><premiered>1998-09-25</premiered><outline>Heist</outline></movie>',
+        { year: 1998, premiered: '1998-09-25', plot: 'Heist' },
+    ],
+    [
+        'the default rating of a ratings block',
+        `<movie><ratings>
+          <rating name="imdb"><value>7.2</value></rating>
+          <rating name="themoviedb" default="true"><value>7.9</value></rating>
+        </ratings></movie>`,
+        { rating: 7.9 },
+    ],
+    [
+        'entities, CDATA and no nested actor names',
+        '<movie><title>Tom &amp; Jerry</title><plot><![CDATA[Cat & mouse]]></plot>'
+            + '<actor><name>William Hanna</name></actor></movie>',
+        { title: 'Tom & Jerry', plot: 'Cat & mouse' },
+    ],
+    [
+        'an invalid tmdbid',
+        '<movie><title>Heat</title><uniqueid type="tmdb">abc</uniqueid></movie>',
+        { tmdbId: null },
+    ],
+    [
+        'episode numbering',
+        '<episodedetails><title>Pilot</title><season>1</season><episode>1</episode><aired>2008-01-20</aired>'
+            + '</episodedetails>',
+        { type: 'episodedetails', season: 1, episode: 1, premiered: '2008-01-20', year: 2008 },
+    ],
+];
+
+before(async () => {
+    await createLibrary({ name: 'Movies', type: 'movie', paths: [moviesRoot] });
+    await createLibrary({ name: 'Series', type: 'tv', paths: [seriesRoot] });
+});
+
+after(async () => {
+    server.close();
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('parseNfo', () => {
+    for (const [description, xml, expected] of documents) {
+        it(`reads ${description}`, () => {
+            const [entry] = parseNfo(xml);
+            for (const [field, value] of Object.entries(expected)) {
+                assert.deepEqual(entry[field], value, field);
+            }
+        });
+    }
+
+    it('reads one entry per episode of a multi-episode file', () => {
+        const entries = parseNfo(`
+            <episodedetails><title>One</title><season>1</season><episode>1</episode></episodedetails>
+            <episodedetails><title>Two</title><season>1</season><episode>2</episode></episodedetails>`);
+        assert.deepEqual(entries.map(entry => [entry.title, entry.episode]), [['One', 1], ['Two', 2]]);
+    });
+
+    it('finds nothing in unrelated files', () => {
+        assert.deepEqual(parseNfo('Release notes, no metadata'), []);
+    });
+});
+
+describe('buildNfo', () => {
+    it('writes what parseNfo reads back', () => {
+        const fields = {
+            title: 'Tom & Jerry',
+            originalTitle: 'Tom and Jerry',
+            plot: '<Cat> & mouse',
+            year: 1940,
+            premiered: '1940-02-10',
+            genres: ['Animation', 'Comedy'],
+            rating: 7.5,
+            runtime: 9,
+            tmdbId: 1357,
+        };
+        const xml = buildNfo('movie', fields);
+        assert.match(xml, /<uniqueid type="tmdb" default="true">1357<\/uniqueid>/);
+        const [entry] = parseNfo(xml);
+        assert.deepEqual(
+            [entry.title, entry.originalTitle, entry.plot, entry.year, entry.premiered, entry.genres],
+            [fields.title, fields.originalTitle, fields.plot, fields.year, fields.premiered, fields.genres],
+        );
+        assert.deepEqual([entry.rating, entry.runtime, entry.tmdbId], [7.5, 9, 1357]);
+    });
+
+    it('writes the air date and numbering of episodes', () => {
+        const fields = { title: 'Pilot', premiered: '2008-01-20', season: 1, episode: 1 };
+        const [entry] = parseNfo(buildNfo('episodedetails', fields));
+        assert.match(buildNfo('episodedetails', fields), /<aired>2008-01-20<\/aired>/);
+        assert.deepEqual([entry.premiered, entry.season, entry.episode], ['2008-01-20', 1, 1]);
+    });
+});
+
+describe('sidecar files', () => {
+    it('prefers <name>.nfo over movie.nfo', async () => {
+        const filepath = writeFile('Sidecars/Heat (1995)/Heat.1995.mkv');
+        writeFile('Sidecars/Heat (1995)/movie.nfo', '<movie><title>From movie.nfo</title></movie>');
+        assert.equal((await readMovieMetadata(filepath, path.join(dir, 'Sidecars'))).nfo.title, 'From movie.nfo');
+
+        writeFile('Sidecars/Heat (1995)/Heat.1995.nfo', '<movie><title>From Heat.1995.nfo</title></movie>');
+        assert.equal((await readMovieMetadata(filepath, path.join(dir, 'Sidecars'))).nfo.title, 'From Heat.1995.nfo');
+    });
+
+    it('ignores folder-wide files in the library root', async () => {
+        const root = path.join(dir, 'Loose');
+        const filepath = writeFile('Loose/Ronin.1998.mkv');
+        writeFile('Loose/movie.nfo', '<movie><title>Somebody else</title></movie>');
+        writeFile('Loose/poster.jpg', 'poster');
+        assert.deepEqual(await readMovieMetadata(filepath, root), { nfo: null, poster: null });
+
+        const poster = writeFile('Loose/Ronin.1998-poster.jpg', 'poster');
+        assert.equal((await readMovieMetadata(filepath, root)).poster, poster);
+    });
+});
+
+describe('export', () => {
+    it('never overwrites an existing file', async () => {
+        const nfoPath = writeFile('Export/movie.nfo', 'written by hand');
+        assert.equal(await exportNfo(nfoPath, 'movie', { title: 'Heat', tmdbId: 949 }), false);
+        assert.equal(fs.readFileSync(nfoPath, 'utf8'), 'written by hand');
+
+        const newPath = path.join(dir, 'Export', 'Heat.nfo');
+        assert.equal(await exportNfo(newPath, 'movie', { title: 'Heat', tmdbId: 949 }), true);
+        assert.equal(parseNfo(fs.readFileSync(newPath, 'utf8'))[0].tmdbId, 949);
+    });
+
+    it('writes the NFO of a movie matched by a search', async () => {
+        writeFile('Movies/The Matrix (1999)/The.Matrix.1999.mkv');
+        await runLibraryScan();
+        const nfoPath = path.join(moviesRoot, 'The Matrix (1999)', 'The.Matrix.1999.nfo');
+        const [entry] = parseNfo(fs.readFileSync(nfoPath, 'utf8'));
+        assert.deepEqual([entry.title, entry.tmdbId], ['The Matrix', 603]);
+    });
+
+    it('skips multi-episode files', async () => {
+        const season = path.join(seriesRoot, 'Game of Thrones', 'Season 01');
+        writeFile('Series/Game of Thrones/Season 01/Game.of.Thrones.S01E01.mkv', 'one');
+        writeFile('Series/Game of Thrones/Season 01/Game.of.Thrones.S01E02E03.mkv', 'two and three');
+        await runLibraryScan();
+        assert.equal(parseNfo(fs.readFileSync(path.join(season, 'Game.of.Thrones.S01E01.nfo'), 'utf8'))[0].tmdbId,
+            winterIsComing.id);
+        assert.equal(fs.existsSync(path.join(season, 'Game.of.Thrones.S01E02E03.nfo')), false);
+        assert.equal(fs.existsSync(path.join(seriesRoot, 'Game of Thrones', 'tvshow.nfo')), true);
+    });
+});
+
+describe('scanner', () => {
+    it('NFO tmdbid is used instead of a search', async () => {
+        const filepath = writeFile('Movies/Unknown Title.mkv');
+        writeFile('Movies/Unknown Title.nfo', '<movie><uniqueid type="tmdb">604</uniqueid></movie>');
+        requests.length = 0;
+        await runLibraryScan();
+
+        assert.ok(requests.includes('/3/movie/604'));
+        assert.equal(requests.includes('/3/search/movie'), false);
+        const row = await queryOne('SELECT title, tmdb_id FROM media WHERE filepath = ?', [filepath]);
+        assert.deepEqual(row, { title: 'The Matrix Reloaded', tmdb_id: 604 });
+    });
+
+    it('saves the credits of a series once per scan', async () => {
+        writeFile('Series/Game of Thrones/Season 02/Game.of.Thrones.S02E01.mkv', 'four');
+        writeFile('Series/Game of Thrones/Season 02/Game.of.Thrones.S02E02.mkv', 'five');
+        requests.length = 0;
+        await runLibraryScan();
+
+        assert.equal(requests.filter(pathname => pathname === '/3/tv/1399/aggregate_credits').length, 1);
+        const credit = await queryOne(
+            `SELECT people.name, credits.character
+             FROM credits
+                      JOIN people ON people.id = credits.person_id
+                      JOIN series ON series.id = credits.series_id
+             WHERE series.tmdb_id = 1399`,
+        );
+        assert.deepEqual(credit, { name: 'Peter Dinklage', character: 'Tyrion Lannister' });
+    });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRateLimiter } from '../src/utils/rateLimiter.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Schedules `count` tasks of `duration` ms and records when each started and the peak concurrency. */
+const runTasks = async (limiter, count, duration = 10) => {
+    const startedAt = Date.now();
+    const starts = [];
+    let active = 0;
+    let peak = 0;
+    const results = await Promise.all(Array.from({ length: count }, (_, index) => limiter.schedule(async () => {
+        starts.push(Date.now() - startedAt);
+        peak = Math.max(peak, ++active);
+        await sleep(duration);
+        active--;
+        return index;
+    })));
+    return { results, starts, peak };
+};
+
+describe('createRateLimiter', () => {
+    it('caps the number of running tasks', async () => {
+        const limiter = createRateLimiter({ concurrency: 2, ratePerSecond: 1000 });
+        const { results, peak } = await runTasks(limiter, 6, 20);
+        assert.deepEqual(results, [0, 1, 2, 3, 4, 5]);
+        assert.equal(peak, 2);
+    });
+
+    it('starts a burst at once, then tasks at the rate', async () => {
+        const limiter = createRateLimiter({ concurrency: 10, ratePerSecond: 20, burst: 2 });
+        const { starts } = await runTasks(limiter, 6);
+        assert.ok(starts[1] < 20, `burst started after ${starts[1]}ms`);
+        // Four more tasks at 50ms each.
+        assert.ok(starts[5] >= 190, `last task started after ${starts[5]}ms`);
+    });
+
+    it('passes on failures of a task', async () => {
+        const limiter = createRateLimiter({ concurrency: 1, ratePerSecond: 10 });
+        await assert.rejects(limiter.schedule(() => Promise.reject(new Error('boom'))), /boom/);
+        assert.equal(await limiter.schedule(() => 'next'), 'next');
+    });
+
+    it('starts nothing while paused', async () => {
+        const limiter = createRateLimiter({ concurrency: 2, ratePerSecond: 100 });
+        limiter.pauseFor(150);
+        const { starts } = await runTasks(limiter, 1);
+        assert.ok(starts[0] >= 145, `started after ${starts[0]}ms`);
+    });
+});
@@ -0,0 +1,149 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseReleaseName, parseSeasonFolder } from '../src/utils/releaseParser.js';
+
+const movies = [
+    ['Inception.2010.1080p.BluRay.x264-GRP.mkv', 'Inception', 2010],
+    ['Inception.2010.1080p.BluRay.x264-GRP', 'Inception', 2010],
+    ['Inception (2010).mkv', 'Inception', 2010],
+    ['Inception [2010].mkv', 'Inception', 2010],
+    ['Inception.mkv', 'Inception', null],
+    ['The.Matrix.1999.2160p.UHD.BluRay.REMUX.HDR.HEVC.Atmos-EPSiLON.mkv', 'The Matrix', 1999],
+    ['The_Dark_Knight_2008_720p_BRRip_XviD.avi', 'The Dark Knight', 2008],
+    ['Der.Untergang.2004.German.DL.1080p.BluRay.x264.mkv', 'Der Untergang', 2004],
+    ['Das.Boot.GERMAN.DL.1080p.BluRay.x264-GRP.mkv', 'Das Boot', null],
+    ['1917.2019.1080p.WEB-DL.DDP5.1.H264.mkv', '1917', 2019],
+    ['1917 (2019).mp4', '1917', 2019],
+    ['2001.A.Space.Odyssey.1968.1080p.mkv', '2001 A Space Odyssey', 1968],
+    ['Blade.Runner.2049.2017.2160p.mkv', 'Blade Runner 2049', 2017],
+    ['Blade Runner 2049 (2017).mkv', 'Blade Runner 2049', 2017],
+    ['2012.mkv', '2012', null],
+    ['Charlottes.Web.1973.DVDRip.XviD.avi', 'Charlottes Web', 1973],
+    ['Charlottes Web.mp4', 'Charlottes Web', null],
+    ['WALL-E (2008).mkv', 'WALL-E', 2008],
+    ['Mad.Max.Fury.Road.2015.PROPER.1080p.WEBRip.x265.10bit.AAC5.1.mkv', 'Mad Max Fury Road', 2015],
+    ['Amelie.2001.FRENCH.720p.HDTV.x264.mkv', 'Amelie', 2001],
+    ['Avatar.EXTENDED.2009.1080p.BluRay.mkv', 'Avatar', 2009],
+    ['[Group] Spirited Away (2001) [1080p].mkv', 'Spirited Away', 2001],
+    ['Mr. Nobody (2009).mkv', 'Mr. Nobody', 2009],
+    ['Se7en.1995.REMASTERED.1080p.BluRay.x264.DTS-HD.MA.5.1.mkv', 'Se7en', 1995],
+    ['Movie.Title.h.264.mkv', 'Movie Title', null],
+    ['Gladiator.2000.Extended.Cut.1080p.mkv', 'Gladiator', 2000],
+    ['Alien.1979.Directors.Cut.4K.mkv', 'Alien', 1979],
+];
+
+const episodes = [
+    // [name, title, year, season, episodes, absolute]
+    ['Breaking.Bad.S01E02.720p.HDTV.x264-CTU.mkv', 'Breaking Bad', null, 1, [2], false],
+    ['breaking.bad.s01e02.mkv', 'breaking bad', null, 1, [2], false],
+    ['Breaking Bad - S01E02 - Cat\'s in the Bag.mkv', 'Breaking Bad', null, 1, [2], false],
+    ['Breaking.Bad.S1E2.mkv', 'Breaking Bad', null, 1, [2], false],
+    ['Breaking Bad S01 E02.mkv', 'Breaking Bad', null, 1, [2], false],
+    ['Doctor.Who.2005.S01E01.Rose.mkv', 'Doctor Who', 2005, 1, [1], false],
+    ['Doctor Who (2005) - S10E12.mkv', 'Doctor Who', 2005, 10, [12], false],
+    ['Friends.S02E01E02.mkv', 'Friends', null, 2, [1, 2], false],
+    ['Friends.S02E01-E03.mkv', 'Friends', null, 2, [1, 2, 3], false],
+    ['Friends.S02E01-03.mkv', 'Friends', null, 2, [1, 2, 3], false],
+    ['Friends.S02E01E02E03.1080p.mkv', 'Friends', null, 2, [1, 2, 3], false],
+    ['Friends.S02E01E03.mkv', 'Friends', null, 2, [1, 3], false],
+    ['Friends.S02E05-1080p.mkv', 'Friends', null, 2, [5], false],
+    ['Lost.S00E05.mkv', 'Lost', null, 0, [5], false],
+    ['One.Piece.S01E1071.mkv', 'One Piece', null, 1, [1071], false],
+    ['The Office 1x02.mkv', 'The Office', null, 1, [2], false],
+    ['The.Office.2x10.Christmas.Party.avi', 'The Office', null, 2, [10], false],
+    ['the office 1x02-03.mkv', 'the office', null, 1, [2, 3], false],
+    ['The Office 1x02x03.mkv', 'The Office', null, 1, [2, 3], false],
+    ['The Office 1x02-1x03.mkv', 'The Office', null, 1, [2, 3], false],
+    ['Video.1920x1080.mkv', 'Video', null, null, [], false],
+    ['E01.mp4', '', null, null, [1], false],
+    ['E01-E02.mp4', '', null, null, [1, 2], false],
+    ['Episode 5.mkv', '', null, null, [5], false],
+    ['Folge 12 - Der Anfang.mkv', '', null, null, [12], false],
+    ['Show Name Ep05.mkv', 'Show Name', null, null, [5], false],
+    ['Season 2 Episode 7.mkv', '', null, 2, [7], false],
+    ['Staffel 3 Folge 4.mkv', '', null, 3, [4], false],
+    ['[SubsPlease] Jujutsu Kaisen - 012 (1080p) [ABCD1234].mkv', 'Jujutsu Kaisen', null, null, [12], true],
+    ['[HorribleSubs] One Piece - 1000 [720p].mkv', 'One Piece', null, null, [1000], true],
+    ['Naruto Shippuden - 245v2.mkv', 'Naruto Shippuden', null, null, [245], true],
+    ['Attack on Titan - 01-02.mkv', 'Attack on Titan', null, null, [1, 2], true],
+    ['Cowboy Bebop - 2001.mkv', 'Cowboy Bebop', 2001, null, [], false],
+    ['Show.Name.S01.Complete.1080p.mkv', 'Show Name', null, 1, [], false],
+    ['Show Name Season 2.mkv', 'Show Name', null, 2, [], false],
+    ['Mr.Robot.S01E01.mkv', 'Mr Robot', null, 1, [1], false],
+    ['Der.Tatortreiniger.S01E01.German.WEB.mkv', 'Der Tatortreiniger', null, 1, [1], false],
+];
+
+describe('parseReleaseName', () => {
+    describe('movies', () => {
+        for (const [name, title, year] of movies) {
+            it(`parses ${name}`, () => {
+                const result = parseReleaseName(name);
+                assert.equal(result.title, title);
+                assert.equal(result.year, year);
+                assert.deepEqual(result.episodes, []);
+                assert.equal(result.season, null);
+            });
+        }
+    });
+
+    describe('episodes', () => {
+        for (const [name, title, year, season, episodeNumbers, absolute] of episodes) {
+            it(`parses ${name}`, () => {
+                assert.deepEqual(parseReleaseName(name), {
+                    title,
+                    year,
+                    season,
+                    episodes: episodeNumbers,
+                    absolute,
+                });
+            });
+        }
+    });
+
+    it('handles empty input', () => {
+        assert.deepEqual(parseReleaseName(''), { title: '', year: null, season: null, episodes: [], absolute: false });
+        assert.deepEqual(parseReleaseName(undefined), {
+            title: '',
+            year: null,
+            season: null,
+            episodes: [],
+            absolute: false,
+        });
+    });
+
+    it('parses series folder names', () => {
+        assert.deepEqual(parseReleaseName('Breaking Bad (2008)'), {
+            title: 'Breaking Bad',
+            year: 2008,
+            season: null,
+            episodes: [],
+            absolute: false,
+        });
+        assert.equal(parseReleaseName('The.Office.US').title, 'The Office US');
+    });
+});
+
+describe('parseSeasonFolder', () => {
+    const folders = [
+        ['Season 1', 1],
+        ['Season 01', 1],
+        ['season_2', 2],
+        ['Staffel 3', 3],
+        ['Staffel03', 3],
+        ['Series 4', 4],
+        ['S05', 5],
+        ['s5', 5],
+        ['Breaking Bad Season 2', 2],
+        ['Season 0', 0],
+        ['Staffel 00', 0],
+        ['Specials', 0],
+        ['Special', 0],
+        ['Extras', null],
+        ['', null],
+    ];
+    for (const [name, season] of folders) {
+        it(`parses "${name}"`, () => {
+            assert.equal(parseSeasonFolder(name), season);
+        });
+    }
+});
@@ -0,0 +1,89 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-job-'));
+const moviesRoot = path.join(dir, 'Movies');
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.METADATA_PROVIDER = 'local';
+process.env.FFPROBE_PATH = path.join(dir, 'no-ffprobe');
+
+const { closeDb, queryOne } = await import('../src/config/db.config.js');
+const { createLibrary } = await import('../src/services/library.service.js');
+const { cancelScanJob, getScanJob, isScanRunning, startScanJob } = await import(
+    '../src/services/scanJob.service.js'
+);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Waits until a job left the queued and running states. */
+const waitForJob = async (jobId) => {
+    for (;;) {
+        const job = await getScanJob(jobId);
+        if (!['queued', 'running'].includes(job.status)) return job;
+        await sleep(20);
+    }
+};
+
+before(async () => {
+    for (let n = 1; n <= 20; n++) {
+        fs.mkdirSync(moviesRoot, { recursive: true });
+        fs.writeFileSync(path.join(moviesRoot, `Movie ${n} (${2000 + n}).mkv`), `movie ${n}`);
+    }
+    await createLibrary({ name: 'Movies', type: 'movie', paths: [moviesRoot] });
+});
+
+after(async () => {
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('scan jobs', () => {
+    it('runs one scan at a time', async () => {
+        // Both requests pass validation before either has saved its job.
+        const [started, refused] = await Promise.allSettled([startScanJob(), startScanJob()]);
+        const job = started.value;
+        assert.equal(job.status, 'running');
+        assert.equal(refused.reason.statusCode, 409);
+        assert.match(refused.reason.message, new RegExp(job.id));
+        assert.equal(isScanRunning(), true);
+        await assert.rejects(startScanJob(), { statusCode: 409 });
+
+        const finished = await waitForJob(job.id);
+        assert.equal(finished.status, 'completed');
+        assert.equal(finished.summary.added, 20);
+        assert.equal(finished.processed, 20);
+        assert.equal(isScanRunning(), false);
+        const row = await queryOne('SELECT status, summary FROM scan_jobs WHERE id = ?', [job.id]);
+        assert.equal(row.status, 'completed');
+        assert.equal(JSON.parse(row.summary).added, 20);
+
+        // The lock is released once the job finished.
+        const next = await startScanJob();
+        assert.equal((await waitForJob(next.id)).summary.unchanged, 20);
+    });
+
+    it('stops a cancelled scan without tombstoning files it did not see', async () => {
+        fs.rmSync(path.join(moviesRoot, 'Movie 1 (2001).mkv'));
+        const job = await startScanJob();
+        assert.equal((await cancelScanJob(job.id)).cancelRequested, true);
+
+        const finished = await waitForJob(job.id);
+        assert.equal(finished.status, 'cancelled');
+        assert.match(finished.message, /cancelled after \d+ of 19 files/);
+        assert.ok(finished.processed < 19);
+        assert.equal(finished.summary.removed, 0);
+        assert.equal(isScanRunning(), false);
+        await assert.rejects(cancelScanJob(job.id), { statusCode: 409 });
+    });
+
+    it('reports unknown jobs', async () => {
+        assert.equal(await getScanJob('unknown'), null);
+        await assert.rejects(cancelScanJob('unknown'), { statusCode: 404 });
+    });
+});
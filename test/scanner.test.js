@@ -0,0 +1,150 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanner-'));
+const seriesRoot = path.join(dir, 'Series');
+const moviesRoot = path.join(dir, 'Movies');
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.METADATA_PROVIDER = 'local';
+process.env.FFPROBE_PATH = path.join(dir, 'no-ffprobe');
+process.env.MISSING_RETENTION_DAYS = '30';
+
+const { closeDb, execute, queryAll, queryOne } = await import('../src/config/db.config.js');
+const { createLibrary } = await import('../src/services/library.service.js');
+const { runLibraryScan } = await import('../src/services/scanner.service.js');
+const { countEpisodes, withEpisodeNumbers } = await import('../src/utils/episodes.js');
+
+/** Writes a file below the temporary directory, creating its folders. */
+const writeFile = (relativePath, content = 'video') => {
+    const filepath = path.join(dir, relativePath);
+    fs.mkdirSync(path.dirname(filepath), { recursive: true });
+    fs.writeFileSync(filepath, content);
+    return filepath;
+};
+
+const findMovie = (filepath) => queryOne('SELECT * FROM media WHERE filepath = ?', [filepath]);
+
+let series;
+let movies;
+
+before(async () => {
+    series = await createLibrary({ name: 'Series', type: 'tv', paths: [seriesRoot] });
+    movies = await createLibrary({ name: 'Movies', type: 'movie', paths: [moviesRoot] });
+});
+
+after(async () => {
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('local metadata', () => {
+    it('titles episodes after their series and numbering, or their NFO', async () => {
+        writeFile('Series/Show Name/Season 01/Show.Name.S01E02.1080p.WEB-DL.mkv');
+        writeFile('Series/Show Name/Season 01/Show.Name.S01E03E04.1080p.WEB-DL.mkv');
+        writeFile('Series/Show Name/Season 01/Show.Name.S01E05.1080p.WEB-DL.mkv');
+        writeFile('Series/Show Name/Season 01/Show.Name.S01E05.1080p.WEB-DL.nfo',
+            '<episodedetails><title>The Fifth</title><season>1</season><episode>5</episode></episodedetails>');
+
+        const { summary } = await runLibraryScan({ libraryId: series.id });
+        assert.equal(summary.added, 3);
+        const rows = await queryAll(
+            'SELECT title, metadata_pending FROM media WHERE library_id = ? ORDER BY episode_number',
+            [series.id],
+        );
+        assert.deepEqual(rows.map(row => row.title), ['Show Name S01E02', 'Show Name S01E03-E04', 'The Fifth']);
+        assert.ok(rows.every(row => row.metadata_pending === 0));
+    });
+
+    it('keeps the episodes of a multi-episode file that are not consecutive', async () => {
+        const filepath = writeFile('Series/Gap Show/Season 01/Gap.Show.S01E01E03.mkv');
+        await runLibraryScan({ libraryId: series.id });
+        const row = await findMovie(filepath);
+        assert.equal(row.title, 'Gap Show S01E01E03');
+        assert.deepEqual([row.episode_number, row.episode_number_end], [1, 3]);
+
+        const episode = withEpisodeNumbers({ ...row, watched: 1 });
+        assert.deepEqual(episode.episodeNumbers, [1, 3]);
+        assert.deepEqual(countEpisodes([episode]), { episodeCount: 2, watchedEpisodeCount: 2 });
+    });
+
+    it('creates one series for episodes of a new show enriched in parallel', async () => {
+        writeFile('Series/New Show/Season 01/New.Show.S01E01.mkv', 'one');
+        writeFile('Series/New Show/Season 01/New.Show.S01E02.mkv', 'two');
+
+        await runLibraryScan({ libraryId: series.id });
+        const rows = await queryAll('SELECT id FROM series WHERE title = ?', ['New Show']);
+        assert.equal(rows.length, 1);
+        const episodes = await queryAll('SELECT seriesId FROM media WHERE filepath LIKE ?', ['%New.Show.%']);
+        assert.deepEqual(episodes.map(row => row.seriesId), [rows[0].id, rows[0].id]);
+    });
+});
+
+describe('reconcile', () => {
+    it('keeps the row and its user state when a file is renamed', async () => {
+        const original = writeFile('Movies/Heat (1995)/Heat.1995.mkv', 'heat');
+        await runLibraryScan({ libraryId: movies.id });
+        const row = await findMovie(original);
+        await execute('UPDATE media SET favorite = 1, watched = 1 WHERE id = ?', [row.id]);
+
+        // Same inode.
+        const renamed = path.join(path.dirname(original), 'Heat (1995).mkv');
+        fs.renameSync(original, renamed);
+        const { summary } = await runLibraryScan({ libraryId: movies.id });
+        assert.deepEqual([summary.moved, summary.added, summary.removed], [1, 0, 0]);
+        const moved = await findMovie(renamed);
+        assert.equal(moved.id, row.id);
+        assert.deepEqual([moved.favorite, moved.watched], [1, 1]);
+        assert.equal(await findMovie(original), undefined);
+    });
+
+    it('recognizes a copied file by its fingerprint', async () => {
+        const original = writeFile('Movies/Ronin (1998).mkv', 'ronin');
+        await runLibraryScan({ libraryId: movies.id });
+        const row = await findMovie(original);
+
+        // A new inode, e.g. moved to another share.
+        const copy = writeFile('Movies/Thrillers/Ronin (1998).mkv', 'ronin');
+        fs.rmSync(original);
+        const { summary } = await runLibraryScan({ libraryId: movies.id });
+        assert.equal(summary.moved, 1);
+        const moved = await findMovie(copy);
+        assert.equal(moved.id, row.id);
+        assert.notEqual(moved.inode, row.inode);
+        assert.equal(moved.fingerprint, row.fingerprint);
+    });
+
+    it('tombstones vanished files and purges them after MISSING_RETENTION_DAYS', async () => {
+        const gone = writeFile('Movies/Collateral (2004).mkv', 'collateral');
+        const recent = writeFile('Movies/Thief (1981).mkv', 'thief');
+        await runLibraryScan({ libraryId: movies.id });
+        fs.rmSync(gone);
+        fs.rmSync(recent);
+
+        const { summary } = await runLibraryScan({ libraryId: movies.id });
+        assert.equal(summary.removed, 2);
+        const tombstoned = await findMovie(gone);
+        assert.ok(tombstoned.missing_since);
+
+        await execute("UPDATE media SET missing_since = datetime('now', '-31 days') WHERE id = ?", [tombstoned.id]);
+        await execute("UPDATE media SET missing_since = datetime('now', '-29 days') WHERE filepath = ?", [recent]);
+        await runLibraryScan({ libraryId: movies.id });
+        assert.equal(await findMovie(gone), undefined);
+        assert.ok((await findMovie(recent)).missing_since);
+    });
+
+    it('restores a tombstoned file that comes back', async () => {
+        const recent = path.join(moviesRoot, 'Thief (1981).mkv');
+        const row = await findMovie(recent);
+        writeFile('Movies/Thief (1981).mkv', 'thief');
+        await runLibraryScan({ libraryId: movies.id });
+        const restored = await findMovie(recent);
+        assert.equal(restored.id, row.id);
+        assert.equal(restored.missing_since, null);
+    });
+});
@@ -0,0 +1,174 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import express from 'express';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-'));
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.METADATA_PROVIDER = 'local';
+
+const { closeDb, execute, openDb } = await import('../src/config/db.config.js');
+const { syncGenres } = await import('../src/services/genre.service.js');
+const { searchEpisodes, searchMovies, searchSeries, toMatchQuery } = await import(
+    '../src/repositories/search.repository.js'
+);
+const { default: mediaRoutes } = await import('../src/routes/media.route.js');
+const { errorHandler } = await import('../src/middlewares/errorHandler.middleware.js');
+
+const app = express();
+app.use('/api/media', mediaRoutes);
+app.use(errorHandler);
+const server = http.createServer(app);
+let baseUrl;
+let db;
+
+/** Inserts a row and links its genres like a scan does. */
+const insert = async (table, row, genres = []) => {
+    const columns = Object.keys(row);
+    const { lastID } = await execute(
+        `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        Object.values(row),
+    );
+    if (genres.length) {
+        await execute(`UPDATE ${table} SET genre = ? WHERE id = ?`, [genres.join(', '), lastID]);
+        await syncGenres(db, table, lastID, { genres: genres.map(name => ({ id: null, name })) });
+    }
+    return lastID;
+};
+
+const addMovie = (title, fields = {}, genres = []) => insert('media', {
+    filename: `${title}.mkv`,
+    filepath: `/media/Movies/${title}.mkv`,
+    title,
+    mediaType: 'movie',
+    ...fields,
+}, genres);
+
+const titles = (rows) => rows.map(row => row.title);
+const movies = (query, filter = {}) => searchMovies(toMatchQuery(query), { limit: 20, ...filter }).then(titles);
+
+/** Calls the search endpoint and returns its status and JSON body. */
+const request = async (params) => {
+    const response = await fetch(`${baseUrl}/api/media/search?${new URLSearchParams(params)}`);
+    return { status: response.status, body: await response.json() };
+};
+
+let ids;
+
+before(async () => {
+    db = await openDb();
+    ids = {
+        heat: await addMovie('Heat', { year: '1995', description: 'A heist goes wrong in Los Angeles.' },
+            ['Action', 'Crime']),
+        thief: await addMovie('Thief', { year: '1981', description: 'A safecracker feels the heat.' },
+            ['Crime', 'Drama']),
+        heatWave: await addMovie('Heat Wave', { year: '2010' }, ['Comedy']),
+        amelie: await addMovie('Le Fabuleux Destin d\'Amélie Poulain', { year: '2001' }, ['Comedy']),
+        gone: await addMovie('Heat Gone', { year: '1995', missing_since: '2026-01-01 00:00:00' }, ['Action']),
+    };
+    ids.series = await insert('series', {
+        title: 'In the Heat of the Night',
+        overview: 'A police chief in Sparta.',
+        first_air_date: '1988-03-06',
+    }, ['Crime']);
+    ids.episode = await insert('media', {
+        filename: 'In.the.Heat.of.the.Night.S01E01.mkv',
+        filepath: '/media/Series/In the Heat of the Night/In.the.Heat.of.the.Night.S01E01.mkv',
+        title: 'Pilot',
+        description: 'Sparta gets a new chief.',
+        mediaType: 'tv',
+        seriesId: ids.series,
+        season_number: 1,
+        episode_number: 1,
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    server.close();
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('toMatchQuery', () => {
+    it('quotes every word as a prefix and drops punctuation', () => {
+        assert.equal(toMatchQuery('heat'), '"heat"*');
+        assert.equal(toMatchQuery('Amélie: "Poulain" OR *'), '"Amélie"* "Poulain"* "OR"*');
+        assert.equal(toMatchQuery(' ?! '), null);
+    });
+});
+
+describe('search repository', () => {
+    it('ranks title hits above overview hits and leaves out tombstoned movies', async () => {
+        // Both title hits come first; bm25 favors the shorter Heat Wave, which has no overview.
+        assert.deepEqual(await movies('heat'), ['Heat Wave', 'Heat', 'Thief']);
+        assert.deepEqual(await movies('hea'), ['Heat Wave', 'Heat', 'Thief']);
+        assert.deepEqual(await movies('heat wave'), ['Heat Wave']);
+    });
+
+    it('finds words without their diacritics', async () => {
+        assert.deepEqual(await movies('amelie'), ['Le Fabuleux Destin d\'Amélie Poulain']);
+    });
+
+    it('filters by year', async () => {
+        assert.deepEqual(await movies('heat', { year: '1995' }), ['Heat']);
+        assert.deepEqual(await movies('heat', { year: '1990' }), []);
+    });
+
+    it('filters by any or all genres', async () => {
+        assert.deepEqual(await movies('heat', { genres: ['crime'] }), ['Heat', 'Thief']);
+        assert.deepEqual(await movies('heat', { genres: ['Action', 'Comedy'] }), ['Heat Wave', 'Heat']);
+        assert.deepEqual(await movies('heat', { genres: ['Action', 'Crime'], genreMode: 'and' }), ['Heat']);
+        assert.deepEqual(await movies('heat', { genres: ['Action', 'Drama'], genreMode: 'and' }), []);
+    });
+
+    it('searches series and their episodes separately from movies', async () => {
+        const filter = { limit: 20 };
+        assert.deepEqual(titles(await searchSeries(toMatchQuery('heat'), filter)), ['In the Heat of the Night']);
+        assert.deepEqual(titles(await searchEpisodes(toMatchQuery('sparta'), filter)), ['Pilot']);
+        assert.deepEqual(titles(await searchEpisodes(toMatchQuery('sparta'), { ...filter, year: '1990' })), []);
+        assert.deepEqual(titles(await searchSeries(toMatchQuery('heat'), { ...filter, genres: ['Drama'] })), []);
+    });
+
+    it('follows edits and deletes through the triggers', async () => {
+        await execute(
+            'UPDATE media SET title = ?, filename = ? WHERE id = ?',
+            ['Collateral', 'Collateral.mkv', ids.heatWave],
+        );
+        assert.deepEqual(await movies('heat'), ['Heat', 'Thief']);
+        assert.deepEqual(await movies('collateral'), ['Collateral']);
+
+        await execute('DELETE FROM media WHERE id = ?', [ids.thief]);
+        assert.deepEqual(await movies('heat'), ['Heat']);
+
+        await execute('UPDATE series SET title = ? WHERE id = ?', ['Night Shift', ids.series]);
+        assert.deepEqual(titles(await searchSeries(toMatchQuery('heat'), { limit: 20 })), []);
+        assert.deepEqual(titles(await searchSeries(toMatchQuery('night shift'), { limit: 20 })), ['Night Shift']);
+    });
+});
+
+describe('GET /api/media/search', () => {
+    it('limits the results to a type', async () => {
+        const both = await request({ q: 'sparta' });
+        assert.equal(both.status, 200);
+        assert.deepEqual(both.body.series.map(series => series.name), ['Night Shift']);
+
+        const moviesOnly = await request({ q: 'heat', type: 'movie' });
+        assert.deepEqual([titles(moviesOnly.body.movies), moviesOnly.body.series], [['Heat'], []]);
+        const seriesOnly = await request({ q: 'sparta', type: 'series' });
+        assert.deepEqual(seriesOnly.body.movies, []);
+        assert.equal(seriesOnly.body.series.length, 1);
+    });
+
+    it('rejects invalid types and years', async () => {
+        assert.equal((await request({ q: 'heat', type: 'person' })).status, 400);
+        assert.equal((await request({ q: 'heat', year: '95' })).status, 400);
+        assert.equal((await request({ q: '' })).status, 400);
+    });
+});
@@ -0,0 +1,156 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { decodeSubtitle, parseOffsetParam, parseSubtitleName, toWebVtt } from '../src/utils/subtitles.js';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitles-'));
+
+// A stand-in for ffmpeg: records its arguments and writes a cue to the output file.
+const fakeFfmpeg = path.join(dir, 'ffmpeg');
+fs.writeFileSync(fakeFfmpeg, `#!/usr/bin/env node
+const fs = require('fs');
+const args = process.argv.slice(2);
+fs.appendFileSync(${JSON.stringify(path.join(dir, 'calls.log'))}, JSON.stringify(args) + '\\n');
+const track = args[args.indexOf('-map') + 1];
+fs.writeFileSync(args.at(-1), 'WEBVTT\\n\\n00:00:05.000 --> 00:00:06.000\\nTrack ' + track + '\\n');
+`, { mode: 0o755 });
+
+// Read when the service is imported, so set before.
+process.env.FFMPEG_PATH = fakeFfmpeg;
+process.env.SUBTITLE_CACHE_PATH = path.join(dir, 'cache');
+
+const { readTrackAsVtt } = await import('../src/services/subtitle.service.js');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const movie = '/media/Movies/Movie (2020).mkv';
+
+describe('parseSubtitleName', () => {
+    it('reads the language and flags from the name', () => {
+        assert.deepEqual(parseSubtitleName(movie, '/media/Movies/Movie (2020).en.forced.srt'), {
+            format: 'srt', language: 'eng', title: null, forced: true, sdh: false,
+        });
+        assert.deepEqual(parseSubtitleName(movie, '/media/Movies/Movie (2020).German.SDH.Commentary.ass'), {
+            format: 'ass', language: 'ger', title: 'Commentary', forced: false, sdh: true,
+        });
+        assert.equal(parseSubtitleName(movie, '/media/Movies/Movie (2020).pt-BR.vtt').language, 'por');
+        assert.equal(parseSubtitleName(movie, '/media/Movies/movie (2020).srt').language, null);
+    });
+
+    it('ignores files of other media and other folders', () => {
+        assert.equal(parseSubtitleName(movie, '/media/Movies/Movie (2020) Extras.en.srt'), null);
+        assert.equal(parseSubtitleName(movie, '/media/Movies/Subs/Movie (2020).en.srt'), null);
+        assert.equal(parseSubtitleName(movie, '/media/Movies/Movie (2020).en.txt'), null);
+    });
+});
+
+describe('parseOffsetParam', () => {
+    it('reads seconds', () => {
+        assert.equal(parseOffsetParam({ offset: '-1.5' }), -1.5);
+        assert.equal(parseOffsetParam({}), 0);
+        assert.throws(() => parseOffsetParam({ offset: 'soon' }), { statusCode: 400 });
+    });
+});
+
+describe('toWebVtt', () => {
+    const srt = [
+        '1',
+        '00:00:01,000 --> 00:00:04,500',
+        '<font color="#ffff00">Hello</font> <i>there</i> & welcome',
+        '',
+        '2',
+        '00:01:02,250 --> 00:01:05,000',
+        '{\\an8}Second line',
+        'and more',
+        '',
+    ].join('\n');
+
+    it('converts SRT', () => {
+        assert.equal(toWebVtt(srt, 'srt'), [
+            'WEBVTT',
+            '',
+            '00:00:01.000 --> 00:00:04.500',
+            'Hello <i>there</i> &amp; welcome',
+            '',
+            '00:01:02.250 --> 00:01:05.000',
+            'Second line',
+            'and more',
+            '',
+        ].join('\n'));
+    });
+
+    it('shifts cues and drops those before the start', () => {
+        const vtt = toWebVtt(srt, 'srt', -2);
+        assert.deepEqual(vtt.match(/^[\d:.]+ --> [\d:.]+$/gm), [
+            '00:00:00.000 --> 00:00:02.500',
+            '00:01:00.250 --> 00:01:03.000',
+        ]);
+        assert.equal(toWebVtt(srt, 'srt', -10).match(/-->/g).length, 1);
+    });
+
+    it('converts ASS dialogue in display order', () => {
+        const ass = [
+            '[Script Info]',
+            'Title: Test',
+            '',
+            '[Events]',
+            'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+            'Dialogue: 0,0:00:05.50,0:00:07.00,Default,,0,0,0,,{\\i1}Later{\\i0}, with a comma',
+            'Comment: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,Not shown',
+            'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\pos(10,10)\\b1}First\\Nline',
+        ].join('\r\n');
+        assert.equal(toWebVtt(decodeSubtitle(Buffer.from(ass)), 'ass'), [
+            'WEBVTT',
+            '',
+            '00:00:01.000 --> 00:00:02.000',
+            '<b>First',
+            'line</b>',
+            '',
+            '00:00:05.500 --> 00:00:07.000',
+            '<i>Later</i>, with a comma',
+            '',
+        ].join('\n'));
+    });
+
+    it('shifts WebVTT and keeps its cue settings', () => {
+        const vtt = 'WEBVTT\n\nSTYLE\n::cue { color: lime }\n\n00:01.000 --> 00:02.000 line:0\n<v Ann>Hi\n';
+        assert.equal(toWebVtt(vtt, 'vtt', 1.5),
+            'WEBVTT\n\nSTYLE\n::cue { color: lime }\n\n00:00:02.500 --> 00:00:03.500 line:0\n<v Ann>Hi\n');
+    });
+});
+
+describe('decodeSubtitle', () => {
+    it('reads UTF-8 with a BOM and falls back to Windows-1252', () => {
+        assert.equal(decodeSubtitle(Buffer.from('\uFEFFÄrger\r\n')), 'Ärger\n');
+        assert.equal(decodeSubtitle(Buffer.from([0xc4, 0x72, 0x67, 0x65, 0x72])), 'Ärger');
+    });
+});
+
+describe('readTrackAsVtt', () => {
+    const filepath = path.join(dir, 'movie.mkv');
+    fs.writeFileSync(filepath, 'video');
+    const media = { id: 1, filepath, filesize: 5, mtime: 1 };
+    const callCount = () => fs.readFileSync(path.join(dir, 'calls.log'), 'utf8').trim().split('\n').length;
+
+    it('extracts a track once and serves it from the cache', async () => {
+        const [first, second] = await Promise.all([readTrackAsVtt(media, 3), readTrackAsVtt(media, 3)]);
+        assert.equal(first, 'WEBVTT\n\n00:00:05.000 --> 00:00:06.000\nTrack 0:3\n');
+        assert.equal(second, first);
+        assert.match(await readTrackAsVtt(media, 3, -1), /00:00:04\.000 --> 00:00:05\.000/);
+        assert.equal(callCount(), 1);
+    });
+
+    it('extracts a changed file again', async () => {
+        await readTrackAsVtt({ ...media, mtime: 2 }, 3);
+        assert.equal(callCount(), 2);
+        assert.equal(fs.readdirSync(path.join(dir, 'cache')).length, 1);
+    });
+
+    it('reports a missing file', async () => {
+        await assert.rejects(readTrackAsVtt({ ...media, filepath: path.join(dir, 'gone.mkv') }, 3), {
+            statusCode: 404,
+        });
+    });
+});
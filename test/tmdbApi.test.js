@@ -0,0 +1,79 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// A fake TMDB playing scripted responses per path; the last one repeats. Every request is recorded.
+const requests = [];
+const scripts = new Map();
+const respond = (pathname, ...responses) => scripts.set(`/3${pathname}`, responses);
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, at: Date.now() });
+    const script = scripts.get(url.pathname) ?? [{ status: 404 }];
+    const { status, body = {}, headers = {} } = script.length > 1 ? script.shift() : script[0];
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Read when the modules are imported, so set before.
+process.env.TMDB_API_KEY = 'test-key';
+process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+process.env.TMDB_CACHE_TTL_HOURS = '0';
+process.env.TMDB_MAX_RETRIES = '2';
+
+const { getMovieDetails } = await import('../src/utils/tmdbApi.js');
+const { TmdbError, TmdbNotFoundError, TmdbTransientError } = await import('../src/utils/TmdbError.js');
+
+after(() => server.close());
+
+const requestsTo = (pathname) => requests.filter(entry => entry.path === `/3${pathname}`);
+
+describe('tmdbRequest', () => {
+    beforeEach(() => {
+        requests.length = 0;
+        scripts.clear();
+    });
+
+    it('retries a rate limited request after Retry-After', async () => {
+        respond('/movie/1',
+            { status: 429, headers: { 'Retry-After': '1' }, body: { status_message: 'Too many requests' } },
+            { status: 200, body: { id: 1 } });
+        assert.deepEqual(await getMovieDetails(1), { id: 1 });
+        const [first, second] = requestsTo('/movie/1');
+        assert.ok(second.at - first.at >= 990, `retried after ${second.at - first.at}ms`);
+    });
+
+    it('backs off on server errors', async () => {
+        respond('/movie/2', { status: 503 }, { status: 502 }, { status: 200, body: { id: 2 } });
+        assert.deepEqual(await getMovieDetails(2), { id: 2 });
+        const [first, second, third] = requestsTo('/movie/2');
+        // Half the delay plus jitter: at least 250ms, then 500ms.
+        assert.ok(second.at - first.at >= 240);
+        assert.ok(third.at - second.at >= 490);
+    });
+
+    it('gives up with a transient error after TMDB_MAX_RETRIES', async () => {
+        respond('/movie/3', { status: 500, headers: { 'Retry-After': '0' }, body: { status_message: 'Down' } });
+        await assert.rejects(getMovieDetails(3), (err) => {
+            assert.ok(err instanceof TmdbTransientError);
+            assert.equal(err.statusCode, 500);
+            assert.equal(err.retryable, true);
+            assert.match(err.message, /\/movie\/3 failed: Down/);
+            return true;
+        });
+        assert.equal(requestsTo('/movie/3').length, 3);
+    });
+
+    it('does not retry client errors', async () => {
+        respond('/movie/4', { status: 401, body: { status_message: 'Invalid API key' } });
+        await assert.rejects(getMovieDetails(4), (err) => {
+            assert.ok(err instanceof TmdbError && !(err instanceof TmdbTransientError));
+            assert.equal(err.statusCode, 401);
+            return true;
+        });
+        await assert.rejects(getMovieDetails(5), TmdbNotFoundError);
+        assert.equal(requests.length, 2);
+    });
+});
@@ -0,0 +1,100 @@
+import { after, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmdb-cache-'));
+
+// A fake TMDB answering every path with its current fixture; every request is recorded.
+const requests = [];
+const fixtures = new Map();
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(url.pathname);
+    const { status, body } = fixtures.get(url.pathname) ?? { status: 404, body: {} };
+    // Slow enough for parallel lookups to overlap.
+    setTimeout(() => {
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+        res.end(JSON.stringify(body));
+    }, 20);
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.TMDB_API_KEY = 'test-key';
+process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+process.env.TMDB_CACHE_TTL_HOURS = '1';
+process.env.TMDB_MAX_RETRIES = '1';
+
+const { closeDb, execute, queryAll } = await import('../src/config/db.config.js');
+const { getMovieDetails, getSeason, getTvDetails } = await import('../src/utils/tmdbApi.js');
+const { buildCacheKey } = await import('../src/utils/tmdbCache.js');
+const { TmdbNotFoundError } = await import('../src/utils/TmdbError.js');
+
+after(async () => {
+    server.close();
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const requestCount = (pathname) => requests.filter(entry => entry === `/3${pathname}`).length;
+
+describe('buildCacheKey', () => {
+    it('sorts the parameters and leaves out the API key and empty values', () => {
+        assert.equal(
+            buildCacheKey('/search/tv', { query: 'Dark', api_key: 'secret', language: 'de-DE', year: null }),
+            '/search/tv?language=de-DE&query=Dark',
+        );
+        assert.equal(buildCacheKey('/genre/tv/list', { api_key: 'secret' }), '/genre/tv/list');
+    });
+});
+
+describe('cached TMDB requests', () => {
+    beforeEach(() => {
+        requests.length = 0;
+    });
+
+    it('answers repeated requests from the cache until TMDB_CACHE_TTL_HOURS passed', async () => {
+        fixtures.set('/3/movie/1', { status: 200, body: { id: 1, title: 'Cached' } });
+        assert.equal((await getMovieDetails(1)).title, 'Cached');
+        assert.equal((await getMovieDetails(1)).title, 'Cached');
+        assert.equal(requestCount('/movie/1'), 1);
+
+        const [row] = await queryAll("SELECT * FROM tmdb_cache WHERE endpoint = '/movie/1'");
+        assert.equal(row.expires_at - row.fetched_at, 60 * 60 * 1000);
+        assert.doesNotMatch(row.cache_key, /api_key|test-key/);
+    });
+
+    it('shares one request between parallel lookups', async () => {
+        fixtures.set('/3/tv/2/season/1', { status: 200, body: { season_number: 1, episodes: [] } });
+        const seasons = await Promise.all([getSeason(2, 1), getSeason(2, 1), getSeason(2, 1)]);
+        assert.ok(seasons.every(season => season.season_number === 1));
+        assert.equal(requestCount('/tv/2/season/1'), 1);
+    });
+
+    it('refreshes expired entries and serves them while TMDB is unavailable', async () => {
+        fixtures.set('/3/movie/3', { status: 200, body: { id: 3, title: 'Old' } });
+        await getMovieDetails(3);
+        const expire = () => execute("UPDATE tmdb_cache SET expires_at = 0 WHERE endpoint = '/movie/3'");
+
+        await expire();
+        fixtures.set('/3/movie/3', { status: 200, body: { id: 3, title: 'New' } });
+        assert.equal((await getMovieDetails(3)).title, 'New');
+
+        await expire();
+        fixtures.set('/3/movie/3', { status: 503, body: { status_message: 'Down' } });
+        assert.equal((await getMovieDetails(3)).title, 'New');
+        // The first request plus the refresh, then one try and one retry.
+        assert.equal(requestCount('/movie/3'), 4);
+    });
+
+    it('remembers titles TMDB does not know', async () => {
+        await assert.rejects(getTvDetails(4), TmdbNotFoundError);
+        await assert.rejects(getTvDetails(4), TmdbNotFoundError);
+        assert.equal(requestCount('/tv/4'), 1);
+    });
+});
@@ -0,0 +1,77 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+// A fake TMDB answering from fixtures; every request is recorded with its query parameters.
+const requests = [];
+const fixtures = {
+    '/3/search/movie': { results: [{ id: 603, title: 'The Matrix', release_date: '1999-03-30' }] },
+    '/3/movie/603': { id: 603, title: 'The Matrix', runtime: 136 },
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ path: url.pathname, params: Object.fromEntries(url.searchParams) });
+    const fixture = fixtures[url.pathname];
+    res.writeHead(fixture ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(fixture ?? { status_message: 'The resource you requested could not be found.' }));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+// Read when the modules are imported, so set before.
+process.env.TMDB_API_KEY = 'test-key';
+process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+process.env.TMDB_IMAGE_BASE_URL = 'http://images.test/t/p/';
+process.env.TMDB_CACHE_TTL_HOURS = '0';
+
+const { getMetadataProvider, isRemoteMetadataDeferred } = await import('../src/services/metadataProvider.service.js');
+const { localProvider } = await import('../src/providers/local.provider.js');
+const { TmdbNotFoundError } = await import('../src/utils/TmdbError.js');
+
+after(() => server.close());
+
+describe('TMDB provider', () => {
+    const provider = getMetadataProvider();
+
+    it('is used when an API key is set', () => {
+        assert.equal(provider.name, 'tmdb');
+        assert.equal(provider.remote, true);
+        assert.equal(isRemoteMetadataDeferred(), false);
+    });
+
+    it('sends requests to TMDB_BASE_URL with the API key', async () => {
+        const response = await provider.searchMovie('The Matrix', 1999, 'de-DE');
+        assert.equal(response.results[0].id, 603);
+        const request = requests.findLast(entry => entry.path === '/3/search/movie');
+        assert.equal(request.params.api_key, 'test-key');
+        assert.equal(request.params.query, 'The Matrix');
+        assert.equal(request.params.year, '1999');
+        assert.equal(request.params.language, 'de-DE');
+    });
+
+    it('returns details', async () => {
+        const details = await provider.getMovieDetails(603);
+        assert.equal(details.runtime, 136);
+        const request = requests.findLast(entry => entry.path === '/3/movie/603');
+        assert.equal(request.params.append_to_response, 'translations');
+    });
+
+    it('reports unknown entries as not found', async () => {
+        await assert.rejects(provider.getTvDetails(1), TmdbNotFoundError);
+    });
+
+    it('builds image URLs from TMDB_IMAGE_BASE_URL', () => {
+        assert.equal(provider.getImageUrl('/poster.jpg', 'w780'), 'http://images.test/t/p/w780/poster.jpg');
+        assert.equal(provider.getImageUrl(null), '');
+    });
+});
+
+describe('local provider', () => {
+    it('finds nothing remote', async () => {
+        assert.equal(localProvider.remote, false);
+        assert.deepEqual(await localProvider.searchMovie('The Matrix', 1999), { results: [] });
+        assert.deepEqual(await localProvider.getGenreList('movie'), []);
+        await assert.rejects(localProvider.getMovieDetails(603), TmdbNotFoundError);
+        assert.equal(localProvider.getImageUrl('/poster.jpg'), '');
+    });
+});
@@ -0,0 +1,58 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'translation-'));
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+
+const { closeDb, execute } = await import('../src/config/db.config.js');
+const { translateMedia, translateSeries } = await import('../src/repositories/translation.repository.js');
+
+after(async () => {
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('translateRows', () => {
+    before(async () => {
+        const insert = `INSERT INTO translations (entity_type, entity_id, language, title, overview)
+                        VALUES (?, ?, ?, ?, ?)`;
+        await execute(insert, ['media', 1, 'en-US', 'The Movie', 'About the movie']);
+        await execute(insert, ['media', 2, 'en', 'Another Movie', null]);
+        await execute(insert, ['series', 1, 'en-GB', 'The Show', 'About the show']);
+    });
+
+    it('replaces title and overview with the translation', async () => {
+        const [movie, other] = await translateMedia([
+            { id: 1, title: 'Der Film', description: 'Über den Film' },
+            { id: 2, title: 'Ein Film', description: 'Über einen Film' },
+        ], 'en-US');
+        assert.equal(movie.title, 'The Movie');
+        assert.equal(movie.description, 'About the movie');
+        assert.equal(other.title, 'Another Movie');
+        assert.equal(other.description, 'Über einen Film');
+    });
+
+    it('keeps fields the user edited', async () => {
+        const [movie] = await translateMedia([
+            { id: 1, title: 'Mein Titel', description: 'Über den Film', locked_fields: '["title"]' },
+        ], 'en');
+        assert.equal(movie.title, 'Mein Titel');
+        assert.equal(movie.description, 'About the movie');
+
+        const [series] = await translateSeries([
+            { id: 1, title: 'Die Serie', overview: 'Meine Beschreibung', locked_fields: '["overview","tmdb_id"]' },
+        ], 'en');
+        assert.equal(series.title, 'The Show');
+        assert.equal(series.overview, 'Meine Beschreibung');
+    });
+
+    it('returns the rows unchanged without a language', async () => {
+        const rows = [{ id: 1, title: 'Der Film', description: 'Über den Film' }];
+        assert.equal(await translateMedia(rows, null), rows);
+    });
+});
@@ -0,0 +1,72 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'watcher-'));
+const moviesRoot = path.join(dir, 'Movies');
+const probeLog = path.join(dir, 'probes.log');
+fs.mkdirSync(moviesRoot);
+
+// A slow stand-in for ffprobe: logs when it starts and ends, then fails so the container is used.
+const fakeFfprobe = path.join(dir, 'ffprobe');
+fs.writeFileSync(fakeFfprobe, `#!/usr/bin/env node
+const fs = require('fs');
+const log = ${JSON.stringify(probeLog)};
+const file = process.argv.at(-1);
+fs.appendFileSync(log, 'start ' + file + '\\n');
+setTimeout(() => {
+    fs.appendFileSync(log, 'end ' + file + '\\n');
+    process.exit(1);
+}, 500);
+`, { mode: 0o755 });
+
+// Read when the modules are imported, so set before.
+process.env.DB_PATH = path.join(dir, 'catalog.db');
+process.env.POSTER_BASE_PATH = path.join(dir, 'posters');
+process.env.METADATA_PROVIDER = 'local';
+process.env.FFPROBE_PATH = fakeFfprobe;
+process.env.WATCH_MODE = 'true';
+process.env.WATCH_POLLING = 'false';
+process.env.WATCH_STABILITY_MS = '50';
+
+const { closeDb, queryAll } = await import('../src/config/db.config.js');
+const { createLibrary } = await import('../src/services/library.service.js');
+const { getScanJob, startScanJob } = await import('../src/services/scanJob.service.js');
+const { startWatcher, stopWatcher } = await import('../src/services/watcher.service.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const readProbeLog = () => (fs.existsSync(probeLog) ? fs.readFileSync(probeLog, 'utf8').trim().split('\n') : []);
+
+/** Waits until a condition holds, checking every 20ms. */
+const waitFor = async (condition) => {
+    while (!(await condition())) await sleep(20);
+};
+
+before(async () => {
+    await createLibrary({ name: 'Movies', type: 'movie', paths: [moviesRoot] });
+    await startWatcher();
+});
+
+after(async () => {
+    stopWatcher();
+    await closeDb();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('watcher', () => {
+    it('finishes the file it indexes before a scan starts', async () => {
+        const filepath = path.join(moviesRoot, 'Arrival (2016).mkv');
+        fs.writeFileSync(filepath, 'arrival');
+        await waitFor(() => readProbeLog().length > 0);
+
+        const job = await startScanJob();
+        await waitFor(async () => !['queued', 'running'].includes((await getScanJob(job.id)).status));
+        const finished = await getScanJob(job.id);
+        assert.equal(finished.status, 'completed');
+        assert.deepEqual([finished.summary.added, finished.summary.unchanged, finished.summary.failed], [0, 1, 0]);
+        assert.equal((await queryAll('SELECT id FROM media WHERE filepath = ?', [filepath])).length, 1);
+        assert.deepEqual(readProbeLog(), [`start ${filepath}`, `end ${filepath}`]);
+    });
+});